@@ -1,24 +1,112 @@
 class MinaAdventureGame {
-    constructor() {
+    constructor(options = {}) {
+        // Headless runs (automated tests) simulate the game without WebGL, DOM or input
+        this.headless = !!options.headless;
+        
+        // One game clock: the simulation advances in fixed ticks and all game timing reads from here
+        this.gameClock = {
+            fixedStep: 1 / 60, // Seconds per simulation tick
+            maxFrameTime: 0.25, // Longer frames (tab in background) are clipped instead of fast-forwarded
+            accumulator: 0, // Real time not yet spent on ticks
+            tick: 0,
+            elapsed: 0, // Simulated seconds since the game started
+            timers: [] // Callbacks due at a game time, see scheduleGameEvent()
+        };
+        
+        // Replays: the controls and camera of every tick, enough to play a run again from its seed
+        this.replaySystem = {
+            format: 'mina-uss-replay',
+            version: 3, // 2: room for more controls per player (the interact key), 3: gamepad stick positions (optional, so 2 needs no upgrade)
+            mode: 'recording', // 'recording', 'playback', or 'off' once a save has been loaded
+            pendingKey: 'minasUssAdventure.pendingReplay', // sessionStorage, survives the reload that resets the seed
+            controlBits: { forward: 1, backward: 2, left: 4, right: 8, run: 16, interact: 32, jump: 64 },
+            coopShift: 8, // Sacha's co-op keys use the same bits moved up by this much
+            playerBits: { sachaActive: 65536, coop: 131072 }, // Who is being played is part of each tick's input
+            personalityShift: 18, // ...and so is the companion's personality, as its index from here up
+            cameraPrecision: 1000, // Camera angles are stored in thousandths of a radian
+            trackInterval: 6, // Ticks between recorded positions (desync checks and ghosts)
+            pending: options.replay ? { action: 'watch', replay: options.replay } : this.takePendingReplay(),
+            recording: null,
+            playback: null,
+            ghost: null,
+            panelOpen: false
+        };
+        
+        // Seeded randomness: the same seed plus the same inputs always plays out the same way
+        const pendingReplay = this.replaySystem.pending;
+        this.randomSystem = this.createRandomSystem(this.getRandomSeed(pendingReplay ? pendingReplay.replay.seed : options.seed));
+        this.replaySystem.recording = this.createReplayRecording();
+        
         // Mobile detection first
-        this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        this.isMobile = !this.headless && /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
         
         this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ 
+        this.camera = new THREE.PerspectiveCamera(75, this.headless ? 1 : window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.renderer = options.renderer || (this.headless ? this.createNullRenderer() : new THREE.WebGLRenderer({ 
             antialias: !this.isMobile, // Disable antialias on mobile for performance
             powerPreference: this.isMobile ? 'low-power' : 'high-performance'
-        });
+        }));
         
         // Game state
-        this.gameState = {
-            health: 100,
-            treasuresFound: 0,
-            totalTreasures: 5,
-            monstersNearby: 0,
-            gameWon: false,
-            gameOver: false,
-            timeOfDay: 0 // 0 = sunset, 1 = night
+        this.gameState = this.createGameState();
+        
+        // Game flow: boot -> title -> playing <-> paused, playing -> won / lost, and back again by restarting
+        this.stateMachine = {
+            state: 'boot', // Until the park has been built
+            previous: null,
+            transitions: {
+                boot: ['title', 'playing'],
+                title: ['playing'],
+                playing: ['paused', 'won', 'lost', 'photo'],
+                paused: ['playing', 'title'],
+                photo: ['playing'],
+                won: ['playing', 'title'],
+                lost: ['playing', 'title']
+            },
+            timeFlows: ['playing', 'won', 'lost'], // Game time stands still on the title screen, while paused and in photo mode
+            lookStates: ['playing', 'photo'], // The mouse stays locked for looking around; menus need it back
+            runStartTick: 0, // Tick of the last (re)start, for run times
+            mouseLostAt: -Infinity, // Event time losing the mouse last paused the game
+            escapeWindow: 250, // ms: an Escape this soon after that is the press that let the mouse go
+            objective: { key: 'objective.find', color: '' } // The objective line's string, see showObjective()
+        };
+        
+        // Camera rigs: a view the player picks, rails for ride intros and a free-flying photo mode
+        this.cameraSystem = {
+            mode: 'follow', // 'follow' (third person), 'firstPerson' or 'orbit'
+            modes: ['follow', 'firstPerson', 'orbit'], // The order V goes through them
+            settingsKey: 'minasUssAdventure.camera',
+            effects: { shake: true, sway: true, fov: true }, // Each can be turned off for motion-sensitive players
+            eyeHeight: 2.35, // Above a girl's position (she is drawn three times life size)
+            eyeForward: 0.6, // In front of her face
+            orbit: { distance: 16, minDistance: 5, maxDistance: 45, zoomStep: 2, elevation: 0.4 }, // Elevation in radians
+            // Spring arm: the follow and orbit cameras are pulled in front of walls between them and the girls
+            springArm: {
+                pivotHeight: 2, // Above the girls' feet, where the arm is held from
+                padding: 0.6, // Kept clear of the wall that was hit
+                minLength: 1.5, // Never closer than this, however tight the corner
+                raycaster: new THREE.Raycaster()
+            },
+            interior: { distance: 6, height: 3 }, // Follow camera inside buildings and tombs, where the rooms are small
+            // Blocks still hiding a girl from the camera (over a wall's top, say) fade out until she is clear
+            occlusion: {
+                bodyHeight: 1, // The point on each girl the camera should be able to see
+                opacity: 0.25, // Of the block's own opacity, when fully faded
+                fadeSpeed: 0.15, // Share of the way there each frame
+                faded: new Map(), // Block -> { opacity, transparent } it had before fading
+                raycaster: new THREE.Raycaster()
+            },
+            // Ride intros: points around where the ride starts (x, y, z from it) that the camera glides through, watching it
+            rails: {
+                coasterCar: { duration: 4000, points: [[28, 22, 28], [0, 16, 30], [-14, 9, 14], [-4, 5, 8]] },
+                raftBoat: { duration: 3500, points: [[-20, 3, 20], [-8, 2, 14], [0, 4, 9]] },
+                mummyCart: { duration: 3500, points: [[15, 12, -15], [10, 6, 5], [0, 4, 8]] },
+                darkRide: { duration: 3000, points: [[0, 3, -5], [3, 2.5, -2], [0, 2.5, 4]] } // Inside the tomb, so kept close
+            },
+            rail: null, // The ride intro playing, see startCameraRail()
+            photo: null, // { position, rotation, fov } in photo mode: the flying camera and what to go back to
+            photoSpeed: 12, // Units per second the photo camera flies (three times that running)
+            photoZoomStep: 5 // Degrees of field of view per wheel step in photo mode
         };
         
         // Lighting system for dynamic day/night cycle
@@ -28,7 +116,7 @@ class MinaAdventureGame {
             fillLight: null,
             hemiLight: null,
             dayDuration: 300000, // 5 minutes for full sunset to night cycle
-            startTime: Date.now()
+            startTime: this.now()
         };
         
         // Characters
@@ -44,7 +132,7 @@ class MinaAdventureGame {
         this.interactables = [];
         this.collisionObjects = []; // All objects that can be collided with
         this.npcs = []; // Non-player characters
-        this.crowds = []; // Moving crowds of people
+        this.guests = []; // Park guests walking between rides, food and shows
         this.rides = []; // Interactive theme park rides
         this.worldEvents = []; // Dynamic events happening in the world
         this.interactiveNPCs = []; // NPCs that can talk to the girls
@@ -52,15 +140,367 @@ class MinaAdventureGame {
         this.rideVehicles = []; // Vehicles that girls can ride
         this.currentInterior = null; // Current interior space player is in
         
-        // Controls
+        // Collision queries: static blocks bucketed in a uniform grid, moving objects checked separately
+        this.collisionSystem = {
+            cellSize: 10,
+            origin: -300, // Both resized from the layout's ground when the park is generated
+            cols: 60,
+            staticCells: new Map(), // Cell index -> static colliders overlapping it
+            dynamicColliders: new Set(),
+            bodies: {
+                character: { size: new THREE.Vector3(0.5, 1.8, 0.5), offsetY: 0 }, // Mina and Sacha are positioned at their centre
+                monster: { size: new THREE.Vector3(2, 3, 2), offsetY: 1.5 } // Only as tall as the navigation clearance
+            }
+        };
+        
+        // Web Audio: volume buses, spatial sources and synthesized sounds
+        this.audioSystem = {
+            context: null, // Created on the first click or key press (browser autoplay rules)
+            buses: {}, // master, music, ambience and effects gain nodes
+            volumes: { master: 0.8, music: 0.5, ambience: 0.6, effects: 0.8 },
+            muted: false,
+            settingsKey: 'minasUssAdventure.audio',
+            noiseBuffer: null,
+            spatialSources: [], // Panners that follow scene objects
+            zoneAmbience: [],
+            rideMusic: null,
+            lastFootstepTime: 0
+        };
+        
+        // How the mummies see: a view cone from their facing, shortened by darkness
+        this.monsterVision = {
+            eyeHeight: 6.4, // Head height of the 2x scaled mummy
+            fieldOfView: 120, // Degrees, while patrolling
+            alertFieldOfView: 200, // Degrees, once something has their attention
+            nightRangeFactor: 0.5, // Sight range at full night compared to sunset
+            proximityRange: 3, // Always noticed this close, whichever way they face
+            raycaster: new THREE.Raycaster()
+        };
+        
+        // Grid navigation for monsters and Sacha (built from collisionObjects)
+        this.navigation = {
+            grid: null,
+            cellSize: 2,
+            agentRadius: 1.2, // Obstacles are grown by this much so the big mummies fit
+            clearance: 3, // Blocks starting above this height can be walked under
+            maxSearchNodes: 20000, // Give up on very long searches
+            replanInterval: 0.5 // Seconds between path refreshes for a moving goal
+        };
+        
+        // Vertical movement for the girls: jumping, gravity, stairs, ramps and falls
+        this.physicsSystem = {
+            gravity: 30,
+            jumpSpeed: 13, // About 2.8 units high, enough to hop up the coaster decks
+            hopSpeed: 6, // Little hops while the jumping animation plays
+            standHeight: 1.35, // Where a girl's centre is above her feet
+            stepHeight: 0.45, // Ledges this low are walked up; her collision box starts this far above her feet
+            stairRise: 0.4, // Height of each step built by a stairs layout element
+            teleportThreshold: 0.5, // Her height changing more than this between ticks means she was put somewhere new
+            maxFallSpeed: 40,
+            safeFallHeight: 8, // Longer drops than this hurt...
+            fallDamage: 2, // ...by this much health per unit
+            fallOutDepth: -30, // Falling this far (off the edge of the park) puts her back where she last stood
+            fallOutDamage: 10
+        };
+        
+        // Ride tracks: every ride vehicle runs along a spline with its own speed profile (see RIDE TRACKS)
+        this.trackSystem = {
+            samplesPerSegment: 16, // Points worked out between each pair of control points
+            rollingResistance: 1, // Speed lost per second while coasting
+            minSpeed: 2, // Hidden boosters keep a coasting car from stalling on a hill
+            bankSmoothing: 8, // Samples either side that the banking is averaged over
+            // Catmull-Rom points are x, y, z from the station; Bezier tracks list each anchor followed by its two
+            // control points towards the next one. Sections run between control points (fractions allowed):
+            // 'launch' speeds the car up to speed, 'brake' slows it down to speed, 'lift' and 'drive' hold it there.
+            // Everywhere else it coasts, speeding up downhill and slowing uphill.
+            tracks: {
+                coasterCar: {
+                    curve: 'catmullRom',
+                    closed: true,
+                    maxBank: 0.7, // Radians
+                    points: [
+                        [0, 0, 0], [0, 0, -10], [0, 1, -20], [0, 10, -28], [2, 18, -34], [8, 10, -36], [16, 3, -30],
+                        [22, 4, -18], [22, 5, -6], [20, 6, 6], [14, 14, 14], [6, 22, 18], [-4, 14, 18], [-14, 4, 14],
+                        [-22, 5, 4], [-20, 6, -8], [-12, 4, -10], [-8, 2, 2], [-6, 0, 14], [-2, 0, 18], [0, 0, 10]
+                    ],
+                    sections: [
+                        { type: 'launch', from: 0, to: 2, speed: 36, accel: 30 },
+                        { type: 'brake', from: 8, to: 9, speed: 8, accel: 30 }, // Trim brake before the lift hill
+                        { type: 'lift', from: 9, to: 11, speed: 6, accel: 20 },
+                        { type: 'brake', from: 18, to: 21, speed: 4, accel: 30 }
+                    ],
+                    rails: { gauge: 1.8, radius: 0.12, color: 0x7788aa, offset: 0, sleeperSpacing: 2, supportSpacing: 6 }
+                },
+                raftBoat: {
+                    curve: 'bezier',
+                    closed: true,
+                    maxBank: 0.1,
+                    points: [
+                        [0, 0, 0], [0, 0, -8], [-14, 0, -12],
+                        [-14, 0, -20], [-14, 0, -28], [-8, 0, -36],
+                        [0, 0, -36], [8, 0, -36], [16, 0, -30],
+                        [16, 0, -20], [16, 0, -10], [0, 0, 8]
+                    ],
+                    sections: [
+                        { type: 'drive', from: 0, to: 1, speed: 5, accel: 3 }, // The river's current
+                        { type: 'launch', from: 1, to: 2, speed: 10, accel: 4 }, // Rapids
+                        { type: 'drive', from: 2, to: 3.6, speed: 5, accel: 3 },
+                        { type: 'brake', from: 3.6, to: 4, speed: 1.5, accel: 6 }
+                    ],
+                    rails: { gauge: 3.6, radius: 0.1, color: 0x555555, offset: -0.3, sleeperSpacing: 0, supportSpacing: 0 } // Guide rails under the water
+                },
+                mummyCart: {
+                    curve: 'catmullRom',
+                    closed: true,
+                    maxBank: 0.3,
+                    points: [[0, 0, 0], [0, 0, -8], [-6, 1.5, -15], [-15, 2, -14], [-20, 0.5, -6], [-18, 0, 4], [-10, 1, 10], [-2, 2.5, 12], [4, 1, 8]],
+                    sections: [
+                        { type: 'drive', from: 0, to: 3, speed: 8, accel: 4 },
+                        { type: 'drive', from: 7, to: 8.5, speed: 6, accel: 4 },
+                        { type: 'brake', from: 8.5, to: 9, speed: 1.5, accel: 10 }
+                    ],
+                    rails: { gauge: 2.6, radius: 0.1, color: 0x6b4a2b, offset: 0, sleeperSpacing: 1.5, supportSpacing: 0 }
+                },
+                darkRide: {
+                    // Inside the Mummy tomb, through its six scenes and back to the station
+                    curve: 'catmullRom',
+                    closed: true,
+                    maxBank: 0.15,
+                    points: [
+                        [0, 1, 0], [0, 1, -10], [0, 0, -20], [5, -1, -25], [15, -1, -25], [20, -1, -20], [20, -1, -10],
+                        [15, -1, 0], [10, -1, 5], [0, -1, 10], [-10, 0, 10], [-15, 1, 5], [-15, 2, -5], [-10, 2, -10], [-5, 1, -5]
+                    ],
+                    sections: [
+                        { type: 'drive', from: 0, to: 14.5, speed: 4, accel: 2 },
+                        { type: 'brake', from: 14.5, to: 15, speed: 1, accel: 4 }
+                    ],
+                    rails: { gauge: 1.2, radius: 0.06, color: 0x444444, offset: -0.5, sleeperSpacing: 1.5, supportSpacing: 0 }
+                }
+            }
+        };
+        
+        // Park guests: agents who come in through the Hollywood gate, walk the paths to whatever they need most
+        // (a ride, something to eat, a sit down or a show) and go home at closing time (see PARK GUESTS)
+        this.guestSystem = {
+            gate: { x: 0, z: 118 }, // Under the Universal Studios arch
+            maxGuests: 300,
+            arrivalInterval: 400, // ms between guests coming through the gate while the park is open
+            closingTime: 0.85, // How far through the day (gameState.timeOfDay) the park closes
+            walkSpeed: [1.5, 2.5],
+            patience: [4, 12], // Minutes of posted wait a guest will put up with
+            expressChance: 0.2, // Guests who head for the express line
+            // Each need grows by rate a second (scaled 0.5-1.5 per guest); past its threshold it sends them somewhere
+            needs: {
+                ride: { rate: 0.012, threshold: 0.4 },
+                food: { rate: 0.005, threshold: 0.6 },
+                rest: { rate: 0.004, threshold: 0.7 },
+                show: { rate: 0.006, threshold: 0.5 }
+            },
+            eatTime: 15000, // ms at a vendor
+            restTime: 20000, // ms sitting down wherever they are
+            // Where guests stand to watch each world event
+            events: {
+                'Parade': { x: 0, z: 75, spread: 6 },
+                'Fireworks': { x: 0, z: 58, spread: 10 },
+                'Character Meet': { x: 0, z: 95, spread: 4 }
+            },
+            nodeSpacing: 10, // Between the waypoints laid along each park path
+            linkGap: 8, // Paths closer than this count as joined
+            lod: {
+                nearDistance: 50, // Closer than this to a girl: moved, animated and shadowed every tick
+                farDistance: 150, // Out to here: still drawn, but moved in bigger steps
+                farStep: 0.25, // Seconds between updates when far...
+                hiddenStep: 1 // ...and beyond farDistance, where they aren't drawn at all
+            },
+            paths: [], // { x, z, width, depth } of every path in the layout
+            graph: null, // Waypoints along the paths and the first hop between any two of them
+            nextArrival: 0,
+            closed: false,
+            geometry: null, // Shared by every guest, made with the first one
+            materials: {} // By colour
+        };
+        
+        // Ride operations: each ride loads its queue in batches, park guests join the standby or express
+        // line, and the girls can queue at a ride vehicle's entrance (see RIDE OPERATIONS)
+        this.rideOpsSystem = {
+            // By ride name. A vehicle ride dispatches every loadTime plus one lap of its track, a show every cycleTime (ms).
+            // The entrance is x, z from the ride, and the line stretches back from it the way line points.
+            rides: {
+                'Battlestar Galactica': { vehicle: 'coasterCar', capacity: 4, loadTime: 15000, entrance: [10, 0], line: [0, -1] },
+                'Revenge of the Mummy': { vehicle: 'mummyCart', capacity: 4, loadTime: 15000, entrance: [24, -6], line: [1, 0] },
+                'Shrek 4-D Adventure': { capacity: 20, cycleTime: 120000, entrance: [14, 0], line: [1, -1] },
+                'Jurassic Park Rapids': { vehicle: 'raftBoat', capacity: 6, loadTime: 20000, entrance: [12, 0], line: [1, 0] },
+                'Haunted Hollywood Mansion': { capacity: 4, cycleTime: 20000, entrance: [-6, 0], line: [-1, 0] }
+            },
+            expressShare: 0.5, // Seats in each dispatch kept for the express line
+            walkSpeed: 2, // Guests shuffling along a line
+            spacing: 1.2, // Between guests in a line
+            laneGap: 1.5, // Express line beside the standby one
+            entranceRange: 4, // How close a girl has to be to join the queue
+            leaveRange: 15, // Walking further than this from the entrance leaves it
+            choice: null, // Ride whose queue choice is being offered
+            player: null, // { ride, lane, entry, girl } while the girls are in a queue
+            boardOpen: false
+        };
+        
+        // Data-driven park layout (zones, blocks, signs, paths, lights)
+        this.parkLayout = {
+            defaultUrl: 'layouts/uss-default.json',
+            format: 'uss-park-layout',
+            version: 5, // Newest layout version this game understands (2 added treasures and puzzles, 3 stairs and ramps, 4 quests, 5 dialogue trees)
+            url: null,
+            data: null,
+            directions: { north: [0, -1], south: [0, 1], east: [1, 0], west: [-1, 0] }, // Which way stairs and ramps climb
+            zones: [] // id, name and origin of every zone that was built
+        };
+        
+        // In-game text comes from locale files: keyed strings for the game's own text, and the layout's
+        // text and names translated by their English wording. Missing strings fall back to English.
+        this.localization = {
+            format: 'uss-locale',
+            url: code => `locales/${code}.json`,
+            settingsKey: 'minasUssAdventure.language',
+            languages: { en: 'English', zh: '中文', ms: 'Bahasa Melayu', ta: 'தமிழ்' }, // Each in its own language for the picker
+            fallback: 'en',
+            language: 'en',
+            fontFamily: 'Arial, "Noto Sans SC", "Noto Sans Tamil", sans-serif', // For canvas text, unless a locale names its own
+            tables: {}, // Loaded locale files by language code
+            signs: [] // Layout signs, redrawn when the language changes
+        };
+        
+        // Minimap in the corner and the full park map on M, both drawn from the layout
+        this.mapSystem = {
+            open: false, // Full park map showing
+            minimapRange: 60, // World units from the player to the edge of the minimap
+            pixelsPerUnit: 2, // Detail of the pre-drawn park picture
+            shapes: [], // Top-down footprints of the layout's blocks, paths, water and trees
+            parkImage: null // The park drawn once, then copied under the markers every frame
+        };
+        
+        // Keys and touch buttons held by player one (WASD, left Shift, E, Space and the on-screen pad).
+        // Only the input layer reads them, see updateInputActions()
         this.controls = {
             forward: false,
             backward: false,
             left: false,
             right: false,
-            run: false
+            run: false,
+            interact: false,
+            jump: false
+        };
+        
+        // Second player's keys (arrow keys, right Shift, / and .) in local co-op
+        this.coopControls = {
+            forward: false,
+            backward: false,
+            left: false,
+            right: false,
+            run: false,
+            interact: false,
+            jump: false
+        };
+        
+        // Input actions: keys, touch buttons and gamepads all feed the same actions, and those are all the game reads
+        this.inputSystem = {
+            keySources: ['controls', 'coopControls'], // Each player's keys and buttons
+            players: [this.createInputActions(), this.createInputActions()], // Player one, and player two in co-op
+            gamepads: [], // Indexes of the connected gamepads in the order they were plugged in: the first is player one's
+            pads: [null, null], // Each player's gamepad as last read, see pollGamepads()
+            deadZone: 0.2, // Sticks this close to the middle count as let go
+            buttonPress: 0.3, // How far a button (or the run trigger) has to go down to count
+            lookSpeed: 2.5, // Radians per second the right stick turns the camera when pushed all the way
+            movePrecision: 100, // Stick positions are kept in hundredths, so replays can store them exactly
+            // Standard gamepad layout: A jumps, X interacts, the right trigger runs, the d-pad moves and Start pauses
+            buttons: { jump: 0, interact: 2, run: 7, pause: 9, up: 12, down: 13, left: 14, right: 15 },
+            pauseHeld: [false, false] // Start acts once per press
+        };
+        
+        // Treasure puzzles: chests in the park layout can be locked behind a mini-challenge
+        this.puzzleSystem = {
+            interactRange: 3, // How close a girl has to be to pull a lever
+            plateRadius: 1.5, // Stepping this close to a pressure plate presses it
+            lockedChestRange: 8, // Near a locked chest the player is told how to open it
+            failureTime: 2500, // ms a failed puzzle shows its mistake before resetting
+            interactHeld: [false, false], // Interact acts once per press, for each player
+            riddle: null, // Treasure whose riddle is being asked
+            prompt: null // What the active girl can do here, shown by updateUI
+        };
+        
+        // Where the chests go: 'fixed' uses the layout positions, 'random' (?treasures=random)
+        // draws a reachable spot per zone from the layout's candidates on every new run
+        this.treasurePlacement = {
+            mode: this.getTreasurePlacementMode(options.treasurePlacement),
+            pickupRange: 3 // A girl this close to a chest picks it up
         };
         
+        // Zone storylines from the layout: quests start and move on when the girls talk to park
+        // characters, enter a zone, finish a ride or see a world event through
+        this.questSystem = {
+            triggers: { talk: 'npc', enterZone: 'zone', ride: 'ride', surviveEvent: 'event' }, // Event type: the field it matches on
+            quests: [], // { definition, status: locked, available, active or completed, step }
+            girlZones: {}, // Zone each girl was last in, so walking into a new one can be noticed
+            logOpen: false
+        };
+        
+        // Conversations with the park characters: dialogue trees from the layout, started with the interact key
+        this.dialogueSystem = {
+            conditions: ['minTreasures', 'maxTreasures', 'timeOfDay', 'quest', 'status', 'step'], // All of them must hold
+            actions: ['hint', 'startQuest', 'animation'],
+            timesOfDay: ['sunset', 'twilight', 'night'],
+            animations: ['laughing', 'jumping', 'scared', 'waving', 'dancing'],
+            goodbye: 'dialogue.goodbye', // String key of the reply offered when a node has none of its own
+            trees: {}, // Park character's name: their tree
+            conversation: null // { npc, girl, tree, node, text, notes, choices } while one is open
+        };
+        
+        // Which girl the players drive: one at a time (Tab swaps, the other follows) or both in co-op
+        this.playerSystem = {
+            active: 'mina', // Driven by player one in single player; always Mina in co-op
+            coop: false, // WASD for Mina, arrow keys for Sacha
+            coopCameraZoom: 0.6 // Extra camera distance per unit the girls are apart in co-op
+        };
+        
+        // Companion AI for the girl nobody is playing: behaviors tuned by a personality
+        this.companionSystem = {
+            personality: 'cautiousFriend',
+            settingsKey: 'minasUssAdventure.companion',
+            personalities: {
+                cautiousFriend: {
+                    followDistance: 2.5,
+                    nervousFollowDistance: 1.5, // Sticks closer while mummies are about
+                    walkSpeed: 15, // Matching the player's speed
+                    catchupSpeed: 18, // Faster to keep up with the player
+                    fleeRadius: 14, // Runs from any mummy this close
+                    fleeSpeed: 21,
+                    ridesAlong: false, // Waits at the entrance instead
+                    scoutsTreasure: false,
+                    treasureHintRange: 40,
+                    treasureHintInterval: 20000, // ms between treasure hints
+                    monsterAnimation: 'scared',
+                    teleportDistance: 60, // Further behind than this, just appear next to the player
+                    stuckTime: 4 // Seconds without getting anywhere before teleporting
+                },
+                aggressiveHelper: {
+                    followDistance: 4,
+                    nervousFollowDistance: 4,
+                    walkSpeed: 15,
+                    catchupSpeed: 20,
+                    fleeRadius: 5,
+                    fleeSpeed: 22,
+                    ridesAlong: true,
+                    scoutsTreasure: true, // Runs ahead towards the nearest treasure...
+                    scoutLeash: 15, // ...but no further than this from the player
+                    treasureHintRange: 90,
+                    treasureHintInterval: 12000,
+                    monsterAnimation: 'jumping',
+                    teleportDistance: 45,
+                    stuckTime: 2.5
+                }
+            },
+            state: null // See createCompanionState()
+        };
+        this.companionSystem.state = this.createCompanionState();
+        
         this.mouseLocked = false;
         this.clock = new THREE.Clock();
         
@@ -74,69 +514,146 @@ class MinaAdventureGame {
         // Speech bubble system
         this.speechSystem = {
             currentBubble: null,
-            dialogues: [
-                // Mina speaking
-                { speaker: 'mina', text: 'Wow! Look at that huge castle, Sacha!' },
-                { speaker: 'mina', text: 'I hope we can find all the treasures!' },
-                { speaker: 'mina', text: 'This place is so cool! Like a real theme park!' },
-                { speaker: 'mina', text: 'Stay close to me, those mummies look scary!' },
-                { speaker: 'mina', text: 'I wonder what\'s inside that pyramid!' },
-                { speaker: 'mina', text: 'Look how the lights change as it gets dark!' },
-                { speaker: 'mina', text: 'Race you to that roller coaster!' },
-                { speaker: 'mina', text: 'This is the best adventure ever!' },
-                
-                // Sacha responding  
-                { speaker: 'sacha', text: 'Yeah! It\'s like we\'re in a movie!' },
-                { speaker: 'sacha', text: 'Don\'t worry Mina, I\'ll help you find them!' },
-                { speaker: 'sacha', text: 'I love all the bright colors everywhere!' },
-                { speaker: 'sacha', text: 'I\'m right behind you! Let\'s stick together!' },
-                { speaker: 'sacha', text: 'Maybe there\'s treasure hidden in there!' },
-                { speaker: 'sacha', text: 'It\'s getting so mysterious and spooky!' },
-                { speaker: 'sacha', text: 'You\'re on! But wait for me!' },
-                { speaker: 'sacha', text: 'Best friends forever, Mina!' }
-            ],
+            chatterSpeakers: ['mina', 'sacha'], // Everyday chatter: all of Mina's chatter.mina lines, then Sacha's
             lastSpeechTime: 0,
             speechInterval: 8000, // 8 seconds between speeches
-            nextDialogueIndex: 0
+            nextDialogueIndex: 0,
+            
+            // What the companion says as her behavior changes comes from the companion.<personality>.<kind>
+            // strings. {leader} is the girl being played, treasure hints also fill in {direction} and {distance}
+            companionLineCooldown: 6000 // ms before the same kind of line can come again
+        };
+        
+        // Save & load slots kept in localStorage
+        this.saveSystem = {
+            storagePrefix: 'minasUssAdventure.save.',
+            schemaVersion: 5,
+            slots: [
+                { id: 'autosave', manual: false }, // Named by the save.slot.<id> strings
+                { id: 'slot1', manual: true },
+                { id: 'slot2', manual: true },
+                { id: 'slot3', manual: true }
+            ],
+            // Upgrades old saves one step at a time: { fromVersion: data => dataForNextVersion }
+            migrations: {
+                // 2 added treasure puzzles; old saves have none solved
+                1: data => ({ ...data, schemaVersion: 2, progress: { ...data.progress, solvedPuzzleIds: [] } }),
+                // 3 stores where the chests are; older saves leave them where they are now
+                2: data => ({ ...data, schemaVersion: 3, progress: { ...data.progress, treasurePositions: null } }),
+                // 4 added quests; older saves start with none under way
+                3: data => ({ ...data, schemaVersion: 4, progress: { ...data.progress, quests: {} } }),
+                // 5 added express passes; older saves get a new run's worth
+                4: data => ({ ...data, schemaVersion: 5, progress: { ...data.progress, expressPasses: this.createGameState().expressPasses } })
+            },
+            panelOpen: false,
+            applying: false // Blocks autosaves while a save is being restored
         };
         
         this.init();
-        this.setupEventListeners();
+        if (!this.headless) this.setupEventListeners();
         this.createMina();
         this.createSacha();
-        this.generateThemePark();
+        
+        if (options.layout) {
+            // Layout and languages passed in directly (headless runs): build straight away, the caller drives the ticks
+            Object.entries(options.locales || {}).forEach(([code, locale]) => this.addLocale(code, locale));
+            const language = this.getStartLanguage(options.language);
+            if (this.localization.tables[language]) this.localization.language = language;
+            this.validateParkLayout(options.layout);
+            this.parkLayout.url = options.layoutUrl || null;
+            this.buildWorld(options.layout);
+            this.setGameState('playing');
+            return;
+        }
+        
+        // The park itself is described by a JSON layout file, its text by the language files
+        Promise.all([this.loadParkLayout(this.getParkLayoutUrl()), this.loadLocales(this.getStartLanguage(options.language))])
+            .then(([layout]) => {
+                this.buildWorld(layout);
+                this.setupLanguageSelects();
+                this.applyLanguage(); // After the signs are up, so their fonts get loaded
+                // Replays start playing straight away, everyone else gets the title screen
+                this.setGameState(this.replaySystem.mode === 'playback' ? 'playing' : 'title');
+                this.animate();
+            })
+            .catch(error => this.showStartupError(error));
+    }
+    
+    createNullRenderer() {
+        // Stands in for WebGLRenderer when there is nothing to draw to
+        return {
+            domElement: null,
+            shadowMap: { enabled: false },
+            setSize() {},
+            setPixelRatio() {},
+            setClearColor() {},
+            render() {}
+        };
+    }
+    
+    getElement(id) {
+        // DOM lookups go through here so headless runs simply get null
+        return this.headless ? null : document.getElementById(id);
+    }
+    
+    buildWorld(layout) {
+        this.generateThemePark(layout);
+        this.buildNavigationGrid();
         this.placeTreasures();
         this.spawnMonsters();
         this.createNPCs();
         this.createInteractiveNPCs();
-        this.createCrowdSystem();
+        this.createQuests();
+        this.createDialogues();
         this.createThemeRides();
         this.createBuildingInteriors();
         this.createRideVehicles();
+        this.createRideOperations();
+        this.createGuestSystem();
         this.startWorldEvents();
         this.addParticleEffects();
-        this.animate();
+        this.startZoneAmbience(); // No-op until audio has been unlocked
+        this.startPendingReplay();
+    }
+    
+    showStartupError(error) {
+        console.error('Error building the park:', error);
+        const objective = this.getElement('objective');
+        if (objective) {
+            // Left in English: the language files may be what failed to load
+            objective.textContent = '⚠️ The park could not be built: ' + error.message;
+            objective.style.color = '#ff0000';
+            objective.style.whiteSpace = 'pre-line';
+        }
     }
     
     init() {
         console.log('Initializing Mina\'s Adventure...');
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setClearColor(0xff4500); // Beautiful sunset orange sky
         
-        // Aggressive mobile performance optimizations
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5)); // Limit pixel ratio even more
-        this.renderer.shadowMap.enabled = false; // Disable shadows completely for performance
-        this.renderer.powerPreference = 'low-power'; // Force low-power mode
-        console.log('🚀 Mobile optimizations enabled for all devices');
-        
-        const container = document.getElementById('gameContainer');
-        if (!container) {
-            throw new Error('gameContainer element not found');
+        if (!this.headless) {
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
+            
+            // Aggressive mobile performance optimizations
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5)); // Limit pixel ratio even more
+            this.renderer.shadowMap.enabled = false; // Disable shadows completely for performance
+            this.renderer.powerPreference = 'low-power'; // Force low-power mode
+            console.log('🚀 Mobile optimizations enabled for all devices');
+            
+            this.loadAudioSettings();
+            this.loadCompanionSettings();
+            this.loadCameraSettings();
+            
+            const container = this.getElement('gameContainer');
+            if (!container) {
+                throw new Error('gameContainer element not found');
+            }
+            container.appendChild(this.renderer.domElement);
         }
-        container.appendChild(this.renderer.domElement);
         
         // Third-person camera setup - start behind Mina
         this.cameraRotation = { horizontal: 0, vertical: 0 };
+        this.cameraFocusHeight = null; // Eased height the camera follows (see updateCamera)
         this.camera.position.set(0, 6, 88); // Behind Mina's new starting position (she starts at z=80)
         console.log('Initial camera position set:', this.camera.position);
         console.log('Mina will be created at position:', this.minaPosition);
@@ -172,48 +689,10 @@ class MinaAdventureGame {
         // Add some atmospheric fog for sunset mood
         this.scene.fog = new THREE.Fog(0xff4500, 50, 300); // Orange fog that fades to distance
         
-        // Zone-specific atmospheric lighting
-        this.addZoneLighting();
-        
         // Initial camera look direction
         this.camera.lookAt(new THREE.Vector3(0, 1.35, 80)); // Look at Mina's new starting position
     }
     
-    addZoneLighting() {
-        // Ancient Egypt - enhanced warm golden lighting for sunset
-        const egyptLight = new THREE.PointLight(0xff8c00, 1.2, 120); // Brighter orange-gold
-        egyptLight.position.set(-80, 25, 0);
-        egyptLight.castShadow = true;
-        this.scene.add(egyptLight);
-        
-        // Far Far Away - enhanced magical purple lighting
-        const fairytaleLight = new THREE.PointLight(0xda70d6, 0.9, 100); // Brighter orchid
-        fairytaleLight.position.set(-80, 35, 80);
-        this.scene.add(fairytaleLight);
-        
-        // Sci-Fi City - enhanced cool blue/cyan lighting
-        const scifiLight = new THREE.PointLight(0x00bfff, 1.0, 110); // Brighter deep sky blue
-        scifiLight.position.set(80, 30, -80);
-        this.scene.add(scifiLight);
-        
-        // Lost World - enhanced warm jungle lighting for sunset
-        const jungleLight = new THREE.PointLight(0x32cd32, 0.8, 90); // Brighter lime green
-        jungleLight.position.set(-80, 20, -80);
-        this.scene.add(jungleLight);
-        
-        // Hollywood - warm spotlight for entrance
-        const hollywoodLight = new THREE.SpotLight(0xffd700, 1.5, 100, Math.PI/4, 0.5);
-        hollywoodLight.position.set(0, 50, 120);
-        hollywoodLight.target.position.set(0, 0, 100);
-        this.scene.add(hollywoodLight);
-        this.scene.add(hollywoodLight.target);
-        
-        // New York - urban sunset lighting
-        const newyorkLight = new THREE.PointLight(0xff6347, 0.8, 90); // Tomato red
-        newyorkLight.position.set(80, 25, 80);
-        this.scene.add(newyorkLight);
-    }
-    
     createCharacter(name, position, hairColor, shirtColor, pantsColor) {
         console.log(`Creating detailed character: ${name} at position:`, position);
         const characterGroup = new THREE.Group();
@@ -261,8 +740,8 @@ class MinaAdventureGame {
             const angle = (i / 10) * Math.PI * 2;
             const radius = 0.12 + (i % 3) * 0.015;
             strand.position.set(Math.cos(angle) * radius, 0.48, Math.sin(angle) * radius);
-            strand.rotation.z = (Math.random() - 0.5) * 0.4;
-            strand.rotation.x = (Math.random() - 0.5) * 0.2;
+            strand.rotation.z = (this.random() - 0.5) * 0.4;
+            strand.rotation.x = (this.random() - 0.5) * 0.2;
             strand.castShadow = true;
             characterGroup.add(strand);
         }
@@ -562,6 +1041,9 @@ class MinaAdventureGame {
             body: characterGroup.children.find(child => child.geometry instanceof THREE.BoxGeometry)
         };
         
+        // Jumping, gravity and falls (see JUMPING & GRAVITY)
+        this.resetVerticalMotion(characterGroup);
+        
         this.scene.add(characterGroup);
         
         console.log(`Character ${name} created successfully:`, {
@@ -631,12 +1113,9 @@ class MinaAdventureGame {
             0x8b4513  // Brown pants
         );
         
-        // Add companion AI data
+        // Whichever girl isn't being played is the companion (see COMPANION AI)
         this.sacha.userData.isCompanion = true;
         this.sacha.userData.followTarget = this.mina;
-        this.sacha.userData.followDistance = 2.5;
-        this.sacha.userData.catchupSpeed = 18; // Faster to keep up with Mina
-        this.sacha.userData.walkSpeed = 15;   // Matching Mina's new speed
         
         console.log('Enhanced Sacha created successfully!');
     }
@@ -704,6 +1183,7 @@ class MinaAdventureGame {
             cube.userData.boundingBox = new THREE.Box3().setFromObject(cube);
             cube.userData.collidable = true;
             this.collisionObjects.push(cube);
+            this.registerStaticCollider(cube);
         }
         
         this.scene.add(cube);
@@ -711,3686 +1191,8341 @@ class MinaAdventureGame {
     }
     
     createText(text, x, y, z, size = 2, color = 0xffffff) {
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.width = 512;
-        canvas.height = 128;
-        
-        context.fillStyle = '#000000';
-        context.fillRect(0, 0, canvas.width, canvas.height);
-        context.fillStyle = color === 0xffffff ? '#ffffff' : '#' + color.toString(16).padStart(6, '0');
-        context.font = '48px Arial';
-        context.textAlign = 'center';
-        context.fillText(text, canvas.width / 2, canvas.height / 2 + 16);
-        
-        const texture = new THREE.CanvasTexture(canvas);
-        const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
+        // Signs keep the layout's English text and are drawn in the current language
+        const material = new THREE.MeshBasicMaterial({ transparent: true });
         const geometry = new THREE.PlaneGeometry(size * 4, size);
         
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.set(x, y, z);
+        mesh.userData.sign = { text: text, color: color };
+        this.localization.signs.push(mesh);
+        this.drawSign(mesh);
         this.scene.add(mesh);
         return mesh;
     }
     
-    generateThemePark() {
-        console.log('Generating Universal Studios Singapore...');
-        
-        this.createGround();
-        this.createCentralLagoon();
-        this.buildHollywoodZone();
-        this.buildNewYorkZone();
-        this.buildSciFiCityZone();
-        this.buildAncientEgyptZone();
-        this.buildLostWorldZone();
-        this.buildFarFarAwayZone();
-        this.createConnectingPathways();
-        this.addUSSAtmosphere();
-        
-        console.log('Universal Studios Singapore generation complete!');
+    drawSign(mesh) {
+        // Headless runs keep the sign mesh but skip drawing its canvas texture
+        if (this.headless) return;
+        const sign = mesh.userData.sign;
+        if (mesh.material.map) mesh.material.map.dispose();
+        mesh.material.map = this.createTextTexture(this.getSignText(sign), sign.color);
+        mesh.material.needsUpdate = true;
     }
     
-    createGround() {
-        // USS park ground (larger for all zones)
-        const groundGeometry = new THREE.PlaneGeometry(600, 600);
-        const groundMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 });
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.position.y = 0;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
+    getSignText(sign) {
+        // Layout signs translate their English text; signs the game writes itself (posted waits) use a string key
+        return sign.key ? this.t(sign.key, sign.values) : this.translateText(sign.text);
     }
     
-    createCentralLagoon() {
-        // Central lagoon - the heart of USS
-        const lagoonGeometry = new THREE.CylinderGeometry(40, 40, 1);
-        const lagoonMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x4682B4, 
-            transparent: true, 
-            opacity: 0.8 
-        });
-        const lagoon = new THREE.Mesh(lagoonGeometry, lagoonMaterial);
-        lagoon.position.set(0, 0.5, 0);
-        lagoon.receiveShadow = true;
-        this.scene.add(lagoon);
+    createTextTexture(text, color) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 512;
+        canvas.height = 128;
         
-        // Lagoon fountain in center
-        this.createBlock(0, 5, 0, 4, 10, 4, 0x696969);
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = color === 0xffffff ? '#ffffff' : '#' + color.toString(16).padStart(6, '0');
         
-        // Water effects around fountain
-        for (let i = 0; i < 8; i++) {
-            const angle = (i / 8) * Math.PI * 2;
-            const x = Math.cos(angle) * 15;
-            const z = Math.sin(angle) * 15;
-            this.createBlock(x, 2, z, 1, 4, 1, 0x87CEEB, true, 0.6);
+        // Translations can run longer than the English: shrink the letters until they fit
+        let fontSize = 48;
+        context.font = this.canvasFont(fontSize);
+        const width = context.measureText(text).width;
+        const maxWidth = canvas.width - 24;
+        if (width > maxWidth) {
+            fontSize = Math.max(16, Math.floor(fontSize * maxWidth / width));
+            context.font = this.canvasFont(fontSize);
         }
+        context.textAlign = 'center';
+        context.textBaseline = 'middle'; // Chinese and Tamil letters sit differently on the baseline
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
         
-        console.log('Central lagoon created');
+        return new THREE.CanvasTexture(canvas);
     }
     
-    createPath(x, y, z, width, depth) {
-        const pathGeometry = new THREE.PlaneGeometry(width, depth);
-        const pathMaterial = new THREE.MeshLambertMaterial({ color: 0x696969 });
-        const path = new THREE.Mesh(pathGeometry, pathMaterial);
-        path.rotation.x = -Math.PI / 2;
-        path.position.set(x, y, z);
-        path.receiveShadow = true;
-        this.scene.add(path);
+    // ===== GAME CLOCK & RANDOMNESS =====
+    
+    getRandomSeed(seed) {
+        // Explicit seed first, then ?seed= in the URL, otherwise a fresh one
+        if (seed === undefined && !this.headless) {
+            const param = new URLSearchParams(window.location.search).get('seed');
+            if (param !== null && param !== '') seed = Number(param);
+        }
+        if (seed === undefined || !isFinite(seed)) {
+            seed = Math.floor(Math.random() * 4294967296);
+        }
+        console.log(`🎲 Random seed: ${seed} (replay with ?seed=${seed})`);
+        return seed >>> 0;
     }
     
-    buildHollywoodZone() {
-        // Hollywood entrance zone - bottom of map (south)
-        const zoneX = 0;
-        const zoneZ = 120;
-        
-        // Hollywood entrance gates with metal texture
-        this.createBlock(zoneX - 15, 10, zoneZ, 4, 20, 4, 0xFFD700, false, 1, true, 'metal');
-        this.createBlock(zoneX + 15, 10, zoneZ, 4, 20, 4, 0xFFD700, false, 1, true, 'metal');
-        this.createBlock(zoneX, 18, zoneZ, 30, 4, 4, 0xFFD700, false, 1, true, 'metal');
-        
-        // Universal Studios Singapore sign
-        this.createText("UNIVERSAL STUDIOS", zoneX, 22, zoneZ, 2, 0xFF4500);
-        this.createText("SINGAPORE", zoneX, 19, zoneZ, 1.5, 0xFF4500);
-        
-        // Ticket booths
-        this.createBlock(zoneX - 25, 4, zoneZ - 10, 8, 8, 8, 0x4682B4);
-        this.createBlock(zoneX + 25, 4, zoneZ - 10, 8, 8, 8, 0x4682B4);
-        this.createText("TICKETS", zoneX - 25, 9, zoneZ - 10, 1);
-        this.createText("TICKETS", zoneX + 25, 9, zoneZ - 10, 1);
-        
-        // Hollywood Boulevard
-        this.createPath(zoneX, 0.1, zoneZ - 30, 20, 40);
-        
-        // Hollywood theater
-        this.createBlock(zoneX - 30, 8, zoneZ - 40, 15, 16, 20, 0x8B0000);
-        this.createText("PANTAGES", zoneX - 30, 18, zoneZ - 35, 1.5);
-        
-        console.log('Hollywood zone built');
+    createRandomSystem(seed) {
+        // Separate streams so sound and other cosmetic effects (which run per rendered frame)
+        // never shift the numbers the simulation draws
+        return {
+            seed: seed,
+            streams: {
+                world: seed,
+                effects: (seed ^ 0x9e3779b9) >>> 0
+            }
+        };
     }
     
-    buildNewYorkZone() {
-        // New York zone - right side (east)
-        const zoneX = 80;
-        const zoneZ = 80;
-        
-        // New York skyline buildings
-        this.createBlock(zoneX, 15, zoneZ, 12, 30, 12, 0x696969);
-        this.createBlock(zoneX + 20, 20, zoneZ, 10, 40, 10, 0x2F4F4F);
-        this.createBlock(zoneX - 20, 12, zoneZ + 15, 8, 24, 8, 0x708090);
-        this.createBlock(zoneX + 15, 18, zoneZ - 20, 14, 36, 10, 0x4682B4);
-        
-        // Sesame Street area
-        this.createBlock(zoneX - 15, 6, zoneZ - 30, 20, 12, 15, 0xFF6347);
-        this.createText("SESAME STREET", zoneX - 15, 14, zoneZ - 25, 1.5, 0xFFFF00);
-        
-        // NYC streets with yellow taxi
-        this.createBlock(zoneX + 10, 1, zoneZ + 25, 3, 2, 6, 0xFFFF00);
-        
-        console.log('New York zone built');
+    nextRandom(stream) {
+        // mulberry32: small, fast and good enough for gameplay
+        const streams = this.randomSystem.streams;
+        streams[stream] = (streams[stream] + 0x6d2b79f5) >>> 0;
+        let t = streams[stream];
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
     
-    buildSciFiCityZone() {
-        // Sci-Fi City - top right (northeast)
-        const zoneX = 80;
-        const zoneZ = -80;
-        
-        // Battlestar Galactica coasters (Human vs Cylon)
-        // Human coaster (blue)
-        for (let i = 0; i < 15; i++) {
-            const height = 5 + i * 2;
-            this.createBlock(zoneX - 20 + i * 4, height/2, zoneZ + 10, 1, height, 1, 0x0000FF);
-            this.createBlock(zoneX - 20 + i * 4, height + 1, zoneZ + 10, 4, 0.5, 2, 0x4169E1);
-        }
-        
-        // Cylon coaster (red)
-        for (let i = 0; i < 15; i++) {
-            const height = 5 + i * 2.2;
-            this.createBlock(zoneX - 20 + i * 4, height/2, zoneZ - 10, 1, height, 1, 0xFF0000);
-            this.createBlock(zoneX - 20 + i * 4, height + 1, zoneZ - 10, 4, 0.5, 2, 0x8B0000);
-        }
-        
-        // Sci-Fi buildings
-        this.createBlock(zoneX + 20, 12, zoneZ, 15, 24, 15, 0x2F2F2F);
-        this.createBlock(zoneX - 30, 8, zoneZ + 30, 12, 16, 12, 0x1C1C1C);
-        
-        // Futuristic spires
-        this.createBlock(zoneX, 25, zoneZ, 3, 50, 3, 0x00FFFF);
-        this.createBlock(zoneX + 30, 20, zoneZ - 30, 2, 40, 2, 0xFF00FF);
-        
-        this.createText("BATTLESTAR GALACTICA", zoneX, 35, zoneZ + 40, 2, 0x00FFFF);
-        
-        console.log('Sci-Fi City zone built');
+    random() {
+        // Drop-in for Math.random() anywhere inside the simulation
+        return this.nextRandom('world');
     }
     
-    buildAncientEgyptZone() {
-        // Ancient Egypt zone - left side (west)
-        const zoneX = -80;
-        const zoneZ = 0;
-        
-        // The Mummy ride - enhanced version
-        const buildingWidth = 50;
-        const buildingHeight = 30;
-        const buildingDepth = 60;
-        
-        // Main pyramid-like building
-        this.createBlock(zoneX, buildingHeight/2, zoneZ, buildingWidth, buildingHeight, buildingDepth, 0xDEB887);
-        
-        // Egyptian entrance with massive pillars
-        this.createBlock(zoneX - 30, 15, zoneZ + 35, 6, 30, 6, 0xDAA520);
-        this.createBlock(zoneX + 30, 15, zoneZ + 35, 6, 30, 6, 0xDAA520);
-        
-        // Entrance archway
-        this.createBlock(zoneX, 25, zoneZ + 35, 36, 8, 6, 0xDAA520);
-        
-        // Sphinx statue
-        this.createBlock(zoneX - 50, 8, zoneZ + 20, 12, 16, 25, 0xDEB887);
-        this.createBlock(zoneX - 50, 12, zoneZ + 30, 8, 8, 8, 0xFFDBAC); // Head
-        
-        // Obelisks
-        this.createBlock(zoneX + 40, 20, zoneZ + 40, 3, 40, 3, 0x8B4513);
-        this.createBlock(zoneX - 40, 18, zoneZ + 50, 3, 36, 3, 0x8B4513);
-        
-        // The Mummy sign
-        this.createText("THE MUMMY", zoneX, 35, zoneZ + 40, 3, 0xFFD700);
-        this.createText("RETURNS", zoneX, 32, zoneZ + 40, 2, 0xFFD700);
-        
-        // Interior maze (enterable)
-        this.createEgyptianMaze(zoneX, zoneZ);
-        
-        console.log('Ancient Egypt zone built');
+    effectRandom() {
+        // For sounds and visuals that don't change the game state
+        return this.nextRandom('effects');
     }
     
-    createEgyptianMaze(centerX, centerZ) {
-        // Create maze-like interior in the Mummy attraction
-        // Outer walls
-        this.createBlock(centerX, 8, centerZ - 25, 45, 16, 3, 0x8B4513); // Back wall
-        this.createBlock(centerX + 22, 8, centerZ, 3, 16, 50, 0x8B4513); // Right wall
-        this.createBlock(centerX - 22, 8, centerZ, 3, 16, 50, 0x8B4513); // Left wall
-        
-        // Interior maze walls
-        this.createBlock(centerX - 10, 8, centerZ - 10, 20, 16, 3, 0x8B4513);
-        this.createBlock(centerX + 10, 8, centerZ + 5, 20, 16, 3, 0x8B4513);
-        this.createBlock(centerX - 5, 8, centerZ + 15, 3, 16, 15, 0x8B4513);
-        this.createBlock(centerX + 15, 8, centerZ - 15, 3, 16, 12, 0x8B4513);
-        
-        // Sarcophagi in maze
-        this.createBlock(centerX - 15, 3, centerZ - 5, 4, 6, 8, 0xDAA520);
-        this.createBlock(centerX + 8, 3, centerZ + 8, 4, 6, 8, 0xDAA520);
-        this.createBlock(centerX, 3, centerZ - 20, 4, 6, 8, 0xDAA520);
+    now() {
+        // Game time in milliseconds (replaces Date.now() for anything gameplay related)
+        return this.gameClock.elapsed * 1000;
     }
     
-    buildLostWorldZone() {
-        // The Lost World zone - top left (northwest)
-        const zoneX = -80;
-        const zoneZ = -80;
-        
-        // Jurassic Park section
-        // Large Jurassic Park gates
-        this.createBlock(zoneX - 10, 15, zoneZ + 40, 6, 30, 6, 0x8B4513);
-        this.createBlock(zoneX + 10, 15, zoneZ + 40, 6, 30, 6, 0x8B4513);
-        this.createBlock(zoneX, 22, zoneZ + 40, 20, 6, 6, 0x8B4513);
-        this.createText("JURASSIC PARK", zoneX, 26, zoneZ + 40, 2, 0xFFFF00);
-        
-        // Jurassic Park Rapids ride building
-        this.createBlock(zoneX, 10, zoneZ, 25, 20, 30, 0x228B22);
-        
-        // Water channel for rapids
-        this.createPath(zoneX - 15, 0.2, zoneZ + 20, 8, 40);
-        for (let i = 0; i < 10; i++) {
-            this.createBlock(zoneX - 15 + i * 3, 1, zoneZ + 20, 2, 2, 2, 0x4682B4, true, 0.8);
-        }
-        
-        // Dinosaur statues
-        this.createBlock(zoneX + 30, 8, zoneZ + 20, 6, 16, 12, 0x228B22); // T-Rex
-        this.createBlock(zoneX + 30, 12, zoneZ + 26, 4, 4, 8, 0x228B22); // T-Rex head
-        this.createBlock(zoneX - 30, 6, zoneZ - 20, 8, 12, 15, 0x32CD32); // Triceratops
-        
-        // Waterworld amphitheater
-        this.createBlock(zoneX + 20, 5, zoneZ - 40, 30, 10, 20, 0x2F4F4F);
-        this.createText("WATERWORLD", zoneX + 20, 12, zoneZ - 35, 2, 0x00FFFF);
-        
-        // Prehistoric jungle
-        for (let i = 0; i < 8; i++) {
-            const treeX = zoneX + (Math.random() - 0.5) * 60;
-            const treeZ = zoneZ + (Math.random() - 0.5) * 60;
-            this.createBlock(treeX, 12, treeZ, 4, 24, 4, 0x8B4513);
-            this.createBlock(treeX, 20, treeZ, 12, 8, 12, 0x228B22, true, 0.8);
-        }
-        
-        console.log('The Lost World zone built');
+    scheduleGameEvent(callback, delay) {
+        // setTimeout on the game clock: fires during the tick it falls due, in order
+        this.gameClock.timers.push({ due: this.now() + delay, callback });
     }
     
-    buildFarFarAwayZone() {
-        // Far Far Away zone - bottom left (southwest)
-        const zoneX = -80;
-        const zoneZ = 80;
-        
-        // Shrek's Castle (iconic landmark)
-        this.createBlock(zoneX, 20, zoneZ, 20, 40, 20, 0x90EE90);
-        
-        // Castle towers
-        this.createBlock(zoneX - 12, 25, zoneZ - 12, 6, 50, 6, 0x90EE90);
-        this.createBlock(zoneX + 12, 25, zoneZ - 12, 6, 50, 6, 0x90EE90);
-        this.createBlock(zoneX - 12, 25, zoneZ + 12, 6, 50, 6, 0x90EE90);
-        this.createBlock(zoneX + 12, 25, zoneZ + 12, 6, 50, 6, 0x90EE90);
-        
-        // Tower roofs
-        this.createBlock(zoneX - 12, 55, zoneZ - 12, 8, 10, 8, 0xFF6347);
-        this.createBlock(zoneX + 12, 55, zoneZ - 12, 8, 10, 8, 0xFF6347);
-        this.createBlock(zoneX - 12, 55, zoneZ + 12, 8, 10, 8, 0xFF6347);
-        this.createBlock(zoneX + 12, 55, zoneZ + 12, 8, 10, 8, 0xFF6347);
-        
-        // Main castle roof
-        this.createBlock(zoneX, 45, zoneZ, 25, 10, 25, 0xFF6347);
+    runDueGameEvents() {
+        const now = this.now();
+        const due = this.gameClock.timers.filter(timer => timer.due <= now);
+        if (due.length === 0) return;
         
-        // Castle bridge
-        this.createBlock(zoneX, 5, zoneZ + 25, 15, 2, 10, 0x8B4513);
-        
-        // Puss in Boots ride
-        this.createBlock(zoneX - 40, 8, zoneZ + 20, 12, 16, 15, 0xFFD700);
-        this.createText("PUSS IN BOOTS", zoneX - 40, 18, zoneZ + 25, 1.5, 0xFF4500);
-        
-        // Magic Potion Spin ride
-        this.createBlock(zoneX + 30, 6, zoneZ + 30, 10, 12, 10, 0x9932CC);
-        this.createText("MAGIC POTION SPIN", zoneX + 30, 14, zoneZ + 35, 1.2, 0xFFFF00);
-        
-        // Enchanted Airways coaster
-        for (let i = 0; i < 12; i++) {
-            const height = 4 + Math.sin(i * 0.5) * 6 + 5;
-            this.createBlock(zoneX - 30 + i * 4, height/2, zoneZ - 20, 1, height, 1, 0xFFB6C1);
-            this.createBlock(zoneX - 30 + i * 4, height + 1, zoneZ - 20, 3, 0.5, 2, 0xFF69B4);
-        }
-        
-        this.createText("FAR FAR AWAY", zoneX, 65, zoneZ, 3, 0xFFD700);
-        
-        console.log('Far Far Away zone built');
+        this.gameClock.timers = this.gameClock.timers.filter(timer => timer.due > now);
+        due.sort((a, b) => a.due - b.due).forEach(timer => timer.callback());
     }
     
-    createConnectingPathways() {
-        // Main circular pathway around the lagoon
-        const lagoonRadius = 50;
-        for (let angle = 0; angle < Math.PI * 2; angle += 0.1) {
-            const x = Math.cos(angle) * lagoonRadius;
-            const z = Math.sin(angle) * lagoonRadius;
-            this.createPath(x, 0.05, z, 8, 8);
-        }
-        
-        // Pathways from lagoon to each zone
-        // To Hollywood (south)
-        this.createPath(0, 0.05, 80, 12, 40);
+    stepSimulation() {
+        // Advance the game by exactly one fixed tick
+        const clock = this.gameClock;
+        this.capturePreviousTransforms();
         
-        // To New York (east)  
-        this.createPath(50, 0.05, 40, 40, 12);
+        clock.tick++;
+        clock.elapsed = clock.tick * clock.fixedStep;
         
-        // To Sci-Fi City (northeast)
-        this.createPath(50, 0.05, -40, 40, 12);
+        // This tick's input: the players' keys and gamepads as actions, then taken from the replay
+        // when watching one, otherwise recorded
+        this.updateInputActions();
+        this.updateReplayInput();
         
-        // To Ancient Egypt (west)
-        this.createPath(-50, 0.05, 0, 40, 12);
+        this.runDueGameEvents();
+        this.updateTimeOfDay();
+        this.updateSimulation(clock.fixedStep);
         
-        // To Lost World (northwest)
-        this.createPath(-50, 0.05, -40, 40, 12);
-        
-        // To Far Far Away (southwest)
-        this.createPath(-50, 0.05, 40, 40, 12);
+        // Always update NPCs even when game is paused
+        this.updateNPCs(clock.fixedStep);
         
-        console.log('Connecting pathways created');
+        this.updateReplayTrack();
     }
     
-    addUSSAtmosphere() {
-        // Decorative elements around the park
-        
-        // Street lamps along pathways
-        const lampPositions = [
-            [30, 60], [-30, 60], [60, 30], [60, -30], 
-            [-60, 30], [-60, -30], [30, -60], [-30, -60]
-        ];
-        
-        lampPositions.forEach(pos => {
-            this.createBlock(pos[0], 4, pos[1], 0.5, 8, 0.5, 0x2F2F2F);
-            this.createBlock(pos[0], 8, pos[1], 1.5, 1, 1.5, 0xFFFF00, true, 0.8);
+    interpolatedObjects() {
+        return [this.mina, this.sacha, ...this.monsters, ...this.npcs, ...this.guests, ...this.rideVehicles].filter(Boolean);
+    }
+    
+    capturePreviousTransforms() {
+        this.interpolatedObjects().forEach(object => {
+            const data = object.userData;
+            if (!data.previousPosition) {
+                data.previousPosition = new THREE.Vector3();
+                data.previousQuaternion = new THREE.Quaternion();
+                data.simulatedPosition = new THREE.Vector3();
+                data.simulatedQuaternion = new THREE.Quaternion();
+            }
+            data.previousPosition.copy(object.position);
+            data.previousQuaternion.copy(object.quaternion);
         });
-        
-        // Themed decorative trees around each zone
-        this.addZoneSpecificDecoration();
-        
-        console.log('USS atmosphere added');
     }
     
-    addZoneSpecificDecoration() {
-        // Hollywood palm trees
-        for (let i = 0; i < 4; i++) {
-            const x = -20 + i * 10;
-            this.createPalmTree(x, 100);
-        }
-        
-        // Ancient Egypt sand dunes
-        for (let i = 0; i < 6; i++) {
-            const x = -120 + Math.random() * 80;
-            const z = -30 + Math.random() * 60;
-            this.createBlock(x, 1, z, 8 + Math.random() * 4, 2, 8 + Math.random() * 4, 0xDEB887, true, 0.9);
-        }
-        
-        // Far Far Away fairy tale mushrooms
-        for (let i = 0; i < 5; i++) {
-            const x = -100 + Math.random() * 40;
-            const z = 60 + Math.random() * 40;
-            this.createBlock(x, 2, z, 1, 4, 1, 0xF5DEB3);
-            this.createBlock(x, 5, z, 3, 1, 3, 0xFF0000, true, 0.8);
-        }
+    applyRenderInterpolation(alpha) {
+        // Draw moving objects part way between the last two ticks; the real state is put back after rendering
+        this.interpolatedObjects().forEach(object => {
+            const data = object.userData;
+            if (!data.previousPosition) return;
+            
+            data.simulatedPosition.copy(object.position);
+            data.simulatedQuaternion.copy(object.quaternion);
+            data.interpolated = data.previousPosition.distanceToSquared(object.position) < 25; // Don't smear teleports
+            if (!data.interpolated) return;
+            
+            object.position.lerpVectors(data.previousPosition, data.simulatedPosition, alpha);
+            object.quaternion.slerpQuaternions(data.previousQuaternion, data.simulatedQuaternion, alpha);
+        });
     }
     
-    createPalmTree(x, z) {
-        // Palm tree trunk
-        this.createBlock(x, 8, z, 1, 16, 1, 0x8B4513);
-        
-        // Palm fronds
-        for (let i = 0; i < 6; i++) {
-            const angle = (i / 6) * Math.PI * 2;
-            const frondX = x + Math.cos(angle) * 4;
-            const frondZ = z + Math.sin(angle) * 4;
-            this.createBlock(frondX, 15, frondZ, 0.5, 6, 0.5, 0x228B22);
-        }
+    restoreSimulatedTransforms() {
+        this.interpolatedObjects().forEach(object => {
+            const data = object.userData;
+            if (!data.interpolated) return;
+            
+            object.position.copy(data.simulatedPosition);
+            object.quaternion.copy(data.simulatedQuaternion);
+            data.interpolated = false;
+        });
     }
     
-    createSpookyTree(x, z) {
-        // Dark tree trunk
-        this.createBlock(x, 6, z, 2, 12, 2, 0x2f2f2f);
+    // ===== INPUT =====
+    
+    createInputActions() {
+        // What one player asks for: moveX (right) and moveZ (back) go from -1 to 1, keys always push all the way
+        return { moveX: 0, moveZ: 0, run: false, interact: false, jump: false };
+    }
+    
+    isMoving(actions) {
+        return actions.moveX !== 0 || actions.moveZ !== 0;
+    }
+    
+    updateInputActions() {
+        // Runs at the start of every tick: each player's keys and gamepad together make their actions
+        const inputs = this.inputSystem;
+        const precision = inputs.movePrecision;
+        const axis = (negative, positive, stick) => {
+            const value = Math.max(-1, Math.min(1, (positive ? 1 : 0) - (negative ? 1 : 0) + stick));
+            return Math.round(value * precision) / precision;
+        };
         
-        // Dark foliage
-        this.createBlock(x, 12, z, 10, 4, 10, 0x1a4d1a, true, 0.8);
-        this.createBlock(x, 15, z, 8, 4, 8, 0x1a4d1a, true, 0.8);
-        this.createBlock(x, 18, z, 6, 4, 6, 0x1a4d1a, true, 0.8);
+        inputs.players.forEach((actions, player) => {
+            const keys = this[inputs.keySources[player]];
+            const pad = inputs.pads[player] || this.createInputActions();
+            actions.moveX = axis(keys.left, keys.right, pad.moveX);
+            actions.moveZ = axis(keys.forward, keys.backward, pad.moveZ);
+            actions.run = keys.run || pad.run;
+            actions.interact = keys.interact || pad.interact;
+            actions.jump = keys.jump || pad.jump;
+        });
     }
     
-    createNPCs() {
-        // Create various NPCs throughout the park
-        const npcLocations = [
-            // Hollywood zone visitors
-            { x: -10, z: 90, type: 'family' },
-            { x: 15, z: 95, type: 'couple' },
-            { x: -5, z: 85, type: 'child' },
-            
-            // Around lagoon
-            { x: 30, z: 30, type: 'tourist' },
-            { x: -25, z: 25, type: 'photographer' },
-            { x: 20, z: -20, type: 'family' },
-            { x: -30, z: -30, type: 'couple' },
-            
-            // Zone-specific NPCs
-            { x: -60, z: 10, type: 'archaeologist' }, // Ancient Egypt
-            { x: -70, z: 70, type: 'fairy' },        // Far Far Away
-            { x: 70, z: -70, type: 'robot' },        // Sci-Fi City
-            { x: -70, z: -50, type: 'explorer' },    // Lost World
-            { x: 60, z: 60, type: 'reporter' },      // New York
+    readGamepads() {
+        // Some browsers hand out a fresh snapshot of each gamepad on every call, so this is asked every frame
+        if (this.headless || !navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads());
+    }
+    
+    readGamepad(gamepad) {
+        const inputs = this.inputSystem;
+        const button = name => {
+            const pressed = gamepad.buttons[inputs.buttons[name]];
+            return !!pressed && pressed.value > inputs.buttonPress;
+        };
+        const stick = (xAxis, yAxis) => {
+            const x = gamepad.axes[xAxis] || 0;
+            const y = gamepad.axes[yAxis] || 0;
+            const length = Math.hypot(x, y);
+            if (length < inputs.deadZone) return [0, 0];
             
-            // Staff members
-            { x: 0, z: 50, type: 'staff' },          // Near entrance
-            { x: -40, z: 0, type: 'security' },     // Near Egypt
-            { x: 40, z: 0, type: 'maintenance' }    // Near coaster
-        ];
+            // Past the dead zone the rest of the stick's travel goes from nothing to all the way
+            const scale = Math.min(1, (length - inputs.deadZone) / (1 - inputs.deadZone)) / length;
+            return [x * scale, y * scale];
+        };
         
-        npcLocations.forEach((npcData, index) => {
-            const npc = this.createNPC(npcData.x, npcData.z, npcData.type);
-            npc.userData.id = index;
-            npc.userData.type = npcData.type;
-            npc.userData.walkSpeed = 1 + Math.random() * 2;
-            npc.userData.targetPosition = new THREE.Vector3(npcData.x, 1.35, npcData.z);
-            npc.userData.wanderRadius = 10 + Math.random() * 15;
-            npc.userData.lastDirectionChange = 0;
-            this.npcs.push(npc);
+        const [moveX, moveZ] = stick(0, 1);
+        const [lookX, lookY] = stick(2, 3);
+        return {
+            moveX: moveX + (button('right') ? 1 : 0) - (button('left') ? 1 : 0),
+            moveZ: moveZ + (button('down') ? 1 : 0) - (button('up') ? 1 : 0),
+            lookX: lookX,
+            lookY: lookY,
+            run: button('run'),
+            interact: button('interact'),
+            jump: button('jump'),
+            pause: button('pause')
+        };
+    }
+    
+    pollGamepads(frameTime) {
+        // Once a frame, even while paused: read each player's gamepad, look around with the right stick, Start pauses
+        const inputs = this.inputSystem;
+        if (inputs.gamepads.length === 0) return;
+        const connected = this.readGamepads();
+        
+        inputs.pads = inputs.pads.map((reading, player) => {
+            const gamepad = connected.find(candidate => candidate && candidate.index === inputs.gamepads[player]);
+            // Player two's gamepad only plays in co-op
+            if (!gamepad || (player === 1 && !this.playerSystem.coop)) return null;
+            return this.readGamepad(gamepad);
         });
         
-        console.log(`Created ${this.npcs.length} NPCs`);
+        inputs.pads.forEach((pad, player) => {
+            const pause = !!pad && pad.pause;
+            if (pause && !inputs.pauseHeld[player]) {
+                if (this.stateMachine.state === 'title') {
+                    this.startGame();
+                } else {
+                    this.togglePause();
+                }
+            }
+            inputs.pauseHeld[player] = pause;
+            
+            // The camera is turned like the mouse does it, and recorded the same way
+            if (!pad || !this.canLookAround()) return;
+            this.cameraRotation.horizontal -= pad.lookX * inputs.lookSpeed * frameTime;
+            this.cameraRotation.vertical -= pad.lookY * inputs.lookSpeed * frameTime;
+            this.cameraRotation.vertical = Math.max(-Math.PI/3, Math.min(Math.PI/3, this.cameraRotation.vertical));
+        });
     }
     
-    createNPC(x, z, type) {
-        const npcGroup = new THREE.Group();
-        
-        // Base colors and characteristics for different NPC types
-        const npcTypes = {
-            family: { bodyColor: 0x4169e1, headColor: 0xffdbac, height: 1.6 },
-            couple: { bodyColor: 0xff69b4, headColor: 0xffdbac, height: 1.7 },
-            child: { bodyColor: 0x32cd32, headColor: 0xffdbac, height: 1.2 },
-            tourist: { bodyColor: 0xffd700, headColor: 0xffdbac, height: 1.65 },
-            photographer: { bodyColor: 0x8b4513, headColor: 0xffdbac, height: 1.6 },
-            archaeologist: { bodyColor: 0xdeb887, headColor: 0xd2691e, height: 1.65 },
-            fairy: { bodyColor: 0xff1493, headColor: 0xffdbac, height: 1.5 },
-            robot: { bodyColor: 0x2f4f4f, headColor: 0x696969, height: 1.8 },
-            explorer: { bodyColor: 0x228b22, headColor: 0xd2691e, height: 1.7 },
-            reporter: { bodyColor: 0x4682b4, headColor: 0xffdbac, height: 1.65 },
-            staff: { bodyColor: 0xff4500, headColor: 0xffdbac, height: 1.6 },
-            security: { bodyColor: 0x000080, headColor: 0xffdbac, height: 1.75 },
-            maintenance: { bodyColor: 0x708090, headColor: 0xffdbac, height: 1.65 }
+    connectGamepad(gamepad) {
+        // Plugged in (or first pressed): the first gamepad is player one's, the next player two's
+        const inputs = this.inputSystem;
+        if (inputs.gamepads.includes(gamepad.index)) return;
+        inputs.gamepads.push(gamepad.index);
+        
+        const player = inputs.gamepads.length;
+        console.log(`🎮 Gamepad ${gamepad.index} (${gamepad.id}) plays for player ${player}`);
+        if (player <= inputs.players.length) {
+            this.showNPCDialogue(this.t('gamepad.speaker'), this.t('gamepad.connected', { player: player }));
+        }
+    }
+    
+    disconnectGamepad(gamepad) {
+        const inputs = this.inputSystem;
+        const index = inputs.gamepads.indexOf(gamepad.index);
+        if (index < 0) return;
+        
+        // Any gamepads after it move up a player; nothing stays held from the old readings
+        inputs.gamepads.splice(index, 1);
+        inputs.pads = inputs.pads.map(() => null);
+        inputs.pauseHeld = inputs.pauseHeld.map(() => false);
+        console.log(`🎮 Gamepad ${gamepad.index} unplugged`);
+        
+        // Don't leave the girls to the mummies while the gamepad is plugged back in
+        if (index < inputs.players.length) {
+            this.pauseGame();
+            this.showNPCDialogue(this.t('gamepad.speaker'), this.t('gamepad.disconnected', { player: index + 1 }));
+        }
+    }
+    
+    // ===== GAME STATE MACHINE =====
+    
+    createGameState() {
+        return {
+            health: 100,
+            treasuresFound: 0,
+            totalTreasures: 5,
+            monstersNearby: 0,
+            gameWon: false,
+            gameOver: false,
+            timeOfDay: 0, // 0 = sunset, 1 = night
+            expressPasses: 3 // Each lets the girls skip to the express line once
         };
+    }
+    
+    setGameState(next) {
+        const machine = this.stateMachine;
+        if (next === machine.state) return true;
+        if (!machine.transitions[machine.state].includes(next)) {
+            console.warn(`🎮 No transition from ${machine.state} to ${next}`);
+            return false;
+        }
         
-        const npcData = npcTypes[type] || npcTypes.tourist;
-        const scale = npcData.height / 1.6; // Scale relative to standard height
+        machine.previous = machine.state;
+        machine.state = next;
+        console.log(`🎮 ${machine.previous} → ${next}`);
         
-        // Body
-        const bodyGeometry = new THREE.BoxGeometry(0.3 * scale, 0.5 * scale, 0.15 * scale);
-        const bodyMaterial = new THREE.MeshPhongMaterial({ 
-            color: npcData.bodyColor,
-            shininess: 10,
-            specular: 0x333333
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 0.25 * scale;
-        body.castShadow = true;
-        npcGroup.add(body);
+        // Menus need the mouse back
+        if (!machine.lookStates.includes(next) && !this.headless && document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+        this.updateStateScreens();
+        return true;
+    }
+    
+    isPlaying() {
+        return this.stateMachine.state === 'playing';
+    }
+    
+    lockPointer() {
+        if (this.headless || this.isMobile || document.pointerLockElement) return;
+        this.renderer.domElement.requestPointerLock();
+    }
+    
+    startGame() {
+        if (this.setGameState('playing')) this.lockPointer();
+    }
+    
+    pauseGame() {
+        return this.isPlaying() && this.setGameState('paused');
+    }
+    
+    resumeGame() {
+        if (this.stateMachine.state === 'paused' && this.setGameState('playing')) this.lockPointer();
+    }
+    
+    togglePause() {
+        // Esc (or Start) in photo mode goes back to the game rather than into the menu
+        if (this.stateMachine.state === 'photo') {
+            this.togglePhotoMode();
+        } else if (this.stateMachine.state === 'paused') {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+    
+    pauseOnMouseLost(time) {
+        // Losing the mouse (Escape, switching windows) pauses, unless a panel asked for it
+        if (this.saveSystem.panelOpen || this.replaySystem.panelOpen || !this.pauseGame()) return;
+        this.stateMachine.mouseLostAt = time;
+    }
+    
+    pressEscape(time) {
+        // The browser lets the mouse go on the same press, and may tell us that first: don't toggle straight back
+        if (time - this.stateMachine.mouseLostAt < this.stateMachine.escapeWindow) return;
+        this.togglePause();
+    }
+    
+    restartGame(nextState = 'playing') {
+        // Watching a replay: restarting means watching it from the beginning
+        if (this.replaySystem.mode === 'playback') {
+            this.seekReplay(0);
+            return;
+        }
         
-        // Head
-        const headGeometry = new THREE.SphereGeometry(0.12 * scale, 12, 8);
-        const headMaterial = new THREE.MeshPhongMaterial({ 
-            color: npcData.headColor,
-            shininess: 20,
-            specular: 0x333333
-        });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 0.62 * scale;
-        head.castShadow = true;
-        npcGroup.add(head);
+        this.recordReplayEvent('restart');
+        this.resetRun();
+        if (this.setGameState(nextState) && nextState === 'playing') this.lockPointer();
+    }
+    
+    resetRun() {
+        // Back to the start of the hunt in the park that is already built - no reload needed
+        console.log('🔄 Restarting the run');
+        this.saveSystem.applying = true; // Leaving buildings and rides must not autosave half-reset state
+        try {
+            // Pending reactions, celebrations and ride endings belong to the old run
+            this.gameClock.timers = [];
+            
+            const cart = this.mina.userData.ridingVehicle;
+            if (cart) this.unboardMummyRide(cart, this.currentInterior && this.currentInterior.userData.rideSystem);
+            this.rideVehicles.forEach(vehicle => {
+                if (vehicle.userData.rideActive) this.endRideExperience(vehicle);
+            });
+            if (this.currentInterior) this.exitBuilding();
+        } finally {
+            this.saveSystem.applying = false;
+        }
+        this.removeSpeechBubble();
+        this.cameraSystem.rail = null;
         
-        // Hair (random color)
-        const hairColors = [0x8b4513, 0x000000, 0xffff80, 0xff8c00, 0x696969];
-        const hairColor = hairColors[Math.floor(Math.random() * hairColors.length)];
-        const hairGeometry = new THREE.SphereGeometry(0.14 * scale, 8, 6);
-        const hairMaterial = new THREE.MeshPhongMaterial({ 
-            color: hairColor,
-            shininess: 50,
-            specular: 0x444444
-        });
-        const hair = new THREE.Mesh(hairGeometry, hairMaterial);
-        hair.position.y = 0.68 * scale;
-        hair.castShadow = true;
-        npcGroup.add(hair);
+        // Progress and the day/night cycle
+        this.gameState = this.createGameState();
+        this.lightingSystem.startTime = this.now();
+        this.updateTimeOfDay();
+        this.stateMachine.runStartTick = this.gameClock.tick;
         
-        // Arms
-        const armGeometry = new THREE.CylinderGeometry(0.04 * scale, 0.03 * scale, 0.25 * scale, 6);
-        const armMaterial = new THREE.MeshPhongMaterial({ 
-            color: npcData.headColor,
-            shininess: 20,
-            specular: 0x333333
+        this.closeRiddle();
+        this.endConversation();
+        this.treasures.forEach(treasure => {
+            treasure.userData.collected = false;
+            treasure.visible = true;
+            if (treasure.userData.puzzle) this.resetPuzzle(treasure.userData.puzzle);
         });
+        if (this.treasurePlacement.mode === 'random') this.shuffleTreasures();
+        
+        // The girls go back to the entrance
+        Object.keys(this.controls).forEach(control => { this.controls[control] = false; });
+        this.cameraRotation.horizontal = 0;
+        this.cameraRotation.vertical = 0;
+        [[this.mina, this.minaPosition], [this.sacha, this.sachaPosition]].forEach(([character, start]) => {
+            character.position.copy(start);
+            this.resetVerticalMotion(character);
+            character.rotation.set(0, 0, 0);
+            character.visible = true;
+            if (character.userData.animations) character.userData.animations.currentState = 'idle';
+        });
+        this.clearAgentPath(this.sacha);
+        this.companionSystem.state = this.createCompanionState();
+        this.resetQuests(); // After the girls are back, so the entrance doesn't count as a zone they walked into
+        this.renderQuestLog();
+        this.resetRideOperations();
+        this.resetGuests();
+        
+        // Fresh mummies at their spawn points (their sound sources go with the old ones)
+        const oldMonsters = this.monsters;
+        this.audioSystem.spatialSources = this.audioSystem.spatialSources.filter(source => {
+            if (!oldMonsters.includes(source.object)) return true;
+            source.panner.disconnect();
+            return false;
+        });
+        oldMonsters.forEach(monster => this.scene.remove(monster));
+        this.monsters = [];
+        this.spawnMonsters();
         
-        const leftArm = new THREE.Mesh(armGeometry, armMaterial);
-        leftArm.position.set(-0.2 * scale, 0.3 * scale, 0);
-        leftArm.castShadow = true;
-        npcGroup.add(leftArm);
-        
-        const rightArm = new THREE.Mesh(armGeometry, armMaterial);
-        rightArm.position.set(0.2 * scale, 0.3 * scale, 0);
-        rightArm.castShadow = true;
-        npcGroup.add(rightArm);
+        this.showObjective('objective.find');
+    }
+    
+    setupStateScreens() {
+        const on = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    handler();
+                });
+            }
+        };
         
-        // Legs
-        const legGeometry = new THREE.CylinderGeometry(0.05 * scale, 0.04 * scale, 0.3 * scale, 6);
-        const legMaterial = new THREE.MeshPhongMaterial({ 
-            color: Math.random() > 0.5 ? 0x4169e1 : 0x8b4513, // Random pants color
-            shininess: 5,
-            specular: 0x222222
+        on('startButton', () => this.startGame());
+        on('continueButton', () => {
+            if (this.loadGame('autosave')) this.lockPointer();
+        });
+        on('resumeButton', () => this.resumeGame());
+        on('restartButton', () => this.restartGame());
+        on('quitButton', () => this.restartGame('title'));
+        on('playAgainButton', () => this.restartGame());
+        on('endTitleButton', () => this.restartGame('title'));
+        on('photoSaveButton', () => this.takePhoto());
+        on('photoLeaveButton', () => this.togglePhotoMode());
+        
+        // Settings: one slider per volume bus
+        document.querySelectorAll('[data-volume]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                this.initAudio();
+                this.setVolume(slider.dataset.volume, Number(slider.value));
+            });
         });
         
-        const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
-        leftLeg.position.set(-0.08 * scale, -0.15 * scale, 0);
-        leftLeg.castShadow = true;
-        npcGroup.add(leftLeg);
-        
-        const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
-        rightLeg.position.set(0.08 * scale, -0.15 * scale, 0);
-        rightLeg.castShadow = true;
-        npcGroup.add(rightLeg);
+        // How the girl nobody is playing behaves
+        const personalitySelect = this.getElement('companionPersonality');
+        if (personalitySelect) {
+            Object.entries(this.companionSystem.personalities).forEach(([name, personality]) => {
+                personalitySelect.add(new Option(this.t(`companion.${name}.label`), name));
+            });
+            personalitySelect.addEventListener('change', () => this.setCompanionPersonality(personalitySelect.value));
+        }
         
-        // Special accessories for certain types
-        if (type === 'photographer') {
-            // Camera
-            const cameraGeometry = new THREE.BoxGeometry(0.1, 0.06, 0.08);
-            const cameraMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
-            const camera = new THREE.Mesh(cameraGeometry, cameraMaterial);
-            camera.position.set(0.15 * scale, 0.4 * scale, 0.1 * scale);
-            npcGroup.add(camera);
-        } else if (type === 'security') {
-            // Hat
-            const hatGeometry = new THREE.CylinderGeometry(0.15 * scale, 0.15 * scale, 0.03 * scale);
-            const hatMaterial = new THREE.MeshPhongMaterial({ color: 0x000080 });
-            const hat = new THREE.Mesh(hatGeometry, hatMaterial);
-            hat.position.y = 0.75 * scale;
-            npcGroup.add(hat);
-        } else if (type === 'fairy') {
-            // Wings
-            const wingGeometry = new THREE.PlaneGeometry(0.2 * scale, 0.3 * scale);
-            const wingMaterial = new THREE.MeshPhongMaterial({ 
-                color: 0xffffff, 
-                transparent: true, 
-                opacity: 0.7 
+        // Camera view and the motion effects that can be turned off
+        const cameraSelect = this.getElement('cameraMode');
+        if (cameraSelect) {
+            this.cameraSystem.modes.forEach(mode => cameraSelect.add(new Option(this.t(`camera.mode.${mode}`), mode)));
+            cameraSelect.addEventListener('change', () => this.setCameraMode(cameraSelect.value));
+        }
+        document.querySelectorAll('[data-camera-effect]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.setCameraEffect(checkbox.dataset.cameraEffect, checkbox.checked));
+        });
+    }
+    
+    updateStateScreens() {
+        if (this.headless) return;
+        const state = this.stateMachine.state;
+        const screens = { titleScreen: 'title', pausePanel: 'paused', endPanel: ['won', 'lost'], photoPanel: 'photo' };
+        Object.entries(screens).forEach(([id, states]) => {
+            const screen = this.getElement(id);
+            if (screen) screen.style.display = [].concat(states).includes(state) ? 'block' : 'none';
+        });
+        document.body.classList.toggle('photo-mode', state === 'photo'); // Hides the HUD
+        
+        if (state === 'title') {
+            const autosave = this.readSaveSlot('autosave');
+            const continueButton = this.getElement('continueButton');
+            if (continueButton) continueButton.style.display = autosave && !autosave.error ? '' : 'none';
+        } else if (state === 'paused') {
+            document.querySelectorAll('[data-volume]').forEach(slider => {
+                slider.value = this.audioSystem.volumes[slider.dataset.volume];
             });
-            const leftWing = new THREE.Mesh(wingGeometry, wingMaterial);
-            leftWing.position.set(-0.15 * scale, 0.4 * scale, -0.1 * scale);
-            leftWing.rotation.y = -0.3;
-            npcGroup.add(leftWing);
-            
-            const rightWing = new THREE.Mesh(wingGeometry, wingMaterial);
-            rightWing.position.set(0.15 * scale, 0.4 * scale, -0.1 * scale);
-            rightWing.rotation.y = 0.3;
-            npcGroup.add(rightWing);
+            const personalitySelect = this.getElement('companionPersonality');
+            if (personalitySelect) personalitySelect.value = this.companionSystem.personality;
+            const cameraSelect = this.getElement('cameraMode');
+            if (cameraSelect) cameraSelect.value = this.cameraSystem.mode;
+            document.querySelectorAll('[data-camera-effect]').forEach(checkbox => {
+                checkbox.checked = this.cameraSystem.effects[checkbox.dataset.cameraEffect];
+            });
+        } else if (state === 'won' || state === 'lost') {
+            const title = this.getElement('endTitle');
+            const summary = this.getElement('endSummary');
+            const runTime = this.formatReplayTime(this.gameClock.tick - this.stateMachine.runStartTick);
+            const values = { found: this.gameState.treasuresFound, total: this.gameState.totalTreasures, time: runTime };
+            if (title) title.textContent = this.t(`end.${state}.title`);
+            if (summary) summary.textContent = this.t(`end.${state}.summary`, values);
+        }
+    }
+    
+    // ===== LOCALIZATION =====
+    
+    getStartLanguage(language) {
+        // Explicit language first (headless runs), then ?lang= in the URL, the last one picked, then the browser's
+        const known = Object.keys(this.localization.languages);
+        const candidates = [language];
+        if (!this.headless) {
+            candidates.push(new URLSearchParams(window.location.search).get('lang'));
+            try {
+                candidates.push(localStorage.getItem(this.localization.settingsKey));
+            } catch (error) {
+                console.warn('Could not read the language setting:', error);
+            }
+            candidates.push(...(navigator.languages || []).map(tag => tag.split('-')[0].toLowerCase()));
+        }
+        return candidates.find(code => known.includes(code)) || this.localization.fallback;
+    }
+    
+    async loadLocales(language) {
+        // English is needed for anything a translation leaves out; a missing translation just means English
+        await this.loadLocale(this.localization.fallback);
+        try {
+            await this.loadLocale(language);
+            this.localization.language = language;
+        } catch (error) {
+            console.warn(`🌐 ${error.message} - carrying on in English`);
+        }
+    }
+    
+    async loadLocale(code) {
+        if (this.localization.tables[code]) return this.localization.tables[code];
+        const url = this.localization.url(code);
+        console.log(`🌐 Loading language: ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load language ${url} (HTTP ${response.status})`);
+        }
+        return this.addLocale(code, await response.json());
+    }
+    
+    addLocale(code, locale) {
+        this.validateLocale(code, locale);
+        this.localization.tables[code] = locale;
+        return locale;
+    }
+    
+    validateLocale(code, locale) {
+        const errors = [];
+        const isLines = value => Array.isArray(value) && value.length > 0 && value.every(line => typeof line === 'string');
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        
+        if (!isObject(locale)) {
+            throw new Error(`Invalid language file for ${code}: the file must contain a JSON object`);
         }
+        if (locale.format !== this.localization.format) errors.push(`format must be "${this.localization.format}"`);
+        if (locale.language !== code) errors.push(`language must be "${code}"`);
+        if (locale.fontFamily !== undefined && typeof locale.fontFamily !== 'string') errors.push('fontFamily must be a CSS font list');
         
-        npcGroup.position.set(x, 1.35 * scale - 0.35, z);
-        this.scene.add(npcGroup);
+        if (!isObject(locale.strings)) {
+            errors.push('strings must be an object of text by key');
+        } else {
+            Object.entries(locale.strings).forEach(([key, value]) => {
+                if (typeof value !== 'string' && !isLines(value)) errors.push(`strings["${key}"] must be text or a list of lines`);
+            });
+        }
+        if (locale.text !== undefined && !isObject(locale.text)) {
+            errors.push('text must be an object of translations by their English wording');
+        } else {
+            Object.entries(locale.text || {}).forEach(([english, value]) => {
+                if (typeof value !== 'string') errors.push(`text["${english}"] must be text`);
+            });
+        }
         
-        return npcGroup;
+        if (errors.length > 0) {
+            throw new Error(`Invalid language file for ${code}:\n- ${errors.join('\n- ')}`);
+        }
     }
     
-    updateNPCs(deltaTime) {
-        this.npcs.forEach(npc => {
-            const time = this.clock.getElapsedTime();
-            
-            // Simple wandering behavior
-            if (time - npc.userData.lastDirectionChange > 3 + Math.random() * 4) {
-                // Change direction
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * npc.userData.wanderRadius;
-                npc.userData.targetPosition.set(
-                    npc.position.x + Math.cos(angle) * distance,
-                    npc.position.y,
-                    npc.position.z + Math.sin(angle) * distance
-                );
-                npc.userData.lastDirectionChange = time;
-            }
-            
-            // Move towards target
-            const direction = new THREE.Vector3()
-                .subVectors(npc.userData.targetPosition, npc.position);
-            
-            if (direction.length() > 0.5) {
-                direction.normalize();
-                const movement = direction.multiplyScalar(npc.userData.walkSpeed * deltaTime);
-                npc.position.add(movement);
-                npc.lookAt(npc.userData.targetPosition);
-                
-                // Simple walking animation
-                npc.position.y = npc.userData.baseY || npc.position.y;
-                npc.position.y += Math.sin(time * 8 + npc.userData.id) * 0.02;
-                
-                // Animate limbs
-                if (npc.children.length > 4) {
-                    const leftArm = npc.children.find(child => child.position.x < -0.1);
-                    const rightArm = npc.children.find(child => child.position.x > 0.1);
-                    if (leftArm) leftArm.rotation.x = Math.sin(time * 4 + npc.userData.id) * 0.3;
-                    if (rightArm) rightArm.rotation.x = -Math.sin(time * 4 + npc.userData.id) * 0.3;
-                }
+    t(key, values = {}) {
+        // The game's own text in the current language, English if it hasn't been translated, the key if
+        // neither has it. Lists of lines come back as lists; {name} is filled in from values.
+        const localization = this.localization;
+        const table = [localization.language, localization.fallback]
+            .map(code => localization.tables[code])
+            .find(candidate => candidate && Object.prototype.hasOwnProperty.call(candidate.strings, key));
+        const entry = table ? table.strings[key] : key;
+        const fill = text => text.replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+        return Array.isArray(entry) ? entry.map(fill) : fill(entry);
+    }
+    
+    tLines(key, values = {}) {
+        // Lists of lines (chatter, everyday lines, companion lines): none if no language has them
+        const lines = this.t(key, values);
+        return Array.isArray(lines) ? lines : [];
+    }
+    
+    translateText(text) {
+        // Layout text and names are written in English; locales translate them by their wording
+        const table = this.localization.tables[this.localization.language];
+        return (table && table.text && table.text[text]) || text;
+    }
+    
+    canvasFont(size, bold = false) {
+        // Canvas text needs fonts with Chinese and Tamil letters, which Arial doesn't have
+        const table = this.localization.tables[this.localization.language];
+        const family = (table && table.fontFamily) || this.localization.fontFamily;
+        return `${bold ? 'bold ' : ''}${size}px ${family}`;
+    }
+    
+    async setLanguage(code) {
+        // The language picker: load the locale if need be, then redraw everything already on screen
+        if (!(code in this.localization.languages)) return false;
+        try {
+            await this.loadLocale(code);
+        } catch (error) {
+            console.error(error.message);
+            this.showNPCDialogue('🌐', this.t('language.loadFailed', { language: this.localization.languages[code] }));
+            return false;
+        }
+        
+        this.localization.language = code;
+        if (!this.headless) {
+            try {
+                localStorage.setItem(this.localization.settingsKey, code);
+            } catch (error) {
+                console.warn('Could not store the language setting:', error);
             }
+        }
+        this.applyLanguage();
+        return true;
+    }
+    
+    applyLanguage() {
+        const code = this.localization.language;
+        console.log(`🌐 Language: ${this.localization.languages[code]}`);
+        this.localization.signs.forEach(mesh => this.drawSign(mesh));
+        const conversation = this.dialogueSystem.conversation;
+        if (conversation) {
+            conversation.text = [this.translateText(conversation.tree.nodes[conversation.node].text), ...conversation.notes].join(' ');
+        }
+        this.updateDialoguePanel();
+        this.updateRiddlePanel();
+        this.updateRideChoicePanel();
+        this.renderQuestLog();
+        this.renderRideBoard();
+        if (this.headless) return;
+        
+        // The page's own text is marked with the key it shows
+        document.documentElement.lang = code;
+        document.title = this.t('page.title');
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
         });
+        document.querySelectorAll('.language-select').forEach(select => {
+            select.value = code;
+        });
+        const personalitySelect = this.getElement('companionPersonality');
+        if (personalitySelect) {
+            Array.from(personalitySelect.options).forEach(option => {
+                option.textContent = this.t(`companion.${option.value}.label`);
+            });
+        }
+        const cameraSelect = this.getElement('cameraMode');
+        if (cameraSelect) {
+            Array.from(cameraSelect.options).forEach(option => {
+                option.textContent = this.t(`camera.mode.${option.value}`);
+            });
+        }
+        this.showObjective(this.stateMachine.objective.key, this.stateMachine.objective.color);
+        this.updateStateScreens();
+        this.updateReplayPanel();
+        if (this.saveSystem.panelOpen) this.renderSaveSlots();
+        
+        // Web fonts for Chinese and Tamil only arrive once something asks for them: draw the signs again when they do
+        if (document.fonts) {
+            const signText = this.localization.signs.map(mesh => this.getSignText(mesh.userData.sign)).join('');
+            document.fonts.load(this.canvasFont(48), signText)
+                .then(() => this.localization.signs.forEach(mesh => this.drawSign(mesh)))
+                .catch(error => console.warn('Could not load the sign font:', error));
+        }
     }
     
-    addParticleEffects() {
-        // Create floating particles around the lagoon (magical atmosphere)
-        const lagoonParticles = this.createParticleSystem(0, 5, 0, 30, 0x87ceeb, 50);
-        
-        // Ancient Egypt - dust particles
-        const dustParticles = this.createParticleSystem(-80, 3, 0, 20, 0xdeb887, 30);
-        
-        // Far Far Away - magical sparkles
-        const sparkles = this.createParticleSystem(-80, 10, 80, 15, 0xff69b4, 40);
-        
-        // Sci-Fi City - energy particles
-        const energyParticles = this.createParticleSystem(80, 8, -80, 25, 0x00ffff, 35);
-        
-        console.log('Particle effects added');
+    setupLanguageSelects() {
+        document.querySelectorAll('.language-select').forEach(select => {
+            Object.entries(this.localization.languages).forEach(([code, name]) => {
+                select.add(new Option(name, code));
+            });
+            select.value = this.localization.language;
+            select.addEventListener('change', () => this.setLanguage(select.value));
+        });
     }
     
-    createParticleSystem(x, y, z, radius, color, count) {
-        const particles = new THREE.Group();
+    // ===== DATA-DRIVEN PARK LAYOUT =====
+    
+    getParkLayoutUrl() {
+        // Designers can preview another layout with ?layout=layouts/my-park.json
+        const params = new URLSearchParams(window.location.search);
+        return params.get('layout') || this.parkLayout.defaultUrl;
+    }
+    
+    getTreasurePlacementMode(mode) {
+        // Explicit mode first (headless runs), then ?treasures= in the URL
+        if (mode === undefined && !this.headless) {
+            mode = new URLSearchParams(window.location.search).get('treasures');
+        }
+        return mode === 'random' ? 'random' : 'fixed';
+    }
+    
+    async loadParkLayout(url) {
+        console.log(`🗺️ Loading park layout: ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load park layout ${url} (HTTP ${response.status})`);
+        }
         
-        for (let i = 0; i < count; i++) {
-            const particleGeometry = new THREE.SphereGeometry(0.05 + Math.random() * 0.05, 4, 3);
-            const particleMaterial = new THREE.MeshBasicMaterial({ 
-                color: color,
-                transparent: true,
-                opacity: 0.3 + Math.random() * 0.4
-            });
-            
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+        const layout = await response.json();
+        this.validateParkLayout(layout);
+        this.parkLayout.url = url;
+        return layout;
+    }
+    
+    validateParkLayout(layout) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isVector = (value, length) => Array.isArray(value) && value.length === length && value.every(isNumber);
+        const isColor = value => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+        const textureTypes = ['brick', 'metal', 'stone'];
+        const directions = Object.keys(this.parkLayout.directions);
+        const isPositive = value => isNumber(value) && value > 0;
+        
+        const checkElement = (element, where) => {
+            if (!element || typeof element !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
             
-            // Random position within radius
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * radius;
-            particle.position.set(
-                x + Math.cos(angle) * distance,
-                y + Math.random() * 10,
-                z + Math.sin(angle) * distance
-            );
+            switch (element.type) {
+                case 'block':
+                    if (!isVector(element.position, 3)) errors.push(`${where}.position must be [x, y, z]`);
+                    if (!isVector(element.size, 3)) errors.push(`${where}.size must be [width, height, depth]`);
+                    if (element.sizeJitter !== undefined && !isVector(element.sizeJitter, 3)) errors.push(`${where}.sizeJitter must be [width, height, depth]`);
+                    if (!isColor(element.color)) errors.push(`${where}.color must be a #RRGGBB string`);
+                    if (element.opacity !== undefined && !(isNumber(element.opacity) && element.opacity >= 0 && element.opacity <= 1)) errors.push(`${where}.opacity must be between 0 and 1`);
+                    if (element.transparent !== undefined && typeof element.transparent !== 'boolean') errors.push(`${where}.transparent must be true or false`);
+                    if (element.collidable !== undefined && typeof element.collidable !== 'boolean') errors.push(`${where}.collidable must be true or false`);
+                    if (element.texture !== undefined && !textureTypes.includes(element.texture)) errors.push(`${where}.texture must be one of ${textureTypes.join(', ')}`);
+                    break;
+                case 'text':
+                    if (typeof element.text !== 'string' || !element.text) errors.push(`${where}.text must be a non-empty string`);
+                    if (!isVector(element.position, 3)) errors.push(`${where}.position must be [x, y, z]`);
+                    if (element.size !== undefined && !isNumber(element.size)) errors.push(`${where}.size must be a number`);
+                    if (element.color !== undefined && !isColor(element.color)) errors.push(`${where}.color must be a #RRGGBB string`);
+                    break;
+                case 'path':
+                    if (!isVector(element.position, 3)) errors.push(`${where}.position must be [x, y, z]`);
+                    if (!isVector(element.size, 2)) errors.push(`${where}.size must be [width, depth]`);
+                    break;
+                case 'water':
+                    if (!isVector(element.position, 3)) errors.push(`${where}.position must be [x, y, z]`);
+                    if (!isNumber(element.radius) || !isNumber(element.height)) errors.push(`${where} needs a numeric radius and height`);
+                    if (!isColor(element.color)) errors.push(`${where}.color must be a #RRGGBB string`);
+                    break;
+                case 'palmTree':
+                case 'spookyTree':
+                    if (!isVector(element.position, 2)) errors.push(`${where}.position must be [x, z]`);
+                    break;
+                case 'ring':
+                    if (!isNumber(element.radius) || !Number.isInteger(element.count) || element.count < 1) errors.push(`${where} needs a numeric radius and a positive integer count`);
+                    checkElement(element.element, `${where}.element`);
+                    break;
+                case 'scatter':
+                    if (!Number.isInteger(element.count) || element.count < 1) errors.push(`${where}.count must be a positive integer`);
+                    if (!element.area || !isVector(element.area.x, 2) || !isVector(element.area.z, 2)) errors.push(`${where}.area must be { "x": [min, max], "z": [min, max] }`);
+                    if (!Array.isArray(element.elements)) errors.push(`${where}.elements must be an array`);
+                    else element.elements.forEach((child, index) => checkElement(child, `${where}.elements[${index}]`));
+                    break;
+                case 'stairs':
+                case 'ramp':
+                    if (!isVector(element.position, 2)) errors.push(`${where}.position must be [x, z]`);
+                    if (!directions.includes(element.direction)) errors.push(`${where}.direction must be one of ${directions.join(', ')}`);
+                    if (!isPositive(element.rise) || !isPositive(element.width)) errors.push(`${where} needs a positive rise and width`);
+                    if (element.type === 'ramp' && !isPositive(element.length)) errors.push(`${where}.length must be a positive number`);
+                    if (element.type === 'stairs' && element.depth !== undefined && !isPositive(element.depth)) errors.push(`${where}.depth must be a positive number`);
+                    if (!isColor(element.color)) errors.push(`${where}.color must be a #RRGGBB string`);
+                    break;
+                default:
+                    errors.push(`${where}.type "${element.type}" is not a known element type`);
+            }
+        };
+        
+        const puzzleTypes = ['leverSequence', 'plateOrder', 'riddle'];
+        const checkPuzzle = (puzzle, where) => {
+            if (!puzzle || !puzzleTypes.includes(puzzle.type)) {
+                errors.push(`${where}.type must be one of ${puzzleTypes.join(', ')}`);
+                return;
+            }
+            if (typeof puzzle.title !== 'string' || !puzzle.title) errors.push(`${where}.title must be a non-empty string`);
+            if (puzzle.hint !== undefined && typeof puzzle.hint !== 'string') errors.push(`${where}.hint must be a string`);
             
-            // Store animation data
-            particle.userData = {
-                baseY: particle.position.y,
-                speed: 0.5 + Math.random() * 1.5,
-                amplitude: 1 + Math.random() * 2,
-                phase: Math.random() * Math.PI * 2
-            };
+            if (puzzle.type === 'riddle') {
+                if (typeof puzzle.npc !== 'string' || !puzzle.npc) errors.push(`${where}.npc must name the character who asks the riddle`);
+                if (typeof puzzle.question !== 'string' || !puzzle.question) errors.push(`${where}.question must be a non-empty string`);
+                if (!Array.isArray(puzzle.choices) || puzzle.choices.length < 2 || !puzzle.choices.every(choice => typeof choice === 'string')) {
+                    errors.push(`${where}.choices must list at least two answers`);
+                } else if (!Number.isInteger(puzzle.answer) || puzzle.answer < 0 || puzzle.answer >= puzzle.choices.length) {
+                    errors.push(`${where}.answer must be the index of the right choice`);
+                }
+                return;
+            }
             
-            particles.add(particle);
-        }
-        
-        this.scene.add(particles);
+            // Levers and plates: parts placed like trees, solved by using them in sequence order
+            const partsKey = puzzle.type === 'leverSequence' ? 'levers' : 'plates';
+            const parts = puzzle[partsKey];
+            if (!Array.isArray(parts) || parts.length < 2) {
+                errors.push(`${where}.${partsKey} must list at least two ${partsKey}`);
+                return;
+            }
+            parts.forEach((part, index) => {
+                if (!part || typeof part.label !== 'string' || !part.label) errors.push(`${where}.${partsKey}[${index}].label must be a non-empty string`);
+                if (!part || !isVector(part.position, 2)) errors.push(`${where}.${partsKey}[${index}].position must be [x, z]`);
+                if (!part || !isColor(part.color)) errors.push(`${where}.${partsKey}[${index}].color must be a #RRGGBB string`);
+            });
+            const sequence = puzzle.sequence;
+            if (!Array.isArray(sequence) || sequence.length === 0 ||
+                !sequence.every(index => Number.isInteger(index) && index >= 0 && index < parts.length) ||
+                new Set(sequence).size !== sequence.length) {
+                errors.push(`${where}.sequence must list ${partsKey} by index, each at most once`);
+            }
+        };
         
-        // Add to update list for animation
-        if (!this.particleSystems) this.particleSystems = [];
-        this.particleSystems.push(particles);
+        const checkLight = (light, where) => {
+            if (!light || (light.type !== 'point' && light.type !== 'spot')) errors.push(`${where}.type must be "point" or "spot"`);
+            if (!light) return;
+            if (!isColor(light.color)) errors.push(`${where}.color must be a #RRGGBB string`);
+            if (!isNumber(light.intensity) || !isNumber(light.distance)) errors.push(`${where} needs a numeric intensity and distance`);
+            if (!isVector(light.position, 3)) errors.push(`${where}.position must be [x, y, z]`);
+            if (light.target !== undefined && !isVector(light.target, 3)) errors.push(`${where}.target must be [x, y, z]`);
+        };
         
-        return particles;
-    }
-    
-    updateParticleEffects() {
-        if (!this.particleSystems) return;
+        if (!layout || typeof layout !== 'object') {
+            throw new Error('Invalid park layout: the file must contain a JSON object');
+        }
         
-        const time = this.clock.getElapsedTime();
+        if (layout.format !== this.parkLayout.format) {
+            errors.push(`format must be "${this.parkLayout.format}"`);
+        }
+        if (!Number.isInteger(layout.version) || layout.version < 1 || layout.version > this.parkLayout.version) {
+            errors.push(`version ${layout.version} is not supported (this game reads layout versions 1-${this.parkLayout.version})`);
+        }
+        if (!layout.ground || !isNumber(layout.ground.size) || !isColor(layout.ground.color)) {
+            errors.push('ground needs a numeric size and a #RRGGBB color');
+        }
         
-        this.particleSystems.forEach(system => {
-            system.children.forEach(particle => {
-                // Floating animation
-                particle.position.y = particle.userData.baseY + 
-                    Math.sin(time * particle.userData.speed + particle.userData.phase) * particle.userData.amplitude;
+        const zoneIds = new Set();
+        if (!Array.isArray(layout.zones) || layout.zones.length === 0) {
+            errors.push('zones must be a non-empty array');
+        } else {
+            layout.zones.forEach((zone, zoneIndex) => {
+                const where = `zones[${zoneIndex}]`;
+                if (!zone || typeof zone.id !== 'string' || !zone.id) {
+                    errors.push(`${where}.id must be a non-empty string`);
+                    return;
+                }
+                if (zoneIds.has(zone.id)) errors.push(`${where}.id "${zone.id}" is used by another zone`);
+                zoneIds.add(zone.id);
                 
-                // Gentle rotation
-                particle.rotation.y += 0.01;
-                particle.rotation.x += 0.005;
+                if (typeof zone.name !== 'string') errors.push(`${where}.name must be a string`);
+                if (zone.mapLabel !== undefined && typeof zone.mapLabel !== 'boolean') errors.push(`${where}.mapLabel must be true or false`);
+                if (!zone.origin || !isNumber(zone.origin.x) || !isNumber(zone.origin.z)) errors.push(`${where}.origin must be { "x": number, "z": number }`);
                 
-                // Subtle horizontal drift
-                particle.position.x += Math.sin(time * 0.5 + particle.userData.phase) * 0.01;
-                particle.position.z += Math.cos(time * 0.5 + particle.userData.phase) * 0.01;
+                if (zone.lights !== undefined && !Array.isArray(zone.lights)) errors.push(`${where}.lights must be an array`);
+                else (zone.lights || []).forEach((light, index) => checkLight(light, `${where}.lights[${index}]`));
+                
+                if (!Array.isArray(zone.elements)) errors.push(`${where}.elements must be an array`);
+                else zone.elements.forEach((element, index) => checkElement(element, `${where}.elements[${index}]`));
             });
-        });
-    }
-    
-    placeTreasures() {
-        const treasureLocations = [
-            { x: -80, y: 3, z: -10 }, // Inside Mummy maze (Ancient Egypt)
-            { x: -80, y: 3, z: 60 },  // Shrek's Castle (Far Far Away)
-            { x: 80, y: 30, z: -80 }, // Top of Battlestar Galactica (Sci-Fi City)
-            { x: -80, y: 3, z: -60 }, // Jurassic Park (Lost World)
-            { x: 80, y: 3, z: 70 }    // New York zone
-        ];
+        }
         
-        treasureLocations.forEach((loc, index) => {
-            const treasure = this.createTreasure(loc.x, loc.y, loc.z);
-            treasure.userData = { id: index, collected: false };
-            this.treasures.push(treasure);
-        });
+        // Version 2: the treasure chests, optionally locked behind puzzles
+        if (layout.treasures !== undefined) {
+            if (!Array.isArray(layout.treasures) || layout.treasures.length === 0) {
+                errors.push('treasures must be a non-empty array');
+            } else {
+                layout.treasures.forEach((treasure, index) => {
+                    const where = `treasures[${index}]`;
+                    if (!treasure || !zoneIds.has(treasure.zone)) errors.push(`${where}.zone must be the id of a zone`);
+                    if (!treasure || !isVector(treasure.position, 3)) errors.push(`${where}.position must be [x, y, z]`);
+                    if (treasure && treasure.candidates !== undefined &&
+                        (!Array.isArray(treasure.candidates) || !treasure.candidates.every(candidate => isVector(candidate, 3)))) {
+                        errors.push(`${where}.candidates must be a list of [x, y, z]`);
+                    }
+                    if (treasure && treasure.puzzle !== undefined) checkPuzzle(treasure.puzzle, `${where}.puzzle`);
+                });
+            }
+        }
+        
+        // Version 4: quests, each started and moved on by the same kinds of trigger
+        if (layout.quests !== undefined) {
+            const questTriggers = this.questSystem.triggers;
+            const checkTrigger = (trigger, where) => {
+                if (!trigger || !questTriggers[trigger.type]) {
+                    errors.push(`${where}.type must be one of ${Object.keys(questTriggers).join(', ')}`);
+                    return;
+                }
+                const field = questTriggers[trigger.type];
+                if (typeof trigger[field] !== 'string' || !trigger[field]) errors.push(`${where}.${field} must be a non-empty string`);
+                if (trigger.type === 'enterZone' && !zoneIds.has(trigger.zone)) errors.push(`${where}.zone must be the id of a zone`);
+                if (typeof trigger.text !== 'string' || !trigger.text) errors.push(`${where}.text must say what to do`);
+                if (trigger.line !== undefined && typeof trigger.line !== 'string') errors.push(`${where}.line must be a string`);
+            };
+            
+            if (!Array.isArray(layout.quests)) {
+                errors.push('quests must be an array');
+            } else {
+                const questIds = new Set(layout.quests.filter(quest => quest && typeof quest.id === 'string').map(quest => quest.id));
+                const seen = new Set();
+                layout.quests.forEach((quest, index) => {
+                    const where = `quests[${index}]`;
+                    if (!quest || typeof quest.id !== 'string' || !quest.id) {
+                        errors.push(`${where}.id must be a non-empty string`);
+                        return;
+                    }
+                    if (seen.has(quest.id)) errors.push(`${where}.id "${quest.id}" is used by another quest`);
+                    seen.add(quest.id);
+                    
+                    if (typeof quest.title !== 'string' || !quest.title) errors.push(`${where}.title must be a non-empty string`);
+                    if (quest.zone !== undefined && !zoneIds.has(quest.zone)) errors.push(`${where}.zone must be the id of a zone`);
+                    if (quest.requires !== undefined && (!Array.isArray(quest.requires) ||
+                        !quest.requires.every(id => questIds.has(id) && id !== quest.id))) {
+                        errors.push(`${where}.requires must list the ids of other quests`);
+                    }
+                    checkTrigger(quest.start, `${where}.start`);
+                    if (!Array.isArray(quest.steps) || quest.steps.length === 0) errors.push(`${where}.steps must be a non-empty array`);
+                    else quest.steps.forEach((step, stepIndex) => checkTrigger(step, `${where}.steps[${stepIndex}]`));
+                    if (quest.reward !== undefined) {
+                        const reward = quest.reward;
+                        if (!reward || typeof reward !== 'object') errors.push(`${where}.reward must be an object`);
+                        else {
+                            if (reward.health !== undefined && !isPositive(reward.health)) errors.push(`${where}.reward.health must be a positive number`);
+                            if (reward.message !== undefined && typeof reward.message !== 'string') errors.push(`${where}.reward.message must be a string`);
+                        }
+                    }
+                });
+            }
+        }
+        
+        // Version 5: dialogue trees for the park characters
+        if (layout.dialogues !== undefined) {
+            const dialogueSystem = this.dialogueSystem;
+            const questIds = new Set((Array.isArray(layout.quests) ? layout.quests : [])
+                .filter(quest => quest && typeof quest.id === 'string').map(quest => quest.id));
+            const questStatuses = ['locked', 'available', 'active', 'completed'];
+            const checkCondition = (condition, where) => {
+                if (condition === undefined) return;
+                if (!condition || typeof condition !== 'object') {
+                    errors.push(`${where} must be an object`);
+                    return;
+                }
+                Object.keys(condition).filter(key => !dialogueSystem.conditions.includes(key)).forEach(key => {
+                    errors.push(`${where}.${key} is not a condition (use ${dialogueSystem.conditions.join(', ')})`);
+                });
+                ['minTreasures', 'maxTreasures', 'step'].forEach(key => {
+                    if (condition[key] !== undefined && (!Number.isInteger(condition[key]) || condition[key] < 0)) {
+                        errors.push(`${where}.${key} must be a whole number`);
+                    }
+                });
+                if (condition.timeOfDay !== undefined && !dialogueSystem.timesOfDay.includes(condition.timeOfDay)) {
+                    errors.push(`${where}.timeOfDay must be one of ${dialogueSystem.timesOfDay.join(', ')}`);
+                }
+                if ((condition.quest !== undefined || condition.status !== undefined || condition.step !== undefined) &&
+                    (!questIds.has(condition.quest) || !questStatuses.includes(condition.status))) {
+                    errors.push(`${where} needs the id of a quest and its status (${questStatuses.join(', ')})`);
+                }
+            };
+            const checkAction = (action, where) => {
+                if (!action || !dialogueSystem.actions.includes(action.type)) {
+                    errors.push(`${where}.type must be one of ${dialogueSystem.actions.join(', ')}`);
+                } else if (action.type === 'startQuest' && !questIds.has(action.quest)) {
+                    errors.push(`${where}.quest must be the id of a quest`);
+                } else if (action.type === 'animation') {
+                    if (!['mina', 'sacha', 'both'].includes(action.target)) errors.push(`${where}.target must be mina, sacha or both`);
+                    if (!dialogueSystem.animations.includes(action.animation)) errors.push(`${where}.animation must be one of ${dialogueSystem.animations.join(', ')}`);
+                    if (action.duration !== undefined && !isPositive(action.duration)) errors.push(`${where}.duration must be a positive number of ms`);
+                }
+            };
+            
+            if (!Array.isArray(layout.dialogues)) {
+                errors.push('dialogues must be an array');
+            } else {
+                const npcs = new Set();
+                layout.dialogues.forEach((tree, index) => {
+                    const where = `dialogues[${index}]`;
+                    if (!tree || typeof tree.npc !== 'string' || !tree.npc) {
+                        errors.push(`${where}.npc must be a park character's name`);
+                        return;
+                    }
+                    if (npcs.has(tree.npc)) errors.push(`${where}.npc "${tree.npc}" already has a dialogue tree`);
+                    npcs.add(tree.npc);
+                    
+                    if (!tree.nodes || typeof tree.nodes !== 'object' || Array.isArray(tree.nodes)) {
+                        errors.push(`${where}.nodes must be an object of nodes by id`);
+                        return;
+                    }
+                    const nodeIds = Object.keys(tree.nodes);
+                    if (!Array.isArray(tree.start) || tree.start.length === 0 || !tree.start.every(id => nodeIds.includes(id))) {
+                        errors.push(`${where}.start must list the ids of its opening nodes`);
+                    }
+                    Object.entries(tree.nodes).forEach(([id, node]) => {
+                        const nodeWhere = `${where}.nodes.${id}`;
+                        if (!node || typeof node.text !== 'string' || !node.text) {
+                            errors.push(`${nodeWhere}.text must be a non-empty string`);
+                            return;
+                        }
+                        checkCondition(node.condition, `${nodeWhere}.condition`);
+                        if (node.actions !== undefined && !Array.isArray(node.actions)) errors.push(`${nodeWhere}.actions must be an array`);
+                        else (node.actions || []).forEach((action, actionIndex) => checkAction(action, `${nodeWhere}.actions[${actionIndex}]`));
+                        if (node.choices !== undefined && !Array.isArray(node.choices)) {
+                            errors.push(`${nodeWhere}.choices must be an array`);
+                            return;
+                        }
+                        (node.choices || []).forEach((choice, choiceIndex) => {
+                            const choiceWhere = `${nodeWhere}.choices[${choiceIndex}]`;
+                            if (!choice || typeof choice.text !== 'string' || !choice.text) errors.push(`${choiceWhere}.text must be a non-empty string`);
+                            else if (choice.next !== undefined && !nodeIds.includes(choice.next)) errors.push(`${choiceWhere}.next must be the id of a node`);
+                            if (choice) checkCondition(choice.condition, `${choiceWhere}.condition`);
+                        });
+                        if ((node.choices || []).length > 9) errors.push(`${nodeWhere}.choices can offer at most 9 replies`);
+                    });
+                });
+            }
+        }
         
-        console.log('Placed 5 treasures around the park');
+        if (errors.length > 0) {
+            throw new Error(`Invalid park layout:\n- ${errors.join('\n- ')}`);
+        }
     }
     
-    createTreasure(x, y, z) {
-        // Golden treasure chest
-        const chestGeometry = new THREE.BoxGeometry(1, 0.8, 1.2);
-        const chestMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0xffd700,
-            emissive: 0x332200
-        });
-        const chest = new THREE.Mesh(chestGeometry, chestMaterial);
-        chest.position.set(x, y, z);
-        chest.castShadow = true;
-        
-        // Add glowing effect
-        const glowGeometry = new THREE.SphereGeometry(1.5);
-        const glowMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffff00, 
-            transparent: true, 
-            opacity: 0.2 
+    getZoneAt(position) {
+        // The named zone whose origin is closest: the zone a girl is in
+        let closest = null;
+        let closestDistance = Infinity;
+        this.parkLayout.zones.forEach(zone => {
+            if (!zone.mapLabel) return;
+            const distance = Math.hypot(position.x - zone.origin.x, position.z - zone.origin.z);
+            if (distance < closestDistance) {
+                closest = zone;
+                closestDistance = distance;
+            }
         });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        glow.position.copy(chest.position);
-        
-        this.scene.add(chest);
-        this.scene.add(glow);
-        
-        return chest;
+        return closest;
     }
     
-    spawnMonsters() {
-        const monsterSpawnPoints = [
-            { x: -70, z: 10 },   // Ancient Egypt zone
-            { x: -70, z: -70 },  // Lost World zone  
-            { x: 70, z: -70 },   // Sci-Fi City zone
-            { x: 70, z: 70 },    // New York zone
-            { x: -70, z: 70 }    // Far Far Away zone
-        ];
+    layoutColor(color) {
+        return parseInt(color.slice(1), 16);
+    }
+    
+    generateThemePark(layout) {
+        console.log(`Generating ${layout.name}...`);
+        this.parkLayout.data = layout;
+        
+        // Size the static collision grid to cover the whole ground
+        this.collisionSystem.origin = -layout.ground.size / 2;
+        this.collisionSystem.cols = Math.ceil(layout.ground.size / this.collisionSystem.cellSize);
+        this.collisionSystem.staticCells.clear();
+        this.mapSystem.shapes = [];
+        this.mapSystem.parkImage = null;
+        this.guestSystem.paths = [];
+        
+        this.createGround(layout.ground.size, this.layoutColor(layout.ground.color));
+        layout.zones.forEach(zone => this.buildLayoutZone(zone));
+        
+        console.log(`${layout.name} generation complete!`);
+    }
+    
+    buildLayoutZone(zone) {
+        const origin = { x: zone.origin.x, z: zone.origin.z };
         
-        monsterSpawnPoints.forEach((spawn, index) => {
-            const monster = this.createMummyMonster(spawn.x, spawn.z);
-            monster.userData = { 
-                id: index, 
-                targetPosition: new THREE.Vector3(),
-                speed: 3 + Math.random() * 2,
-                detectionRadius: 15,
-                chasing: false,
-                originalY: monster.position.y,
-                spawnPosition: new THREE.Vector3(spawn.x, monster.position.y, spawn.z),
-                aiState: 'patrolling'
-            };
-            this.monsters.push(monster);
-        });
+        (zone.lights || []).forEach(light => this.createLayoutLight(light, origin));
+        zone.elements.forEach(element => this.createLayoutElement(element, origin));
         
-        console.log('Spawned 5 mummy monsters');
+        this.parkLayout.zones.push({ id: zone.id, name: zone.name, origin, mapLabel: zone.mapLabel !== false });
+        console.log(`${zone.name} zone built`);
     }
     
-    createMummyMonster(x, z) {
-        const monsterGroup = new THREE.Group();
-        
-        // MUCH larger and scarier mummy body
-        const bodyGeometry = new THREE.BoxGeometry(1.2, 2.5, 0.6);
-        const bodyMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x8b7355,  // Darker, dirtier mummy wrap
-            transparent: true,
-            opacity: 0.9
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 1.25;
-        body.castShadow = true;
-        monsterGroup.add(body);
-        
-        // Add tattered wrap details
-        for (let i = 0; i < 8; i++) {
-            const wrapGeometry = new THREE.BoxGeometry(0.1, 0.3, 0.05);
-            const wrapMaterial = new THREE.MeshLambertMaterial({ 
-                color: 0x696969,
-                transparent: true,
-                opacity: 0.7
-            });
-            const wrap = new THREE.Mesh(wrapGeometry, wrapMaterial);
-            wrap.position.set(
-                (Math.random() - 0.5) * 1.2,
-                0.5 + Math.random() * 1.5,
-                0.35 + Math.random() * 0.2
-            );
-            wrap.rotation.set(
-                (Math.random() - 0.5) * 0.5,
-                (Math.random() - 0.5) * 1,
-                (Math.random() - 0.5) * 0.5
-            );
-            monsterGroup.add(wrap);
-        }
-        
-        // Larger, scarier head
-        const headGeometry = new THREE.BoxGeometry(0.7, 0.7, 0.6);
-        const head = new THREE.Mesh(headGeometry, bodyMaterial);
-        head.position.y = 3.2;
-        head.castShadow = true;
-        monsterGroup.add(head);
-        
-        // MUCH larger glowing red eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.12);
-        const eyeMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xff0000, 
-            emissive: 0xff0000,
-            transparent: true,
-            opacity: 0.9
-        });
-        
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.2, 3.3, 0.3);
-        monsterGroup.add(leftEye);
-        
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.2, 3.3, 0.3);
-        monsterGroup.add(rightEye);
-        
-        // Add glowing eye effect
-        const glowGeometry = new THREE.SphereGeometry(0.18);
-        const glowMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xff4444,
-            transparent: true,
-            opacity: 0.3
-        });
-        
-        const leftGlow = new THREE.Mesh(glowGeometry, glowMaterial);
-        leftGlow.position.set(-0.2, 3.3, 0.3);
-        monsterGroup.add(leftGlow);
-        
-        const rightGlow = new THREE.Mesh(glowGeometry, glowMaterial);
-        rightGlow.position.set(0.2, 3.3, 0.3);
-        monsterGroup.add(rightGlow);
-        
-        // Longer, scarier arms
-        const armGeometry = new THREE.BoxGeometry(0.3, 1.8, 0.25);
-        const leftArm = new THREE.Mesh(armGeometry, bodyMaterial);
-        leftArm.position.set(-0.8, 1.8, 0);
-        leftArm.rotation.z = 0.3; // Reaching pose
-        leftArm.castShadow = true;
-        monsterGroup.add(leftArm);
-        
-        const rightArm = new THREE.Mesh(armGeometry, bodyMaterial);
-        rightArm.position.set(0.8, 1.8, 0);
-        rightArm.rotation.z = -0.3; // Reaching pose
-        rightArm.castShadow = true;
-        monsterGroup.add(rightArm);
-        
-        // Add clawed hands
-        const clawGeometry = new THREE.ConeGeometry(0.05, 0.2, 6);
-        const clawMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
-        
-        for (let arm = 0; arm < 2; arm++) {
-            for (let claw = 0; claw < 5; claw++) {
-                const clawMesh = new THREE.Mesh(clawGeometry, clawMaterial);
-                clawMesh.position.set(
-                    arm === 0 ? -1.1 : 1.1,
-                    0.9,
-                    0.1 + (claw - 2) * 0.05
+    createLayoutElement(element, origin) {
+        // Element positions are relative to the zone origin (y is absolute)
+        const position = element.position || [0, 0];
+        const x = origin.x + position[0];
+        const z = origin.z + position[position.length - 1];
+        const shapes = this.mapSystem.shapes; // What the maps draw for each element, seen from above
+        
+        switch (element.type) {
+            case 'block': {
+                const jitter = element.sizeJitter || [0, 0, 0];
+                const width = element.size[0] + this.random() * jitter[0];
+                const height = element.size[1] + this.random() * jitter[1];
+                const depth = element.size[2] + this.random() * jitter[2];
+                this.createBlock(
+                    x, position[1], z,
+                    width, height, depth,
+                    this.layoutColor(element.color),
+                    element.transparent === true,
+                    element.opacity ?? 1,
+                    element.collidable !== false,
+                    element.texture || null
                 );
-                clawMesh.rotation.x = Math.PI;
-                clawMesh.rotation.z = (arm === 0 ? 0.3 : -0.3) + (claw - 2) * 0.1;
-                monsterGroup.add(clawMesh);
+                shapes.push({ kind: 'rect', x, z, width, depth, color: element.color, opacity: element.opacity ?? 1, top: position[1] + height / 2 });
+                break;
+            }
+            case 'text':
+                this.createText(element.text, x, position[1], z, element.size ?? 2, this.layoutColor(element.color || '#FFFFFF'));
+                break;
+            case 'path':
+                this.createPath(x, position[1], z, element.size[0], element.size[1]);
+                shapes.push({ kind: 'rect', x, z, width: element.size[0], depth: element.size[1], color: '#696969', opacity: 1, top: position[1] });
+                this.guestSystem.paths.push({ x, z, width: element.size[0], depth: element.size[1] });
+                break;
+            case 'water':
+                this.createWater(x, position[1], z, element.radius, element.height, this.layoutColor(element.color), element.opacity ?? 1);
+                shapes.push({ kind: 'circle', x, z, radius: element.radius, color: element.color, opacity: element.opacity ?? 1, top: position[1] + element.height / 2 });
+                break;
+            case 'palmTree':
+                this.createPalmTree(x, z);
+                shapes.push({ kind: 'circle', x, z, radius: 4, color: '#228B22', opacity: 1, top: 16 });
+                break;
+            case 'spookyTree':
+                this.createSpookyTree(x, z);
+                shapes.push({ kind: 'circle', x, z, radius: 5, color: '#1A4D1A', opacity: 1, top: 17 });
+                break;
+            case 'stairs': {
+                const depth = element.depth ?? 1;
+                this.createStairs(x, z, element.direction, element.rise, element.width, this.layoutColor(element.color), depth);
+                shapes.push(this.getClimbFootprint(x, z, element.direction, Math.ceil(element.rise / this.physicsSystem.stairRise) * depth, element.width, element.color, element.rise));
+                break;
             }
+            case 'ramp':
+                this.createRamp(x, z, element.direction, element.length, element.rise, element.width, this.layoutColor(element.color));
+                shapes.push(this.getClimbFootprint(x, z, element.direction, element.length, element.width, element.color, element.rise));
+                break;
+            case 'ring':
+                // Repeat one element evenly around a circle
+                for (let i = 0; i < element.count; i++) {
+                    const angle = (i / element.count) * Math.PI * 2;
+                    this.createLayoutElement(element.element, {
+                        x: origin.x + Math.cos(angle) * element.radius,
+                        z: origin.z + Math.sin(angle) * element.radius
+                    });
+                }
+                break;
+            case 'scatter':
+                // Drop a small group of elements at random spots inside an area
+                for (let i = 0; i < element.count; i++) {
+                    const scatterOrigin = {
+                        x: origin.x + element.area.x[0] + this.random() * (element.area.x[1] - element.area.x[0]),
+                        z: origin.z + element.area.z[0] + this.random() * (element.area.z[1] - element.area.z[0])
+                    };
+                    element.elements.forEach(child => this.createLayoutElement(child, scatterOrigin));
+                }
+                break;
+        }
+    }
+    
+    createLayoutLight(light, origin) {
+        const color = this.layoutColor(light.color);
+        let lightObject;
+        
+        if (light.type === 'spot') {
+            lightObject = new THREE.SpotLight(color, light.intensity, light.distance, THREE.MathUtils.degToRad(light.angle ?? 45), light.penumbra ?? 0);
+            const target = light.target || [0, 0, 0];
+            lightObject.target.position.set(origin.x + target[0], target[1], origin.z + target[2]);
+            this.scene.add(lightObject.target);
+        } else {
+            lightObject = new THREE.PointLight(color, light.intensity, light.distance);
         }
         
-        // Make monster much taller and more imposing
-        monsterGroup.scale.set(2, 2, 2); // 2x larger than before
-        monsterGroup.position.set(x, 0, z);
-        this.scene.add(monsterGroup);
-        
-        return monsterGroup;
+        lightObject.position.set(origin.x + light.position[0], light.position[1], origin.z + light.position[2]);
+        lightObject.castShadow = light.castShadow === true;
+        this.scene.add(lightObject);
+        return lightObject;
     }
     
-    // ===== DYNAMIC WORLD SYSTEMS =====
+    createGround(size, color) {
+        // USS park ground (larger for all zones)
+        const groundGeometry = new THREE.PlaneGeometry(size, size);
+        const groundMaterial = new THREE.MeshLambertMaterial({ color: color });
+        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+        ground.rotation.x = -Math.PI / 2;
+        ground.position.y = 0;
+        ground.receiveShadow = true;
+        this.scene.add(ground);
+    }
     
-    createInteractiveNPCs() {
-        console.log('🎭 Creating interactive NPCs...');
-        
-        const interactiveNPCData = [
-            // Park Staff who interact with guests
-            { x: 10, z: 90, type: 'staff', name: 'Emma the Guide', 
-              dialogues: [
-                'Welcome to Universal Studios Singapore!',
-                'The Mummy ride is really scary but so much fun!',
-                'Have you tried the Jurassic Park ride yet?',
-                'Don\'t miss the Far Far Away castle!'
-              ]
-            },
-            { x: -20, z: 30, type: 'vendor', name: 'Carlos the Snack Man',
-              dialogues: [
-                'Fresh popcorn! Get your popcorn here!',
-                'Would you like some cotton candy?',
-                'Best ice cream in the whole park!',
-                'Stay hydrated, girls!'
-              ]
-            },
-            { x: -70, z: 10, type: 'photographer', name: 'Maya the Photo Lady',
-              dialogues: [
-                'Perfect! Hold that pose!',
-                'You two look amazing together!',
-                'Want a photo with the pyramid?',
-                'Say cheese for the camera!'
-              ]
-            },
-            { x: 70, z: -70, type: 'mechanic', name: 'Tech Mike',
-              dialogues: [
-                'The robots here are so cool!',
-                'This is the future of theme parks!',
-                'Did you see the holographic displays?',
-                'Technology is amazing, isn\'t it?'
-              ]
-            },
-            { x: -70, z: 70, type: 'princess', name: 'Princess Fiona',
-              dialogues: [
-                'Welcome to Far Far Away!',
-                'Have you seen Shrek around?',
-                'This castle is magical!',
-                'Dreams really do come true here!'
-              ]
-            }
-        ];
-        
-        interactiveNPCData.forEach(npcData => {
-            const npc = this.createDetailedNPC(npcData);
-            this.interactiveNPCs.push(npc);
-            this.scene.add(npc);
+    createWater(x, y, z, radius, height, color, opacity) {
+        // Lagoons, ponds and other open water
+        const waterGeometry = new THREE.CylinderGeometry(radius, radius, height);
+        const waterMaterial = new THREE.MeshLambertMaterial({ 
+            color: color, 
+            transparent: opacity < 1, 
+            opacity: opacity 
         });
+        const water = new THREE.Mesh(waterGeometry, waterMaterial);
+        water.position.set(x, y, z);
+        water.receiveShadow = true;
+        this.scene.add(water);
+        return water;
     }
     
-    createDetailedNPC(npcData) {
-        const npcGroup = new THREE.Group();
-        
-        // More detailed character than regular NPCs
-        const scale = 2.5;
-        
-        // Body
-        const bodyGeometry = new THREE.BoxGeometry(0.4 * scale, 0.6 * scale, 0.2 * scale);
-        const bodyColor = npcData.type === 'staff' ? 0x0066cc : 
-                         npcData.type === 'vendor' ? 0xff6600 :
-                         npcData.type === 'photographer' ? 0x9966cc :
-                         npcData.type === 'mechanic' ? 0x333333 :
-                         0xff69b4; // princess
-                         
-        const bodyMaterial = new THREE.MeshPhongMaterial({ color: bodyColor });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 0.3 * scale;
-        body.castShadow = true;
-        npcGroup.add(body);
-        
-        // Head
-        const headGeometry = new THREE.SphereGeometry(0.15 * scale, 16, 12);
-        const headMaterial = new THREE.MeshPhongMaterial({ color: 0xffdbac });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 0.75 * scale;
-        head.castShadow = true;
-        npcGroup.add(head);
-        
-        // Special accessories based on type
-        if (npcData.type === 'staff') {
-            // Staff hat
-            const hatGeometry = new THREE.CylinderGeometry(0.18 * scale, 0.18 * scale, 0.1 * scale);
-            const hatMaterial = new THREE.MeshPhongMaterial({ color: 0x003366 });
-            const hat = new THREE.Mesh(hatGeometry, hatMaterial);
-            hat.position.y = 0.85 * scale;
-            npcGroup.add(hat);
-        } else if (npcData.type === 'photographer') {
-            // Camera
-            const cameraGeometry = new THREE.BoxGeometry(0.2 * scale, 0.15 * scale, 0.1 * scale);
-            const cameraMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
-            const camera = new THREE.Mesh(cameraGeometry, cameraMaterial);
-            camera.position.set(0.3 * scale, 0.4 * scale, 0.2 * scale);
-            npcGroup.add(camera);
+    createPath(x, y, z, width, depth) {
+        const pathGeometry = new THREE.PlaneGeometry(width, depth);
+        const pathMaterial = new THREE.MeshLambertMaterial({ color: 0x696969 });
+        const path = new THREE.Mesh(pathGeometry, pathMaterial);
+        path.rotation.x = -Math.PI / 2;
+        path.position.set(x, y, z);
+        path.receiveShadow = true;
+        this.scene.add(path);
+    }
+    
+    createStairs(x, z, direction, rise, width, color, depth) {
+        // Solid steps from the ground up, each low enough to walk up without jumping.
+        // (x, z) is the middle of the bottom step's front edge
+        const [dirX, dirZ] = this.parkLayout.directions[direction];
+        const steps = Math.ceil(rise / this.physicsSystem.stairRise);
+        for (let i = 0; i < steps; i++) {
+            const height = rise * (i + 1) / steps;
+            const along = (i + 0.5) * depth;
+            this.createBlock(
+                x + dirX * along, height / 2, z + dirZ * along,
+                dirX !== 0 ? depth : width, height, dirX !== 0 ? width : depth,
+                color, false, 1, true, 'stone'
+            );
         }
-        
-        // Position and data
-        npcGroup.position.set(npcData.x, 0, npcData.z);
-        npcGroup.userData = {
-            type: 'interactiveNPC',
-            name: npcData.name,
-            dialogues: npcData.dialogues,
-            lastInteraction: 0,
-            currentDialogue: 0,
-            isInteracting: false,
-            interactionRange: 8,
-            personality: npcData.type
+    }
+    
+    getClimbFootprint(x, z, direction, length, width, color, top) {
+        // Map rectangle covered by stairs or a ramp that climbs length units from (x, z)
+        const [dirX, dirZ] = this.parkLayout.directions[direction];
+        return {
+            kind: 'rect',
+            x: x + dirX * length / 2,
+            z: z + dirZ * length / 2,
+            width: dirX !== 0 ? length : width,
+            depth: dirX !== 0 ? width : length,
+            color: color,
+            opacity: 1,
+            top: top
         };
-        
-        return npcGroup;
     }
     
-    createCrowdSystem() {
-        console.log('👥 Creating crowd system...');
-        
-        // Create moving groups of people
-        const crowdGroups = [
-            // Hollywood entrance crowd
-            { centerX: 0, centerZ: 100, count: 8, radius: 15, speed: 0.5 },
-            // Lagoon walkers
-            { centerX: 0, centerZ: 0, count: 12, radius: 25, speed: 0.3 },
-            // Sci-Fi City visitors
-            { centerX: 80, centerZ: -80, count: 6, radius: 20, speed: 0.7 },
-            // Egypt explorers
-            { centerX: -80, centerZ: 0, count: 5, radius: 18, speed: 0.4 },
-            // Castle visitors
-            { centerX: -80, centerZ: 80, count: 7, radius: 22, speed: 0.6 }
-        ];
+    createRamp(x, z, direction, length, rise, width, color) {
+        // A walkable slope from the ground at (x, z) up to rise, drawn as a tilted slab.
+        // It collides by its surface height (rampHeight) rather than its box, so it can be walked up
+        const [dirX, dirZ] = this.parkLayout.directions[direction];
+        const axis = dirX !== 0 ? 'x' : 'z';
+        const sign = dirX + dirZ;
+        const angle = Math.atan2(rise, length);
+        const thickness = 0.3;
+        const slope = Math.hypot(length, rise);
+        
+        const geometry = axis === 'x'
+            ? new THREE.BoxGeometry(slope, thickness, width)
+            : new THREE.BoxGeometry(width, thickness, slope);
+        const material = new THREE.MeshPhongMaterial({ color: color, shininess: 30, specular: 0x333333 });
+        const ramp = new THREE.Mesh(geometry, material);
+        // The slab's top face is the walking surface
+        ramp.position.set(x + dirX * length / 2, rise / 2 - thickness / 2 / Math.cos(angle), z + dirZ * length / 2);
+        if (axis === 'x') {
+            ramp.rotation.z = sign * angle;
+        } else {
+            ramp.rotation.x = -sign * angle;
+        }
+        ramp.castShadow = true;
+        ramp.receiveShadow = true;
+        
+        const endX = x + dirX * length;
+        const endZ = z + dirZ * length;
+        const halfWidth = width / 2;
+        ramp.userData.boundingBox = new THREE.Box3(
+            new THREE.Vector3(Math.min(x, endX) - (axis === 'z' ? halfWidth : 0), 0, Math.min(z, endZ) - (axis === 'x' ? halfWidth : 0)),
+            new THREE.Vector3(Math.max(x, endX) + (axis === 'z' ? halfWidth : 0), rise, Math.max(z, endZ) + (axis === 'x' ? halfWidth : 0))
+        );
+        ramp.userData.collidable = true;
+        ramp.userData.ramp = { axis: axis, sign: sign, foot: axis === 'x' ? x : z, length: length, rise: rise };
+        this.collisionObjects.push(ramp);
+        this.registerStaticCollider(ramp);
         
-        crowdGroups.forEach((groupData, groupIndex) => {
-            const crowd = [];
-            for (let i = 0; i < groupData.count; i++) {
-                const person = this.createCrowdPerson();
-                
-                // Random position within the group's area
-                const angle = (i / groupData.count) * Math.PI * 2;
-                const distance = Math.random() * groupData.radius;
-                person.position.set(
-                    groupData.centerX + Math.cos(angle) * distance,
-                    0,
-                    groupData.centerZ + Math.sin(angle) * distance
-                );
-                
-                person.userData.groupId = groupIndex;
-                person.userData.groupCenter = { x: groupData.centerX, z: groupData.centerZ };
-                person.userData.groupRadius = groupData.radius;
-                person.userData.baseSpeed = groupData.speed;
-                person.userData.direction = Math.random() * Math.PI * 2;
-                person.userData.directionChangeTime = 0;
-                
-                crowd.push(person);
-                this.scene.add(person);
-            }
-            this.crowds.push(crowd);
-        });
+        this.scene.add(ramp);
+        return ramp;
     }
     
-    createCrowdPerson() {
-        const personGroup = new THREE.Group();
-        const scale = 1.5 + Math.random() * 0.5; // Varied sizes
-        
-        // Simple but distinctive character
-        const bodyGeometry = new THREE.CylinderGeometry(0.15 * scale, 0.2 * scale, 0.8 * scale);
-        const colors = [0xff6b6b, 0x4ecdc4, 0x45b7d1, 0xf9ca24, 0xf0932b, 0xeb4d4b, 0x6c5ce7];
-        const bodyMaterial = new THREE.MeshPhongMaterial({ 
-            color: colors[Math.floor(Math.random() * colors.length)] 
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 0.4 * scale;
-        body.castShadow = true;
-        personGroup.add(body);
-        
-        // Head
-        const headGeometry = new THREE.SphereGeometry(0.12 * scale, 8, 6);
-        const headMaterial = new THREE.MeshPhongMaterial({ color: 0xffdbac });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 0.9 * scale;
-        head.castShadow = true;
-        personGroup.add(head);
-        
-        personGroup.userData.type = 'crowdPerson';
-        personGroup.userData.walkSpeed = 0.5 + Math.random() * 0.5;
+    createPalmTree(x, z) {
+        // Palm tree trunk
+        this.createBlock(x, 8, z, 1, 16, 1, 0x8B4513);
         
-        return personGroup;
+        // Palm fronds
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2;
+            const frondX = x + Math.cos(angle) * 4;
+            const frondZ = z + Math.sin(angle) * 4;
+            this.createBlock(frondX, 15, frondZ, 0.5, 6, 0.5, 0x228B22);
+        }
     }
     
-    createThemeRides() {
-        console.log('🎢 Creating interactive theme rides...');
+    createSpookyTree(x, z) {
+        // Dark tree trunk
+        this.createBlock(x, 6, z, 2, 12, 2, 0x2f2f2f);
+        
+        // Dark foliage
+        this.createBlock(x, 12, z, 10, 4, 10, 0x1a4d1a, true, 0.8);
+        this.createBlock(x, 15, z, 8, 4, 8, 0x1a4d1a, true, 0.8);
+        this.createBlock(x, 18, z, 6, 4, 6, 0x1a4d1a, true, 0.8);
+    }
+    
+    createNPCs() {
+        // Create various NPCs throughout the park
+        const npcLocations = [
+            // Hollywood zone visitors
+            { x: -10, z: 90, type: 'family' },
+            { x: 15, z: 95, type: 'couple' },
+            { x: -5, z: 85, type: 'child' },
+            
+            // Around lagoon
+            { x: 30, z: 30, type: 'tourist' },
+            { x: -25, z: 25, type: 'photographer' },
+            { x: 20, z: -20, type: 'family' },
+            { x: -30, z: -30, type: 'couple' },
+            
+            // Zone-specific NPCs
+            { x: -60, z: 10, type: 'archaeologist' }, // Ancient Egypt
+            { x: -70, z: 70, type: 'fairy' },        // Far Far Away
+            { x: 70, z: -70, type: 'robot' },        // Sci-Fi City
+            { x: -70, z: -50, type: 'explorer' },    // Lost World
+            { x: 60, z: 60, type: 'reporter' },      // New York
+            
+            // Staff members
+            { x: 0, z: 50, type: 'staff' },          // Near entrance
+            { x: -40, z: 0, type: 'security' },     // Near Egypt
+            { x: 40, z: 0, type: 'maintenance' }    // Near coaster
+        ];
+        
+        npcLocations.forEach((npcData, index) => {
+            const npc = this.createNPC(npcData.x, npcData.z, npcData.type);
+            npc.userData.id = index;
+            npc.userData.type = npcData.type;
+            npc.userData.walkSpeed = 1 + this.random() * 2;
+            npc.userData.targetPosition = new THREE.Vector3(npcData.x, 1.35, npcData.z);
+            npc.userData.wanderRadius = 10 + this.random() * 15;
+            npc.userData.lastDirectionChange = 0;
+            this.npcs.push(npc);
+        });
+        
+        console.log(`Created ${this.npcs.length} NPCs`);
+    }
+    
+    createNPC(x, z, type) {
+        const npcGroup = new THREE.Group();
+        
+        // Base colors and characteristics for different NPC types
+        const npcTypes = {
+            family: { bodyColor: 0x4169e1, headColor: 0xffdbac, height: 1.6 },
+            couple: { bodyColor: 0xff69b4, headColor: 0xffdbac, height: 1.7 },
+            child: { bodyColor: 0x32cd32, headColor: 0xffdbac, height: 1.2 },
+            tourist: { bodyColor: 0xffd700, headColor: 0xffdbac, height: 1.65 },
+            photographer: { bodyColor: 0x8b4513, headColor: 0xffdbac, height: 1.6 },
+            archaeologist: { bodyColor: 0xdeb887, headColor: 0xd2691e, height: 1.65 },
+            fairy: { bodyColor: 0xff1493, headColor: 0xffdbac, height: 1.5 },
+            robot: { bodyColor: 0x2f4f4f, headColor: 0x696969, height: 1.8 },
+            explorer: { bodyColor: 0x228b22, headColor: 0xd2691e, height: 1.7 },
+            reporter: { bodyColor: 0x4682b4, headColor: 0xffdbac, height: 1.65 },
+            staff: { bodyColor: 0xff4500, headColor: 0xffdbac, height: 1.6 },
+            security: { bodyColor: 0x000080, headColor: 0xffdbac, height: 1.75 },
+            maintenance: { bodyColor: 0x708090, headColor: 0xffdbac, height: 1.65 }
+        };
+        
+        const npcData = npcTypes[type] || npcTypes.tourist;
+        const scale = npcData.height / 1.6; // Scale relative to standard height
+        
+        // Body
+        const bodyGeometry = new THREE.BoxGeometry(0.3 * scale, 0.5 * scale, 0.15 * scale);
+        const bodyMaterial = new THREE.MeshPhongMaterial({ 
+            color: npcData.bodyColor,
+            shininess: 10,
+            specular: 0x333333
+        });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.position.y = 0.25 * scale;
+        body.castShadow = true;
+        npcGroup.add(body);
+        
+        // Head
+        const headGeometry = new THREE.SphereGeometry(0.12 * scale, 12, 8);
+        const headMaterial = new THREE.MeshPhongMaterial({ 
+            color: npcData.headColor,
+            shininess: 20,
+            specular: 0x333333
+        });
+        const head = new THREE.Mesh(headGeometry, headMaterial);
+        head.position.y = 0.62 * scale;
+        head.castShadow = true;
+        npcGroup.add(head);
+        
+        // Hair (random color)
+        const hairColors = [0x8b4513, 0x000000, 0xffff80, 0xff8c00, 0x696969];
+        const hairColor = hairColors[Math.floor(this.random() * hairColors.length)];
+        const hairGeometry = new THREE.SphereGeometry(0.14 * scale, 8, 6);
+        const hairMaterial = new THREE.MeshPhongMaterial({ 
+            color: hairColor,
+            shininess: 50,
+            specular: 0x444444
+        });
+        const hair = new THREE.Mesh(hairGeometry, hairMaterial);
+        hair.position.y = 0.68 * scale;
+        hair.castShadow = true;
+        npcGroup.add(hair);
+        
+        // Arms
+        const armGeometry = new THREE.CylinderGeometry(0.04 * scale, 0.03 * scale, 0.25 * scale, 6);
+        const armMaterial = new THREE.MeshPhongMaterial({ 
+            color: npcData.headColor,
+            shininess: 20,
+            specular: 0x333333
+        });
+        
+        const leftArm = new THREE.Mesh(armGeometry, armMaterial);
+        leftArm.position.set(-0.2 * scale, 0.3 * scale, 0);
+        leftArm.castShadow = true;
+        npcGroup.add(leftArm);
+        
+        const rightArm = new THREE.Mesh(armGeometry, armMaterial);
+        rightArm.position.set(0.2 * scale, 0.3 * scale, 0);
+        rightArm.castShadow = true;
+        npcGroup.add(rightArm);
+        
+        // Legs
+        const legGeometry = new THREE.CylinderGeometry(0.05 * scale, 0.04 * scale, 0.3 * scale, 6);
+        const legMaterial = new THREE.MeshPhongMaterial({ 
+            color: this.random() > 0.5 ? 0x4169e1 : 0x8b4513, // Random pants color
+            shininess: 5,
+            specular: 0x222222
+        });
+        
+        const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
+        leftLeg.position.set(-0.08 * scale, -0.15 * scale, 0);
+        leftLeg.castShadow = true;
+        npcGroup.add(leftLeg);
+        
+        const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
+        rightLeg.position.set(0.08 * scale, -0.15 * scale, 0);
+        rightLeg.castShadow = true;
+        npcGroup.add(rightLeg);
+        
+        // Special accessories for certain types
+        if (type === 'photographer') {
+            // Camera
+            const cameraGeometry = new THREE.BoxGeometry(0.1, 0.06, 0.08);
+            const cameraMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
+            const camera = new THREE.Mesh(cameraGeometry, cameraMaterial);
+            camera.position.set(0.15 * scale, 0.4 * scale, 0.1 * scale);
+            npcGroup.add(camera);
+        } else if (type === 'security') {
+            // Hat
+            const hatGeometry = new THREE.CylinderGeometry(0.15 * scale, 0.15 * scale, 0.03 * scale);
+            const hatMaterial = new THREE.MeshPhongMaterial({ color: 0x000080 });
+            const hat = new THREE.Mesh(hatGeometry, hatMaterial);
+            hat.position.y = 0.75 * scale;
+            npcGroup.add(hat);
+        } else if (type === 'fairy') {
+            // Wings
+            const wingGeometry = new THREE.PlaneGeometry(0.2 * scale, 0.3 * scale);
+            const wingMaterial = new THREE.MeshPhongMaterial({ 
+                color: 0xffffff, 
+                transparent: true, 
+                opacity: 0.7 
+            });
+            const leftWing = new THREE.Mesh(wingGeometry, wingMaterial);
+            leftWing.position.set(-0.15 * scale, 0.4 * scale, -0.1 * scale);
+            leftWing.rotation.y = -0.3;
+            npcGroup.add(leftWing);
+            
+            const rightWing = new THREE.Mesh(wingGeometry, wingMaterial);
+            rightWing.position.set(0.15 * scale, 0.4 * scale, -0.1 * scale);
+            rightWing.rotation.y = 0.3;
+            npcGroup.add(rightWing);
+        }
+        
+        npcGroup.position.set(x, 1.35 * scale - 0.35, z);
+        this.scene.add(npcGroup);
+        
+        return npcGroup;
+    }
+    
+    updateNPCs(deltaTime) {
+        this.npcs.forEach(npc => {
+            const time = this.gameClock.elapsed;
+            
+            // Simple wandering behavior
+            if (time - npc.userData.lastDirectionChange > 3 + this.random() * 4) {
+                // Change direction
+                const angle = this.random() * Math.PI * 2;
+                const distance = this.random() * npc.userData.wanderRadius;
+                npc.userData.targetPosition.set(
+                    npc.position.x + Math.cos(angle) * distance,
+                    npc.position.y,
+                    npc.position.z + Math.sin(angle) * distance
+                );
+                npc.userData.lastDirectionChange = time;
+            }
+            
+            // Move towards target
+            const direction = new THREE.Vector3()
+                .subVectors(npc.userData.targetPosition, npc.position);
+            
+            if (direction.length() > 0.5) {
+                direction.normalize();
+                const movement = direction.multiplyScalar(npc.userData.walkSpeed * deltaTime);
+                npc.position.add(movement);
+                npc.lookAt(npc.userData.targetPosition);
+                
+                // Simple walking animation
+                npc.position.y = npc.userData.baseY || npc.position.y;
+                npc.position.y += Math.sin(time * 8 + npc.userData.id) * 0.02;
+                
+                // Animate limbs
+                if (npc.children.length > 4) {
+                    const leftArm = npc.children.find(child => child.position.x < -0.1);
+                    const rightArm = npc.children.find(child => child.position.x > 0.1);
+                    if (leftArm) leftArm.rotation.x = Math.sin(time * 4 + npc.userData.id) * 0.3;
+                    if (rightArm) rightArm.rotation.x = -Math.sin(time * 4 + npc.userData.id) * 0.3;
+                }
+            }
+        });
+    }
+    
+    addParticleEffects() {
+        // Create floating particles around the lagoon (magical atmosphere)
+        const lagoonParticles = this.createParticleSystem(0, 5, 0, 30, 0x87ceeb, 50);
+        
+        // Ancient Egypt - dust particles
+        const dustParticles = this.createParticleSystem(-80, 3, 0, 20, 0xdeb887, 30);
+        
+        // Far Far Away - magical sparkles
+        const sparkles = this.createParticleSystem(-80, 10, 80, 15, 0xff69b4, 40);
+        
+        // Sci-Fi City - energy particles
+        const energyParticles = this.createParticleSystem(80, 8, -80, 25, 0x00ffff, 35);
+        
+        console.log('Particle effects added');
+    }
+    
+    createParticleSystem(x, y, z, radius, color, count) {
+        const particles = new THREE.Group();
+        
+        for (let i = 0; i < count; i++) {
+            const particleGeometry = new THREE.SphereGeometry(0.05 + this.random() * 0.05, 4, 3);
+            const particleMaterial = new THREE.MeshBasicMaterial({ 
+                color: color,
+                transparent: true,
+                opacity: 0.3 + this.random() * 0.4
+            });
+            
+            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            
+            // Random position within radius
+            const angle = this.random() * Math.PI * 2;
+            const distance = this.random() * radius;
+            particle.position.set(
+                x + Math.cos(angle) * distance,
+                y + this.random() * 10,
+                z + Math.sin(angle) * distance
+            );
+            
+            // Store animation data
+            particle.userData = {
+                baseY: particle.position.y,
+                speed: 0.5 + this.random() * 1.5,
+                amplitude: 1 + this.random() * 2,
+                phase: this.random() * Math.PI * 2
+            };
+            
+            particles.add(particle);
+        }
+        
+        this.scene.add(particles);
+        
+        // Add to update list for animation
+        if (!this.particleSystems) this.particleSystems = [];
+        this.particleSystems.push(particles);
+        
+        return particles;
+    }
+    
+    updateParticleEffects() {
+        if (!this.particleSystems) return;
+        
+        const time = this.gameClock.elapsed;
+        
+        this.particleSystems.forEach(system => {
+            system.children.forEach(particle => {
+                // Floating animation
+                particle.position.y = particle.userData.baseY + 
+                    Math.sin(time * particle.userData.speed + particle.userData.phase) * particle.userData.amplitude;
+                
+                // Gentle rotation
+                particle.rotation.y += 0.01;
+                particle.rotation.x += 0.005;
+                
+                // Subtle horizontal drift
+                particle.position.x += Math.sin(time * 0.5 + particle.userData.phase) * 0.01;
+                particle.position.z += Math.cos(time * 0.5 + particle.userData.phase) * 0.01;
+            });
+        });
+    }
+    
+    placeTreasures() {
+        // Layouts from before version 2 don't place treasures, so they get the original five
+        const layoutTreasures = this.parkLayout.data && this.parkLayout.data.treasures;
+        const treasureLocations = layoutTreasures ? layoutTreasures.map(treasure => {
+            const origin = this.parkLayout.zones.find(zone => zone.id === treasure.zone).origin;
+            const toWorld = position => new THREE.Vector3(origin.x + position[0], position[1], origin.z + position[2]);
+            return {
+                // The layout position comes first: it is the spot used in fixed mode
+                spots: [treasure.position, ...(treasure.candidates || [])].map(toWorld),
+                origin: origin,
+                puzzle: treasure.puzzle
+            };
+        }) : [
+            { x: -80, y: 3, z: -10 }, // Inside Mummy maze (Ancient Egypt)
+            { x: -80, y: 3, z: 60 },  // Shrek's Castle (Far Far Away)
+            { x: 80, y: 30, z: -80 }, // Top of Battlestar Galactica (Sci-Fi City)
+            { x: -80, y: 3, z: -60 }, // Jurassic Park (Lost World)
+            { x: 80, y: 3, z: 70 }    // New York zone
+        ].map(loc => ({ spots: [new THREE.Vector3(loc.x, loc.y, loc.z)] }));
+        
+        treasureLocations.forEach((loc, index) => {
+            const treasure = this.createTreasure(loc.spots[0].x, loc.spots[0].y, loc.spots[0].z);
+            Object.assign(treasure.userData, {
+                id: index,
+                collected: false,
+                spots: loc.spots,
+                puzzle: loc.puzzle ? this.createPuzzle(loc.puzzle, loc.origin) : null
+            });
+            this.treasures.push(treasure);
+        });
+        if (this.treasurePlacement.mode === 'random') this.shuffleTreasures();
+        
+        console.log(`Placed ${this.treasures.length} treasures around the park (${this.treasurePlacement.mode} spots)`);
+    }
+    
+    shuffleTreasures() {
+        // Every chest moves to a seeded pick from its own spots, so each zone keeps one treasure
+        this.treasures.forEach(treasure => {
+            this.moveTreasure(treasure, this.pickTreasureSpot(treasure.userData.spots));
+        });
+    }
+    
+    pickTreasureSpot(spots) {
+        // Try the spots in a seeded random order and take the first one a girl can get to
+        const order = spots.slice();
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        
+        const spot = order.find(candidate => this.isTreasureSpotReachable(candidate));
+        if (spot) return spot;
+        console.warn(`💰 No reachable spot for the treasure at (${spots[0].x}, ${spots[0].y}, ${spots[0].z}), leaving it there`);
+        return spots[0];
+    }
+    
+    isTreasureSpotReachable(spot) {
+        // Chests are picked up from the ground: the spot has to be low enough to reach,
+        // clear of every collision block and connected to the park entrance
+        if (Math.abs(spot.y - this.minaPosition.y) >= this.treasurePlacement.pickupRange) return false;
+        if (!this.isWalkable(spot.x, spot.z)) return false;
+        return this.getReachableCells()[this.worldToCell(spot.x, spot.z)] === 1;
+    }
+    
+    moveTreasure(treasure, position) {
+        treasure.position.copy(position);
+        treasure.userData.glow.position.copy(position);
+    }
+    
+    createTreasure(x, y, z) {
+        // Golden treasure chest
+        const chestGeometry = new THREE.BoxGeometry(1, 0.8, 1.2);
+        const chestMaterial = new THREE.MeshLambertMaterial({ 
+            color: 0xffd700,
+            emissive: 0x332200
+        });
+        const chest = new THREE.Mesh(chestGeometry, chestMaterial);
+        chest.position.set(x, y, z);
+        chest.castShadow = true;
+        
+        // Add glowing effect
+        const glowGeometry = new THREE.SphereGeometry(1.5);
+        const glowMaterial = new THREE.MeshBasicMaterial({ 
+            color: 0xffff00, 
+            transparent: true, 
+            opacity: 0.2 
+        });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        glow.position.copy(chest.position);
+        chest.userData.glow = glow;
+        
+        this.scene.add(chest);
+        this.scene.add(glow);
+        
+        return chest;
+    }
+    
+    spawnMonsters() {
+        const monsterSpawnPoints = [
+            { x: -70, z: 10 },   // Ancient Egypt zone
+            { x: -70, z: -70 },  // Lost World zone  
+            { x: 70, z: -70 },   // Sci-Fi City zone
+            { x: 70, z: 70 },    // New York zone
+            { x: -70, z: 70 }    // Far Far Away zone
+        ];
+        
+        monsterSpawnPoints.forEach((spawn, index) => {
+            // Keep mummies from starting inside a building
+            const spawnPoint = this.snapToWalkable(new THREE.Vector3(spawn.x, 0, spawn.z));
+            const monster = this.createMummyMonster(spawnPoint.x, spawnPoint.z);
+            monster.userData = { 
+                id: index, 
+                targetPosition: new THREE.Vector3(),
+                speed: 3 + this.random() * 2,
+                detectionRadius: 15,
+                chasing: false,
+                originalY: monster.position.y,
+                spawnPosition: new THREE.Vector3(spawnPoint.x, monster.position.y, spawnPoint.z),
+                collisionBody: this.collisionSystem.bodies.monster,
+                aiState: 'patrolling'
+            };
+            this.monsters.push(monster);
+        });
+        
+        console.log('Spawned 5 mummy monsters');
+    }
+    
+    createMummyMonster(x, z) {
+        const monsterGroup = new THREE.Group();
+        
+        // MUCH larger and scarier mummy body
+        const bodyGeometry = new THREE.BoxGeometry(1.2, 2.5, 0.6);
+        const bodyMaterial = new THREE.MeshLambertMaterial({ 
+            color: 0x8b7355,  // Darker, dirtier mummy wrap
+            transparent: true,
+            opacity: 0.9
+        });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.position.y = 1.25;
+        body.castShadow = true;
+        monsterGroup.add(body);
+        
+        // Add tattered wrap details
+        for (let i = 0; i < 8; i++) {
+            const wrapGeometry = new THREE.BoxGeometry(0.1, 0.3, 0.05);
+            const wrapMaterial = new THREE.MeshLambertMaterial({ 
+                color: 0x696969,
+                transparent: true,
+                opacity: 0.7
+            });
+            const wrap = new THREE.Mesh(wrapGeometry, wrapMaterial);
+            wrap.position.set(
+                (this.random() - 0.5) * 1.2,
+                0.5 + this.random() * 1.5,
+                0.35 + this.random() * 0.2
+            );
+            wrap.rotation.set(
+                (this.random() - 0.5) * 0.5,
+                (this.random() - 0.5) * 1,
+                (this.random() - 0.5) * 0.5
+            );
+            monsterGroup.add(wrap);
+        }
+        
+        // Larger, scarier head
+        const headGeometry = new THREE.BoxGeometry(0.7, 0.7, 0.6);
+        const head = new THREE.Mesh(headGeometry, bodyMaterial);
+        head.position.y = 3.2;
+        head.castShadow = true;
+        monsterGroup.add(head);
+        
+        // MUCH larger glowing red eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.12);
+        const eyeMaterial = new THREE.MeshBasicMaterial({ 
+            color: 0xff0000, 
+            emissive: 0xff0000,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(-0.2, 3.3, 0.3);
+        monsterGroup.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(0.2, 3.3, 0.3);
+        monsterGroup.add(rightEye);
+        
+        // Add glowing eye effect
+        const glowGeometry = new THREE.SphereGeometry(0.18);
+        const glowMaterial = new THREE.MeshBasicMaterial({ 
+            color: 0xff4444,
+            transparent: true,
+            opacity: 0.3
+        });
+        
+        const leftGlow = new THREE.Mesh(glowGeometry, glowMaterial);
+        leftGlow.position.set(-0.2, 3.3, 0.3);
+        monsterGroup.add(leftGlow);
+        
+        const rightGlow = new THREE.Mesh(glowGeometry, glowMaterial);
+        rightGlow.position.set(0.2, 3.3, 0.3);
+        monsterGroup.add(rightGlow);
+        
+        // Longer, scarier arms
+        const armGeometry = new THREE.BoxGeometry(0.3, 1.8, 0.25);
+        const leftArm = new THREE.Mesh(armGeometry, bodyMaterial);
+        leftArm.position.set(-0.8, 1.8, 0);
+        leftArm.rotation.z = 0.3; // Reaching pose
+        leftArm.castShadow = true;
+        monsterGroup.add(leftArm);
+        
+        const rightArm = new THREE.Mesh(armGeometry, bodyMaterial);
+        rightArm.position.set(0.8, 1.8, 0);
+        rightArm.rotation.z = -0.3; // Reaching pose
+        rightArm.castShadow = true;
+        monsterGroup.add(rightArm);
+        
+        // Add clawed hands
+        const clawGeometry = new THREE.ConeGeometry(0.05, 0.2, 6);
+        const clawMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
+        
+        for (let arm = 0; arm < 2; arm++) {
+            for (let claw = 0; claw < 5; claw++) {
+                const clawMesh = new THREE.Mesh(clawGeometry, clawMaterial);
+                clawMesh.position.set(
+                    arm === 0 ? -1.1 : 1.1,
+                    0.9,
+                    0.1 + (claw - 2) * 0.05
+                );
+                clawMesh.rotation.x = Math.PI;
+                clawMesh.rotation.z = (arm === 0 ? 0.3 : -0.3) + (claw - 2) * 0.1;
+                monsterGroup.add(clawMesh);
+            }
+        }
+        
+        // Make monster much taller and more imposing
+        monsterGroup.scale.set(2, 2, 2); // 2x larger than before
+        monsterGroup.position.set(x, 0, z);
+        this.scene.add(monsterGroup);
+        
+        return monsterGroup;
+    }
+    
+    // ===== TREASURE PUZZLES =====
+    
+    createPuzzle(definition, origin) {
+        // Runtime state for one chest's puzzle; what it asks for stays in the layout definition
+        const puzzle = {
+            type: definition.type,
+            definition: definition,
+            status: 'locked', // locked, failed (showing the mistake for a moment) or solved
+            progress: [], // Parts used so far, in order
+            failedAt: -Infinity,
+            parts: [] // Lever or plate objects, in layout order
+        };
+        
+        // Part positions are relative to the zone origin, like the layout's trees
+        if (definition.type === 'leverSequence') {
+            puzzle.parts = definition.levers.map(lever => this.createPuzzleLever(origin.x + lever.position[0], origin.z + lever.position[1], lever));
+        } else if (definition.type === 'plateOrder') {
+            puzzle.parts = definition.plates.map(plate => this.createPuzzlePlate(origin.x + plate.position[0], origin.z + plate.position[1], plate));
+        }
+        return puzzle;
+    }
+    
+    createPuzzleLever(x, z, lever) {
+        const color = this.layoutColor(lever.color);
+        const leverGroup = new THREE.Group();
+        
+        // Stone base
+        const base = new THREE.Mesh(
+            new THREE.BoxGeometry(1.2, 0.6, 1.2),
+            new THREE.MeshLambertMaterial({ color: 0x8b7355 })
+        );
+        base.position.y = 0.3;
+        leverGroup.add(base);
+        
+        // Handle with a coloured knob, tipped back until it is pulled
+        const handle = new THREE.Group();
+        handle.position.y = 0.6;
+        const stick = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.1, 0.1, 1.8),
+            new THREE.MeshLambertMaterial({ color: 0x444444 })
+        );
+        stick.position.y = 0.9;
+        const knob = new THREE.Mesh(
+            new THREE.SphereGeometry(0.3),
+            new THREE.MeshLambertMaterial({ color: color, emissive: color, emissiveIntensity: 0.3 })
+        );
+        knob.position.y = 1.8;
+        handle.add(stick);
+        handle.add(knob);
+        handle.rotation.z = 0.5;
+        leverGroup.add(handle);
+        
+        leverGroup.position.set(x, 0, z);
+        leverGroup.userData = { kind: 'lever', label: lever.label, handle: handle, active: false };
+        this.scene.add(leverGroup);
+        return leverGroup;
+    }
+    
+    createPuzzlePlate(x, z, plate) {
+        const color = this.layoutColor(plate.color);
+        const plateMesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(1.4, 1.4, 0.3, 20),
+            new THREE.MeshLambertMaterial({ color: color, emissive: color, emissiveIntensity: 0.1 })
+        );
+        plateMesh.position.set(x, 0.15, z);
+        plateMesh.userData = { kind: 'plate', label: plate.label, active: false, occupied: false };
+        this.scene.add(plateMesh);
+        return plateMesh;
+    }
+    
+    setPuzzlePartActive(part, active) {
+        part.userData.active = active;
+        if (part.userData.kind === 'lever') {
+            part.userData.handle.rotation.z = active ? -0.5 : 0.5;
+        } else {
+            // Pressed plates sink and light up
+            part.position.y = active ? 0.05 : 0.15;
+            part.material.emissiveIntensity = active ? 0.8 : 0.1;
+        }
+    }
+    
+    resetPuzzle(puzzle) {
+        puzzle.status = 'locked';
+        puzzle.progress = [];
+        puzzle.parts.forEach(part => this.setPuzzlePartActive(part, false));
+    }
+    
+    restorePuzzle(puzzle, solved) {
+        // Loading a save: solved puzzles come back with their parts in the finished position
+        this.resetPuzzle(puzzle);
+        if (!solved) return;
+        puzzle.status = 'solved';
+        puzzle.progress = (puzzle.definition.sequence || []).slice();
+        puzzle.progress.forEach(index => this.setPuzzlePartActive(puzzle.parts[index], true));
+    }
+    
+    updatePuzzles() {
+        const puzzles = this.puzzleSystem;
+        const now = this.now();
+        
+        // A failed puzzle shows its mistake for a moment, then can be tried again
+        this.treasures.forEach(treasure => {
+            const puzzle = treasure.userData.puzzle;
+            if (puzzle && puzzle.status === 'failed' && now - puzzle.failedAt >= puzzles.failureTime) {
+                this.resetPuzzle(puzzle);
+            }
+        });
+        
+        // Interact works once per press: each girl with her own player in co-op, otherwise the one being played
+        const players = this.playerSystem.coop
+            ? [[this.mina, 0], [this.sacha, 1]]
+            : [[this.getActiveCharacter(), 0]];
+        players.forEach(([girl, player]) => {
+            const held = this.inputSystem.players[player].interact;
+            if (held && !puzzles.interactHeld[player]) this.interact(girl);
+            puzzles.interactHeld[player] = held;
+        });
+        
+        // Pressure plates go down as a girl someone is playing steps onto them - a companion tagging along doesn't count
+        this.treasures.forEach(treasure => {
+            const puzzle = treasure.userData.puzzle;
+            if (!puzzle || puzzle.type !== 'plateOrder') return;
+            puzzle.parts.forEach((plate, index) => {
+                const occupied = players.some(([girl]) => girl.parent === this.scene &&
+                    Math.hypot(girl.position.x - plate.position.x, girl.position.z - plate.position.z) < puzzles.plateRadius);
+                if (occupied && !plate.userData.occupied) this.usePuzzlePart(treasure, index);
+                plate.userData.occupied = occupied;
+            });
+        });
+        
+        // Walking away from a riddle ends it
+        if (puzzles.riddle && !players.some(([girl]) => {
+            const target = this.findPuzzleInteraction(girl);
+            return target && target.treasure === puzzles.riddle;
+        })) {
+            this.closeRiddle();
+        }
+        
+        // So does walking away from a park character mid-conversation
+        const conversation = this.dialogueSystem.conversation;
+        if (conversation && !players.some(([girl]) => this.canTalkTo(girl, conversation.npc))) {
+            this.endConversation();
+        }
+        
+        puzzles.prompt = this.getPuzzlePrompt(this.getActiveCharacter());
+    }
+    
+    findPuzzleInteraction(girl) {
+        // The nearest unpulled lever or riddle-teller this girl could use right now
+        if (!girl || girl.parent !== this.scene) return null;
+        let nearest = null;
+        let nearestDistance = Infinity;
+        const consider = (treasure, index, position, range) => {
+            const distance = Math.hypot(position.x - girl.position.x, position.z - girl.position.z);
+            if (distance < range && distance < nearestDistance) {
+                nearest = { treasure: treasure, index: index };
+                nearestDistance = distance;
+            }
+        };
+        
+        this.treasures.forEach(treasure => {
+            const puzzle = treasure.userData.puzzle;
+            if (!puzzle || puzzle.status !== 'locked' || treasure.userData.collected) return;
+            if (puzzle.type === 'leverSequence') {
+                puzzle.parts.forEach((lever, index) => {
+                    if (!lever.userData.active) consider(treasure, index, lever.position, this.puzzleSystem.interactRange);
+                });
+            } else if (puzzle.type === 'riddle') {
+                // Asked by a park character, or by the chest itself if they aren't in this park
+                const asker = this.getRiddleAsker(puzzle);
+                consider(treasure, null,
+                    asker ? asker.position : treasure.position,
+                    asker ? asker.userData.interactionRange : this.puzzleSystem.interactRange);
+            }
+        });
+        return nearest;
+    }
+    
+    interactWithPuzzle(target) {
+        if (target.treasure.userData.puzzle.type === 'riddle') {
+            this.openRiddle(target.treasure);
+        } else {
+            this.usePuzzlePart(target.treasure, target.index);
+        }
+    }
+    
+    usePuzzlePart(treasure, index) {
+        const puzzle = treasure.userData.puzzle;
+        if (puzzle.status !== 'locked' || puzzle.parts[index].userData.active) return;
+        
+        puzzle.progress.push(index);
+        this.setPuzzlePartActive(puzzle.parts[index], true);
+        this.playPuzzleSound('click');
+        
+        if (puzzle.definition.sequence[puzzle.progress.length - 1] !== index) {
+            this.failPuzzle(treasure);
+        } else if (puzzle.progress.length === puzzle.definition.sequence.length) {
+            this.solvePuzzle(treasure);
+        }
+    }
+    
+    solvePuzzle(treasure) {
+        const puzzle = treasure.userData.puzzle;
+        puzzle.status = 'solved';
+        
+        console.log(`🧩 ${puzzle.definition.title} solved`);
+        this.playPuzzleSound('solved');
+        this.playCharacterAnimation(this.getActiveCharacter(), 'jumping', 1500);
+        this.showNPCDialogue(`🧩 ${this.translateText(puzzle.definition.title)}`, this.t('puzzle.solved'));
+        this.autosave('puzzle');
+    }
+    
+    failPuzzle(treasure) {
+        const puzzle = treasure.userData.puzzle;
+        puzzle.status = 'failed';
+        puzzle.failedAt = this.now();
+        
+        console.log(`❌ ${puzzle.definition.title} failed`);
+        this.playPuzzleSound('failed');
+        this.playCharacterAnimation(this.getActiveCharacter(), 'scared', 1500);
+        if (puzzle.type === 'riddle') {
+            this.showNPCDialogue(this.translateText(puzzle.definition.npc), this.t('puzzle.wrongAnswer'));
+        } else {
+            this.showNPCDialogue(`❌ ${this.translateText(puzzle.definition.title)}`, this.t('puzzle.wrongOrder'));
+        }
+    }
+    
+    getRiddleAsker(puzzle) {
+        return this.interactiveNPCs.find(npc => npc.userData.name === puzzle.definition.npc) || null;
+    }
+    
+    openRiddle(treasure) {
+        const puzzle = treasure.userData.puzzle;
+        this.endConversation();
+        this.puzzleSystem.riddle = treasure;
+        console.log(`🧩 ${puzzle.definition.npc} asks a riddle`);
+        this.showNPCDialogue(this.translateText(puzzle.definition.npc), this.translateText(puzzle.definition.question));
+        this.updateRiddlePanel();
+    }
+    
+    answerRiddle(choice) {
+        // From the riddle panel or the number keys; replays feed recorded answers to resolveRiddle
+        if (!this.puzzleSystem.riddle || !this.isPlaying() || this.replaySystem.mode === 'playback') return false;
+        this.recordReplayEvent('answer', choice);
+        this.resolveRiddle(choice);
+        return true;
+    }
+    
+    resolveRiddle(choice) {
+        const treasure = this.puzzleSystem.riddle;
+        if (!treasure) return;
+        
+        this.closeRiddle();
+        if (choice === treasure.userData.puzzle.definition.answer) {
+            this.solvePuzzle(treasure);
+        } else {
+            this.failPuzzle(treasure);
+        }
+    }
+    
+    closeRiddle() {
+        this.puzzleSystem.riddle = null;
+        this.updateRiddlePanel();
+    }
+    
+    getPuzzlePrompt(girl) {
+        // One line telling the player what they can do here
+        const key = this.isMobile ? '✋' : 'E';
+        const riddle = this.puzzleSystem.riddle;
+        if (riddle) {
+            const definition = riddle.userData.puzzle.definition;
+            return this.t('prompt.answer', { count: definition.choices.length, npc: this.translateText(definition.npc) });
+        }
+        const conversation = this.dialogueSystem.conversation;
+        if (conversation) {
+            return this.t('prompt.reply', { count: conversation.choices.length, npc: this.translateText(conversation.npc.userData.name), key: key });
+        }
+        const offer = this.rideOpsSystem.choice;
+        if (offer) return this.t('prompt.rideChoice', { ride: this.translateText(offer.ride.userData.name), key: key });
+        
+        const target = this.findPuzzleInteraction(girl);
+        if (target) {
+            const puzzle = target.treasure.userData.puzzle;
+            return puzzle.type === 'riddle'
+                ? this.t('prompt.talk', { key: key, npc: this.translateText(puzzle.definition.npc) })
+                : this.t('prompt.lever', { key: key, lever: this.translateText(puzzle.parts[target.index].userData.label) });
+        }
+        const npc = this.findTalkableNPC(girl);
+        if (npc) return this.t('prompt.talk', { key: key, npc: this.translateText(npc.userData.name) });
+        
+        // In a ride's queue, or at the entrance of one
+        const queued = this.rideOpsSystem.player;
+        if (queued && queued.girl === girl) return this.getQueuedPrompt(key);
+        const ride = this.findRideEntrance(girl);
+        if (ride) return this.t('prompt.queue', { key: key, ride: this.translateText(ride.userData.name), minutes: ride.userData.ops.posted.standby });
+        
+        // Near a locked chest or its puzzle: how to open it
+        if (!girl) return null;
+        const range = this.puzzleSystem.lockedChestRange;
+        const isNear = object => Math.hypot(object.position.x - girl.position.x, object.position.z - girl.position.z) < range;
+        const locked = this.treasures.find(treasure => {
+            const puzzle = treasure.userData.puzzle;
+            return puzzle && puzzle.status !== 'solved' && !treasure.userData.collected &&
+                (isNear(treasure) || puzzle.parts.some(isNear));
+        });
+        if (!locked) return null;
+        
+        const puzzle = locked.userData.puzzle;
+        const title = this.translateText(puzzle.definition.title);
+        if (puzzle.status === 'failed') return this.t('prompt.failed', { title: title });
+        return this.t('prompt.locked', { title: title, hint: puzzle.definition.hint ? this.translateText(puzzle.definition.hint) : this.t('prompt.lockedHint') });
+    }
+    
+    setupRiddlePanel() {
+        // Number keys answer riddles and pick conversation replies and queue choices too, so the mouse can stay locked
+        document.addEventListener('keydown', (event) => {
+            const match = /^Digit([1-9])$/.exec(event.code);
+            if (!match || event.repeat) return;
+            if (this.puzzleSystem.riddle) {
+                this.answerRiddle(Number(match[1]) - 1);
+            } else if (this.dialogueSystem.conversation) {
+                this.answerDialogue(Number(match[1]) - 1);
+            } else if (this.rideOpsSystem.choice) {
+                this.answerRideChoice(Number(match[1]) - 1);
+            }
+        });
+    }
+    
+    updateRiddlePanel() {
+        if (this.headless) return;
+        const panel = this.getElement('riddlePanel');
+        if (!panel) return;
+        
+        const riddle = this.puzzleSystem.riddle;
+        panel.style.display = riddle ? 'block' : 'none';
+        if (!riddle) return;
+        
+        const definition = riddle.userData.puzzle.definition;
+        this.getElement('riddleTitle').textContent = `🧩 ${this.translateText(definition.title)}`;
+        this.getElement('riddleQuestion').textContent = this.t('riddle.question', {
+            npc: this.translateText(definition.npc),
+            question: this.translateText(definition.question)
+        });
+        const choices = this.getElement('riddleChoices');
+        choices.innerHTML = '';
+        definition.choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.textContent = `${index + 1}. ${this.translateText(choice)}`;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.answerRiddle(index);
+            });
+            choices.appendChild(button);
+        });
+    }
+    
+    // ===== QUESTS =====
+    
+    createQuests() {
+        // Runtime state for the layout's quests; what they ask for stays in the layout definition
+        const definitions = (this.parkLayout.data && this.parkLayout.data.quests) || [];
+        this.questSystem.quests = definitions.map(definition => ({ definition: definition, status: 'locked', step: 0 }));
+        this.resetQuests();
+        console.log(`📜 ${this.questSystem.quests.length} quests ready`);
+    }
+    
+    resetQuests() {
+        this.questSystem.quests.forEach(quest => {
+            quest.status = 'locked';
+            quest.step = 0;
+        });
+        this.refreshQuestAvailability();
+        this.rememberGirlZones();
+    }
+    
+    getQuest(id) {
+        return this.questSystem.quests.find(quest => quest.definition.id === id) || null;
+    }
+    
+    refreshQuestAvailability() {
+        // A locked quest opens up once every quest it requires is completed
+        this.questSystem.quests.forEach(quest => {
+            if (quest.status !== 'locked') return;
+            const requires = quest.definition.requires || [];
+            if (requires.every(id => this.getQuest(id).status === 'completed')) {
+                quest.status = 'available';
+            }
+        });
+    }
+    
+    rememberGirlZones() {
+        // Where the girls are now doesn't count as entering it
+        [this.mina, this.sacha].filter(Boolean).forEach(girl => {
+            const zone = this.getZoneAt(girl.position);
+            this.questSystem.girlZones[girl.userData.name] = zone ? zone.id : null;
+        });
+    }
+    
+    questTriggerMatches(trigger, event) {
+        const field = this.questSystem.triggers[trigger.type];
+        return trigger.type === event.type && trigger[field] === event[field];
+    }
+    
+    notifyQuests(event) {
+        // Something happened that a quest might be waiting for. Returns true if any quest moved on.
+        // A park character only says one thing at a time, so a conversation moves at most one quest
+        let handled = false;
+        for (const quest of this.questSystem.quests) {
+            if (handled && event.type === 'talk') break;
+            
+            if (quest.status === 'available' && this.questTriggerMatches(quest.definition.start, event)) {
+                this.sayQuestLine(quest, quest.definition.start, this.startQuest(quest));
+                handled = true;
+            } else if (quest.status === 'active' && this.questTriggerMatches(quest.definition.steps[quest.step], event)) {
+                const step = quest.definition.steps[quest.step];
+                quest.step++;
+                handled = true;
+                if (quest.step >= quest.definition.steps.length) {
+                    this.completeQuest(quest, step);
+                } else {
+                    this.sayQuestLine(quest, step, this.t('quest.next', { step: this.translateText(quest.definition.steps[quest.step].text) }));
+                }
+            }
+        }
+        
+        if (handled) this.renderQuestLog();
+        return handled;
+    }
+    
+    startQuest(quest) {
+        // Returns the note announcing it, for whoever handed the quest out to say
+        quest.status = 'active';
+        quest.step = 0;
+        console.log(`📜 Quest started: ${quest.definition.title}`);
+        return this.t('quest.new', {
+            title: this.translateText(quest.definition.title),
+            step: this.translateText(quest.definition.steps[0].text)
+        });
+    }
+    
+    sayQuestLine(quest, trigger, note) {
+        // Park characters speak their own lines, anything else comes from the quest itself
+        const speaker = trigger.type === 'talk' ? this.translateText(trigger.npc) : `📜 ${this.translateText(quest.definition.title)}`;
+        this.showNPCDialogue(speaker, trigger.line ? `${this.translateText(trigger.line)} ${note}` : note);
+    }
+    
+    completeQuest(quest, lastStep) {
+        const definition = quest.definition;
+        const reward = definition.reward || {};
+        quest.status = 'completed';
+        
+        if (reward.health) {
+            this.gameState.health = Math.min(100, this.gameState.health + reward.health);
+        }
+        console.log(`📜 Quest completed: ${definition.title}`);
+        this.playPuzzleSound('solved');
+        this.playCharacterAnimation(this.getActiveCharacter(), 'dancing', 2000);
+        
+        const title = this.translateText(definition.title);
+        const rewardText = reward.message ? this.translateText(reward.message) : reward.health ? this.t('quest.rewardHealth', { health: reward.health }) : '';
+        const line = lastStep.line ? `${this.translateText(lastStep.line)} ` : '';
+        this.showNPCDialogue(lastStep.type === 'talk' ? this.translateText(lastStep.npc) : `📜 ${title}`,
+            `${line}${this.t('quest.complete', { title: title })} ${rewardText}`.trim());
+        
+        this.refreshQuestAvailability();
+        this.autosave('quest');
+    }
+    
+    updateQuests() {
+        // Walking into a new zone (buildings and rides are somewhere else entirely)
+        if (this.currentInterior) return;
+        [this.mina, this.sacha].forEach(girl => {
+            if (!girl || girl.parent !== this.scene) return;
+            const zone = this.getZoneAt(girl.position);
+            const zoneId = zone ? zone.id : null;
+            if (zoneId === this.questSystem.girlZones[girl.userData.name]) return;
+            
+            this.questSystem.girlZones[girl.userData.name] = zoneId;
+            if (zoneId) this.notifyQuests({ type: 'enterZone', zone: zoneId });
+        });
+    }
+    
+    getQuestObjective() {
+        // The first quest under way, for the line under the main objective
+        const quest = this.questSystem.quests.find(candidate => candidate.status === 'active');
+        if (!quest) return null;
+        return this.t('quest.objective', {
+            title: this.translateText(quest.definition.title),
+            step: this.translateText(quest.definition.steps[quest.step].text)
+        });
+    }
+    
+    getQuestProgress() {
+        // What saves keep: quests that were started or finished
+        const progress = {};
+        this.questSystem.quests.forEach(quest => {
+            if (quest.status === 'active' || quest.status === 'completed') {
+                progress[quest.definition.id] = { status: quest.status, step: quest.step };
+            }
+        });
+        return progress;
+    }
+    
+    restoreQuestProgress(progress) {
+        this.resetQuests();
+        this.questSystem.quests.forEach(quest => {
+            const saved = progress && progress[quest.definition.id];
+            if (!saved) return;
+            quest.status = saved.status;
+            quest.step = Math.min(saved.step, quest.definition.steps.length - 1);
+        });
+        this.refreshQuestAvailability();
+        this.renderQuestLog();
+    }
+    
+    toggleQuestLog() {
+        const panel = this.getElement('questPanel');
+        if (!panel) return;
+        
+        this.questSystem.logOpen = !this.questSystem.logOpen;
+        panel.style.display = this.questSystem.logOpen ? 'block' : 'none';
+        if (this.questSystem.logOpen) this.renderQuestLog();
+    }
+    
+    renderQuestLog() {
+        const list = this.getElement('questList');
+        if (!list || !this.questSystem.logOpen) return;
+        list.innerHTML = '';
+        
+        const zoneName = id => {
+            const zone = this.parkLayout.zones.find(candidate => candidate.id === id);
+            return zone ? this.translateText(zone.name) : '';
+        };
+        const addSection = (title, quests, describe) => {
+            if (quests.length === 0) return;
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            list.appendChild(heading);
+            quests.forEach(quest => {
+                const row = document.createElement('div');
+                row.className = `quest-entry ${quest.status}`;
+                const name = document.createElement('div');
+                name.className = 'quest-title';
+                const title = this.translateText(quest.definition.title);
+                name.textContent = quest.definition.zone ? this.t('questLog.inZone', { title: title, zone: zoneName(quest.definition.zone) }) : title;
+                const detail = document.createElement('div');
+                detail.className = 'quest-detail';
+                detail.textContent = describe(quest);
+                row.appendChild(name);
+                row.appendChild(detail);
+                list.appendChild(row);
+            });
+        };
+        
+        const byStatus = status => this.questSystem.quests.filter(quest => quest.status === status);
+        addSection(this.t('questLog.active'), byStatus('active'), quest => this.t('questLog.step', {
+            step: quest.step + 1,
+            steps: quest.definition.steps.length,
+            text: this.translateText(quest.definition.steps[quest.step].text)
+        }));
+        addSection(this.t('questLog.available'), byStatus('available'), quest => this.translateText(quest.definition.start.text));
+        addSection(this.t('questLog.completed'), byStatus('completed'), quest => this.t('questLog.done'));
+        
+        const locked = byStatus('locked').length;
+        const footer = document.createElement('div');
+        footer.className = 'quest-detail';
+        footer.textContent = this.questSystem.quests.length === 0
+            ? this.t('questLog.none')
+            : locked > 0 ? this.t(locked === 1 ? 'questLog.lockedOne' : 'questLog.lockedMany', { count: locked }) : '';
+        list.appendChild(footer);
+    }
+    
+    // ===== DIALOGUE =====
+    
+    createDialogues() {
+        // Trees by park character; characters without one keep to their everyday lines
+        const trees = (this.parkLayout.data && this.parkLayout.data.dialogues) || [];
+        this.dialogueSystem.trees = {};
+        trees.forEach(tree => {
+            this.dialogueSystem.trees[tree.npc] = tree;
+        });
+        this.dialogueSystem.conversation = null;
+        console.log(`💬 ${trees.length} dialogue trees ready`);
+    }
+    
+    canTalkTo(girl, npc) {
+        return !!girl && girl.parent === this.scene &&
+            Math.hypot(npc.position.x - girl.position.x, npc.position.z - girl.position.z) < npc.userData.interactionRange;
+    }
+    
+    findTalkableNPC(girl) {
+        // The nearest park character close enough to talk to
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.interactiveNPCs.forEach(npc => {
+            if (!this.canTalkTo(girl, npc)) return;
+            const distance = Math.hypot(npc.position.x - girl.position.x, npc.position.z - girl.position.z);
+            if (distance < nearestDistance) {
+                nearest = npc;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    interact(girl) {
+        // The interact key: leaves a conversation or a queue choice, otherwise quest business with a park
+        // character comes first, then levers and riddles, then a chat, then the queue at a ride's entrance
+        if (this.dialogueSystem.conversation) {
+            this.endConversation();
+            return;
+        }
+        if (this.rideOpsSystem.choice) {
+            this.closeRideChoice();
+            return;
+        }
+        const npc = this.findTalkableNPC(girl);
+        if (npc && this.notifyQuests({ type: 'talk', npc: npc.userData.name })) return;
+        
+        const target = this.findPuzzleInteraction(girl);
+        if (target) {
+            this.interactWithPuzzle(target);
+        } else if (npc) {
+            this.talkToNPC(npc, girl);
+        } else if (this.rideOpsSystem.player && this.rideOpsSystem.player.girl === girl) {
+            this.leaveRideQueue(false);
+        } else {
+            const ride = this.findRideEntrance(girl);
+            if (ride) this.openRideChoice(ride, girl);
+        }
+    }
+    
+    talkToNPC(npc, girl) {
+        // The first of the tree's opening nodes whose condition holds starts the conversation
+        const userData = npc.userData;
+        const tree = this.dialogueSystem.trees[userData.name];
+        const start = tree && tree.start.find(id => this.dialogueConditionMet(tree.nodes[id].condition));
+        if (!start) {
+            // Nothing from a tree right now: the next of their everyday lines
+            const lines = this.tLines(userData.lines);
+            this.showNPCDialogue(this.translateText(userData.name), lines[userData.currentDialogue % lines.length]);
+            userData.currentDialogue = (userData.currentDialogue + 1) % lines.length;
+            return;
+        }
+        
+        this.closeRiddle();
+        this.dialogueSystem.conversation = { npc: npc, girl: girl, tree: tree, node: null, text: '', notes: [], choices: [] };
+        userData.isInteracting = true;
+        console.log(`💬 Talking to ${userData.name}`);
+        this.enterDialogueNode(start);
+    }
+    
+    enterDialogueNode(id) {
+        const conversation = this.dialogueSystem.conversation;
+        const node = conversation.tree.nodes[id];
+        conversation.node = id;
+        
+        // Actions can add to what is said (a hint, a new quest)
+        const notes = (node.actions || []).map(action => this.runDialogueAction(action)).filter(Boolean);
+        conversation.notes = notes;
+        conversation.text = [this.translateText(node.text), ...notes].join(' ');
+        conversation.choices = (node.choices || []).filter(choice => this.dialogueConditionMet(choice.condition));
+        if (conversation.choices.length === 0) conversation.choices = [{ key: this.dialogueSystem.goodbye }];
+        
+        this.showNPCDialogue(this.translateText(conversation.npc.userData.name), conversation.text);
+        this.updateDialoguePanel();
+    }
+    
+    dialogueConditionMet(condition) {
+        if (!condition) return true;
+        const found = this.gameState.treasuresFound;
+        if (condition.minTreasures !== undefined && found < condition.minTreasures) return false;
+        if (condition.maxTreasures !== undefined && found > condition.maxTreasures) return false;
+        if (condition.timeOfDay !== undefined && this.getTimeOfDay() !== condition.timeOfDay) return false;
+        if (condition.quest !== undefined) {
+            const quest = this.getQuest(condition.quest);
+            if (!quest || quest.status !== condition.status) return false;
+            if (condition.step !== undefined && quest.step !== condition.step) return false;
+        }
+        return true;
+    }
+    
+    runDialogueAction(action) {
+        // Returns anything the park character should add to the node's text
+        if (action.type === 'hint') {
+            const girl = this.dialogueSystem.conversation.girl;
+            const treasure = this.findNearestTreasure(girl.position);
+            if (!treasure) return this.t('dialogue.allFound');
+            const dx = treasure.position.x - girl.position.x;
+            const dz = treasure.position.z - girl.position.z;
+            const distance = Math.max(5, Math.round(Math.hypot(dx, dz) / 5) * 5);
+            return this.t('dialogue.hint', { distance: distance, direction: this.compassDirection(dx, dz) });
+        }
+        
+        if (action.type === 'startQuest') {
+            const quest = this.getQuest(action.quest);
+            if (!quest || quest.status !== 'available') return '';
+            const note = this.startQuest(quest);
+            this.renderQuestLog();
+            return note;
+        }
+        
+        const girls = action.target === 'both' ? [this.mina, this.sacha] : [action.target === 'mina' ? this.mina : this.sacha];
+        girls.forEach(girl => this.playCharacterAnimation(girl, action.animation, action.duration || 1500));
+        return '';
+    }
+    
+    answerDialogue(choice) {
+        // From the dialogue panel or the number keys; replays feed recorded replies to resolveDialogue
+        if (!this.dialogueSystem.conversation || !this.isPlaying() || this.replaySystem.mode === 'playback') return false;
+        this.recordReplayEvent('dialogue', choice);
+        this.resolveDialogue(choice);
+        return true;
+    }
+    
+    resolveDialogue(choice) {
+        // A reply without a next node ends the conversation
+        const conversation = this.dialogueSystem.conversation;
+        const reply = conversation && conversation.choices[choice];
+        if (!reply) return;
+        
+        if (reply.next) {
+            this.enterDialogueNode(reply.next);
+        } else {
+            this.endConversation();
+        }
+    }
+    
+    endConversation() {
+        const conversation = this.dialogueSystem.conversation;
+        if (conversation) conversation.npc.userData.isInteracting = false;
+        this.dialogueSystem.conversation = null;
+        this.updateDialoguePanel();
+    }
+    
+    updateDialoguePanel() {
+        if (this.headless) return;
+        const panel = this.getElement('dialoguePanel');
+        if (!panel) return;
+        
+        const conversation = this.dialogueSystem.conversation;
+        panel.style.display = conversation ? 'block' : 'none';
+        if (!conversation) return;
+        
+        this.getElement('dialogueTitle').textContent = `💬 ${this.translateText(conversation.npc.userData.name)}`;
+        this.getElement('dialogueText').textContent = conversation.text;
+        const choices = this.getElement('dialogueChoices');
+        choices.innerHTML = '';
+        conversation.choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.textContent = `${index + 1}. ${choice.key ? this.t(choice.key) : this.translateText(choice.text)}`;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.answerDialogue(index);
+            });
+            choices.appendChild(button);
+        });
+    }
+    
+    // ===== DYNAMIC WORLD SYSTEMS =====
+    
+    createInteractiveNPCs() {
+        console.log('🎭 Creating interactive NPCs...');
+        
+        const interactiveNPCData = [
+            // Park Staff who interact with guests
+            { x: 10, z: 90, type: 'staff', name: 'Emma the Guide', 
+              lines: 'npc.emma.lines'
+            },
+            { x: -20, z: 30, type: 'vendor', name: 'Carlos the Snack Man',
+              lines: 'npc.carlos.lines'
+            },
+            { x: -70, z: 10, type: 'photographer', name: 'Maya the Photo Lady',
+              lines: 'npc.maya.lines'
+            },
+            { x: 70, z: -70, type: 'mechanic', name: 'Tech Mike',
+              lines: 'npc.mike.lines'
+            },
+            { x: -70, z: 70, type: 'princess', name: 'Princess Fiona',
+              lines: 'npc.fiona.lines'
+            }
+        ];
+        
+        interactiveNPCData.forEach(npcData => {
+            const npc = this.createDetailedNPC(npcData);
+            this.interactiveNPCs.push(npc);
+            this.scene.add(npc);
+        });
+    }
+    
+    createDetailedNPC(npcData) {
+        const npcGroup = new THREE.Group();
+        
+        // More detailed character than regular NPCs
+        const scale = 2.5;
+        
+        // Body
+        const bodyGeometry = new THREE.BoxGeometry(0.4 * scale, 0.6 * scale, 0.2 * scale);
+        const bodyColor = npcData.type === 'staff' ? 0x0066cc : 
+                         npcData.type === 'vendor' ? 0xff6600 :
+                         npcData.type === 'photographer' ? 0x9966cc :
+                         npcData.type === 'mechanic' ? 0x333333 :
+                         0xff69b4; // princess
+                         
+        const bodyMaterial = new THREE.MeshPhongMaterial({ color: bodyColor });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.position.y = 0.3 * scale;
+        body.castShadow = true;
+        npcGroup.add(body);
+        
+        // Head
+        const headGeometry = new THREE.SphereGeometry(0.15 * scale, 16, 12);
+        const headMaterial = new THREE.MeshPhongMaterial({ color: 0xffdbac });
+        const head = new THREE.Mesh(headGeometry, headMaterial);
+        head.position.y = 0.75 * scale;
+        head.castShadow = true;
+        npcGroup.add(head);
+        
+        // Special accessories based on type
+        if (npcData.type === 'staff') {
+            // Staff hat
+            const hatGeometry = new THREE.CylinderGeometry(0.18 * scale, 0.18 * scale, 0.1 * scale);
+            const hatMaterial = new THREE.MeshPhongMaterial({ color: 0x003366 });
+            const hat = new THREE.Mesh(hatGeometry, hatMaterial);
+            hat.position.y = 0.85 * scale;
+            npcGroup.add(hat);
+        } else if (npcData.type === 'photographer') {
+            // Camera
+            const cameraGeometry = new THREE.BoxGeometry(0.2 * scale, 0.15 * scale, 0.1 * scale);
+            const cameraMaterial = new THREE.MeshPhongMaterial({ color: 0x000000 });
+            const camera = new THREE.Mesh(cameraGeometry, cameraMaterial);
+            camera.position.set(0.3 * scale, 0.4 * scale, 0.2 * scale);
+            npcGroup.add(camera);
+        }
+        
+        // Position and data
+        npcGroup.position.set(npcData.x, 0, npcData.z);
+        npcGroup.userData = {
+            type: 'interactiveNPC',
+            name: npcData.name,
+            lines: npcData.lines, // String key of their everyday lines
+            currentDialogue: 0,
+            isInteracting: false,
+            interactionRange: 8,
+            personality: npcData.type
+        };
+        
+        return npcGroup;
+    }
+    
+    createThemeRides() {
+        console.log('🎢 Creating interactive theme rides...');
+        
+        const rides = [
+            // Roller Coaster in Sci-Fi City
+            { x: 75, z: -75, type: 'rollercoaster', name: 'Battlestar Galactica' },
+            // Mummy ride in Egypt
+            { x: -75, z: 5, type: 'indoor', name: 'Revenge of the Mummy' },
+            // Castle ride in Far Far Away
+            { x: -75, z: 75, type: 'family', name: 'Shrek 4-D Adventure' },
+            // Water ride in Lost World
+            { x: -75, z: -75, type: 'water', name: 'Jurassic Park Rapids' },
+            // NEW: Haunted Mansion in Hollywood
+            { x: 75, z: 75, type: 'haunted', name: 'Haunted Hollywood Mansion' }
+        ];
+        
+        rides.forEach(rideData => {
+            const ride = this.createRide(rideData);
+            this.rides.push(ride);
+            this.scene.add(ride);
+        });
+    }
+    
+    createRide(rideData) {
+        const rideGroup = new THREE.Group();
+        
+        // Base platform
+        const platformGeometry = new THREE.BoxGeometry(8, 0.5, 8);
+        const platformMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
+        const platform = new THREE.Mesh(platformGeometry, platformMaterial);
+        platform.position.y = 0.25;
+        rideGroup.add(platform);
+        
+        // Ride-specific elements
+        switch(rideData.type) {
+            case 'rollercoaster':
+                // Add track pieces
+                for (let i = 0; i < 5; i++) {
+                    const trackGeometry = new THREE.BoxGeometry(1, 0.2, 0.3);
+                    const trackMaterial = new THREE.MeshPhongMaterial({ color: 0x444444 });
+                    const track = new THREE.Mesh(trackGeometry, trackMaterial);
+                    track.position.set(i * 1.5 - 3, 1 + i * 0.5, 0);
+                    track.rotation.x = i * 0.2;
+                    rideGroup.add(track);
+                }
+                break;
+                
+            case 'indoor':
+                // Pyramid entrance
+                const pyramidGeometry = new THREE.ConeGeometry(4, 6, 4);
+                const pyramidMaterial = new THREE.MeshPhongMaterial({ color: 0xdaa520 });
+                const pyramid = new THREE.Mesh(pyramidGeometry, pyramidMaterial);
+                pyramid.position.y = 3.5;
+                pyramid.rotation.y = Math.PI / 4;
+                rideGroup.add(pyramid);
+                break;
+                
+            case 'family':
+                // Castle tower
+                const towerGeometry = new THREE.CylinderGeometry(2, 2.5, 8);
+                const towerMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+                const tower = new THREE.Mesh(towerGeometry, towerMaterial);
+                tower.position.y = 4.5;
+                rideGroup.add(tower);
+                break;
+                
+            case 'water':
+                // Water splash effect placeholder
+                const splashGeometry = new THREE.SphereGeometry(3, 8, 6);
+                const splashMaterial = new THREE.MeshPhongMaterial({ 
+                    color: 0x87ceeb, 
+                    transparent: true, 
+                    opacity: 0.6 
+                });
+                const splash = new THREE.Mesh(splashGeometry, splashMaterial);
+                splash.position.y = 3;
+                splash.scale.y = 0.3;
+                rideGroup.add(splash);
+                break;
+                
+            case 'haunted':
+                // Spooky Victorian mansion
+                const hauntedBaseGeometry = new THREE.BoxGeometry(6, 4, 6);
+                const hauntedBaseMaterial = new THREE.MeshPhongMaterial({ color: 0x2d2d2d });
+                const hauntedBase = new THREE.Mesh(hauntedBaseGeometry, hauntedBaseMaterial);
+                hauntedBase.position.y = 2.5;
+                rideGroup.add(hauntedBase);
+                
+                // Gothic roof
+                const hauntedRoofGeometry = new THREE.ConeGeometry(4.5, 3, 4);
+                const hauntedRoofMaterial = new THREE.MeshPhongMaterial({ color: 0x1a1a1a });
+                const hauntedRoof = new THREE.Mesh(hauntedRoofGeometry, hauntedRoofMaterial);
+                hauntedRoof.position.y = 5.5;
+                hauntedRoof.rotation.y = Math.PI / 4;
+                rideGroup.add(hauntedRoof);
+                
+                // Spooky tower
+                const hauntedTowerGeometry = new THREE.CylinderGeometry(1, 1.2, 5);
+                const hauntedTowerMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
+                const hauntedTower = new THREE.Mesh(hauntedTowerGeometry, hauntedTowerMaterial);
+                hauntedTower.position.set(2, 4, 2);
+                rideGroup.add(hauntedTower);
+                
+                // Glowing windows
+                for (let i = 0; i < 4; i++) {
+                    const hauntedWindowGeometry = new THREE.PlaneGeometry(0.8, 1);
+                    const hauntedWindowMaterial = new THREE.MeshBasicMaterial({ 
+                        color: 0xffff00, 
+                        transparent: true, 
+                        opacity: 0.7 
+                    });
+                    const hauntedWindow = new THREE.Mesh(hauntedWindowGeometry, hauntedWindowMaterial);
+                    const angle = (i / 4) * Math.PI * 2;
+                    hauntedWindow.position.set(Math.cos(angle) * 3, 3, Math.sin(angle) * 3);
+                    hauntedWindow.lookAt(0, 3, 0);
+                    rideGroup.add(hauntedWindow);
+                }
+                
+                // Spooky entrance door
+                const hauntedDoorGeometry = new THREE.BoxGeometry(1, 2.5, 0.2);
+                const hauntedDoorMaterial = new THREE.MeshPhongMaterial({ color: 0x4a2c17 });
+                const hauntedDoor = new THREE.Mesh(hauntedDoorGeometry, hauntedDoorMaterial);
+                hauntedDoor.position.set(0, 1.25, 3.1);
+                rideGroup.add(hauntedDoor);
+                break;
+        }
+        
+        rideGroup.position.set(rideData.x, 0, rideData.z);
+        rideGroup.userData = {
+            type: 'ride',
+            name: rideData.name,
+            rideType: rideData.type,
+            isActive: true,
+            interactionRange: 6,
+            lastActivation: -Infinity
+        };
+        
+        return rideGroup;
+    }
+    
+    createBuildingInteriors() {
+        console.log('🏢 Creating building interiors...');
+        
+        // Find the Mummy pyramid and create interior
+        const mummyRide = this.rides.find(ride => ride.userData.name === 'Revenge of the Mummy');
+        if (mummyRide) {
+            this.createMummyInterior(mummyRide);
+        }
+        
+        // Find the Haunted Mansion and create interior
+        const hauntedRide = this.rides.find(ride => ride.userData.name === 'Haunted Hollywood Mansion');
+        if (hauntedRide) {
+            this.createHauntedInterior(hauntedRide);
+        }
+        
+        // Add entrance markers to buildings
+        this.addBuildingEntrances();
+    }
+    
+    createMummyInterior(parentRide) {
+        const interior = new THREE.Group();
+        interior.name = 'mummyDarkRide';
+        
+        // Initialize dark ride system
+        this.initializeDarkRideSystem(interior, parentRide);
+        
+        // Create tomb chamber - larger interior space
+        const chamberGeometry = new THREE.BoxGeometry(25, 12, 25);
+        const chamberMaterial = new THREE.MeshPhongMaterial({ 
+            color: 0x8b7355,
+            side: THREE.BackSide // Show inside faces
+        });
+        const chamber = new THREE.Mesh(chamberGeometry, chamberMaterial);
+        chamber.position.y = 6;
+        interior.add(chamber);
+        
+        // Hieroglyphic walls (textured pillars)
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            const pillarGeometry = new THREE.BoxGeometry(2, 10, 1);
+            const pillarMaterial = new THREE.MeshPhongMaterial({ 
+                color: 0xcd853f,
+                shininess: 10
+            });
+            const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
+            pillar.position.set(
+                Math.cos(angle) * 10,
+                5,
+                Math.sin(angle) * 10
+            );
+            pillar.castShadow = true;
+            interior.add(pillar);
+            
+            // Add hieroglyphic decorations
+            const hieroGeometry = new THREE.BoxGeometry(1.8, 0.5, 0.1);
+            const hieroMaterial = new THREE.MeshPhongMaterial({ color: 0x4a4a4a });
+            for (let j = 0; j < 3; j++) {
+                const hiero = new THREE.Mesh(hieroGeometry, hieroMaterial);
+                hiero.position.set(
+                    Math.cos(angle) * 10.1,
+                    3 + j * 2,
+                    Math.sin(angle) * 10.1
+                );
+                hiero.rotation.y = angle;
+                interior.add(hiero);
+            }
+        }
+        
+        // Central sarcophagus
+        const sarcophagusGeometry = new THREE.BoxGeometry(3, 1, 8);
+        const sarcophagusMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+        const sarcophagus = new THREE.Mesh(sarcophagusGeometry, sarcophagusMaterial);
+        sarcophagus.position.set(0, 0.5, 0);
+        sarcophagus.castShadow = true;
+        interior.add(sarcophagus);
+        
+        // Treasure chests around the room
+        for (let i = 0; i < 4; i++) {
+            const angle = (i / 4) * Math.PI * 2 + Math.PI/4;
+            const chestGeometry = new THREE.BoxGeometry(1.5, 1, 1);
+            const chestMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+            const chest = new THREE.Mesh(chestGeometry, chestMaterial);
+            chest.position.set(
+                Math.cos(angle) * 6,
+                0.5,
+                Math.sin(angle) * 6
+            );
+            chest.userData.type = 'treasure';
+            chest.castShadow = true;
+            interior.add(chest);
+        }
+        
+        // Torches for atmospheric lighting
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2;
+            const torchLight = new THREE.PointLight(0xff6600, 0.8, 15);
+            torchLight.position.set(
+                Math.cos(angle) * 8,
+                7,
+                Math.sin(angle) * 8
+            );
+            torchLight.castShadow = true;
+            interior.add(torchLight);
+            
+            // Visual torch
+            const torchGeometry = new THREE.CylinderGeometry(0.1, 0.2, 2);
+            const torchMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+            const torch = new THREE.Mesh(torchGeometry, torchMaterial);
+            torch.position.copy(torchLight.position);
+            torch.position.y -= 1;
+            interior.add(torch);
+        }
+        
+        // Position interior relative to the pyramid
+        interior.position.copy(parentRide.position);
+        interior.position.y = -50; // Underground
+        interior.visible = false; // Hidden by default
+        
+        // Keeps the rideSystem the dark ride put there
+        Object.assign(interior.userData, {
+            type: 'interior',
+            parentBuilding: parentRide,
+            entranceRange: 5,
+            name: 'Mummy Tomb Interior'
+        });
+        
+        this.buildings.push(interior);
+        this.scene.add(interior);
+        
+        console.log('🏺 Created Mummy Dark Ride Experience');
+    }
+    
+    initializeDarkRideSystem(interior, parentRide) {
+        // Create the complete dark ride experience
+        const rideSystem = {
+            showBuilding: null,
+            queueLine: [],
+            preShowRoom: null,
+            rideVehicles: [],
+            track: null, // The carts' ride track (see RIDE TRACKS)
+            currentScene: 0,
+            rideActive: false,
+            boardingStation: null,
+            unloadStation: null
+        };
+        
+        // Store ride system in interior userData
+        interior.userData.rideSystem = rideSystem;
+        
+        // Build show building exterior
+        this.buildShowBuilding(interior, rideSystem, parentRide.position);
+        
+        // Create queue line with switchbacks
+        this.buildQueueLine(interior, rideSystem, parentRide.position);
+        
+        // Create pre-show chamber
+        this.buildPreShowRoom(interior, rideSystem, parentRide.position);
+        
+        // Build ride track system
+        this.buildRideTrack(interior, rideSystem, parentRide.position);
+        
+        // Create ride vehicles
+        this.buildRideVehicles(interior, rideSystem, parentRide.position);
+        
+        // Build all ride scenes
+        this.buildAllRideScenes(interior, rideSystem, parentRide.position);
+    }
+    
+    buildShowBuilding(interior, rideSystem, basePos) {
+        // Create massive show building (80x40x60)
+        const buildingGroup = new THREE.Group();
+        
+        // Main structure
+        const buildingGeometry = new THREE.BoxGeometry(80, 40, 60);
+        const buildingMaterial = new THREE.MeshPhongMaterial({
+            color: 0x2a2416,
+            side: THREE.BackSide
+        });
+        const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
+        building.position.y = 20;
+        buildingGroup.add(building);
+        
+        // Grand entrance portal
+        const portalGeometry = new THREE.BoxGeometry(8, 12, 2);
+        const portalMaterial = new THREE.MeshPhongMaterial({
+            color: 0xcd853f
+        });
+        const portal = new THREE.Mesh(portalGeometry, portalMaterial);
+        portal.position.set(0, 6, 30);
+        buildingGroup.add(portal);
+        
+        // Hieroglyphic decorations on entrance
+        for (let i = 0; i < 5; i++) {
+            const hieroGeometry = new THREE.BoxGeometry(1, 0.8, 0.1);
+            const hieroMaterial = new THREE.MeshPhongMaterial({
+                color: 0x4a4a4a,
+                emissive: 0x222222
+            });
+            const hiero = new THREE.Mesh(hieroGeometry, hieroMaterial);
+            hiero.position.set(-3 + i * 1.5, 8, 30.5);
+            buildingGroup.add(hiero);
+        }
+        
+        interior.add(buildingGroup);
+        rideSystem.showBuilding = buildingGroup;
+    }
+    
+    buildQueueLine(interior, rideSystem, basePos) {
+        const queueGroup = new THREE.Group();
+        
+        // Create winding queue with railings
+        const queuePoints = [
+            { x: 0, z: 25 },
+            { x: 10, z: 25 },
+            { x: 10, z: 20 },
+            { x: -10, z: 20 },
+            { x: -10, z: 15 },
+            { x: 5, z: 15 },
+            { x: 5, z: 10 }
+        ];
+        
+        // Build queue railings
+        for (let i = 0; i < queuePoints.length - 1; i++) {
+            const start = queuePoints[i];
+            const end = queuePoints[i + 1];
+            const distance = Math.sqrt(
+                Math.pow(end.x - start.x, 2) + 
+                Math.pow(end.z - start.z, 2)
+            );
+            
+            const railGeometry = new THREE.BoxGeometry(distance, 1, 0.1);
+            const railMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
+            const rail = new THREE.Mesh(railGeometry, railMaterial);
+            
+            rail.position.set(
+                (start.x + end.x) / 2,
+                0.5,
+                (start.z + end.z) / 2
+            );
+            
+            const angle = Math.atan2(end.z - start.z, end.x - start.x);
+            rail.rotation.y = angle;
+            
+            queueGroup.add(rail);
+        }
+        
+        // Add themed props along queue
+        const props = [
+            { type: 'sarcophagus', x: 12, z: 22 },
+            { type: 'artifact', x: -8, z: 17 },
+            { type: 'excavation', x: 3, z: 12 }
+        ];
+        
+        props.forEach(prop => {
+            if (prop.type === 'sarcophagus') {
+                const sarcGeometry = new THREE.BoxGeometry(2, 3, 1);
+                const sarcMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+                const sarc = new THREE.Mesh(sarcGeometry, sarcMaterial);
+                sarc.position.set(prop.x, 1.5, prop.z);
+                sarc.rotation.y = this.random() * Math.PI;
+                queueGroup.add(sarc);
+            }
+        });
+        
+        interior.add(queueGroup);
+        rideSystem.queueLine = queueGroup;
+    }
+    
+    buildPreShowRoom(interior, rideSystem, basePos) {
+        const preShowGroup = new THREE.Group();
+        
+        // Circular chamber
+        const chamberGeometry = new THREE.CylinderGeometry(5, 5, 4, 16);
+        const chamberMaterial = new THREE.MeshPhongMaterial({
+            color: 0x3a3226,
+            side: THREE.BackSide
+        });
+        const chamber = new THREE.Mesh(chamberGeometry, chamberMaterial);
+        chamber.position.set(0, 2, 5);
+        preShowGroup.add(chamber);
+        
+        // Central artifact pedestal
+        const pedestalGeometry = new THREE.CylinderGeometry(1, 1.2, 1);
+        const pedestalMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
+        const pedestal = new THREE.Mesh(pedestalGeometry, pedestalMaterial);
+        pedestal.position.set(0, 0.5, 5);
+        preShowGroup.add(pedestal);
+        
+        // Mystical artifact on pedestal
+        const artifactGeometry = new THREE.OctahedronGeometry(0.5);
+        const artifactMaterial = new THREE.MeshPhongMaterial({
+            color: 0xffd700,
+            emissive: 0xffaa00,
+            emissiveIntensity: 0.3
+        });
+        const artifact = new THREE.Mesh(artifactGeometry, artifactMaterial);
+        artifact.position.set(0, 1.5, 5);
+        artifact.userData.animationType = 'rotate';
+        preShowGroup.add(artifact);
+        
+        interior.add(preShowGroup);
+        rideSystem.preShowRoom = preShowGroup;
+    }
+    
+    buildRideTrack(interior, rideSystem, basePos) {
+        // Through the six scenes and back to the station (trackSystem.tracks.darkRide, in the interior's space)
+        rideSystem.track = this.createRideTrack('darkRide', interior, new THREE.Vector3());
+    }
+    
+    buildRideVehicles(interior, rideSystem, basePos) {
+        // Create Explorer Cart vehicles
+        for (let i = 0; i < 3; i++) {
+            const vehicleGroup = new THREE.Group();
+            
+            // Cart base
+            const baseGeometry = new THREE.BoxGeometry(2, 0.8, 1.5);
+            const baseMaterial = new THREE.MeshPhongMaterial({ color: 0x4a4a4a });
+            const base = new THREE.Mesh(baseGeometry, baseMaterial);
+            vehicleGroup.add(base);
+            
+            // Seats (2 rows of 2)
+            for (let row = 0; row < 2; row++) {
+                for (let col = 0; col < 2; col++) {
+                    const seatGeometry = new THREE.BoxGeometry(0.4, 0.6, 0.4);
+                    const seatMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+                    const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+                    seat.position.set(
+                        -0.3 + col * 0.6,
+                        0.7,
+                        -0.3 + row * 0.6
+                    );
+                    vehicleGroup.add(seat);
+                }
+            }
+            
+            // Headlights
+            const headlightGeometry = new THREE.SphereGeometry(0.1);
+            const headlightMaterial = new THREE.MeshBasicMaterial({ 
+                color: 0xffff00,
+                emissive: 0xffff00 
+            });
+            const leftLight = new THREE.Mesh(headlightGeometry, headlightMaterial);
+            leftLight.position.set(-0.7, 0.3, 0.8);
+            vehicleGroup.add(leftLight);
+            
+            const rightLight = leftLight.clone();
+            rightLight.position.x = 0.7;
+            vehicleGroup.add(rightLight);
+            
+            // Add spotlight from headlights
+            const spotlight = new THREE.SpotLight(0xffffff, 1, 10, Math.PI / 6);
+            spotlight.position.set(0, 0.5, 0.8);
+            spotlight.target.position.set(0, 0, 2);
+            vehicleGroup.add(spotlight);
+            vehicleGroup.add(spotlight.target);
+            
+            // Vehicle data
+            vehicleGroup.userData = {
+                id: i,
+                occupied: false,
+                currentProgress: 0, // Share of the track covered
+                trackRide: null, // The trip round the track while it has riders
+                riders: []
+            };
+            
+            // Position at station initially
+            vehicleGroup.position.set(0, 1, i * 3);
+            
+            interior.add(vehicleGroup);
+            rideSystem.rideVehicles.push(vehicleGroup);
+        }
+    }
+    
+    buildAllRideScenes(interior, rideSystem, basePos) {
+        // Scene 1: Tomb Entry
+        this.buildScene1TombEntry(interior, rideSystem);
+        
+        // Scene 2: Treasure Chamber
+        this.buildScene2TreasureChamber(interior, rideSystem);
+        
+        // Scene 3: Mummy Awakening
+        this.buildScene3MummyAwakening(interior, rideSystem);
+        
+        // Scene 4: Curse Chamber
+        this.buildScene4CurseChamber(interior, rideSystem);
+        
+        // Scene 5: Escape Sequence
+        this.buildScene5Escape(interior, rideSystem);
+        
+        // Scene 6: Finale
+        this.buildScene6Finale(interior, rideSystem);
+    }
+    
+    buildScene1TombEntry(interior, rideSystem) {
+        const sceneGroup = new THREE.Group();
+        sceneGroup.position.set(0, 0, -20);
+        
+        // Closing walls effect
+        const wallLeft = new THREE.BoxGeometry(10, 8, 1);
+        const wallMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
+        const leftWall = new THREE.Mesh(wallLeft, wallMaterial);
+        leftWall.position.set(-5, 4, 0);
+        leftWall.userData.animationType = 'slideIn';
+        sceneGroup.add(leftWall);
+        
+        const rightWall = leftWall.clone();
+        rightWall.position.x = 5;
+        sceneGroup.add(rightWall);
+        
+        // Stone door
+        const doorGeometry = new THREE.BoxGeometry(6, 8, 0.5);
+        const doorMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
+        const door = new THREE.Mesh(doorGeometry, doorMaterial);
+        door.position.set(0, 4, -5);
+        door.userData.animationType = 'doorOpen';
+        sceneGroup.add(door);
+        
+        interior.add(sceneGroup);
+    }
+    
+    buildScene2TreasureChamber(interior, rideSystem) {
+        const sceneGroup = new THREE.Group();
+        sceneGroup.position.set(20, -1, -20);
+        
+        // Gold piles
+        for (let i = 0; i < 10; i++) {
+            const goldGeometry = new THREE.SphereGeometry(0.3 + this.random() * 0.3);
+            const goldMaterial = new THREE.MeshPhongMaterial({ 
+                color: 0xffd700,
+                shininess: 100 
+            });
+            const gold = new THREE.Mesh(goldGeometry, goldMaterial);
+            gold.position.set(
+                (this.random() - 0.5) * 10,
+                this.random() * 2,
+                (this.random() - 0.5) * 10
+            );
+            sceneGroup.add(gold);
+        }
+        
+        // Guardian statues
+        for (let i = 0; i < 2; i++) {
+            const statueGeometry = new THREE.BoxGeometry(1, 4, 1);
+            const statueMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
+            const statue = new THREE.Mesh(statueGeometry, statueMaterial);
+            statue.position.set(i === 0 ? -4 : 4, 2, 0);
+            statue.userData.animationType = 'headTurn';
+            sceneGroup.add(statue);
+        }
+        
+        interior.add(sceneGroup);
+    }
+    
+    buildScene3MummyAwakening(interior, rideSystem) {
+        const sceneGroup = new THREE.Group();
+        sceneGroup.position.set(10, -1, 5);
+        
+        // Sarcophagus
+        const sarcGeometry = new THREE.BoxGeometry(3, 1.5, 7);
+        const sarcMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+        const sarcophagus = new THREE.Mesh(sarcGeometry, sarcMaterial);
+        sarcophagus.position.y = 0.75;
+        sceneGroup.add(sarcophagus);
+        
+        // Mummy figure
+        const mummyGroup = new THREE.Group();
+        const mummyBody = new THREE.BoxGeometry(1, 2.5, 0.5);
+        const mummyMaterial = new THREE.MeshPhongMaterial({ 
+            color: 0x8b7355,
+            opacity: 0.9,
+            transparent: true
+        });
+        const mummy = new THREE.Mesh(mummyBody, mummyMaterial);
+        mummy.position.y = 1.25;
+        mummyGroup.add(mummy);
+        
+        // Mummy head
+        const headGeometry = new THREE.SphereGeometry(0.4);
+        const head = new THREE.Mesh(headGeometry, mummyMaterial);
+        head.position.y = 2.8;
+        mummyGroup.add(head);
+        
+        mummyGroup.position.y = -2; // Hidden initially
+        mummyGroup.userData.animationType = 'mummyRise';
+        sceneGroup.add(mummyGroup);
+        
+        interior.add(sceneGroup);
+    }
+    
+    buildScene4CurseChamber(interior, rideSystem) {
+        const sceneGroup = new THREE.Group();
+        sceneGroup.position.set(0, -1, 10);
+        
+        // Rotating room walls with hieroglyphs
+        const cylinderGeometry = new THREE.CylinderGeometry(8, 8, 6, 16, 1, true);
+        const cylinderMaterial = new THREE.MeshPhongMaterial({ 
+            color: 0x4a3c28,
+            side: THREE.DoubleSide
+        });
+        const rotatingWalls = new THREE.Mesh(cylinderGeometry, cylinderMaterial);
+        rotatingWalls.userData.animationType = 'rotate';
+        sceneGroup.add(rotatingWalls);
+        
+        // Scarab beetles
+        for (let i = 0; i < 20; i++) {
+            const scarabGeometry = new THREE.SphereGeometry(0.2, 6, 4);
+            const scarabMaterial = new THREE.MeshPhongMaterial({ 
+                color: 0x000000,
+                shininess: 100 
+            });
+            const scarab = new THREE.Mesh(scarabGeometry, scarabMaterial);
+            const angle = (i / 20) * Math.PI * 2;
+            scarab.position.set(
+                Math.cos(angle) * 7,
+                this.random() * 4 - 2,
+                Math.sin(angle) * 7
+            );
+            scarab.userData.animationType = 'crawl';
+            sceneGroup.add(scarab);
+        }
+        
+        interior.add(sceneGroup);
+    }
+    
+    buildScene5Escape(interior, rideSystem) {
+        const sceneGroup = new THREE.Group();
+        sceneGroup.position.set(-15, 1, 0);
+        
+        // Falling debris particles
+        const debrisGeometry = new THREE.BoxGeometry(0.3, 0.3, 0.3);
+        const debrisMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
+        
+        for (let i = 0; i < 15; i++) {
+            const debris = new THREE.Mesh(debrisGeometry, debrisMaterial);
+            debris.position.set(
+                (this.random() - 0.5) * 10,
+                5 + this.random() * 3,
+                (this.random() - 0.5) * 10
+            );
+            debris.userData.animationType = 'fall';
+            debris.userData.fallSpeed = 0.5 + this.random() * 0.5;
+            sceneGroup.add(debris);
+        }
+        
+        // Fire effects on walls
+        for (let i = 0; i < 6; i++) {
+            const fireLight = new THREE.PointLight(0xff4500, 1, 5);
+            const angle = (i / 6) * Math.PI * 2;
+            fireLight.position.set(
+                Math.cos(angle) * 6,
+                1,
+                Math.sin(angle) * 6
+            );
+            sceneGroup.add(fireLight);
+        }
+        
+        interior.add(sceneGroup);
+    }
+    
+    buildScene6Finale(interior, rideSystem) {
+        const sceneGroup = new THREE.Group();
+        sceneGroup.position.set(-5, 1, -5);
+        
+        // Calm treasury room
+        const treasuryGeometry = new THREE.BoxGeometry(15, 8, 15);
+        const treasuryMaterial = new THREE.MeshPhongMaterial({ 
+            color: 0xdaa520,
+            side: THREE.BackSide
+        });
+        const treasury = new THREE.Mesh(treasuryGeometry, treasuryMaterial);
+        treasury.position.y = 4;
+        sceneGroup.add(treasury);
+        
+        // Final mummy behind glass
+        const glassGeometry = new THREE.BoxGeometry(4, 4, 0.2);
+        const glassMaterial = new THREE.MeshPhongMaterial({ 
+            color: 0x87ceeb,
+            transparent: true,
+            opacity: 0.3
+        });
+        const glass = new THREE.Mesh(glassGeometry, glassMaterial);
+        glass.position.set(0, 2, -6);
+        sceneGroup.add(glass);
+        
+        interior.add(sceneGroup);
+    }
+    
+    updateMummyDarkRide(deltaTime, time) {
+        // Find the Mummy dark ride
+        const mummyInterior = this.buildings.find(b => b.name === 'mummyDarkRide');
+        if (!mummyInterior || !mummyInterior.userData.rideSystem) return;
+        
+        const rideSystem = mummyInterior.userData.rideSystem;
+        
+        // Update each vehicle on the track
+        rideSystem.rideVehicles.forEach((vehicle, index) => {
+            const userData = vehicle.userData;
+            
+            // Check for boarding at station
+            if (!userData.occupied && this.mina) {
+                const distance = vehicle.position.distanceTo(this.mina.position);
+                if (distance < 3 && userData.currentProgress < 0.01) {
+                    // Show boarding prompt
+                    if (!this.boardingPromptShown) {
+                        console.log('🎢 Press E to board the Mummy Dark Ride!');
+                        this.boardingPromptShown = true;
+                    }
+                    
+                    // Check for boarding input
+                    const actions = this.inputSystem.players[0];
+                    if (actions.moveZ < 0 || actions.run) {
+                        this.boardMummyRide(vehicle, rideSystem);
+                    }
+                }
+            }
+            
+            // Update vehicle movement along track
+            if (userData.trackRide) {
+                const finished = this.moveAlongRideTrack(vehicle, userData.trackRide, deltaTime);
+                userData.currentProgress = userData.trackRide.distance / rideSystem.track.length;
+                
+                // Back at the station
+                if (finished) {
+                    userData.trackRide = null;
+                    userData.currentProgress = 0;
+                    userData.occupied = false;
+                    
+                    // Unload riders
+                    if (userData.riders.includes(this.mina)) {
+                        this.unboardMummyRide(vehicle, rideSystem);
+                    }
+                    return;
+                }
+                
+                // Trigger scene effects based on progress
+                this.triggerRideSceneEffects(userData.currentProgress, rideSystem, time);
+                
+                // Headlight flicker
+                const headlights = vehicle.children.filter(c => c.type === 'SpotLight');
+                headlights.forEach(light => {
+                    light.intensity = 0.8 + this.effectRandom() * 0.2;
+                });
+            }
+        });
+        
+        // Animate scene elements
+        this.animateDarkRideScenes(mummyInterior, time);
+    }
+    
+    boardMummyRide(vehicle, rideSystem) {
+        console.log('🎢 Boarding Mummy Dark Ride!');
+        
+        vehicle.userData.occupied = true;
+        vehicle.userData.riders = [this.mina];
+        vehicle.userData.currentProgress = 0;
+        vehicle.userData.trackRide = this.createTrackRide(rideSystem.track);
+        
+        // Lock player to vehicle
+        if (this.mina) {
+            this.mina.userData.ridingVehicle = vehicle;
+            this.mina.visible = false; // Hide character while riding
+        }
+        
+        // Play boarding sound/animation
+        this.playCharacterAnimation(this.mina, 'jumping', 1000);
+        this.startCameraRail('darkRide', vehicle);
+        
+        // Start dramatic music
+        this.startRideMusic('mummyCart');
+        
+        this.boardingPromptShown = false;
+    }
+    
+    unboardMummyRide(vehicle, rideSystem) {
+        console.log('🎢 Ride complete! Thanks for riding!');
+        this.stopRideMusic();
+        
+        vehicle.userData.occupied = false;
+        vehicle.userData.riders = [];
+        
+        // Getting off before the end (a restart) sends the cart straight back to the station
+        if (vehicle.userData.trackRide) {
+            this.placeOnRideTrack(vehicle, vehicle.userData.trackRide.track, 0);
+            vehicle.userData.trackRide = null;
+            vehicle.userData.currentProgress = 0;
+        }
+        
+        // Unlock player from vehicle
+        if (this.mina) {
+            this.mina.userData.ridingVehicle = null;
+            this.mina.visible = true;
+            this.mina.position.copy(vehicle.position);
+            this.mina.position.y = 1.35;
+            this.resetVerticalMotion(this.mina);
+        }
+        
+        // Celebration animation
+        this.playCharacterAnimation(this.mina, 'dancing', 2000);
+        this.playCharacterAnimation(this.sacha, 'waving', 1500);
+    }
+    
+    triggerRideSceneEffects(progress, rideSystem, time) {
+        // Scene triggers based on track progress
+        
+        // Scene 1: Tomb Entry (5-15%)
+        if (progress > 0.05 && progress < 0.15) {
+            // Walls closing in effect
+            // Door opening animation
+        }
+        
+        // Scene 2: Treasure Chamber (20-30%)
+        if (progress > 0.20 && progress < 0.30) {
+            // Guardian statues turn heads
+            // Gold sparkle effects
+        }
+        
+        // Scene 3: Mummy Awakening (35-45%)
+        if (progress > 0.35 && progress < 0.45) {
+            // Mummy rises from sarcophagus
+            // Strobe lighting
+            if (this.random() < 0.1) {
+                console.log('⚡ MUMMY AWAKENS!');
+            }
+        }
+        
+        // Scene 4: Curse Chamber (50-60%)
+        if (progress > 0.50 && progress < 0.60) {
+            // Rotating walls
+            // Scarab swarm
+        }
+        
+        // Scene 5: Escape (65-75%)  
+        if (progress > 0.65 && progress < 0.75) {
+            // Falling debris
+            // Fire effects
+        }
+        
+        // Scene 6: Finale (80-95%)
+        if (progress > 0.80 && progress < 0.95) {
+            // Calm lighting
+            // Final mummy scare
+        }
+    }
+    
+    animateDarkRideScenes(interior, time) {
+        interior.traverse(object => {
+            if (object.userData.animationType) {
+                switch(object.userData.animationType) {
+                    case 'rotate':
+                        object.rotation.y += 0.01;
+                        break;
+                    case 'mummyRise':
+                        if (object.position.y < 1.25) {
+                            object.position.y += 0.01;
+                        }
+                        break;
+                    case 'doorOpen':
+                        if (object.position.y < 10) {
+                            object.position.y += 0.05;
+                        }
+                        break;
+                    case 'headTurn':
+                        object.rotation.y = Math.sin(time) * 0.5;
+                        break;
+                    case 'fall':
+                        object.position.y -= object.userData.fallSpeed * 0.01;
+                        if (object.position.y < -2) {
+                            object.position.y = 5 + this.random() * 3;
+                        }
+                        break;
+                    case 'crawl':
+                        const angle = time * 2;
+                        object.position.x += Math.sin(angle) * 0.01;
+                        object.position.z += Math.cos(angle) * 0.01;
+                        break;
+                }
+            }
+        });
+    }
+    
+    createHauntedInterior(parentRide) {
+        const interior = new THREE.Group();
+        interior.name = 'hauntedInterior';
+        
+        // Create spooky mansion interior - Victorian parlor
+        const roomGeometry = new THREE.BoxGeometry(20, 10, 20);
+        const roomMaterial = new THREE.MeshPhongMaterial({ 
+            color: 0x2d1810,
+            side: THREE.BackSide // Show inside faces
+        });
+        const room = new THREE.Mesh(roomGeometry, roomMaterial);
+        room.position.set(parentRide.position.x, 5, parentRide.position.z);
+        interior.add(room);
+        
+        // Add spooky floating candles
+        for (let i = 0; i < 6; i++) {
+            const candleGeometry = new THREE.CylinderGeometry(0.1, 0.15, 0.8);
+            const candleMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+            const candle = new THREE.Mesh(candleGeometry, candleMaterial);
+            
+            const angle = (i / 6) * Math.PI * 2;
+            candle.position.set(
+                parentRide.position.x + Math.cos(angle) * 6,
+                8 + Math.sin(this.now() * 0.001 + i) * 0.5, // Floating animation
+                parentRide.position.z + Math.sin(angle) * 6
+            );
+            
+            // Flickering flame effect
+            const flameGeometry = new THREE.SphereGeometry(0.2, 6, 6);
+            const flameMaterial = new THREE.MeshBasicMaterial({ 
+                color: 0xff6600,
+                transparent: true,
+                opacity: 0.8
+            });
+            const flame = new THREE.Mesh(flameGeometry, flameMaterial);
+            flame.position.y = 0.6;
+            candle.add(flame);
+            
+            interior.add(candle);
+        }
+        
+        // Add ghostly figures
+        for (let i = 0; i < 3; i++) {
+            const ghostGeometry = new THREE.SphereGeometry(0.8, 8, 8);
+            const ghostMaterial = new THREE.MeshPhongMaterial({ 
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.3
+            });
+            const ghost = new THREE.Mesh(ghostGeometry, ghostMaterial);
+            ghost.position.set(
+                parentRide.position.x + (this.random() - 0.5) * 12,
+                3 + this.random() * 3,
+                parentRide.position.z + (this.random() - 0.5) * 12
+            );
+            
+            ghost.userData.floatOffset = this.random() * Math.PI * 2;
+            interior.add(ghost);
+        }
         
-        const rides = [
-            // Roller Coaster in Sci-Fi City
-            { x: 75, z: -75, type: 'rollercoaster', name: 'Battlestar Galactica' },
-            // Mummy ride in Egypt
-            { x: -75, z: 5, type: 'indoor', name: 'Revenge of the Mummy' },
-            // Castle ride in Far Far Away
-            { x: -75, z: 75, type: 'family', name: 'Shrek 4-D Adventure' },
-            // Water ride in Lost World
-            { x: -75, z: -75, type: 'water', name: 'Jurassic Park Rapids' },
-            // NEW: Haunted Mansion in Hollywood
-            { x: 75, z: 75, type: 'haunted', name: 'Haunted Hollywood Mansion' }
-        ];
+        // Add treasure chest in the corner
+        const chestGeometry = new THREE.BoxGeometry(2, 1, 1);
+        const chestMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+        const chest = new THREE.Mesh(chestGeometry, chestMaterial);
+        chest.position.set(
+            parentRide.position.x + 7,
+            1,
+            parentRide.position.z + 7
+        );
         
-        rides.forEach(rideData => {
-            const ride = this.createRide(rideData);
-            this.rides.push(ride);
-            this.scene.add(ride);
+        // Golden glow around the chest
+        const glowGeometry = new THREE.SphereGeometry(1.5, 8, 8);
+        const glowMaterial = new THREE.MeshBasicMaterial({ 
+            color: 0xffd700,
+            transparent: true,
+            opacity: 0.2
         });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        chest.add(glow);
+        
+        interior.add(chest);
+        
+        interior.position.set(0, -50, 0); // Hidden below ground initially
+        interior.userData = {
+            type: 'interior',
+            parentBuilding: parentRide,
+            entryPosition: {
+                x: parentRide.position.x,
+                y: 1.35,
+                z: parentRide.position.z + 5
+            },
+            exitPosition: {
+                x: parentRide.position.x,
+                y: 1.35,
+                z: parentRide.position.z - 5
+            },
+            entranceRange: 5,
+            name: 'Haunted Mansion Interior'
+        };
+        
+        this.buildings.push(interior);
+        this.scene.add(interior);
+        
+        console.log('👻 Created Haunted Mansion interior');
     }
     
-    createRide(rideData) {
-        const rideGroup = new THREE.Group();
-        
-        // Base platform
-        const platformGeometry = new THREE.BoxGeometry(8, 0.5, 8);
-        const platformMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
-        const platform = new THREE.Mesh(platformGeometry, platformMaterial);
-        platform.position.y = 0.25;
-        rideGroup.add(platform);
+    addBuildingEntrances() {
+        // Add entrance markers for buildings
+        const entranceGeometry = new THREE.RingGeometry(2, 2.5, 8);
+        const entranceMaterial = new THREE.MeshBasicMaterial({ 
+            color: 0x00ff00,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide
+        });
         
-        // Ride-specific elements
-        switch(rideData.type) {
-            case 'rollercoaster':
-                // Add track pieces
-                for (let i = 0; i < 5; i++) {
-                    const trackGeometry = new THREE.BoxGeometry(1, 0.2, 0.3);
-                    const trackMaterial = new THREE.MeshPhongMaterial({ color: 0x444444 });
-                    const track = new THREE.Mesh(trackGeometry, trackMaterial);
-                    track.position.set(i * 1.5 - 3, 1 + i * 0.5, 0);
-                    track.rotation.x = i * 0.2;
-                    rideGroup.add(track);
-                }
-                break;
-                
-            case 'indoor':
-                // Pyramid entrance
-                const pyramidGeometry = new THREE.ConeGeometry(4, 6, 4);
-                const pyramidMaterial = new THREE.MeshPhongMaterial({ color: 0xdaa520 });
-                const pyramid = new THREE.Mesh(pyramidGeometry, pyramidMaterial);
-                pyramid.position.y = 3.5;
-                pyramid.rotation.y = Math.PI / 4;
-                rideGroup.add(pyramid);
-                break;
+        this.rides.forEach(ride => {
+            if (ride.userData.rideType === 'indoor' || ride.userData.rideType === 'haunted') {
+                const entrance = new THREE.Mesh(entranceGeometry, entranceMaterial);
+                entrance.position.copy(ride.position);
+                entrance.position.y = 0.1;
+                entrance.rotation.x = -Math.PI / 2;
                 
-            case 'family':
-                // Castle tower
-                const towerGeometry = new THREE.CylinderGeometry(2, 2.5, 8);
-                const towerMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-                const tower = new THREE.Mesh(towerGeometry, towerMaterial);
-                tower.position.y = 4.5;
-                rideGroup.add(tower);
-                break;
+                // Animate the entrance ring
+                entrance.userData.animationOffset = this.random() * Math.PI * 2;
+                entrance.userData.type = 'entrance';
+                entrance.userData.parentRide = ride;
                 
-            case 'water':
-                // Water splash effect placeholder
-                const splashGeometry = new THREE.SphereGeometry(3, 8, 6);
-                const splashMaterial = new THREE.MeshPhongMaterial({ 
-                    color: 0x87ceeb, 
-                    transparent: true, 
-                    opacity: 0.6 
-                });
-                const splash = new THREE.Mesh(splashGeometry, splashMaterial);
-                splash.position.y = 3;
-                splash.scale.y = 0.3;
-                rideGroup.add(splash);
-                break;
+                this.scene.add(entrance);
+            }
+        });
+    }
+    
+    createRideVehicles() {
+        console.log('🚗 Creating rideable vehicles...');
+        
+        // Create ride cars for different attractions
+        const vehicleTypes = [
+            { 
+                rideType: 'indoor', 
+                position: { x: -75, z: 5 }, 
+                type: 'mummyCart',
+                name: 'Mummy Adventure Cart'
+            },
+            { 
+                rideType: 'rollercoaster', 
+                position: { x: 75, z: -75 }, 
+                type: 'coasterCar',
+                name: 'Battlestar Fighter'
+            },
+            { 
+                rideType: 'water', 
+                position: { x: -75, z: -75 }, 
+                type: 'raftBoat',
+                name: 'Jurassic Raft'
+            }
+        ];
+        
+        vehicleTypes.forEach(vehicleData => {
+            const vehicle = this.createRideVehicle(vehicleData);
+            // Each waits at the station of its own track, facing along it
+            vehicle.userData.track = this.createRideTrack(vehicleData.type, this.scene, vehicle.position);
+            this.placeOnRideTrack(vehicle, vehicle.userData.track, 0);
+            this.rideVehicles.push(vehicle);
+            this.scene.add(vehicle);
+            this.addDynamicCollider(vehicle);
+        });
+    }
+    
+    createRideVehicle(vehicleData) {
+        const vehicleGroup = new THREE.Group();
+        
+        switch(vehicleData.type) {
+            case 'mummyCart':
+                // Ancient Egyptian-style cart
+                const cartBase = new THREE.BoxGeometry(4, 1, 6);
+                const cartMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
+                const base = new THREE.Mesh(cartBase, cartMaterial);
+                base.position.y = 0.5;
+                base.castShadow = true;
+                vehicleGroup.add(base);
                 
-            case 'haunted':
-                // Spooky Victorian mansion
-                const hauntedBaseGeometry = new THREE.BoxGeometry(6, 4, 6);
-                const hauntedBaseMaterial = new THREE.MeshPhongMaterial({ color: 0x2d2d2d });
-                const hauntedBase = new THREE.Mesh(hauntedBaseGeometry, hauntedBaseMaterial);
-                hauntedBase.position.y = 2.5;
-                rideGroup.add(hauntedBase);
+                // Seats for the girls
+                for (let i = 0; i < 2; i++) {
+                    const seatGeometry = new THREE.BoxGeometry(1.5, 0.8, 1.5);
+                    const seatMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
+                    const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+                    seat.position.set(i * 2 - 0.5, 1.4, 0);
+                    seat.userData.seatId = i;
+                    vehicleGroup.add(seat);
+                }
                 
-                // Gothic roof
-                const hauntedRoofGeometry = new THREE.ConeGeometry(4.5, 3, 4);
-                const hauntedRoofMaterial = new THREE.MeshPhongMaterial({ color: 0x1a1a1a });
-                const hauntedRoof = new THREE.Mesh(hauntedRoofGeometry, hauntedRoofMaterial);
-                hauntedRoof.position.y = 5.5;
-                hauntedRoof.rotation.y = Math.PI / 4;
-                rideGroup.add(hauntedRoof);
+                // Egyptian decorations
+                const decorGeometry = new THREE.CylinderGeometry(0.2, 0.2, 2);
+                const decorMaterial = new THREE.MeshPhongMaterial({ color: 0xdaa520 });
+                for (let i = 0; i < 4; i++) {
+                    const decor = new THREE.Mesh(decorGeometry, decorMaterial);
+                    decor.position.set(
+                        i % 2 === 0 ? -1.8 : 1.8,
+                        1.5,
+                        i < 2 ? -2.5 : 2.5
+                    );
+                    vehicleGroup.add(decor);
+                }
+                break;
                 
-                // Spooky tower
-                const hauntedTowerGeometry = new THREE.CylinderGeometry(1, 1.2, 5);
-                const hauntedTowerMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
-                const hauntedTower = new THREE.Mesh(hauntedTowerGeometry, hauntedTowerMaterial);
-                hauntedTower.position.set(2, 4, 2);
-                rideGroup.add(hauntedTower);
+            case 'coasterCar':
+                // Futuristic space fighter
+                const fighterGeometry = new THREE.BoxGeometry(2.5, 1.2, 5);
+                const fighterMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
+                const fighter = new THREE.Mesh(fighterGeometry, fighterMaterial);
+                fighter.position.y = 1;
+                vehicleGroup.add(fighter);
                 
-                // Glowing windows
-                for (let i = 0; i < 4; i++) {
-                    const hauntedWindowGeometry = new THREE.PlaneGeometry(0.8, 1);
-                    const hauntedWindowMaterial = new THREE.MeshBasicMaterial({ 
-                        color: 0xffff00, 
-                        transparent: true, 
-                        opacity: 0.7 
+                // Cockpit seats
+                for (let i = 0; i < 2; i++) {
+                    const cockpitGeometry = new THREE.SphereGeometry(0.8, 8, 6);
+                    const cockpitMaterial = new THREE.MeshPhongMaterial({ 
+                        color: 0x0066cc,
+                        transparent: true,
+                        opacity: 0.7
                     });
-                    const hauntedWindow = new THREE.Mesh(hauntedWindowGeometry, hauntedWindowMaterial);
-                    const angle = (i / 4) * Math.PI * 2;
-                    hauntedWindow.position.set(Math.cos(angle) * 3, 3, Math.sin(angle) * 3);
-                    hauntedWindow.lookAt(0, 3, 0);
-                    rideGroup.add(hauntedWindow);
+                    const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
+                    cockpit.position.set(0, 1.8, i * 2 - 0.5);
+                    cockpit.userData.seatId = i;
+                    vehicleGroup.add(cockpit);
                 }
+                break;
                 
-                // Spooky entrance door
-                const hauntedDoorGeometry = new THREE.BoxGeometry(1, 2.5, 0.2);
-                const hauntedDoorMaterial = new THREE.MeshPhongMaterial({ color: 0x4a2c17 });
-                const hauntedDoor = new THREE.Mesh(hauntedDoorGeometry, hauntedDoorMaterial);
-                hauntedDoor.position.set(0, 1.25, 3.1);
-                rideGroup.add(hauntedDoor);
+            case 'raftBoat':
+                // Inflatable raft
+                const raftGeometry = new THREE.CylinderGeometry(3, 3, 0.5, 8);
+                const raftMaterial = new THREE.MeshPhongMaterial({ color: 0xff6600 });
+                const raft = new THREE.Mesh(raftGeometry, raftMaterial);
+                raft.position.y = 0.25;
+                vehicleGroup.add(raft);
+                
+                // Seating area
+                const seatingGeometry = new THREE.RingGeometry(1, 2.5, 8);
+                const seatingMaterial = new THREE.MeshPhongMaterial({ color: 0x444444 });
+                const seating = new THREE.Mesh(seatingGeometry, seatingMaterial);
+                seating.position.y = 0.6;
+                seating.rotation.x = -Math.PI / 2;
+                vehicleGroup.add(seating);
                 break;
         }
         
-        rideGroup.position.set(rideData.x, 0, rideData.z);
-        rideGroup.userData = {
-            type: 'ride',
-            name: rideData.name,
-            rideType: rideData.type,
-            isActive: true,
-            interactionRange: 6,
-            lastActivation: 0
+        vehicleGroup.position.set(vehicleData.position.x, 0, vehicleData.position.z);
+        vehicleGroup.userData = {
+            type: 'rideVehicle',
+            vehicleType: vehicleData.type,
+            name: vehicleData.name,
+            canRide: true,
+            isOccupied: false,
+            seats: vehicleData.type === 'mummyCart' || vehicleData.type === 'coasterCar' ? 2 : 4,
+            track: null, // See RIDE TRACKS
+            trackRide: null, // The trip round it while the ride is on
+            rideActive: false
         };
         
-        return rideGroup;
+        return vehicleGroup;
     }
     
-    createBuildingInteriors() {
-        console.log('🏢 Creating building interiors...');
+    startWorldEvents() {
+        console.log('🎪 Starting dynamic world events...');
         
-        // Find the Mummy pyramid and create interior
-        const mummyRide = this.rides.find(ride => ride.userData.name === 'Revenge of the Mummy');
-        if (mummyRide) {
-            this.createMummyInterior(mummyRide);
-        }
+        // Create periodic events
+        this.worldEvents = [
+            {
+                name: 'Parade',
+                type: 'moving',
+                startTime: this.now() + 10000, // Start in 10 seconds
+                duration: 30000, // 30 seconds
+                interval: 120000, // Every 2 minutes
+                active: false,
+                participants: []
+            },
+            {
+                name: 'Fireworks',
+                type: 'stationary',
+                startTime: this.now() + 60000, // Start in 1 minute
+                duration: 15000, // 15 seconds
+                interval: 180000, // Every 3 minutes
+                active: false,
+                position: { x: 0, y: 20, z: 0 }
+            },
+            {
+                name: 'Character Meet',
+                type: 'interactive',
+                startTime: this.now() + 30000, // Start in 30 seconds
+                duration: 45000, // 45 seconds
+                interval: 240000, // Every 4 minutes
+                active: false,
+                character: null
+            }
+        ];
+    }
+    
+    setupEventListeners() {
+        // Audio can only start after the player interacts with the page
+        ['click', 'keydown', 'touchstart'].forEach(eventType => {
+            document.addEventListener(eventType, () => this.initAudio(), { once: true });
+        });
         
-        // Find the Haunted Mansion and create interior
-        const hauntedRide = this.rides.find(ride => ride.userData.name === 'Haunted Hollywood Mansion');
-        if (hauntedRide) {
-            this.createHauntedInterior(hauntedRide);
-        }
+        document.addEventListener('click', () => {
+            const looking = this.stateMachine.lookStates.includes(this.stateMachine.state);
+            if (!this.mouseLocked && looking && !this.saveSystem.panelOpen && !this.replaySystem.panelOpen) {
+                this.renderer.domElement.requestPointerLock();
+            }
+        });
         
-        // Add entrance markers to buildings
-        this.addBuildingEntrances();
+        document.addEventListener('pointerlockchange', () => {
+            this.mouseLocked = document.pointerLockElement === this.renderer.domElement;
+            console.log('Mouse lock changed:', this.mouseLocked);
+            
+            if (!this.mouseLocked) this.pauseOnMouseLost(event.timeStamp);
+        });
+        
+        document.addEventListener('mousemove', (event) => {
+            if (!this.mouseLocked || !this.canLookAround()) return;
+            
+            const movementX = event.movementX || 0;
+            const movementY = event.movementY || 0;
+            
+            // Store camera rotation angles
+            if (!this.cameraRotation) {
+                this.cameraRotation = { horizontal: 0, vertical: 0 };
+            }
+            
+            // Update camera rotation
+            this.cameraRotation.horizontal -= movementX * 0.002;
+            this.cameraRotation.vertical -= movementY * 0.002;
+            
+            // Clamp vertical rotation
+            this.cameraRotation.vertical = Math.max(-Math.PI/3, Math.min(Math.PI/3, this.cameraRotation.vertical));
+        });
+        
+        document.addEventListener('keydown', (event) => {
+            switch(event.code) {
+                case 'KeyW':
+                    this.controls.forward = true;
+                    break;
+                case 'KeyS':
+                    this.controls.backward = true;
+                    break;
+                case 'KeyA':
+                    this.controls.left = true;
+                    break;
+                case 'KeyD':
+                    this.controls.right = true;
+                    break;
+                case 'ShiftLeft':
+                    this.controls.run = true;
+                    break;
+                case 'KeyE':
+                    this.controls.interact = true;
+                    break;
+                case 'Space':
+                    event.preventDefault(); // Don't scroll the page or press a focused button
+                    this.controls.jump = true;
+                    break;
+                case 'ArrowUp':
+                    this.coopControls.forward = this.playerSystem.coop;
+                    break;
+                case 'ArrowDown':
+                    this.coopControls.backward = this.playerSystem.coop;
+                    break;
+                case 'ArrowLeft':
+                    this.coopControls.left = this.playerSystem.coop;
+                    break;
+                case 'ArrowRight':
+                    this.coopControls.right = this.playerSystem.coop;
+                    break;
+                case 'ShiftRight':
+                    this.coopControls.run = this.playerSystem.coop;
+                    break;
+                case 'Slash':
+                    this.coopControls.interact = this.playerSystem.coop;
+                    break;
+                case 'Period':
+                    this.coopControls.jump = this.playerSystem.coop;
+                    break;
+                case 'Tab':
+                    event.preventDefault(); // Keep focus on the game
+                    if (!event.repeat) this.switchCharacter();
+                    break;
+                case 'KeyC':
+                    if (!event.repeat) this.toggleCoop();
+                    break;
+                case 'KeyL':
+                    if (!event.repeat) this.toggleSavePanel();
+                    break;
+                case 'KeyN':
+                    if (!event.repeat) this.toggleMute();
+                    break;
+                case 'KeyM':
+                    if (!event.repeat) this.toggleMap();
+                    break;
+                case 'KeyJ':
+                    if (!event.repeat) this.toggleQuestLog();
+                    break;
+                case 'KeyB':
+                    if (!event.repeat) this.toggleRideBoard();
+                    break;
+                case 'KeyR':
+                    if (!event.repeat) this.toggleReplayPanel();
+                    break;
+                case 'KeyV':
+                    if (!event.repeat) this.cycleCameraMode();
+                    break;
+                case 'KeyP':
+                    if (!event.repeat) this.togglePhotoMode();
+                    break;
+                case 'Enter':
+                    if (!event.repeat) this.takePhoto();
+                    break;
+                case 'Escape':
+                    if (!event.repeat) this.pressEscape(event.timeStamp);
+                    break;
+            }
+        });
+        
+        document.addEventListener('keyup', (event) => {
+            switch(event.code) {
+                case 'KeyW':
+                    this.controls.forward = false;
+                    break;
+                case 'KeyS':
+                    this.controls.backward = false;
+                    break;
+                case 'KeyA':
+                    this.controls.left = false;
+                    break;
+                case 'KeyD':
+                    this.controls.right = false;
+                    break;
+                case 'ShiftLeft':
+                    this.controls.run = false;
+                    break;
+                case 'KeyE':
+                    this.controls.interact = false;
+                    break;
+                case 'Space':
+                    this.controls.jump = false;
+                    break;
+                case 'ArrowUp':
+                    this.coopControls.forward = false;
+                    break;
+                case 'ArrowDown':
+                    this.coopControls.backward = false;
+                    break;
+                case 'ArrowLeft':
+                    this.coopControls.left = false;
+                    break;
+                case 'ArrowRight':
+                    this.coopControls.right = false;
+                    break;
+                case 'ShiftRight':
+                    this.coopControls.run = false;
+                    break;
+                case 'Slash':
+                    this.coopControls.interact = false;
+                    break;
+                case 'Period':
+                    this.coopControls.jump = false;
+                    break;
+            }
+        });
+        
+        // The wheel zooms the orbit camera, and the lens in photo mode
+        document.addEventListener('wheel', (event) => {
+            if (this.canLookAround()) this.zoomCamera(Math.sign(event.deltaY));
+        });
+        
+        // Gamepads can be plugged in and out at any time
+        window.addEventListener('gamepadconnected', (event) => this.connectGamepad(event.gamepad));
+        window.addEventListener('gamepaddisconnected', (event) => this.disconnectGamepad(event.gamepad));
+        
+        window.addEventListener('resize', () => {
+            this.camera.aspect = window.innerWidth / window.innerHeight;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
+        });
+        
+        this.setupReplayPanel();
+        this.setupStateScreens();
+        this.setupRiddlePanel();
+        
+        // Tapping the full map, the quest log or the ride board closes it (mobile has no M, J or B key)
+        [['mapPanel', () => this.toggleMap()], ['questPanel', () => this.toggleQuestLog()], ['rideBoardPanel', () => this.toggleRideBoard()]].forEach(([id, close]) => {
+            const panel = this.getElement(id);
+            if (panel) {
+                panel.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    close();
+                });
+            }
+        });
+        
+        // Always setup mobile controls for debugging
+        console.log('🔧 Force enabling mobile controls for all devices...');
+        this.setupMobileControls();
     }
     
-    createMummyInterior(parentRide) {
-        const interior = new THREE.Group();
-        interior.name = 'mummyDarkRide';
+    setupMobileControls() {
+        console.log('🔧 Setting up Android-optimized mobile controls...');
+        console.log('User Agent:', navigator.userAgent);
+        console.log('Is Mobile:', this.isMobile);
+        
+        // Force show mobile controls always for debugging
+        const mobileControls = document.getElementById('mobileControls');
+        if (mobileControls) {
+            mobileControls.style.display = 'block';
+            mobileControls.style.opacity = '1';
+            console.log('✅ Mobile controls container visible');
+        } else {
+            console.error('❌ Mobile controls container not found!');
+            return;
+        }
+        
+        // Get arrow button elements with detailed logging
+        const buttons = {
+            up: document.getElementById('upButton'),
+            down: document.getElementById('downButton'),
+            left: document.getElementById('leftButton'),
+            right: document.getElementById('rightButton'),
+            run: document.getElementById('runButton'),
+            camera: document.getElementById('cameraButton'),
+            save: document.getElementById('saveButton'),
+            mute: document.getElementById('muteButton'),
+            replay: document.getElementById('replayButton'),
+            map: document.getElementById('mapButton'),
+            quests: document.getElementById('questButton'),
+            rides: document.getElementById('rideBoardButton'),
+            pause: document.getElementById('pauseButton'),
+            swap: document.getElementById('swapButton'),
+            interact: document.getElementById('interactButton'),
+            jump: document.getElementById('jumpButton')
+        };
+        
+        console.log('Button elements found:', Object.keys(buttons).filter(key => buttons[key]));
+        console.log('Missing buttons:', Object.keys(buttons).filter(key => !buttons[key]));
+        
+        // Universal event handler that works on both touch and mouse
+        const createControlHandler = (controlName) => {
+            return {
+                start: (e) => {
+                    console.log(`🎮 ${controlName} button pressed!`);
+                    if (e.preventDefault) e.preventDefault();
+                    if (e.stopPropagation) e.stopPropagation();
+                    
+                    // Force set the control
+                    this.controls[controlName] = true;
+                    console.log('Current controls:', this.controls);
+                    
+                    // Visual feedback
+                    if (e.target) {
+                        e.target.style.background = 'rgba(255,0,0,0.8)'; // Bright red for visibility
+                        e.target.style.transform = 'scale(1.2)';
+                    }
+                },
+                end: (e) => {
+                    console.log(`🎮 ${controlName} button released!`);
+                    if (e.preventDefault) e.preventDefault();
+                    if (e.stopPropagation) e.stopPropagation();
+                    
+                    this.controls[controlName] = false;
+                    console.log('Current controls:', this.controls);
+                    
+                    // Reset visual feedback
+                    if (e.target) {
+                        e.target.style.background = 'rgba(0,0,0,0.4)';
+                        e.target.style.transform = 'scale(1)';
+                    }
+                }
+            };
+        };
         
-        // Initialize dark ride system
-        this.initializeDarkRideSystem(interior, parentRide);
+        // Setup movement controls with robust event binding
+        const movements = [
+            { button: buttons.up, control: 'forward' },
+            { button: buttons.down, control: 'backward' },
+            { button: buttons.left, control: 'left' },
+            { button: buttons.right, control: 'right' }
+        ];
         
-        // Create tomb chamber - larger interior space
-        const chamberGeometry = new THREE.BoxGeometry(25, 12, 25);
-        const chamberMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0x8b7355,
-            side: THREE.BackSide // Show inside faces
+        movements.forEach(({ button, control }) => {
+            if (button) {
+                const handler = createControlHandler(control);
+                
+                // Multiple event types for maximum compatibility
+                const startEvents = ['touchstart', 'mousedown', 'pointerdown'];
+                const endEvents = ['touchend', 'touchcancel', 'mouseup', 'mouseleave', 'pointerup', 'pointercancel'];
+                
+                startEvents.forEach(eventType => {
+                    button.addEventListener(eventType, handler.start, { 
+                        passive: false, 
+                        capture: true 
+                    });
+                });
+                
+                endEvents.forEach(eventType => {
+                    button.addEventListener(eventType, handler.end, { 
+                        passive: false, 
+                        capture: true 
+                    });
+                });
+                
+                console.log(`✅ Events bound to ${control} button`);
+            } else {
+                console.error(`❌ ${control} button not found!`);
+            }
         });
-        const chamber = new THREE.Mesh(chamberGeometry, chamberMaterial);
-        chamber.position.y = 6;
-        interior.add(chamber);
         
-        // Hieroglyphic walls (textured pillars)
-        for (let i = 0; i < 8; i++) {
-            const angle = (i / 8) * Math.PI * 2;
-            const pillarGeometry = new THREE.BoxGeometry(2, 10, 1);
-            const pillarMaterial = new THREE.MeshPhongMaterial({ 
-                color: 0xcd853f,
-                shininess: 10
+        // Run button
+        if (buttons.run) {
+            const runHandler = createControlHandler('run');
+            ['touchstart', 'mousedown'].forEach(event => {
+                buttons.run.addEventListener(event, runHandler.start, { passive: false });
+            });
+            ['touchend', 'touchcancel', 'mouseup'].forEach(event => {
+                buttons.run.addEventListener(event, runHandler.end, { passive: false });
             });
-            const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-            pillar.position.set(
-                Math.cos(angle) * 10,
-                5,
-                Math.sin(angle) * 10
-            );
-            pillar.castShadow = true;
-            interior.add(pillar);
-            
-            // Add hieroglyphic decorations
-            const hieroGeometry = new THREE.BoxGeometry(1.8, 0.5, 0.1);
-            const hieroMaterial = new THREE.MeshPhongMaterial({ color: 0x4a4a4a });
-            for (let j = 0; j < 3; j++) {
-                const hiero = new THREE.Mesh(hieroGeometry, hieroMaterial);
-                hiero.position.set(
-                    Math.cos(angle) * 10.1,
-                    3 + j * 2,
-                    Math.sin(angle) * 10.1
-                );
-                hiero.rotation.y = angle;
-                interior.add(hiero);
-            }
         }
         
-        // Central sarcophagus
-        const sarcophagusGeometry = new THREE.BoxGeometry(3, 1, 8);
-        const sarcophagusMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-        const sarcophagus = new THREE.Mesh(sarcophagusGeometry, sarcophagusMaterial);
-        sarcophagus.position.set(0, 0.5, 0);
-        sarcophagus.castShadow = true;
-        interior.add(sarcophagus);
-        
-        // Treasure chests around the room
-        for (let i = 0; i < 4; i++) {
-            const angle = (i / 4) * Math.PI * 2 + Math.PI/4;
-            const chestGeometry = new THREE.BoxGeometry(1.5, 1, 1);
-            const chestMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-            const chest = new THREE.Mesh(chestGeometry, chestMaterial);
-            chest.position.set(
-                Math.cos(angle) * 6,
-                0.5,
-                Math.sin(angle) * 6
-            );
-            chest.userData.type = 'treasure';
-            chest.castShadow = true;
-            interior.add(chest);
+        // Interact button works like E: pull levers, talk to riddle-tellers
+        if (buttons.interact) {
+            const interactHandler = createControlHandler('interact');
+            ['touchstart', 'mousedown'].forEach(event => {
+                buttons.interact.addEventListener(event, interactHandler.start, { passive: false });
+            });
+            ['touchend', 'touchcancel', 'mouseup'].forEach(event => {
+                buttons.interact.addEventListener(event, interactHandler.end, { passive: false });
+            });
         }
         
-        // Torches for atmospheric lighting
-        for (let i = 0; i < 6; i++) {
-            const angle = (i / 6) * Math.PI * 2;
-            const torchLight = new THREE.PointLight(0xff6600, 0.8, 15);
-            torchLight.position.set(
-                Math.cos(angle) * 8,
-                7,
-                Math.sin(angle) * 8
-            );
-            torchLight.castShadow = true;
-            interior.add(torchLight);
-            
-            // Visual torch
-            const torchGeometry = new THREE.CylinderGeometry(0.1, 0.2, 2);
-            const torchMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-            const torch = new THREE.Mesh(torchGeometry, torchMaterial);
-            torch.position.copy(torchLight.position);
-            torch.position.y -= 1;
-            interior.add(torch);
+        // Jump button works like Space
+        if (buttons.jump) {
+            const jumpHandler = createControlHandler('jump');
+            ['touchstart', 'mousedown'].forEach(event => {
+                buttons.jump.addEventListener(event, jumpHandler.start, { passive: false });
+            });
+            ['touchend', 'touchcancel', 'mouseup'].forEach(event => {
+                buttons.jump.addEventListener(event, jumpHandler.end, { passive: false });
+            });
         }
         
-        // Position interior relative to the pyramid
-        interior.position.copy(parentRide.position);
-        interior.position.y = -50; // Underground
-        interior.visible = false; // Hidden by default
-        
-        interior.userData = {
-            type: 'interior',
-            parentBuilding: parentRide,
-            entranceRange: 5,
-            name: 'Mummy Tomb Interior'
-        };
-        
-        this.buildings.push(interior);
-        this.scene.add(interior);
-        
-        console.log('🏺 Created Mummy Dark Ride Experience');
-    }
-    
-    initializeDarkRideSystem(interior, parentRide) {
-        // Create the complete dark ride experience
-        const rideSystem = {
-            showBuilding: null,
-            queueLine: [],
-            preShowRoom: null,
-            rideVehicles: [],
-            trackPath: [],
-            currentScene: 0,
-            rideActive: false,
-            boardingStation: null,
-            unloadStation: null
-        };
-        
-        // Store ride system in interior userData
-        interior.userData.rideSystem = rideSystem;
-        
-        // Build show building exterior
-        this.buildShowBuilding(interior, rideSystem, parentRide.position);
+        // Save button opens the save & load panel
+        if (buttons.save) {
+            buttons.save.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleSavePanel();
+            });
+        }
         
-        // Create queue line with switchbacks
-        this.buildQueueLine(interior, rideSystem, parentRide.position);
+        if (buttons.mute) {
+            buttons.mute.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.initAudio();
+                this.toggleMute();
+            });
+        }
         
-        // Create pre-show chamber
-        this.buildPreShowRoom(interior, rideSystem, parentRide.position);
+        if (buttons.replay) {
+            buttons.replay.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleReplayPanel();
+            });
+        }
         
-        // Build ride track system
-        this.buildRideTrack(interior, rideSystem, parentRide.position);
+        if (buttons.map) {
+            buttons.map.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleMap();
+            });
+        }
         
-        // Create ride vehicles
-        this.buildRideVehicles(interior, rideSystem, parentRide.position);
+        if (buttons.quests) {
+            buttons.quests.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleQuestLog();
+            });
+        }
         
-        // Build all ride scenes
-        this.buildAllRideScenes(interior, rideSystem, parentRide.position);
-    }
-    
-    buildShowBuilding(interior, rideSystem, basePos) {
-        // Create massive show building (80x40x60)
-        const buildingGroup = new THREE.Group();
+        if (buttons.rides) {
+            buttons.rides.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleRideBoard();
+            });
+        }
         
-        // Main structure
-        const buildingGeometry = new THREE.BoxGeometry(80, 40, 60);
-        const buildingMaterial = new THREE.MeshPhongMaterial({
-            color: 0x2a2416,
-            side: THREE.BackSide
-        });
-        const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
-        building.position.y = 20;
-        buildingGroup.add(building);
+        if (buttons.pause) {
+            buttons.pause.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.togglePause();
+            });
+        }
         
-        // Grand entrance portal
-        const portalGeometry = new THREE.BoxGeometry(8, 12, 2);
-        const portalMaterial = new THREE.MeshPhongMaterial({
-            color: 0xcd853f
-        });
-        const portal = new THREE.Mesh(portalGeometry, portalMaterial);
-        portal.position.set(0, 6, 30);
-        buildingGroup.add(portal);
+        if (buttons.swap) {
+            buttons.swap.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.switchCharacter();
+            });
+        }
         
-        // Hieroglyphic decorations on entrance
-        for (let i = 0; i < 5; i++) {
-            const hieroGeometry = new THREE.BoxGeometry(1, 0.8, 0.1);
-            const hieroMaterial = new THREE.MeshPhongMaterial({
-                color: 0x4a4a4a,
-                emissive: 0x222222
+        // The camera button goes in and out of photo mode (the arrows fly the camera, jump rises)
+        if (buttons.camera) {
+            buttons.camera.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.togglePhotoMode();
             });
-            const hiero = new THREE.Mesh(hieroGeometry, hieroMaterial);
-            hiero.position.set(-3 + i * 1.5, 8, 30.5);
-            buildingGroup.add(hiero);
         }
         
-        interior.add(buildingGroup);
-        rideSystem.showBuilding = buildingGroup;
-    }
-    
-    buildQueueLine(interior, rideSystem, basePos) {
-        const queueGroup = new THREE.Group();
+        // Disable scrolling and zoom on mobile
+        document.body.style.overflow = 'hidden';
+        document.body.style.position = 'fixed';
+        document.body.style.width = '100%';
+        document.body.style.height = '100%';
+        
+        // Prevent default behaviors
+        document.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+        }, { passive: false });
+        
+        document.addEventListener('touchstart', (e) => {
+            if (e.touches.length > 1) {
+                e.preventDefault(); // Prevent pinch zoom
+            }
+        }, { passive: false });
         
-        // Create winding queue with railings
-        const queuePoints = [
-            { x: 0, z: 25 },
-            { x: 10, z: 25 },
-            { x: 10, z: 20 },
-            { x: -10, z: 20 },
-            { x: -10, z: 15 },
-            { x: 5, z: 15 },
-            { x: 5, z: 10 }
-        ];
+        // Force enable movement regardless of mouse lock for mobile
+        this.mouseLocked = true; // Force enable movement
         
-        // Build queue railings
-        for (let i = 0; i < queuePoints.length - 1; i++) {
-            const start = queuePoints[i];
-            const end = queuePoints[i + 1];
-            const distance = Math.sqrt(
-                Math.pow(end.x - start.x, 2) + 
-                Math.pow(end.z - start.z, 2)
-            );
-            
-            const railGeometry = new THREE.BoxGeometry(distance, 1, 0.1);
-            const railMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
-            const rail = new THREE.Mesh(railGeometry, railMaterial);
-            
-            rail.position.set(
-                (start.x + end.x) / 2,
-                0.5,
-                (start.z + end.z) / 2
-            );
-            
-            const angle = Math.atan2(end.z - start.z, end.x - start.x);
-            rail.rotation.y = angle;
-            
-            queueGroup.add(rail);
+        console.log('🚀 Android-optimized mobile controls setup complete!');
+        console.log('Final control state:', this.controls);
+    }
+    
+    // Character Animation Functions
+    playCharacterAnimation(character, animationType, duration = 2000) {
+        if (!character || !character.userData || !character.userData.animations) {
+            console.warn('Character missing animation data');
+            return;
         }
         
-        // Add themed props along queue
-        const props = [
-            { type: 'sarcophagus', x: 12, z: 22 },
-            { type: 'artifact', x: -8, z: 17 },
-            { type: 'excavation', x: 3, z: 12 }
-        ];
+        const animations = character.userData.animations;
+        animations.currentState = animationType;
+        animations.isAnimating = true;
+        animations.animationDuration = duration;
+        animations.time = 0;
         
-        props.forEach(prop => {
-            if (prop.type === 'sarcophagus') {
-                const sarcGeometry = new THREE.BoxGeometry(2, 3, 1);
-                const sarcMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-                const sarc = new THREE.Mesh(sarcGeometry, sarcMaterial);
-                sarc.position.set(prop.x, 1.5, prop.z);
-                sarc.rotation.y = Math.random() * Math.PI;
-                queueGroup.add(sarc);
-            }
-        });
+        console.log(`🎭 Playing ${animationType} animation for ${character.userData.name}`);
         
-        interior.add(queueGroup);
-        rideSystem.queueLine = queueGroup;
+        // Auto-reset to idle after duration
+        this.scheduleGameEvent(() => {
+            if (animations.currentState === animationType) {
+                animations.currentState = 'idle';
+                animations.isAnimating = false;
+            }
+        }, duration);
     }
     
-    buildPreShowRoom(interior, rideSystem, basePos) {
-        const preShowGroup = new THREE.Group();
+    updateCharacterAnimations(character, deltaTime) {
+        if (!character || !character.userData || !character.userData.animations) return;
         
-        // Circular chamber
-        const chamberGeometry = new THREE.CylinderGeometry(5, 5, 4, 16);
-        const chamberMaterial = new THREE.MeshPhongMaterial({
-            color: 0x3a3226,
-            side: THREE.BackSide
-        });
-        const chamber = new THREE.Mesh(chamberGeometry, chamberMaterial);
-        chamber.position.set(0, 2, 5);
-        preShowGroup.add(chamber);
+        const animations = character.userData.animations;
+        const bodyParts = character.userData.bodyParts;
+        const time = this.gameClock.elapsed;
         
-        // Central artifact pedestal
-        const pedestalGeometry = new THREE.CylinderGeometry(1, 1.2, 1);
-        const pedestalMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
-        const pedestal = new THREE.Mesh(pedestalGeometry, pedestalMaterial);
-        pedestal.position.set(0, 0.5, 5);
-        preShowGroup.add(pedestal);
+        // Update animation time
+        animations.idle.time += deltaTime * animations.idle.speed;
+        animations.walking.time += deltaTime * animations.walking.speed;
+        animations.jumping.time += deltaTime * animations.jumping.speed;
+        animations.scared.time += deltaTime * animations.scared.speed;
+        animations.laughing.time += deltaTime * animations.laughing.speed;
+        animations.waving.time += deltaTime * animations.waving.speed;
+        animations.dancing.time += deltaTime * animations.dancing.speed;
         
-        // Mystical artifact on pedestal
-        const artifactGeometry = new THREE.OctahedronGeometry(0.5);
-        const artifactMaterial = new THREE.MeshPhongMaterial({
-            color: 0xffd700,
-            emissive: 0xffaa00,
-            emissiveIntensity: 0.3
-        });
-        const artifact = new THREE.Mesh(artifactGeometry, artifactMaterial);
-        artifact.position.set(0, 1.5, 5);
-        artifact.userData.animationType = 'rotate';
-        preShowGroup.add(artifact);
+        // Apply current animation
+        switch (animations.currentState) {
+            case 'laughing':
+                this.animateLaughing(character, bodyParts, animations.laughing.time);
+                break;
+            case 'jumping':
+                this.animateJumping(character, bodyParts, animations.jumping.time);
+                break;
+            case 'scared':
+                this.animateScared(character, bodyParts, animations.scared.time);
+                break;
+            case 'walking':
+                this.animateWalking(character, bodyParts, animations.walking.time);
+                break;
+            case 'waving':
+                this.animateWaving(character, bodyParts, animations.waving.time);
+                break;
+            case 'dancing':
+                this.animateDancing(character, bodyParts, animations.dancing.time);
+                break;
+            default: // idle
+                this.animateIdle(character, bodyParts, animations.idle.time);
+                break;
+        }
+    }
+    
+    animateLaughing(character, bodyParts, time) {
+        if (!bodyParts) return;
         
-        interior.add(preShowGroup);
-        rideSystem.preShowRoom = preShowGroup;
+        // Head bobbing up and down
+        if (bodyParts.head) {
+            bodyParts.head.position.y = 0.75 + Math.sin(time * 8) * 0.05;
+            bodyParts.head.rotation.z = Math.sin(time * 6) * 0.1;
+        }
+        
+        // Body shaking slightly
+        if (bodyParts.body) {
+            bodyParts.body.rotation.z = Math.sin(time * 10) * 0.03;
+        }
+        
+        // Arms moving up and down
+        if (bodyParts.leftUpperArm) {
+            bodyParts.leftUpperArm.rotation.z = 0.3 + Math.sin(time * 8) * 0.2;
+        }
+        if (bodyParts.rightUpperArm) {
+            bodyParts.rightUpperArm.rotation.z = -0.3 - Math.sin(time * 8) * 0.2;
+        }
     }
     
-    buildRideTrack(interior, rideSystem, basePos) {
-        // Create spline path for ride track (400m total)
-        const trackPoints = [
-            // Station
-            new THREE.Vector3(0, 1, 0),
-            // Scene 1 - Tomb Entry
-            new THREE.Vector3(0, 1, -10),
-            new THREE.Vector3(0, 0, -20),
-            new THREE.Vector3(5, -1, -25),
-            // Scene 2 - Treasure Chamber  
-            new THREE.Vector3(15, -1, -25),
-            new THREE.Vector3(20, -1, -20),
-            new THREE.Vector3(20, -1, -10),
-            // Scene 3 - Mummy Awakening
-            new THREE.Vector3(15, -1, 0),
-            new THREE.Vector3(10, -1, 5),
-            // Scene 4 - Curse Chamber
-            new THREE.Vector3(0, -1, 10),
-            new THREE.Vector3(-10, 0, 10),
-            // Scene 5 - Escape
-            new THREE.Vector3(-15, 1, 5),
-            new THREE.Vector3(-15, 2, -5),
-            // Scene 6 - Finale
-            new THREE.Vector3(-10, 2, -10),
-            new THREE.Vector3(-5, 1, -5),
-            new THREE.Vector3(0, 1, 0) // Return to station
-        ];
+    animateJumping(character, bodyParts, time) {
+        // Real hops off whatever she is standing on; on a ride she just bobs in her seat
+        if (character.userData.vertical && character.parent === this.scene) {
+            if (character.userData.vertical.grounded) this.startJump(character, this.physicsSystem.hopSpeed);
+        } else {
+            const jumpHeight = Math.abs(Math.sin(time * 4)) * 1.5;
+            character.position.y = character.userData.animations.originalY + jumpHeight;
+        }
         
-        // Create visible track
-        const trackGeometry = new THREE.BufferGeometry().setFromPoints(trackPoints);
-        const trackMaterial = new THREE.LineBasicMaterial({ 
-            color: 0x444444,
-            linewidth: 2 
-        });
-        const trackLine = new THREE.Line(trackGeometry, trackMaterial);
-        trackLine.visible = false; // Hide in production
-        interior.add(trackLine);
+        // Arms spread wide during jump
+        if (bodyParts.leftUpperArm) {
+            bodyParts.leftUpperArm.rotation.z = 0.5 + Math.sin(time * 4) * 0.3;
+        }
+        if (bodyParts.rightUpperArm) {
+            bodyParts.rightUpperArm.rotation.z = -0.5 - Math.sin(time * 4) * 0.3;
+        }
         
-        // Store track data
-        rideSystem.trackPath = trackPoints;
-        rideSystem.trackSpline = new THREE.CatmullRomCurve3(trackPoints);
+        // Slight body lean
+        if (bodyParts.body) {
+            bodyParts.body.rotation.x = Math.sin(time * 4) * 0.1;
+        }
     }
     
-    buildRideVehicles(interior, rideSystem, basePos) {
-        // Create Explorer Cart vehicles
-        for (let i = 0; i < 3; i++) {
-            const vehicleGroup = new THREE.Group();
-            
-            // Cart base
-            const baseGeometry = new THREE.BoxGeometry(2, 0.8, 1.5);
-            const baseMaterial = new THREE.MeshPhongMaterial({ color: 0x4a4a4a });
-            const base = new THREE.Mesh(baseGeometry, baseMaterial);
-            vehicleGroup.add(base);
-            
-            // Seats (2 rows of 2)
-            for (let row = 0; row < 2; row++) {
-                for (let col = 0; col < 2; col++) {
-                    const seatGeometry = new THREE.BoxGeometry(0.4, 0.6, 0.4);
-                    const seatMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-                    const seat = new THREE.Mesh(seatGeometry, seatMaterial);
-                    seat.position.set(
-                        -0.3 + col * 0.6,
-                        0.7,
-                        -0.3 + row * 0.6
-                    );
-                    vehicleGroup.add(seat);
-                }
-            }
-            
-            // Headlights
-            const headlightGeometry = new THREE.SphereGeometry(0.1);
-            const headlightMaterial = new THREE.MeshBasicMaterial({ 
-                color: 0xffff00,
-                emissive: 0xffff00 
-            });
-            const leftLight = new THREE.Mesh(headlightGeometry, headlightMaterial);
-            leftLight.position.set(-0.7, 0.3, 0.8);
-            vehicleGroup.add(leftLight);
-            
-            const rightLight = leftLight.clone();
-            rightLight.position.x = 0.7;
-            vehicleGroup.add(rightLight);
-            
-            // Add spotlight from headlights
-            const spotlight = new THREE.SpotLight(0xffffff, 1, 10, Math.PI / 6);
-            spotlight.position.set(0, 0.5, 0.8);
-            spotlight.target.position.set(0, 0, 2);
-            vehicleGroup.add(spotlight);
-            vehicleGroup.add(spotlight.target);
-            
-            // Vehicle data
-            vehicleGroup.userData = {
-                id: i,
-                occupied: false,
-                currentProgress: 0,
-                speed: 0.02,
-                riders: []
-            };
-            
-            // Position at station initially
-            vehicleGroup.position.set(0, 1, i * 3);
-            
-            interior.add(vehicleGroup);
-            rideSystem.rideVehicles.push(vehicleGroup);
+    animateScared(character, bodyParts, time) {
+        // Quick trembling motion
+        const tremble = Math.sin(time * 25) * 0.02;
+        character.position.x += tremble;
+        character.position.z += tremble * 0.5;
+        
+        // Head looking around frantically
+        if (bodyParts.head) {
+            bodyParts.head.rotation.y = Math.sin(time * 12) * 0.3;
+            bodyParts.head.position.y = 0.73; // Slightly ducked
+        }
+        
+        // Arms close to body, defensive
+        if (bodyParts.leftUpperArm) {
+            bodyParts.leftUpperArm.rotation.z = 0.8 + Math.sin(time * 15) * 0.1;
+        }
+        if (bodyParts.rightUpperArm) {
+            bodyParts.rightUpperArm.rotation.z = -0.8 - Math.sin(time * 15) * 0.1;
+        }
+        
+        // Body hunched forward
+        if (bodyParts.body) {
+            bodyParts.body.rotation.x = 0.2 + Math.sin(time * 10) * 0.05;
         }
     }
     
-    buildAllRideScenes(interior, rideSystem, basePos) {
-        // Scene 1: Tomb Entry
-        this.buildScene1TombEntry(interior, rideSystem);
+    animateWalking(character, bodyParts, time) {
+        // Walking arm swing
+        if (bodyParts.leftUpperArm) {
+            bodyParts.leftUpperArm.rotation.x = Math.sin(time * 6) * 0.5;
+        }
+        if (bodyParts.rightUpperArm) {
+            bodyParts.rightUpperArm.rotation.x = Math.sin(time * 6 + Math.PI) * 0.5;
+        }
         
-        // Scene 2: Treasure Chamber
-        this.buildScene2TreasureChamber(interior, rideSystem);
+        // Walking head bob
+        if (bodyParts.head) {
+            bodyParts.head.position.y = 0.75 + Math.sin(time * 12) * 0.02;
+        }
+    }
+    
+    animateIdle(character, bodyParts, time) {
+        // Gentle breathing motion
+        if (bodyParts.body) {
+            bodyParts.body.scale.y = 1 + Math.sin(time * 2) * 0.02;
+        }
         
-        // Scene 3: Mummy Awakening
-        this.buildScene3MummyAwakening(interior, rideSystem);
+        // Slight head movement
+        if (bodyParts.head) {
+            bodyParts.head.rotation.y = Math.sin(time * 0.5) * 0.05;
+            bodyParts.head.position.y = 0.75 + Math.sin(time * 1.5) * 0.01;
+        }
+    }
+    
+    animateWaving(character, bodyParts, time) {
+        if (!bodyParts) return;
         
-        // Scene 4: Curse Chamber
-        this.buildScene4CurseChamber(interior, rideSystem);
+        // Friendly waving motion with right arm
+        if (bodyParts.rightUpperArm) {
+            bodyParts.rightUpperArm.rotation.z = -0.5 + Math.sin(time * 8) * 0.4;
+            bodyParts.rightUpperArm.rotation.x = Math.sin(time * 6) * 0.2;
+        }
         
-        // Scene 5: Escape Sequence
-        this.buildScene5Escape(interior, rideSystem);
+        // Corresponding forearm movement
+        if (bodyParts.rightForearm) {
+            bodyParts.rightForearm.rotation.z = -0.3 + Math.sin(time * 8) * 0.3;
+        }
         
-        // Scene 6: Finale
-        this.buildScene6Finale(interior, rideSystem);
+        // Hand motion
+        if (bodyParts.rightHand) {
+            bodyParts.rightHand.rotation.z = Math.sin(time * 10) * 0.2;
+        }
+        
+        // Slight head turn toward waving
+        if (bodyParts.head) {
+            bodyParts.head.rotation.y = Math.sin(time * 4) * 0.1;
+            bodyParts.head.position.y = 0.75 + Math.sin(time * 3) * 0.02;
+        }
+        
+        // Body sway
+        if (bodyParts.body) {
+            bodyParts.body.rotation.z = Math.sin(time * 4) * 0.05;
+        }
     }
     
-    buildScene1TombEntry(interior, rideSystem) {
-        const sceneGroup = new THREE.Group();
-        sceneGroup.position.set(0, 0, -20);
+    animateDancing(character, bodyParts, time) {
+        if (!bodyParts) return;
         
-        // Closing walls effect
-        const wallLeft = new THREE.BoxGeometry(10, 8, 1);
-        const wallMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
-        const leftWall = new THREE.Mesh(wallLeft, wallMaterial);
-        leftWall.position.set(-5, 4, 0);
-        leftWall.userData.animationType = 'slideIn';
-        sceneGroup.add(leftWall);
+        // Bouncy up and down movement
+        const bounceHeight = Math.sin(time * 6) * 0.3;
+        character.position.y = this.getStandingHeight(character) + Math.abs(bounceHeight);
         
-        const rightWall = leftWall.clone();
-        rightWall.position.x = 5;
-        sceneGroup.add(rightWall);
+        // Both arms moving rhythmically
+        if (bodyParts.leftUpperArm) {
+            bodyParts.leftUpperArm.rotation.z = 0.3 + Math.sin(time * 5) * 0.4;
+            bodyParts.leftUpperArm.rotation.x = Math.sin(time * 4 + Math.PI) * 0.3;
+        }
+        if (bodyParts.rightUpperArm) {
+            bodyParts.rightUpperArm.rotation.z = -0.3 - Math.sin(time * 5) * 0.4;
+            bodyParts.rightUpperArm.rotation.x = Math.sin(time * 4) * 0.3;
+        }
         
-        // Stone door
-        const doorGeometry = new THREE.BoxGeometry(6, 8, 0.5);
-        const doorMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
-        const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, 4, -5);
-        door.userData.animationType = 'doorOpen';
-        sceneGroup.add(door);
+        // Forearms following the beat
+        if (bodyParts.leftForearm) {
+            bodyParts.leftForearm.rotation.z = 0.2 + Math.sin(time * 6) * 0.2;
+        }
+        if (bodyParts.rightForearm) {
+            bodyParts.rightForearm.rotation.z = -0.2 - Math.sin(time * 6) * 0.2;
+        }
         
-        interior.add(sceneGroup);
+        // Head bobbing to the rhythm
+        if (bodyParts.head) {
+            bodyParts.head.position.y = 0.75 + Math.sin(time * 6) * 0.08;
+            bodyParts.head.rotation.z = Math.sin(time * 4) * 0.15;
+            bodyParts.head.rotation.y = Math.sin(time * 3) * 0.2;
+        }
+        
+        // Body twist and sway
+        if (bodyParts.body) {
+            bodyParts.body.rotation.y = Math.sin(time * 4) * 0.2;
+            bodyParts.body.rotation.z = Math.sin(time * 5) * 0.1;
+        }
     }
     
-    buildScene2TreasureChamber(interior, rideSystem) {
-        const sceneGroup = new THREE.Group();
-        sceneGroup.position.set(20, -1, -20);
+    checkMonsterReactions() {
+        if (!this.mina) return;
         
-        // Gold piles
-        for (let i = 0; i < 10; i++) {
-            const goldGeometry = new THREE.SphereGeometry(0.3 + Math.random() * 0.3);
-            const goldMaterial = new THREE.MeshPhongMaterial({ 
-                color: 0xffd700,
-                shininess: 100 
-            });
-            const gold = new THREE.Mesh(goldGeometry, goldMaterial);
-            gold.position.set(
-                (Math.random() - 0.5) * 10,
-                Math.random() * 2,
-                (Math.random() - 0.5) * 10
-            );
-            sceneGroup.add(gold);
-        }
+        this.monsters.forEach(monster => {
+            const distanceToMina = monster.position.distanceTo(this.mina.position);
+            
+            // If monster is close, trigger scared animation
+            if (distanceToMina < 15 && this.random() < 0.02) { // 2% chance per frame when close
+                this.playCharacterAnimation(this.mina, 'scared', 1500);
+                this.playCharacterAnimation(this.sacha, 'scared', 1500);
+                
+                // Add some random reactions
+                if (this.random() < 0.3) {
+                    this.scheduleGameEvent(() => {
+                        this.playCharacterAnimation(this.mina, 'jumping', 1000);
+                    }, 800);
+                }
+            }
+        });
         
-        // Guardian statues
-        for (let i = 0; i < 2; i++) {
-            const statueGeometry = new THREE.BoxGeometry(1, 4, 1);
-            const statueMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
-            const statue = new THREE.Mesh(statueGeometry, statueMaterial);
-            statue.position.set(i === 0 ? -4 : 4, 2, 0);
-            statue.userData.animationType = 'headTurn';
-            sceneGroup.add(statue);
+        // Random animations when no monsters nearby
+        if (this.gameState.monstersNearby === 0 && this.random() < 0.001) { // 0.1% chance per frame
+            const animations = ['laughing', 'waving', 'dancing'];
+            const randomAnimation = animations[Math.floor(this.random() * animations.length)];
+            
+            if (this.random() > 0.5) {
+                this.playCharacterAnimation(this.mina, randomAnimation, 2500);
+                // Sacha might join in with dancing or waving
+                if (randomAnimation === 'dancing' && this.random() > 0.6) {
+                    this.scheduleGameEvent(() => {
+                        this.playCharacterAnimation(this.sacha, 'dancing', 2000);
+                    }, 500);
+                } else if (randomAnimation === 'waving' && this.random() > 0.7) {
+                    this.scheduleGameEvent(() => {
+                        this.playCharacterAnimation(this.sacha, 'waving', 1500);
+                    }, 800);
+                }
+            } else {
+                this.playCharacterAnimation(this.sacha, randomAnimation, 2500);
+                // Mina might respond to Sacha's actions
+                if (randomAnimation === 'dancing' && this.random() > 0.6) {
+                    this.scheduleGameEvent(() => {
+                        this.playCharacterAnimation(this.mina, 'dancing', 2000);
+                    }, 300);
+                }
+            }
         }
         
-        interior.add(sceneGroup);
+        // Jumping when collecting treasures (triggered elsewhere)
+        // This function is called from treasure collection
     }
     
-    buildScene3MummyAwakening(interior, rideSystem) {
-        const sceneGroup = new THREE.Group();
-        sceneGroup.position.set(10, -1, 5);
+    // ===== DYNAMIC WORLD UPDATE FUNCTIONS =====
+    
+    updateInteractiveNPCs(deltaTime) {
+        if (!this.mina) return;
         
-        // Sarcophagus
-        const sarcGeometry = new THREE.BoxGeometry(3, 1.5, 7);
-        const sarcMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-        const sarcophagus = new THREE.Mesh(sarcGeometry, sarcMaterial);
-        sarcophagus.position.y = 0.75;
-        sceneGroup.add(sarcophagus);
+        this.interactiveNPCs.forEach(npc => {
+            const distance = npc.position.distanceTo(this.mina.position);
+            
+            // NPCs look at nearby characters
+            if (distance < 15) {
+                npc.lookAt(this.mina.position);
+            }
+            
+            // Simple idle animation for NPCs
+            const time = this.gameClock.elapsed;
+            npc.position.y = Math.sin(time * 2 + npc.position.x) * 0.02;
+        });
+    }
+    
+    updateRides(deltaTime) {
+        const time = this.gameClock.elapsed;
         
-        // Mummy figure
-        const mummyGroup = new THREE.Group();
-        const mummyBody = new THREE.BoxGeometry(1, 2.5, 0.5);
-        const mummyMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0x8b7355,
-            opacity: 0.9,
-            transparent: true
+        this.rides.forEach(ride => {
+            const userData = ride.userData;
+            
+            // Animate rides based on type
+            switch(userData.rideType) {
+                case 'rollercoaster':
+                    // Track pieces moving up and down
+                    ride.children.forEach((piece, index) => {
+                        if (piece.geometry.type === 'BoxGeometry') {
+                            piece.position.y = 1 + index * 0.5 + Math.sin(time * 2 + index) * 0.2;
+                        }
+                    });
+                    break;
+                    
+                case 'indoor':
+                    // Pyramid rotating slowly
+                    const pyramid = ride.children.find(child => child.geometry.type === 'ConeGeometry');
+                    if (pyramid) {
+                        pyramid.rotation.y += deltaTime * 0.5;
+                    }
+                    break;
+                    
+                case 'family':
+                    // Tower swaying gently
+                    const tower = ride.children.find(child => child.geometry.type === 'CylinderGeometry');
+                    if (tower) {
+                        tower.rotation.z = Math.sin(time * 1.5) * 0.05;
+                    }
+                    break;
+                    
+                case 'water':
+                    // Water splash animation
+                    const splash = ride.children.find(child => 
+                        child.material && child.material.transparent
+                    );
+                    if (splash) {
+                        splash.scale.y = 0.3 + Math.sin(time * 3) * 0.2;
+                        splash.material.opacity = 0.4 + Math.sin(time * 2) * 0.2;
+                    }
+                    break;
+            }
+            
+            // Check for ride interaction
+            if (this.mina && ride.position.distanceTo(this.mina.position) < userData.interactionRange) {
+                const now = this.now();
+                if (now - userData.lastActivation > 10000) { // Every 10 seconds
+                    userData.lastActivation = now;
+                    this.triggerRideEffect(ride);
+                }
+            }
         });
-        const mummy = new THREE.Mesh(mummyBody, mummyMaterial);
-        mummy.position.y = 1.25;
-        mummyGroup.add(mummy);
-        
-        // Mummy head
-        const headGeometry = new THREE.SphereGeometry(0.4);
-        const head = new THREE.Mesh(headGeometry, mummyMaterial);
-        head.position.y = 2.8;
-        mummyGroup.add(head);
-        
-        mummyGroup.position.y = -2; // Hidden initially
-        mummyGroup.userData.animationType = 'mummyRise';
-        sceneGroup.add(mummyGroup);
-        
-        interior.add(sceneGroup);
     }
     
-    buildScene4CurseChamber(interior, rideSystem) {
-        const sceneGroup = new THREE.Group();
-        sceneGroup.position.set(0, -1, 10);
+    updateWorldEvents(deltaTime) {
+        const now = this.now();
         
-        // Rotating room walls with hieroglyphs
-        const cylinderGeometry = new THREE.CylinderGeometry(8, 8, 6, 16, 1, true);
-        const cylinderMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0x4a3c28,
-            side: THREE.DoubleSide
+        this.worldEvents.forEach(event => {
+            // Check if event should start
+            if (!event.active && now >= event.startTime) {
+                this.startWorldEvent(event);
+            }
+            
+            // Check if event should end
+            if (event.active && now >= event.startTime + event.duration) {
+                this.endWorldEvent(event);
+                // Schedule next occurrence
+                event.startTime = now + event.interval;
+            }
+            
+            // Update active events
+            if (event.active) {
+                this.updateActiveEvent(event, deltaTime);
+            }
         });
-        const rotatingWalls = new THREE.Mesh(cylinderGeometry, cylinderMaterial);
-        rotatingWalls.userData.animationType = 'rotate';
-        sceneGroup.add(rotatingWalls);
-        
-        // Scarab beetles
-        for (let i = 0; i < 20; i++) {
-            const scarabGeometry = new THREE.SphereGeometry(0.2, 6, 4);
-            const scarabMaterial = new THREE.MeshPhongMaterial({ 
-                color: 0x000000,
-                shininess: 100 
-            });
-            const scarab = new THREE.Mesh(scarabGeometry, scarabMaterial);
-            const angle = (i / 20) * Math.PI * 2;
-            scarab.position.set(
-                Math.cos(angle) * 7,
-                Math.random() * 4 - 2,
-                Math.sin(angle) * 7
-            );
-            scarab.userData.animationType = 'crawl';
-            sceneGroup.add(scarab);
-        }
-        
-        interior.add(sceneGroup);
     }
     
-    buildScene5Escape(interior, rideSystem) {
-        const sceneGroup = new THREE.Group();
-        sceneGroup.position.set(-15, 1, 0);
-        
-        // Falling debris particles
-        const debrisGeometry = new THREE.BoxGeometry(0.3, 0.3, 0.3);
-        const debrisMaterial = new THREE.MeshPhongMaterial({ color: 0x8b7355 });
-        
-        for (let i = 0; i < 15; i++) {
-            const debris = new THREE.Mesh(debrisGeometry, debrisMaterial);
-            debris.position.set(
-                (Math.random() - 0.5) * 10,
-                5 + Math.random() * 3,
-                (Math.random() - 0.5) * 10
-            );
-            debris.userData.animationType = 'fall';
-            debris.userData.fallSpeed = 0.5 + Math.random() * 0.5;
-            sceneGroup.add(debris);
+    showNPCDialogue(npcName, text) {
+        if (this.headless) {
+            console.log(`💬 ${npcName}: ${text}`);
+            return;
         }
         
-        // Fire effects on walls
-        for (let i = 0; i < 6; i++) {
-            const fireLight = new THREE.PointLight(0xff4500, 1, 5);
-            const angle = (i / 6) * Math.PI * 2;
-            fireLight.position.set(
-                Math.cos(angle) * 6,
-                1,
-                Math.sin(angle) * 6
-            );
-            sceneGroup.add(fireLight);
+        // Create a special NPC speech bubble
+        if (this.speechSystem.currentBubble) {
+            this.removeSpeechBubble();
         }
         
-        interior.add(sceneGroup);
-    }
-    
-    buildScene6Finale(interior, rideSystem) {
-        const sceneGroup = new THREE.Group();
-        sceneGroup.position.set(-5, 1, -5);
+        const bubble = document.createElement('div');
+        bubble.className = 'speech-bubble npc';
+        bubble.innerHTML = `<strong>${npcName}:</strong><br>${text}`;
+        bubble.style.background = 'linear-gradient(45deg, #ffd700, #ffed4e)';
+        bubble.style.color = '#333';
+        bubble.style.display = 'none';
         
-        // Calm treasury room
-        const treasuryGeometry = new THREE.BoxGeometry(15, 8, 15);
-        const treasuryMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0xdaa520,
-            side: THREE.BackSide
-        });
-        const treasury = new THREE.Mesh(treasuryGeometry, treasuryMaterial);
-        treasury.position.y = 4;
-        sceneGroup.add(treasury);
+        document.body.appendChild(bubble);
+        this.speechSystem.currentBubble = bubble;
         
-        // Final mummy behind glass
-        const glassGeometry = new THREE.BoxGeometry(4, 4, 0.2);
-        const glassMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0x87ceeb,
-            transparent: true,
-            opacity: 0.3
-        });
-        const glass = new THREE.Mesh(glassGeometry, glassMaterial);
-        glass.position.set(0, 2, -6);
-        sceneGroup.add(glass);
+        // Position at top center of screen
+        bubble.style.position = 'fixed';
+        bubble.style.top = '20px';
+        bubble.style.left = '50%';
+        bubble.style.transform = 'translateX(-50%)';
+        bubble.style.display = 'block';
+        bubble.style.zIndex = '200';
         
-        interior.add(sceneGroup);
+        // Auto-remove after 4 seconds
+        setTimeout(() => {
+            if (this.speechSystem.currentBubble === bubble) {
+                this.removeSpeechBubble();
+            }
+        }, 4000);
     }
     
-    updateMummyDarkRide(deltaTime, time) {
-        // Find the Mummy dark ride
-        const mummyInterior = this.buildings.find(b => b.name === 'mummyDarkRide');
-        if (!mummyInterior || !mummyInterior.userData.rideSystem) return;
-        
-        const rideSystem = mummyInterior.userData.rideSystem;
+    triggerRideEffect(ride) {
+        const rideName = ride.userData.name;
         
-        // Update each vehicle on the track
-        rideSystem.rideVehicles.forEach((vehicle, index) => {
-            const userData = vehicle.userData;
-            
-            // Check for boarding at station
-            if (!userData.occupied && this.mina) {
-                const distance = vehicle.position.distanceTo(this.mina.position);
-                if (distance < 3 && userData.currentProgress < 0.01) {
-                    // Show boarding prompt
-                    if (!this.boardingPromptShown) {
-                        console.log('🎢 Press E to board the Mummy Dark Ride!');
-                        this.boardingPromptShown = true;
-                    }
-                    
-                    // Check for boarding input
-                    if (this.controls.forward || this.controls.run) {
-                        this.boardMummyRide(vehicle, rideSystem);
-                    }
-                }
-            }
-            
-            // Update vehicle movement along track
-            if (userData.occupied || userData.currentProgress > 0) {
-                userData.currentProgress += userData.speed * deltaTime;
+        // Visual and animation effects based on ride type
+        switch(ride.userData.rideType) {
+            case 'rollercoaster':
+                this.playCharacterAnimation(this.mina, 'scared', 2000);
+                this.playCharacterAnimation(this.sacha, 'jumping', 1500);
+                this.showNPCDialogue(this.t('speaker.rideOperator'), this.t('rideEffect.rollercoaster'));
+                break;
                 
-                // Loop back to start
-                if (userData.currentProgress >= 1) {
-                    userData.currentProgress = 0;
-                    userData.occupied = false;
-                    
-                    // Unload riders
-                    if (userData.riders.includes(this.mina)) {
-                        this.unboardMummyRide(vehicle, rideSystem);
-                    }
-                }
+            case 'indoor':
+                this.playCharacterAnimation(this.mina, 'scared', 3000);
+                this.playCharacterAnimation(this.sacha, 'scared', 3000);
+                this.showNPCDialogue(this.t('speaker.mummyGuide'), this.t('rideEffect.indoor'));
+                break;
                 
-                // Get position along spline
-                if (rideSystem.trackSpline) {
-                    const point = rideSystem.trackSpline.getPoint(userData.currentProgress);
-                    vehicle.position.copy(point);
-                    
-                    // Look ahead on track
-                    const lookAhead = Math.min(userData.currentProgress + 0.01, 1);
-                    const lookPoint = rideSystem.trackSpline.getPoint(lookAhead);
-                    vehicle.lookAt(lookPoint);
-                }
+            case 'family':
+                this.playCharacterAnimation(this.mina, 'laughing', 2000);
+                this.playCharacterAnimation(this.sacha, 'laughing', 2000);
+                this.showNPCDialogue(this.translateText('Princess Fiona'), this.t('rideEffect.family'));
+                break;
                 
-                // Trigger scene effects based on progress
-                this.triggerRideSceneEffects(userData.currentProgress, rideSystem, time);
+            case 'water':
+                this.playCharacterAnimation(this.mina, 'jumping', 1500);
+                this.playCharacterAnimation(this.sacha, 'laughing', 2000);
+                this.showNPCDialogue(this.t('speaker.parkRanger'), this.t('rideEffect.water'));
+                break;
+        }
+    }
+    
+    startWorldEvent(event) {
+        event.active = true;
+        console.log(`🎉 Starting world event: ${event.name}`);
+        
+        switch(event.name) {
+            case 'Parade':
+                this.showNPCDialogue(this.t('speaker.paradeAnnouncer'), this.t('event.parade'));
+                break;
                 
-                // Vehicle animations
-                vehicle.rotation.z = Math.sin(time * 4) * 0.02; // Gentle sway
+            case 'Fireworks':
+                this.showNPCDialogue(this.t('speaker.showDirector'), this.t('event.fireworks'));
+                // Opening volley over the lagoon
+                for (let i = 0; i < 3; i++) {
+                    this.scheduleGameEvent(() => this.playFireworkBurst(new THREE.Vector3(
+                        (this.effectRandom() - 0.5) * 40, 20 + this.effectRandom() * 10, (this.effectRandom() - 0.5) * 40
+                    )), i * 400);
+                }
+                // Trigger happy animations
+                this.playCharacterAnimation(this.mina, 'jumping', 5000);
+                this.playCharacterAnimation(this.sacha, 'laughing', 5000);
+                break;
                 
-                // Headlight flicker
-                const headlights = vehicle.children.filter(c => c.type === 'SpotLight');
-                headlights.forEach(light => {
-                    light.intensity = 0.8 + Math.random() * 0.2;
-                });
-            }
-        });
-        
-        // Animate scene elements
-        this.animateDarkRideScenes(mummyInterior, time);
+            case 'Character Meet':
+                this.showNPCDialogue(this.t('speaker.mickey'), this.t('event.characterMeet'));
+                this.playCharacterAnimation(this.mina, 'laughing', 3000);
+                this.playCharacterAnimation(this.sacha, 'jumping', 3000);
+                break;
+        }
     }
     
-    boardMummyRide(vehicle, rideSystem) {
-        console.log('🎢 Boarding Mummy Dark Ride!');
-        
-        vehicle.userData.occupied = true;
-        vehicle.userData.riders = [this.mina];
-        vehicle.userData.currentProgress = 0;
-        
-        // Lock player to vehicle
-        if (this.mina) {
-            this.mina.userData.ridingVehicle = vehicle;
-            this.mina.visible = false; // Hide character while riding
+    endWorldEvent(event) {
+        event.active = false;
+        console.log(`🎉 Ending world event: ${event.name}`);
+        // Only girls still on their feet in a hunt still going have sat it out
+        if (this.isPlaying() && this.gameState.health > 0) this.notifyQuests({ type: 'surviveEvent', event: event.name });
+    }
+    
+    updateActiveEvent(event, deltaTime) {
+        // Event-specific updates while active
+        switch(event.name) {
+            case 'Fireworks':
+                // Create sparkle effects
+                if (this.effectRandom() < 0.3) {
+                    this.createTemporarySparkle();
+                }
+                // Roughly one more rocket a second
+                if (this.random() < deltaTime) {
+                    this.playFireworkBurst(new THREE.Vector3(
+                        (this.effectRandom() - 0.5) * 40, 20 + this.effectRandom() * 10, (this.effectRandom() - 0.5) * 40
+                    ));
+                }
+                break;
         }
-        
-        // Play boarding sound/animation
-        this.playCharacterAnimation(this.mina, 'jumping', 1000);
-        
-        // Start dramatic music
-        console.log('🎵 Starting ride music...');
-        
-        this.boardingPromptShown = false;
     }
     
-    unboardMummyRide(vehicle, rideSystem) {
-        console.log('🎢 Ride complete! Thanks for riding!');
+    createTemporarySparkle() {
+        const sparkleGeometry = new THREE.SphereGeometry(0.1, 6, 4);
+        const sparkleMaterial = new THREE.MeshBasicMaterial({ 
+            color: this.effectRandom() * 0xffffff,
+            transparent: true,
+            opacity: 0.8
+        });
+        const sparkle = new THREE.Mesh(sparkleGeometry, sparkleMaterial);
         
-        vehicle.userData.occupied = false;
-        vehicle.userData.riders = [];
+        sparkle.position.set(
+            (this.effectRandom() - 0.5) * 40,
+            15 + this.effectRandom() * 10,
+            (this.effectRandom() - 0.5) * 40
+        );
         
-        // Unlock player from vehicle
-        if (this.mina) {
-            this.mina.userData.ridingVehicle = null;
-            this.mina.visible = true;
-            this.mina.position.copy(vehicle.position);
-            this.mina.position.y = 1.35;
-        }
+        this.scene.add(sparkle);
         
-        // Celebration animation
-        this.playCharacterAnimation(this.mina, 'dancing', 2000);
-        this.playCharacterAnimation(this.sacha, 'waving', 1500);
+        // Remove after 2 seconds of game time
+        this.scheduleGameEvent(() => {
+            this.scene.remove(sparkle);
+            sparkleGeometry.dispose();
+            sparkleMaterial.dispose();
+        }, 2000);
     }
     
-    triggerRideSceneEffects(progress, rideSystem, time) {
-        // Scene triggers based on track progress
-        
-        // Scene 1: Tomb Entry (5-15%)
-        if (progress > 0.05 && progress < 0.15) {
-            // Walls closing in effect
-            // Door opening animation
-        }
+    // ===== BUILDING INTERIOR & RIDE VEHICLE UPDATE FUNCTIONS =====
+    
+    updateBuildingInteriors(deltaTime) {
+        if (!this.mina) return;
+        const player = this.getActiveCharacter(); // Whoever player one drives opens doors
+        const actions = this.inputSystem.players[0];
         
-        // Scene 2: Treasure Chamber (20-30%)
-        if (progress > 0.20 && progress < 0.30) {
-            // Guardian statues turn heads
-            // Gold sparkle effects
-        }
+        // Check for building entrance/exit
+        this.buildings.forEach(building => {
+            if (building.userData.type === 'interior') {
+                const parentBuilding = building.userData.parentBuilding;
+                const distance = player.position.distanceTo(parentBuilding.position);
+                
+                // Check if player wants to enter building
+                if (distance < building.userData.entranceRange && !this.currentInterior) {
+                    if (actions.moveZ < 0 || actions.run) {
+                        this.enterBuilding(building);
+                    }
+                }
+                
+                // If inside, check for exit
+                if (this.currentInterior === building) {
+                    const interiorCenter = building.position.clone();
+                    interiorCenter.y = player.position.y;
+                    const interiorDistance = player.position.distanceTo(interiorCenter);
+                    
+                    // Exit if player moves too far from center or presses run
+                    if (interiorDistance > 12 || actions.run) {
+                        this.exitBuilding();
+                    }
+                }
+            }
+        });
         
-        // Scene 3: Mummy Awakening (35-45%)
-        if (progress > 0.35 && progress < 0.45) {
-            // Mummy rises from sarcophagus
-            // Strobe lighting
-            if (Math.random() < 0.1) {
-                console.log('⚡ MUMMY AWAKENS!');
+        // Update entrance ring animations
+        this.scene.traverse(object => {
+            if (object.userData.type === 'entrance') {
+                const time = this.gameClock.elapsed;
+                object.rotation.z = time + object.userData.animationOffset;
+                object.material.opacity = 0.2 + Math.sin(time * 2) * 0.2;
             }
-        }
+        });
+    }
+    
+    updateRideVehicles(deltaTime) {
+        if (!this.mina) return;
         
-        // Scene 4: Curse Chamber (50-60%)
-        if (progress > 0.50 && progress < 0.60) {
-            // Rotating walls
-            // Scarab swarm
-        }
+        const time = this.gameClock.elapsed;
         
-        // Scene 5: Escape (65-75%)  
-        if (progress > 0.65 && progress < 0.75) {
-            // Falling debris
-            // Fire effects
-        }
+        // Update Mummy Dark Ride vehicles
+        this.updateMummyDarkRide(deltaTime, time);
         
-        // Scene 6: Finale (80-95%)
-        if (progress > 0.80 && progress < 0.95) {
-            // Calm lighting
-            // Final mummy scare
-        }
-    }
-    
-    animateDarkRideScenes(interior, time) {
-        interior.traverse(object => {
-            if (object.userData.animationType) {
-                switch(object.userData.animationType) {
-                    case 'rotate':
-                        object.rotation.y += 0.01;
-                        break;
-                    case 'mummyRise':
-                        if (object.position.y < 1.25) {
-                            object.position.y += 0.01;
-                        }
-                        break;
-                    case 'doorOpen':
-                        if (object.position.y < 10) {
-                            object.position.y += 0.05;
-                        }
-                        break;
-                    case 'headTurn':
-                        object.rotation.y = Math.sin(time) * 0.5;
-                        break;
-                    case 'fall':
-                        object.position.y -= object.userData.fallSpeed * 0.01;
-                        if (object.position.y < -2) {
-                            object.position.y = 5 + Math.random() * 3;
+        this.rideVehicles.forEach(vehicle => {
+            const userData = vehicle.userData;
+            
+            // Update active rides (the girls board from the front of the queue, see RIDE OPERATIONS),
+            // which end when they are back at the station
+            const waiting = !userData.rideActive;
+            if (!waiting && this.moveAlongRideTrack(vehicle, userData.trackRide, deltaTime)) {
+                this.endRideExperience(vehicle);
+            }
+            
+            // Visual animations for vehicles (the ones waiting at their stations; the track moves the others)
+            switch(userData.vehicleType) {
+                case 'mummyCart':
+                    // Gentle swaying motion
+                    if (!waiting) break;
+                    vehicle.rotation.z = Math.sin(time * 1.5) * 0.02;
+                    vehicle.position.y = Math.sin(time * 2) * 0.05;
+                    break;
+                    
+                case 'coasterCar':
+                    // Hovering effect
+                    if (waiting) vehicle.position.y = 0.5 + Math.sin(time * 3) * 0.1;
+                    // Cockpit glow
+                    vehicle.children.forEach(child => {
+                        if (child.material && child.material.transparent) {
+                            child.material.opacity = 0.5 + Math.sin(time * 4) * 0.2;
                         }
-                        break;
-                    case 'crawl':
-                        const angle = time * 2;
-                        object.position.x += Math.sin(angle) * 0.01;
-                        object.position.z += Math.cos(angle) * 0.01;
-                        break;
-                }
+                    });
+                    break;
+                    
+                case 'raftBoat':
+                    // Floating on water motion
+                    if (!waiting) break;
+                    vehicle.rotation.x = Math.sin(time * 1.8) * 0.05;
+                    vehicle.rotation.z = Math.cos(time * 1.2) * 0.03;
+                    vehicle.position.y = Math.sin(time * 2.5) * 0.08;
+                    break;
             }
         });
     }
     
-    createHauntedInterior(parentRide) {
-        const interior = new THREE.Group();
-        interior.name = 'hauntedInterior';
+    enterBuilding(building) {
+        console.log(`🏺 Entering ${building.userData.name}`);
         
-        // Create spooky mansion interior - Victorian parlor
-        const roomGeometry = new THREE.BoxGeometry(20, 10, 20);
-        const roomMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0x2d1810,
-            side: THREE.BackSide // Show inside faces
+        // Hide exterior world
+        this.scene.traverse(object => {
+            if (object !== building && object.parent === this.scene) {
+                object.visible = false;
+            }
         });
-        const room = new THREE.Mesh(roomGeometry, roomMaterial);
-        room.position.set(parentRide.position.x, 5, parentRide.position.z);
-        interior.add(room);
-        
-        // Add spooky floating candles
-        for (let i = 0; i < 6; i++) {
-            const candleGeometry = new THREE.CylinderGeometry(0.1, 0.15, 0.8);
-            const candleMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-            const candle = new THREE.Mesh(candleGeometry, candleMaterial);
-            
-            const angle = (i / 6) * Math.PI * 2;
-            candle.position.set(
-                parentRide.position.x + Math.cos(angle) * 6,
-                8 + Math.sin(Date.now() * 0.001 + i) * 0.5, // Floating animation
-                parentRide.position.z + Math.sin(angle) * 6
-            );
-            
-            // Flickering flame effect
-            const flameGeometry = new THREE.SphereGeometry(0.2, 6, 6);
-            const flameMaterial = new THREE.MeshBasicMaterial({ 
-                color: 0xff6600,
-                transparent: true,
-                opacity: 0.8
-            });
-            const flame = new THREE.Mesh(flameGeometry, flameMaterial);
-            flame.position.y = 0.6;
-            candle.add(flame);
-            
-            interior.add(candle);
-        }
-        
-        // Add ghostly figures
-        for (let i = 0; i < 3; i++) {
-            const ghostGeometry = new THREE.SphereGeometry(0.8, 8, 8);
-            const ghostMaterial = new THREE.MeshPhongMaterial({ 
-                color: 0xffffff,
-                transparent: true,
-                opacity: 0.3
-            });
-            const ghost = new THREE.Mesh(ghostGeometry, ghostMaterial);
-            ghost.position.set(
-                parentRide.position.x + (Math.random() - 0.5) * 12,
-                3 + Math.random() * 3,
-                parentRide.position.z + (Math.random() - 0.5) * 12
-            );
-            
-            ghost.userData.floatOffset = Math.random() * Math.PI * 2;
-            interior.add(ghost);
-        }
         
-        // Add treasure chest in the corner
-        const chestGeometry = new THREE.BoxGeometry(2, 1, 1);
-        const chestMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-        const chest = new THREE.Mesh(chestGeometry, chestMaterial);
-        chest.position.set(
-            parentRide.position.x + 7,
-            1,
-            parentRide.position.z + 7
-        );
+        // Show interior
+        building.visible = true;
+        this.currentInterior = building;
         
-        // Golden glow around the chest
-        const glowGeometry = new THREE.SphereGeometry(1.5, 8, 8);
-        const glowMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffd700,
-            transparent: true,
-            opacity: 0.2
-        });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        chest.add(glow);
+        // Move characters to interior
+        const interiorCenter = building.position.clone();
+        this.mina.position.copy(interiorCenter);
+        this.mina.position.y = 1;
+        this.resetVerticalMotion(this.mina);
         
-        interior.add(chest);
+        if (this.sacha) {
+            this.sacha.position.copy(interiorCenter);
+            this.sacha.position.x += 2;
+            this.sacha.position.y = 1;
+            this.resetVerticalMotion(this.sacha);
+        }
         
-        interior.position.set(0, -50, 0); // Hidden below ground initially
-        interior.userData = {
-            type: 'interior',
-            parentBuilding: parentRide,
-            entryPosition: {
-                x: parentRide.position.x,
-                y: 1.35,
-                z: parentRide.position.z + 5
-            },
-            exitPosition: {
-                x: parentRide.position.x,
-                y: 1.35,
-                z: parentRide.position.z - 5
-            },
-            entranceRange: 5,
-            name: 'Haunted Mansion Interior'
-        };
+        // Show entry message
+        this.showNPCDialogue(this.t('speaker.tombGuide'), this.t('interior.welcome'));
         
-        this.buildings.push(interior);
-        this.scene.add(interior);
+        // Make characters react with excitement
+        this.playCharacterAnimation(this.mina, 'jumping', 2000);
+        this.playCharacterAnimation(this.sacha, 'scared', 1500);
         
-        console.log('👻 Created Haunted Mansion interior');
+        this.autosave('enter building');
     }
     
-    addBuildingEntrances() {
-        // Add entrance markers for buildings
-        const entranceGeometry = new THREE.RingGeometry(2, 2.5, 8);
-        const entranceMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x00ff00,
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        });
+    exitBuilding() {
+        if (!this.currentInterior) return;
         
-        this.rides.forEach(ride => {
-            if (ride.userData.rideType === 'indoor' || ride.userData.rideType === 'haunted') {
-                const entrance = new THREE.Mesh(entranceGeometry, entranceMaterial);
-                entrance.position.copy(ride.position);
-                entrance.position.y = 0.1;
-                entrance.rotation.x = -Math.PI / 2;
-                
-                // Animate the entrance ring
-                entrance.userData.animationOffset = Math.random() * Math.PI * 2;
-                entrance.userData.type = 'entrance';
-                entrance.userData.parentRide = ride;
-                
-                this.scene.add(entrance);
+        console.log(`🏺 Exiting ${this.currentInterior.userData.name}`);
+        
+        // Hide interior
+        this.currentInterior.visible = false;
+        
+        // Show exterior world
+        this.scene.traverse(object => {
+            if (object.parent === this.scene) {
+                object.visible = true;
             }
         });
+        
+        // Move characters back outside
+        const exitPosition = this.currentInterior.userData.parentBuilding.position.clone();
+        exitPosition.z += 8; // Outside the building
+        this.mina.position.copy(exitPosition);
+        this.mina.position.y = 1;
+        this.resetVerticalMotion(this.mina);
+        
+        if (this.sacha) {
+            this.sacha.position.copy(exitPosition);
+            this.sacha.position.x += 2;
+            this.sacha.position.y = 1;
+            this.resetVerticalMotion(this.sacha);
+        }
+        
+        this.currentInterior = null;
+        
+        this.showNPCDialogue(this.t('speaker.tombGuide'), this.t('interior.goodbye'));
+        this.autosave('exit building');
     }
     
-    createRideVehicles() {
-        console.log('🚗 Creating rideable vehicles...');
+    startRideExperience(vehicle) {
+        const userData = vehicle.userData;
+        if (userData.isOccupied || userData.rideActive) return;
         
-        // Create ride cars for different attractions
-        const vehicleTypes = [
-            { 
-                rideType: 'indoor', 
-                position: { x: -75, z: 5 }, 
-                type: 'mummyCart',
-                name: 'Mummy Adventure Cart'
-            },
-            { 
-                rideType: 'rollercoaster', 
-                position: { x: 75, z: -75 }, 
-                type: 'coasterCar',
-                name: 'Battlestar Fighter'
-            },
-            { 
-                rideType: 'water', 
-                position: { x: -75, z: -75 }, 
-                type: 'raftBoat',
-                name: 'Jurassic Raft'
-            }
-        ];
+        console.log(`🎢 Starting ride: ${userData.name}`);
         
-        vehicleTypes.forEach(vehicleData => {
-            const vehicle = this.createRideVehicle(vehicleData);
-            this.rideVehicles.push(vehicle);
-            this.scene.add(vehicle);
+        userData.isOccupied = true;
+        userData.rideActive = true;
+        userData.trackRide = this.createTrackRide(userData.track);
+        this.startRideMusic(userData.vehicleType);
+        
+        // Move the player onto the ride - the other girl comes too in co-op, or if she is brave enough
+        const riders = [this.getActiveCharacter()];
+        if (this.playerSystem.coop || this.getCompanionPersonality().ridesAlong) {
+            riders.push(this.getOtherCharacter(riders[0]));
+        }
+        riders.forEach((rider, index) => {
+            rider.position.copy(vehicle.position);
+            rider.position.x += index * 1.5;
+            rider.position.y += 2;
+            rider.parent = vehicle; // Attach to vehicle
         });
-    }
-    
-    createRideVehicle(vehicleData) {
-        const vehicleGroup = new THREE.Group();
         
-        switch(vehicleData.type) {
+        this.startCameraRail(userData.vehicleType, vehicle);
+        
+        // Show ride start message and character reactions
+        switch(userData.vehicleType) {
             case 'mummyCart':
-                // Ancient Egyptian-style cart
-                const cartBase = new THREE.BoxGeometry(4, 1, 6);
-                const cartMaterial = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-                const base = new THREE.Mesh(cartBase, cartMaterial);
-                base.position.y = 0.5;
-                base.castShadow = true;
-                vehicleGroup.add(base);
-                
-                // Seats for the girls
-                for (let i = 0; i < 2; i++) {
-                    const seatGeometry = new THREE.BoxGeometry(1.5, 0.8, 1.5);
-                    const seatMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
-                    const seat = new THREE.Mesh(seatGeometry, seatMaterial);
-                    seat.position.set(i * 2 - 0.5, 1.4, 0);
-                    seat.userData.seatId = i;
-                    vehicleGroup.add(seat);
-                }
-                
-                // Egyptian decorations
-                const decorGeometry = new THREE.CylinderGeometry(0.2, 0.2, 2);
-                const decorMaterial = new THREE.MeshPhongMaterial({ color: 0xdaa520 });
-                for (let i = 0; i < 4; i++) {
-                    const decor = new THREE.Mesh(decorGeometry, decorMaterial);
-                    decor.position.set(
-                        i % 2 === 0 ? -1.8 : 1.8,
-                        1.5,
-                        i < 2 ? -2.5 : 2.5
-                    );
-                    vehicleGroup.add(decor);
-                }
+                this.showNPCDialogue(this.t('speaker.rideOperator'), this.t('vehicle.mummyCart'));
+                this.playCharacterAnimation(this.mina, 'scared', 3000);
+                this.playCharacterAnimation(this.sacha, 'jumping', 2000);
                 break;
                 
             case 'coasterCar':
-                // Futuristic space fighter
-                const fighterGeometry = new THREE.BoxGeometry(2.5, 1.2, 5);
-                const fighterMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
-                const fighter = new THREE.Mesh(fighterGeometry, fighterMaterial);
-                fighter.position.y = 1;
-                vehicleGroup.add(fighter);
-                
-                // Cockpit seats
-                for (let i = 0; i < 2; i++) {
-                    const cockpitGeometry = new THREE.SphereGeometry(0.8, 8, 6);
-                    const cockpitMaterial = new THREE.MeshPhongMaterial({ 
-                        color: 0x0066cc,
-                        transparent: true,
-                        opacity: 0.7
-                    });
-                    const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
-                    cockpit.position.set(0, 1.8, i * 2 - 0.5);
-                    cockpit.userData.seatId = i;
-                    vehicleGroup.add(cockpit);
-                }
+                this.showNPCDialogue(this.t('speaker.flightCommander'), this.t('vehicle.coasterCar'));
+                this.playCharacterAnimation(this.mina, 'jumping', 4000);
+                this.playCharacterAnimation(this.sacha, 'laughing', 3000);
                 break;
                 
             case 'raftBoat':
-                // Inflatable raft
-                const raftGeometry = new THREE.CylinderGeometry(3, 3, 0.5, 8);
-                const raftMaterial = new THREE.MeshPhongMaterial({ color: 0xff6600 });
-                const raft = new THREE.Mesh(raftGeometry, raftMaterial);
-                raft.position.y = 0.25;
-                vehicleGroup.add(raft);
-                
-                // Seating area
-                const seatingGeometry = new THREE.RingGeometry(1, 2.5, 8);
-                const seatingMaterial = new THREE.MeshPhongMaterial({ color: 0x444444 });
-                const seating = new THREE.Mesh(seatingGeometry, seatingMaterial);
-                seating.position.y = 0.6;
-                seating.rotation.x = -Math.PI / 2;
-                vehicleGroup.add(seating);
+                this.showNPCDialogue(this.t('speaker.riverGuide'), this.t('vehicle.raftBoat'));
+                this.playCharacterAnimation(this.mina, 'laughing', 3000);
+                this.playCharacterAnimation(this.sacha, 'jumping', 2500);
                 break;
         }
+    }
+    
+    endRideExperience(vehicle) {
+        const userData = vehicle.userData;
+        
+        console.log(`🎢 Ending ride: ${userData.name}`);
+        this.stopRideMusic();
+        
+        userData.isOccupied = false;
+        userData.rideActive = false;
+        userData.trackRide = null;
+        
+        // Back on its station (it is already there unless the ride was cut short)
+        this.placeOnRideTrack(vehicle, userData.track, 0);
+        
+        // Detach characters from vehicle and move them near the exit
+        if (this.mina.parent === vehicle) {
+            this.scene.add(this.mina);
+            this.mina.position.copy(vehicle.position);
+            this.mina.position.z += 5; // Move away from vehicle
+            this.mina.position.y = 1;
+            this.resetVerticalMotion(this.mina);
+        }
+        
+        if (this.sacha && this.sacha.parent === vehicle) {
+            this.scene.add(this.sacha);
+            this.sacha.position.copy(vehicle.position);
+            this.sacha.position.x += 2;
+            this.sacha.position.z += 5;
+            this.sacha.position.y = 1;
+            this.resetVerticalMotion(this.sacha);
+        }
+        
+        // Show ride completion message
+        this.showNPCDialogue(this.t('speaker.rideOperator'), this.t('vehicle.thanks'));
+        this.playCharacterAnimation(this.mina, 'laughing', 3000);
+        this.playCharacterAnimation(this.sacha, 'jumping', 2000);
+        this.notifyQuests({ type: 'ride', ride: userData.name });
+    }
+    
+    createSpeechBubble(speaker, text) {
+        if (this.headless) return;
+        
+        // Remove existing bubble
+        if (this.speechSystem.currentBubble) {
+            this.removeSpeechBubble();
+        }
+        
+        // Create new bubble
+        const bubble = document.createElement('div');
+        bubble.className = `speech-bubble ${speaker}`;
+        bubble.textContent = text;
+        bubble.style.display = 'none'; // Initially hidden for positioning
+        
+        document.body.appendChild(bubble);
+        this.speechSystem.currentBubble = bubble;
+        
+        // Position the bubble above the speaking character
+        this.updateSpeechBubblePosition(speaker, bubble);
+        
+        // Show bubble with animation
+        bubble.style.display = 'block';
+        
+        // Auto-remove after 6 seconds
+        setTimeout(() => {
+            if (this.speechSystem.currentBubble === bubble) {
+                this.removeSpeechBubble();
+            }
+        }, 6000);
+    }
+    
+    updateSpeechBubblePosition(speaker, bubble) {
+        if (!bubble) return;
+        
+        // Get the speaking character
+        const character = speaker === 'mina' ? this.mina : this.sacha;
+        if (!character) return;
+        
+        // Project 3D position to 2D screen coordinates
+        const characterPosition = character.position.clone();
+        characterPosition.y += 8; // Above character's head
         
-        vehicleGroup.position.set(vehicleData.position.x, 0, vehicleData.position.z);
-        vehicleGroup.userData = {
-            type: 'rideVehicle',
-            vehicleType: vehicleData.type,
-            name: vehicleData.name,
-            canRide: true,
-            isOccupied: false,
-            seats: vehicleData.type === 'mummyCart' || vehicleData.type === 'coasterCar' ? 2 : 4,
-            interactionRange: 4,
-            ridePath: [],
-            rideActive: false,
-            rideStartTime: 0
-        };
+        const screenPosition = characterPosition.clone();
+        screenPosition.project(this.camera);
         
-        return vehicleGroup;
+        // Convert to screen coordinates
+        const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
+        const y = (screenPosition.y * -0.5 + 0.5) * window.innerHeight;
+        
+        // Position bubble, ensuring it stays on screen
+        const bubbleRect = bubble.getBoundingClientRect();
+        const finalX = Math.max(10, Math.min(x - bubbleRect.width / 2, window.innerWidth - bubbleRect.width - 10));
+        const finalY = Math.max(10, y - bubbleRect.height - 20);
+        
+        bubble.style.left = finalX + 'px';
+        bubble.style.top = finalY + 'px';
     }
     
-    startWorldEvents() {
-        console.log('🎪 Starting dynamic world events...');
+    removeSpeechBubble() {
+        if (this.speechSystem.currentBubble) {
+            this.speechSystem.currentBubble.classList.add('fade-out');
+            const bubbleToRemove = this.speechSystem.currentBubble;
+            setTimeout(() => {
+                if (bubbleToRemove.parentNode) {
+                    bubbleToRemove.parentNode.removeChild(bubbleToRemove);
+                }
+            }, 500);
+            this.speechSystem.currentBubble = null;
+        }
+    }
+    
+    updateSpeechSystem() {
+        const currentTime = this.now();
         
-        // Create periodic events
-        this.worldEvents = [
-            {
-                name: 'Parade',
-                type: 'moving',
-                startTime: Date.now() + 10000, // Start in 10 seconds
-                duration: 30000, // 30 seconds
-                interval: 120000, // Every 2 minutes
-                active: false,
-                participants: []
-            },
-            {
-                name: 'Fireworks',
-                type: 'stationary',
-                startTime: Date.now() + 60000, // Start in 1 minute
-                duration: 15000, // 15 seconds
-                interval: 180000, // Every 3 minutes
-                active: false,
-                position: { x: 0, y: 20, z: 0 }
-            },
-            {
-                name: 'Character Meet',
-                type: 'interactive',
-                startTime: Date.now() + 30000, // Start in 30 seconds
-                duration: 45000, // 45 seconds
-                interval: 240000, // Every 4 minutes
-                active: false,
-                character: null
+        // Update bubble position if one exists
+        if (this.speechSystem.currentBubble) {
+            const speaker = this.speechSystem.currentBubble.classList.contains('mina') ? 'mina' : 'sacha';
+            this.updateSpeechBubblePosition(speaker, this.speechSystem.currentBubble);
+        }
+        
+        // Check if it's time for a new dialogue
+        if (currentTime - this.speechSystem.lastSpeechTime > this.speechSystem.speechInterval) {
+            const dialogues = this.speechSystem.chatterSpeakers.flatMap(speaker =>
+                this.tLines(`chatter.${speaker}`).map(text => ({ speaker: speaker, text: text })));
+            if (!this.speechSystem.currentBubble && this.mina && this.sacha && dialogues.length > 0) {
+                const dialogue = dialogues[this.speechSystem.nextDialogueIndex % dialogues.length];
+                this.createSpeechBubble(dialogue.speaker, dialogue.text);
+                
+                this.speechSystem.lastSpeechTime = currentTime;
+                this.speechSystem.nextDialogueIndex = (this.speechSystem.nextDialogueIndex + 1) % dialogues.length;
             }
-        ];
+        }
     }
     
-    setupEventListeners() {
-        document.addEventListener('click', () => {
-            if (!this.mouseLocked) {
-                this.renderer.domElement.requestPointerLock();
+    // ===== PARK GUESTS =====
+    
+    createGuestSystem() {
+        // Guests arrive through the day; all that's needed up front is the path network they get around on
+        console.log('👥 Opening the gates for park guests...');
+        this.guestSystem.graph = this.buildGuestGraph(this.guestSystem.paths);
+        this.guestSystem.nextArrival = this.now();
+    }
+    
+    buildGuestGraph(paths) {
+        // Waypoints down the middle of every path, linked along it and to the waypoints of each path it meets.
+        // A link goes round anything small standing on the paths (a lamp post, say), but paths that don't overlap
+        // are only linked where there is nothing at all between them. next[from * count + to] is the first
+        // waypoint on the shortest walk between two of them.
+        const system = this.guestSystem;
+        const points = [];
+        const pathNodes = paths.map(path => {
+            const alongX = path.width >= path.depth;
+            const length = Math.abs(path.width - path.depth);
+            const steps = Math.round(length / system.nodeSpacing);
+            const own = [];
+            for (let i = 0; i <= steps; i++) {
+                const offset = steps === 0 ? 0 : (i / steps - 0.5) * length;
+                const point = this.nearestGuestStandingPoint(path.x + (alongX ? offset : 0), path.z + (alongX ? 0 : offset));
+                if (!point) continue;
+                own.push(points.length);
+                points.push(point);
             }
+            return own;
         });
         
-        document.addEventListener('pointerlockchange', () => {
-            this.mouseLocked = document.pointerLockElement === this.renderer.domElement;
-            console.log('Mouse lock changed:', this.mouseLocked);
+        const neighbours = Array.from({ length: points.length }, () => []);
+        const link = (a, b, detour) => {
+            const via = this.findGuestDetour(points[a], points[b], detour);
+            if (!via) return false;
+            const length = [points[a], ...via, points[b]].reduce((sum, point, i, way) => i === 0 ? 0 : sum + point.distanceTo(way[i - 1]), 0);
+            neighbours[a].push({ node: b, length: length, via: via });
+            neighbours[b].push({ node: a, length: length, via: [...via].reverse() });
+            return true;
+        };
+        pathNodes.forEach(own => own.forEach((node, i) => {
+            if (i > 0) link(own[i - 1], node, true);
+        }));
+        const gap = (a, b, sizeA, sizeB) => Math.abs(a - b) - (sizeA + sizeB) / 2;
+        paths.forEach((path, i) => {
+            for (let j = i + 1; j < paths.length; j++) {
+                const other = paths[j];
+                if (gap(path.x, other.x, path.width, other.width) > system.linkGap ||
+                    gap(path.z, other.z, path.depth, other.depth) > system.linkGap) continue;
+                // Waypoints side by side where paths overlap, or else the closest pair with nothing in between
+                const pairs = [];
+                pathNodes[i].forEach(a => pathNodes[j].forEach(b => pairs.push({ a: a, b: b, length: points[a].distanceTo(points[b]) })));
+                let joined = false;
+                pairs.filter(pair => pair.length <= system.nodeSpacing).forEach(pair => {
+                    if (link(pair.a, pair.b, true)) joined = true;
+                });
+                if (!joined) pairs.sort((first, second) => first.length - second.length).some(pair => link(pair.a, pair.b, false));
+            }
         });
         
-        document.addEventListener('mousemove', (event) => {
-            if (!this.mouseLocked) return;
-            
-            const movementX = event.movementX || 0;
-            const movementY = event.movementY || 0;
-            
-            // Store camera rotation angles
-            if (!this.cameraRotation) {
-                this.cameraRotation = { horizontal: 0, vertical: 0 };
+        // Only the waypoints the gate leads to: a path nothing joins up with would strand anyone who walked onto it
+        const reached = new Uint8Array(points.length);
+        const entry = this.nearestPoint(points, system.gate);
+        const queue = entry < 0 ? [] : [entry];
+        if (entry >= 0) reached[entry] = 1;
+        while (queue.length > 0) {
+            neighbours[queue.shift()].forEach(({ node }) => {
+                if (reached[node]) return;
+                reached[node] = 1;
+                queue.push(node);
+            });
+        }
+        const kept = points.map((_, index) => index).filter(index => reached[index]);
+        const nodes = kept.map(index => points[index]);
+        const count = nodes.length;
+        const links = kept.map(index => neighbours[index].map(neighbour => ({ ...neighbour, node: kept.indexOf(neighbour.node) })));
+        
+        // Dijkstra from every waypoint - there are only a hundred or so - keeping the first step towards each of the others
+        const next = new Int16Array(count * count).fill(-1);
+        for (let from = 0; from < count; from++) {
+            const distance = new Float64Array(count).fill(Infinity);
+            const first = new Int16Array(count).fill(-1);
+            const done = new Uint8Array(count);
+            distance[from] = 0;
+            first[from] = from;
+            for (;;) {
+                let current = -1;
+                for (let i = 0; i < count; i++) {
+                    if (!done[i] && distance[i] < Infinity && (current < 0 || distance[i] < distance[current])) current = i;
+                }
+                if (current < 0) break;
+                done[current] = 1;
+                links[current].forEach(({ node, length }) => {
+                    if (distance[current] + length >= distance[node]) return;
+                    distance[node] = distance[current] + length;
+                    first[node] = current === from ? node : first[current];
+                });
             }
+            next.set(first, from * count);
+        }
+        return { nodes: nodes, links: links, next: next };
+    }
+    
+    nearestGuestStandingPoint(x, z) {
+        // Where a waypoint goes: here, or the middle of the closest open navigation cell nearby (null if none is)
+        const cell = this.nearestWalkableCell(this.worldToCell(x, z), 2);
+        if (cell < 0) return null;
+        return this.isWalkable(x, z) ? new THREE.Vector3(x, 0, z) : this.cellToWorld(cell);
+    }
+    
+    findGuestDetour(from, to, detour) {
+        // The points to walk through between two waypoints: none when the way is clear, a short way round on the
+        // navigation grid when detour allows it, or null when there's no way (or only a long one)
+        if (this.isGuestLegClear(from, to)) return [];
+        if (!detour) return null;
+        const path = this.findPath(from, to);
+        if (!path) return null;
+        const way = [from, ...path, to];
+        const length = way.reduce((sum, point, i) => i === 0 ? 0 : sum + point.distanceTo(way[i - 1]), 0);
+        if (length > from.distanceTo(to) * 1.5 + this.guestSystem.nodeSpacing) return null;
+        return path.filter(point => point.distanceTo(to) > 0.01).map(point => new THREE.Vector3(point.x, 0, point.z));
+    }
+    
+    nearestPoint(points, position, accept = () => true) {
+        // Index of the closest of points to position that accept() agrees to, or -1
+        let nearest = -1;
+        let nearestDistance = Infinity;
+        points.forEach((point, index) => {
+            const distance = Math.hypot(point.x - position.x, point.z - position.z);
+            if (distance < nearestDistance && accept(point)) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    nearestGuestNode(position) {
+        // The closest waypoint that can be walked to in a straight line, or failing that the closest one
+        const nodes = this.guestSystem.graph.nodes;
+        const clear = this.nearestPoint(nodes, position, node => this.isGuestLegClear(position, node));
+        return clear >= 0 ? clear : this.nearestPoint(nodes, position);
+    }
+    
+    isGuestLegClear(from, to) {
+        // Nothing on the navigation grid in the way of a straight walk between the two
+        const steps = Math.ceil(Math.hypot(to.x - from.x, to.z - from.z) / (this.navigation.cellSize / 2));
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            if (!this.isWalkable(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) return false;
+        }
+        return true;
+    }
+    
+    planGuestLeg(from, to) {
+        // Straight there when nothing is in the way, otherwise around it on the navigation grid
+        const goal = new THREE.Vector3(to.x, 0, to.z);
+        if (this.isGuestLegClear(from, goal)) return [goal];
+        const path = (this.findPath(new THREE.Vector3(from.x, 0, from.z), goal) || []).filter(point => point.distanceTo(goal) > 0.01);
+        return [...path.map(point => new THREE.Vector3(point.x, 0, point.z)), goal];
+    }
+    
+    planGuestRoute(from, to) {
+        // Onto the nearest path, along the paths, and off them at the waypoint nearest where they're going.
+        // Anywhere close by with nothing in the way is a straight walk.
+        const { nodes, links, next } = this.guestSystem.graph;
+        const goal = new THREE.Vector3(to.x, 0, to.z);
+        const close = Math.hypot(to.x - from.x, to.z - from.z) < this.guestSystem.nodeSpacing * 2;
+        if (nodes.length === 0 || (close && this.isGuestLegClear(from, goal))) return this.planGuestLeg(from, goal);
+        let node = this.nearestGuestNode(from);
+        const last = this.nearestGuestNode(to);
+        
+        const route = this.planGuestLeg(from, nodes[node]);
+        route[route.length - 1] = nodes[node];
+        while (node !== last) {
+            const step = next[node * nodes.length + last];
+            const link = links[node].find(candidate => candidate.node === step);
+            route.push(...link.via, nodes[step]);
+            node = step;
+        }
+        return [...route, ...this.planGuestLeg(nodes[last], goal)];
+    }
+    
+    spawnGuest() {
+        // In through the gate, with needs part-way there already and their own pace and patience
+        const system = this.guestSystem;
+        const guest = this.createGuestMesh();
+        guest.position.set(system.gate.x + (this.random() - 0.5) * 8, 0, system.gate.z);
+        
+        const needs = {};
+        const rates = {};
+        Object.entries(system.needs).forEach(([need, config]) => {
+            needs[need] = this.random() * 0.5;
+            rates[need] = config.rate * (0.5 + this.random());
+        });
+        const [slow, fast] = system.walkSpeed;
+        const [least, most] = system.patience;
+        guest.userData.guest = {
+            stage: 'idle', // idle, walking, eating, resting, watching, queueing (see RIDE OPERATIONS), leaving, then gone
+            needs: needs,
+            rates: rates,
+            speed: slow + this.random() * (fast - slow),
+            patience: least + this.random() * (most - least),
+            route: [],
+            routeIndex: 0,
+            goal: null, // { kind, position, need, ride, lane, event } of where they're going and what for
+            until: 0,
+            tier: 'near', // Level of detail, from how far the nearest girl is
+            sinceUpdate: this.random() * system.lod.hiddenStep // Spreads the far and hidden updates over the ticks
+        };
+        
+        this.guests.push(guest);
+        this.scene.add(guest);
+        return guest;
+    }
+    
+    createGuestMesh() {
+        // Simple but distinctive, and cheap: every guest shares the same geometry and a handful of materials
+        const system = this.guestSystem;
+        if (!system.geometry) {
+            system.geometry = {
+                body: new THREE.CylinderGeometry(0.15, 0.2, 0.8),
+                head: new THREE.SphereGeometry(0.12, 8, 6)
+            };
+        }
+        const material = color => {
+            if (!system.materials[color]) system.materials[color] = new THREE.MeshPhongMaterial({ color: color });
+            return system.materials[color];
+        };
+        
+        const personGroup = new THREE.Group();
+        const colors = [0xff6b6b, 0x4ecdc4, 0x45b7d1, 0xf9ca24, 0xf0932b, 0xeb4d4b, 0x6c5ce7];
+        const body = new THREE.Mesh(system.geometry.body, material(colors[Math.floor(this.random() * colors.length)]));
+        body.position.y = 0.4;
+        personGroup.add(body);
+        
+        const head = new THREE.Mesh(system.geometry.head, material(0xffdbac));
+        head.position.y = 0.9;
+        personGroup.add(head);
+        personGroup.scale.setScalar(1.5 + this.random() * 0.5); // Varied sizes
+        
+        personGroup.userData.type = 'guest';
+        personGroup.userData.walkSpeed = 0.5 + this.random() * 0.5; // How fast they bob along
+        personGroup.userData.rideOps = null; // In a ride's queue or on it (see RIDE OPERATIONS)
+        
+        return personGroup;
+    }
+    
+    resetGuests() {
+        // An empty park, with the gates opening again
+        const system = this.guestSystem;
+        this.guests.forEach(guest => this.scene.remove(guest));
+        this.guests = [];
+        system.nextArrival = this.now();
+        system.closed = false;
+    }
+    
+    updateGuests(deltaTime) {
+        const system = this.guestSystem;
+        const lod = system.lod;
+        const now = this.now();
+        
+        // New guests through the gate until closing time, when everyone heads home
+        const closed = this.gameState.timeOfDay >= system.closingTime;
+        if (closed && !system.closed) this.showNPCDialogue(this.t('speaker.parkAnnouncer'), this.t('guests.closing'));
+        system.closed = closed; // Loading an earlier save opens the gates again
+        if (!system.closed && now >= system.nextArrival) {
+            system.nextArrival = now + system.arrivalInterval;
+            if (this.guests.length < system.maxGuests) this.spawnGuest();
+        }
+        
+        // Level of detail comes from the girls rather than the camera, so replays see the same park
+        const girls = [this.mina, this.sacha].filter(Boolean).map(girl => girl.getWorldPosition(new THREE.Vector3()));
+        const distanceToGirls = position => {
+            let nearest = Infinity;
+            for (const girl of girls) nearest = Math.min(nearest, Math.hypot(girl.x - position.x, girl.z - position.z));
+            return nearest;
+        };
+        this.guests.forEach(guest => {
+            const state = guest.userData.guest;
+            const distance = distanceToGirls(guest.position);
+            state.tier = distance < lod.nearDistance ? 'near' : distance < lod.farDistance ? 'far' : 'hidden';
+            const riding = guest.userData.rideOps && guest.userData.rideOps.stage === 'riding';
+            guest.visible = state.tier !== 'hidden' && !riding && !this.currentInterior;
+            guest.children.forEach(part => {
+                part.castShadow = state.tier === 'near';
+            });
             
-            // Update camera rotation
-            this.cameraRotation.horizontal -= movementX * 0.002;
-            this.cameraRotation.vertical -= movementY * 0.002;
-            
-            // Clamp vertical rotation
-            this.cameraRotation.vertical = Math.max(-Math.PI/3, Math.min(Math.PI/3, this.cameraRotation.vertical));
+            state.sinceUpdate += deltaTime;
+            const step = state.tier === 'near' ? 0 : state.tier === 'far' ? lod.farStep : lod.hiddenStep;
+            if (state.sinceUpdate < step) return;
+            const elapsed = state.sinceUpdate;
+            state.sinceUpdate = 0;
+            this.updateGuest(guest, elapsed);
+            if (state.tier === 'near' && !guest.userData.rideOps) this.animateGuest(guest, deltaTime);
+        });
+        this.guests = this.guests.filter(guest => guest.userData.guest.stage !== 'gone');
+    }
+    
+    updateGuest(guest, deltaTime) {
+        const system = this.guestSystem;
+        const state = guest.userData.guest;
+        Object.keys(state.needs).forEach(need => {
+            state.needs[need] = Math.min(1, state.needs[need] + state.rates[need] * deltaTime);
         });
+        if (guest.userData.rideOps) return; // In line or on the ride
         
-        document.addEventListener('keydown', (event) => {
-            switch(event.code) {
-                case 'KeyW':
-                    this.controls.forward = true;
-                    break;
-                case 'KeyS':
-                    this.controls.backward = true;
-                    break;
-                case 'KeyA':
-                    this.controls.left = true;
-                    break;
-                case 'KeyD':
-                    this.controls.right = true;
-                    break;
-                case 'ShiftLeft':
-                    this.controls.run = true;
-                    break;
-            }
+        if (system.closed && state.stage !== 'leaving') {
+            this.sendGuestTo(guest, { kind: 'leave', position: new THREE.Vector3(system.gate.x, 0, system.gate.z) });
+            state.stage = 'leaving';
+        }
+        
+        switch (state.stage) {
+            case 'idle':
+                this.chooseGuestDestination(guest);
+                break;
+            case 'walking':
+            case 'leaving':
+                if (this.walkGuestRoute(guest, deltaTime)) this.arriveGuest(guest);
+                break;
+            case 'eating':
+            case 'resting':
+                if (this.now() >= state.until) this.finishGuestNeed(guest);
+                break;
+            case 'watching':
+                if (!state.goal.event.active) this.finishGuestNeed(guest);
+                break;
+        }
+    }
+    
+    animateGuest(guest, deltaTime) {
+        // Close enough to see: a bob in their step, and stepping aside out of the girls' way
+        // (not back, or a girl standing on a path would stop everyone walking down it)
+        const time = this.gameClock.elapsed;
+        const walking = ['walking', 'leaving'].includes(guest.userData.guest.stage);
+        guest.position.y = walking ? Math.sin(time * guest.userData.walkSpeed * 8) * 0.03 : 0;
+        
+        const heading = new THREE.Vector3(Math.sin(guest.rotation.y), 0, Math.cos(guest.rotation.y));
+        [this.mina, this.sacha].filter(girl => girl && girl.parent === this.scene).forEach(girl => {
+            const away = new THREE.Vector3(guest.position.x - girl.position.x, 0, guest.position.z - girl.position.z);
+            if (away.length() >= 3) return;
+            const aside = away.addScaledVector(heading, -away.dot(heading));
+            if (aside.lengthSq() < 1e-6) aside.set(heading.z, 0, -heading.x);
+            guest.position.addScaledVector(aside.normalize(), deltaTime * 2);
         });
+    }
+    
+    chooseGuestDestination(guest) {
+        // The most pressing need past its threshold picks where to go; with none pressing they wander the paths
+        const system = this.guestSystem;
+        const state = guest.userData.guest;
+        const pressing = Object.keys(system.needs)
+            .filter(need => state.needs[need] >= system.needs[need].threshold)
+            .sort((a, b) => state.needs[b] - state.needs[a]);
+        for (const need of pressing) {
+            const goal = this.findGuestGoal(guest, need);
+            if (goal) return this.sendGuestTo(guest, goal);
+        }
         
-        document.addEventListener('keyup', (event) => {
-            switch(event.code) {
-                case 'KeyW':
-                    this.controls.forward = false;
-                    break;
-                case 'KeyS':
-                    this.controls.backward = false;
-                    break;
-                case 'KeyA':
-                    this.controls.left = false;
-                    break;
-                case 'KeyD':
-                    this.controls.right = false;
-                    break;
-                case 'ShiftLeft':
-                    this.controls.run = false;
-                    break;
+        const nodes = system.graph.nodes;
+        if (nodes.length === 0) return null;
+        return this.sendGuestTo(guest, { kind: 'wander', position: nodes[Math.floor(this.random() * nodes.length)] });
+    }
+    
+    findGuestGoal(guest, need) {
+        // Somewhere that meets the need, or null when nowhere does right now
+        const system = this.guestSystem;
+        const state = guest.userData.guest;
+        const near = (spot, spread) => new THREE.Vector3(
+            spot.x + (this.random() - 0.5) * 2 * spread,
+            0,
+            spot.z + (this.random() - 0.5) * 2 * spread
+        );
+        const distance = spot => Math.hypot(spot.x - guest.position.x, spot.z - guest.position.z);
+        
+        if (need === 'rest') return { kind: 'rest', need: need, position: guest.position.clone() };
+        if (need === 'food') {
+            const vendors = this.interactiveNPCs.filter(npc => npc.userData.personality === 'vendor');
+            if (vendors.length === 0) return null;
+            const vendor = vendors.reduce((best, npc) => distance(npc.position) < distance(best.position) ? npc : best);
+            return { kind: 'food', need: need, position: near(vendor.position, 3) };
+        }
+        if (need === 'show') {
+            const event = this.worldEvents.find(candidate => candidate.active && system.events[candidate.name]);
+            if (event) {
+                const spot = system.events[event.name];
+                return { kind: 'show', need: need, event: event, position: near(spot, spot.spread) };
             }
-        });
+        }
         
-        window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
+        // Rides for the ride need, and shows without a vehicle when no event is on: any with a wait they'll put up with
+        const lane = this.random() < system.expressChance ? 'express' : 'standby';
+        const rides = this.rides.filter(ride => {
+            const ops = ride.userData.ops;
+            return ops && Boolean(ops.vehicle) === (need === 'ride') && ops.posted[lane] <= state.patience;
         });
-        
-        // Always setup mobile controls for debugging
-        console.log('🔧 Force enabling mobile controls for all devices...');
-        this.setupMobileControls();
+        if (rides.length === 0) return null;
+        const ride = rides[Math.floor(this.random() * rides.length)];
+        return { kind: 'ride', need: need, ride: ride, lane: lane, position: ride.userData.ops.entrance };
+    }
+    
+    sendGuestTo(guest, goal) {
+        const state = guest.userData.guest;
+        state.goal = goal;
+        state.route = this.planGuestRoute(guest.position, goal.position);
+        state.routeIndex = 0;
+        state.stage = 'walking';
+        return goal;
+    }
+    
+    walkGuestRoute(guest, deltaTime) {
+        // True once they're at the end of their route
+        const state = guest.userData.guest;
+        let travel = state.speed * deltaTime;
+        while (state.routeIndex < state.route.length) {
+            const target = state.route[state.routeIndex];
+            const dx = target.x - guest.position.x;
+            const dz = target.z - guest.position.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance > travel) {
+                guest.position.x += dx / distance * travel;
+                guest.position.z += dz / distance * travel;
+                guest.rotation.y = Math.atan2(dx, dz);
+                return false;
+            }
+            guest.position.x = target.x;
+            guest.position.z = target.z;
+            travel -= distance;
+            state.routeIndex++;
+        }
+        return true;
+    }
+    
+    arriveGuest(guest) {
+        const system = this.guestSystem;
+        const state = guest.userData.guest;
+        const goal = state.goal;
+        switch (goal.kind) {
+            case 'leave':
+                this.scene.remove(guest);
+                state.stage = 'gone';
+                break;
+            case 'ride':
+                // The wait may have grown on the way; if it's too long now they go and do something else
+                if (goal.ride.userData.ops.posted[goal.lane] > state.patience) {
+                    state.stage = 'idle';
+                    break;
+                }
+                this.queueGuestForRide(goal.ride, guest, goal.lane);
+                state.stage = 'queueing';
+                break;
+            case 'food':
+                state.stage = 'eating';
+                state.until = this.now() + system.eatTime;
+                break;
+            case 'rest':
+                state.stage = 'resting';
+                state.until = this.now() + system.restTime;
+                break;
+            case 'show':
+                state.stage = goal.event.active ? 'watching' : 'idle';
+                break;
+            default:
+                state.stage = 'idle';
+        }
+    }
+    
+    finishGuestNeed(guest) {
+        const state = guest.userData.guest;
+        if (state.goal && state.goal.need) state.needs[state.goal.need] = 0;
+        state.goal = null;
+        state.stage = 'idle';
+    }
+    
+    // ===== RIDE OPERATIONS =====
+    
+    createRideOperations() {
+        // Queues, dispatch timers and throughput for every ride listed in rideOpsSystem.rides
+        const now = this.now();
+        this.rides.forEach(ride => {
+            const config = this.rideOpsSystem.rides[ride.userData.name];
+            if (!config) return;
+            const vehicle = config.vehicle ? this.rideVehicles.find(candidate => candidate.userData.vehicleType === config.vehicle) : null;
+            const cycleTime = vehicle ? config.loadTime + vehicle.userData.track.duration * 1000 : config.cycleTime;
+            const entrance = new THREE.Vector3(ride.position.x + config.entrance[0], 0, ride.position.z + config.entrance[1]);
+            const line = new THREE.Vector3(config.line[0], 0, config.line[1]).normalize();
+            
+            ride.userData.ops = {
+                config: config,
+                vehicle: vehicle || null,
+                cycleTime: cycleTime,
+                rideTime: vehicle ? vehicle.userData.track.duration * 1000 : cycleTime,
+                entrance: entrance,
+                line: line,
+                queues: { standby: [], express: [] }, // { guest, joinedAt } - the girls' place in line has no guest
+                nextDispatch: now + cycleTime,
+                posted: { standby: 0, express: 0 }, // Minutes shown on the sign
+                sign: this.createWaitSign(entrance, line),
+                stats: this.createRideStats(now)
+            };
+        });
+    }
+    
+    createWaitSign(entrance, line) {
+        // On a post beside the entrance, facing down the line
+        const side = new THREE.Vector3(-line.z, 0, line.x).multiplyScalar(-2);
+        this.createBlock(entrance.x + side.x, 1.75, entrance.z + side.z, 0.2, 3.5, 0.2, 0x444444, false, 1, false);
+        const sign = this.createText('', entrance.x + side.x, 4, entrance.z + side.z, 1.2, 0xffd700);
+        sign.rotation.y = Math.atan2(line.x, line.z);
+        sign.userData.sign.key = 'rideOps.sign';
+        sign.userData.sign.values = { standby: 0, express: 0 };
+        return sign;
+    }
+    
+    createRideStats(now) {
+        return { openedAt: now, dispatches: 0, riders: 0, expressRiders: 0, totalWait: 0, longestWait: 0 };
+    }
+    
+    resetRideOperations() {
+        // Everyone back out of the queues and off the rides, with fresh timers and stats
+        const now = this.now();
+        this.leaveRideQueue(true);
+        this.closeRideChoice();
+        this.guests.forEach(guest => {
+            guest.userData.rideOps = null;
+        });
+        this.rides.forEach(ride => {
+            const ops = ride.userData.ops;
+            if (!ops) return;
+            ops.queues = { standby: [], express: [] };
+            ops.nextDispatch = now + ops.cycleTime;
+            ops.stats = this.createRideStats(now);
+        });
+        this.renderRideBoard();
     }
     
-    setupMobileControls() {
-        console.log('🔧 Setting up Android-optimized mobile controls...');
-        console.log('User Agent:', navigator.userAgent);
-        console.log('Is Mobile:', this.isMobile);
-        
-        // Force show mobile controls always for debugging
-        const mobileControls = document.getElementById('mobileControls');
-        if (mobileControls) {
-            mobileControls.style.display = 'block';
-            mobileControls.style.opacity = '1';
-            console.log('✅ Mobile controls container visible');
-        } else {
-            console.error('❌ Mobile controls container not found!');
-            return;
+    getQueueSlot(ops, lane, index) {
+        // Lines run back from the entrance, the express one beside the standby one
+        const side = new THREE.Vector3(-ops.line.z, 0, ops.line.x).multiplyScalar(lane === 'express' ? this.rideOpsSystem.laneGap : 0);
+        return ops.entrance.clone().addScaledVector(ops.line, index * this.rideOpsSystem.spacing).add(side);
+    }
+    
+    splitRideSeats(capacity, express, standby) {
+        // Express riders get their share of the seats first, standby fills the rest, then any seats left go back to express
+        const first = Math.min(Math.ceil(capacity * this.rideOpsSystem.expressShare), express);
+        const standbySeats = Math.min(capacity - first, standby);
+        return { express: first + Math.min(capacity - first - standbySeats, express - first), standby: standbySeats };
+    }
+    
+    getRideWait(ride, lane, index = ride.userData.ops.queues[lane].length) {
+        // ms until the rider at index in the lane boards - by default someone joining the end of it now
+        const ops = ride.userData.ops;
+        let express = ops.queues.express.length;
+        let standby = ops.queues.standby.length;
+        if (lane === 'express') express = Math.max(express, index + 1);
+        else standby = Math.max(standby, index + 1);
+        
+        let dispatches = 0;
+        for (;;) {
+            const seats = this.splitRideSeats(ops.config.capacity, express, standby);
+            if (index < seats[lane]) break;
+            index -= seats[lane];
+            express -= seats.express;
+            standby -= seats.standby;
+            dispatches++;
         }
-        
-        // Get arrow button elements with detailed logging
-        const buttons = {
-            up: document.getElementById('upButton'),
-            down: document.getElementById('downButton'),
-            left: document.getElementById('leftButton'),
-            right: document.getElementById('rightButton'),
-            run: document.getElementById('runButton'),
-            camera: document.getElementById('cameraButton')
+        return Math.max(0, ops.nextDispatch - this.now()) + dispatches * ops.cycleTime;
+    }
+    
+    getRideThroughput(ride) {
+        // Riders an hour so far, against what the ride could carry running full
+        const ops = ride.userData.ops;
+        const hour = 3600000;
+        const open = Math.max(this.now() - ops.stats.openedAt, ops.cycleTime);
+        return {
+            perHour: Math.round(ops.stats.riders * hour / open),
+            capacityPerHour: Math.round(ops.config.capacity * hour / ops.cycleTime),
+            averageWait: ops.stats.riders > 0 ? ops.stats.totalWait / ops.stats.riders : 0
         };
+    }
+    
+    updateRideOperations(deltaTime) {
+        const system = this.rideOpsSystem;
+        const now = this.now();
         
-        console.log('Button elements found:', Object.keys(buttons).filter(key => buttons[key]));
-        console.log('Missing buttons:', Object.keys(buttons).filter(key => !buttons[key]));
+        this.rides.forEach(ride => {
+            const ops = ride.userData.ops;
+            if (!ops) return;
+            
+            while (now >= ops.nextDispatch) this.dispatchRide(ride);
+            
+            // Everyone in line shuffles up to their place in it
+            ['standby', 'express'].forEach(lane => ops.queues[lane].forEach((entry, index) => {
+                if (entry.guest) this.walkGuestTo(entry.guest, this.getQueueSlot(ops, lane, index), deltaTime);
+            }));
+            this.postRideWait(ride);
+        });
         
-        // Universal event handler that works on both touch and mouse
-        const createControlHandler = (controlName) => {
-            return {
-                start: (e) => {
-                    console.log(`🎮 ${controlName} button pressed!`);
-                    if (e.preventDefault) e.preventDefault();
-                    if (e.stopPropagation) e.stopPropagation();
-                    
-                    // Force set the control
-                    this.controls[controlName] = true;
-                    console.log('Current controls:', this.controls);
-                    
-                    // Visual feedback
-                    if (e.target) {
-                        e.target.style.background = 'rgba(255,0,0,0.8)'; // Bright red for visibility
-                        e.target.style.transform = 'scale(1.2)';
-                    }
-                },
-                end: (e) => {
-                    console.log(`🎮 ${controlName} button released!`);
-                    if (e.preventDefault) e.preventDefault();
-                    if (e.stopPropagation) e.stopPropagation();
-                    
-                    this.controls[controlName] = false;
-                    console.log('Current controls:', this.controls);
-                    
-                    // Reset visual feedback
-                    if (e.target) {
-                        e.target.style.background = 'rgba(0,0,0,0.4)';
-                        e.target.style.transform = 'scale(1)';
-                    }
-                }
-            };
-        };
+        // Guests come off at the exit once their ride is over, and go back to their day
+        this.guests.forEach(guest => {
+            const state = guest.userData.rideOps;
+            if (!state || state.stage !== 'riding' || now < state.until) return;
+            // On the other side of the entrance from the express line
+            const ops = state.ride.userData.ops;
+            const side = new THREE.Vector3(-ops.line.z, 0, ops.line.x);
+            guest.position.copy(ops.entrance).addScaledVector(side, -2 * system.laneGap);
+            guest.userData.rideOps = null;
+            this.finishGuestNeed(guest);
+        });
         
-        // Setup movement controls with robust event binding
-        const movements = [
-            { button: buttons.up, control: 'forward' },
-            { button: buttons.down, control: 'backward' },
-            { button: buttons.left, control: 'left' },
-            { button: buttons.right, control: 'right' }
-        ];
+        // Wandering off leaves the line, and the queue choice
+        const queued = system.player;
+        if (queued && this.isAwayFromRide(queued.girl, queued.ride, system.leaveRange)) this.leaveRideQueue(false);
+        const offer = system.choice;
+        if (offer && this.isAwayFromRide(offer.girl, offer.ride, system.entranceRange)) this.closeRideChoice();
+    }
+    
+    isAwayFromRide(girl, ride, range) {
+        const entrance = ride.userData.ops.entrance;
+        return girl.parent !== this.scene || Math.hypot(girl.position.x - entrance.x, girl.position.z - entrance.z) >= range;
+    }
+    
+    walkGuestTo(person, target, deltaTime) {
+        const dx = target.x - person.position.x;
+        const dz = target.z - person.position.z;
+        const distance = Math.hypot(dx, dz);
+        person.position.y = 0;
+        if (distance < 0.05) return;
+        const step = Math.min(distance, this.rideOpsSystem.walkSpeed * deltaTime);
+        person.position.x += dx / distance * step;
+        person.position.z += dz / distance * step;
+        person.rotation.y = Math.atan2(dx, dz);
+    }
+    
+    queueGuestForRide(ride, guest, lane) {
+        // A park guest at the entrance goes to the back of the line
+        guest.userData.rideOps = { ride: ride, lane: lane, stage: 'queued', until: 0 };
+        ride.userData.ops.queues[lane].push({ guest: guest, joinedAt: this.now() });
+    }
+    
+    dispatchRide(ride) {
+        // The front of the lines boards; the girls wait for the next one if their ride vehicle isn't back yet
+        const ops = ride.userData.ops;
+        const now = this.now();
+        ops.nextDispatch += ops.cycleTime;
+        
+        const seats = this.splitRideSeats(ops.config.capacity, ops.queues.express.length, ops.queues.standby.length);
+        const express = ops.queues.express.splice(0, seats.express);
+        const boarding = [...express, ...ops.queues.standby.splice(0, seats.standby)];
+        const girls = boarding.find(entry => !entry.guest);
+        if (girls && ops.vehicle.userData.rideActive) {
+            boarding.splice(boarding.indexOf(girls), 1);
+            ops.queues[this.rideOpsSystem.player.lane].unshift(girls);
+        }
         
-        movements.forEach(({ button, control }) => {
-            if (button) {
-                const handler = createControlHandler(control);
-                
-                // Multiple event types for maximum compatibility
-                const startEvents = ['touchstart', 'mousedown', 'pointerdown'];
-                const endEvents = ['touchend', 'touchcancel', 'mouseup', 'mouseleave', 'pointerup', 'pointercancel'];
-                
-                startEvents.forEach(eventType => {
-                    button.addEventListener(eventType, handler.start, { 
-                        passive: false, 
-                        capture: true 
-                    });
-                });
-                
-                endEvents.forEach(eventType => {
-                    button.addEventListener(eventType, handler.end, { 
-                        passive: false, 
-                        capture: true 
-                    });
-                });
-                
-                console.log(`✅ Events bound to ${control} button`);
+        boarding.forEach(entry => {
+            const wait = now - entry.joinedAt;
+            ops.stats.totalWait += wait;
+            ops.stats.longestWait = Math.max(ops.stats.longestWait, wait);
+            if (entry.guest) {
+                entry.guest.visible = false;
+                entry.guest.userData.rideOps.stage = 'riding';
+                entry.guest.userData.rideOps.until = now + ops.rideTime;
             } else {
-                console.error(`❌ ${control} button not found!`);
+                this.rideOpsSystem.player = null;
+                this.startRideExperience(ops.vehicle);
             }
         });
+        ops.stats.dispatches++;
+        ops.stats.riders += boarding.length;
+        ops.stats.expressRiders += boarding.filter(entry => express.includes(entry)).length;
+        this.renderRideBoard();
+    }
+    
+    postRideWait(ride) {
+        // The sign shows whole minutes, so it only needs drawing again when one of them changes
+        const ops = ride.userData.ops;
+        const posted = {
+            standby: Math.ceil(this.getRideWait(ride, 'standby') / 60000),
+            express: Math.ceil(this.getRideWait(ride, 'express') / 60000)
+        };
+        if (posted.standby === ops.posted.standby && posted.express === ops.posted.express) return;
+        ops.posted = posted;
+        ops.sign.userData.sign.values = posted;
+        this.drawSign(ops.sign);
+        this.renderRideBoard();
+    }
+    
+    findRideEntrance(girl) {
+        // The ride vehicle queue this girl is standing at the entrance of
+        if (!girl || girl.parent !== this.scene) return null;
+        return this.rides.find(ride => ride.userData.ops && ride.userData.ops.vehicle &&
+            !this.isAwayFromRide(girl, ride, this.rideOpsSystem.entranceRange)) || null;
+    }
+    
+    openRideChoice(ride, girl) {
+        this.endConversation();
+        this.closeRiddle();
+        this.rideOpsSystem.choice = { ride: ride, girl: girl };
+        const ops = ride.userData.ops;
+        this.showNPCDialogue(this.t('speaker.rideOperator'), this.t('rideOps.welcome', {
+            ride: this.translateText(ride.userData.name),
+            standby: ops.posted.standby,
+            express: ops.posted.express
+        }));
+        this.updateRideChoicePanel();
+    }
+    
+    getRideChoices() {
+        const ops = this.rideOpsSystem.choice.ride.userData.ops;
+        return [
+            this.t('rideOps.standby', { minutes: ops.posted.standby }),
+            this.t('rideOps.express', { minutes: ops.posted.express, passes: this.gameState.expressPasses }),
+            this.t('rideOps.notNow')
+        ];
+    }
+    
+    answerRideChoice(choice) {
+        // From the queue panel or the number keys; replays feed recorded choices to resolveRideChoice
+        if (!this.rideOpsSystem.choice || !this.isPlaying() || this.replaySystem.mode === 'playback') return false;
+        this.recordReplayEvent('ride', choice);
+        this.resolveRideChoice(choice);
+        return true;
+    }
+    
+    resolveRideChoice(choice) {
+        // 1 joins the standby line, 2 spends an express pass, anything else walks away
+        const offer = this.rideOpsSystem.choice;
+        if (!offer) return;
+        
+        this.closeRideChoice();
+        if (choice === 0) {
+            this.joinRideQueue(offer.ride, 'standby', offer.girl);
+        } else if (choice === 1 && this.gameState.expressPasses > 0) {
+            this.gameState.expressPasses--;
+            this.joinRideQueue(offer.ride, 'express', offer.girl);
+        } else if (choice === 1) {
+            this.showNPCDialogue(this.t('speaker.rideOperator'), this.t('rideOps.noPasses'));
+        }
+    }
+    
+    closeRideChoice() {
+        this.rideOpsSystem.choice = null;
+        this.updateRideChoicePanel();
+    }
+    
+    joinRideQueue(ride, lane, girl) {
+        const ops = ride.userData.ops;
+        this.leaveRideQueue(true);
+        const entry = { guest: null, joinedAt: this.now() };
+        ops.queues[lane].push(entry);
+        this.rideOpsSystem.player = { ride: ride, lane: lane, entry: entry, girl: girl };
+        
+        console.log(`🎟️ Queueing for ${ride.userData.name} (${lane})`);
+        this.showNPCDialogue(this.t('speaker.rideOperator'), this.t(lane === 'express' ? 'rideOps.joinedExpress' : 'rideOps.joined', {
+            ride: this.translateText(ride.userData.name),
+            minutes: Math.ceil(this.getRideWait(ride, lane, ops.queues[lane].length - 1) / 60000),
+            passes: this.gameState.expressPasses
+        }));
+    }
+    
+    leaveRideQueue(silent) {
+        const queued = this.rideOpsSystem.player;
+        if (!queued) return;
+        const queue = queued.ride.userData.ops.queues[queued.lane];
+        queue.splice(queue.indexOf(queued.entry), 1);
+        this.rideOpsSystem.player = null;
+        if (!silent) {
+            this.showNPCDialogue(this.t('speaker.rideOperator'), this.t('rideOps.left', { ride: this.translateText(queued.ride.userData.name) }));
+        }
+    }
+    
+    getQueuedPrompt(key) {
+        // Where the girls are in line and how long they have left
+        const queued = this.rideOpsSystem.player;
+        const index = queued.ride.userData.ops.queues[queued.lane].indexOf(queued.entry);
+        return this.t('prompt.queued', {
+            ride: this.translateText(queued.ride.userData.name),
+            ahead: index,
+            minutes: Math.ceil(this.getRideWait(queued.ride, queued.lane, index) / 60000),
+            key: key
+        });
+    }
+    
+    updateRideChoicePanel() {
+        if (this.headless) return;
+        const panel = this.getElement('rideChoicePanel');
+        if (!panel) return;
+        
+        const offer = this.rideOpsSystem.choice;
+        panel.style.display = offer ? 'block' : 'none';
+        if (!offer) return;
+        
+        this.getElement('rideChoiceTitle').textContent = `🎟️ ${this.translateText(offer.ride.userData.name)}`;
+        const choices = this.getElement('rideChoiceChoices');
+        choices.innerHTML = '';
+        this.getRideChoices().forEach((text, index) => {
+            const button = document.createElement('button');
+            button.textContent = `${index + 1}. ${text}`;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.answerRideChoice(index);
+            });
+            choices.appendChild(button);
+        });
+    }
+    
+    toggleRideBoard() {
+        const panel = this.getElement('rideBoardPanel');
+        if (!panel) return;
         
-        // Run button
-        if (buttons.run) {
-            const runHandler = createControlHandler('run');
-            ['touchstart', 'mousedown'].forEach(event => {
-                buttons.run.addEventListener(event, runHandler.start, { passive: false });
+        this.rideOpsSystem.boardOpen = !this.rideOpsSystem.boardOpen;
+        panel.style.display = this.rideOpsSystem.boardOpen ? 'block' : 'none';
+        if (this.rideOpsSystem.boardOpen) this.renderRideBoard();
+    }
+    
+    renderRideBoard() {
+        // Posted waits and how much each ride has carried, one entry per ride
+        const list = this.getElement('rideBoardList');
+        if (!list || !this.rideOpsSystem.boardOpen) return;
+        list.innerHTML = '';
+        
+        this.rides.filter(ride => ride.userData.ops).forEach(ride => {
+            const ops = ride.userData.ops;
+            const throughput = this.getRideThroughput(ride);
+            const row = document.createElement('div');
+            row.className = 'ride-entry';
+            const name = document.createElement('div');
+            name.className = 'ride-title';
+            name.textContent = this.t('rideBoard.wait', {
+                ride: this.translateText(ride.userData.name),
+                standby: ops.posted.standby,
+                express: ops.posted.express
             });
-            ['touchend', 'touchcancel', 'mouseup'].forEach(event => {
-                buttons.run.addEventListener(event, runHandler.end, { passive: false });
+            const detail = document.createElement('div');
+            detail.className = 'ride-detail';
+            detail.textContent = this.t('rideBoard.stats', {
+                riders: ops.stats.riders,
+                dispatches: ops.stats.dispatches,
+                perHour: throughput.perHour,
+                capacity: throughput.capacityPerHour,
+                average: (throughput.averageWait / 60000).toFixed(1)
             });
-        }
+            row.appendChild(name);
+            row.appendChild(detail);
+            list.appendChild(row);
+        });
         
-        // Disable scrolling and zoom on mobile
-        document.body.style.overflow = 'hidden';
-        document.body.style.position = 'fixed';
-        document.body.style.width = '100%';
-        document.body.style.height = '100%';
+        const footer = document.createElement('div');
+        footer.className = 'ride-detail';
+        footer.textContent = this.t('rideBoard.passes', { count: this.gameState.expressPasses });
+        list.appendChild(footer);
+    }
+    
+    // ===== RIDE TRACKS =====
+    
+    createRideTrack(name, parent, origin) {
+        // Lay out one of trackSystem.tracks with its station at origin (in parent's space), and draw its rails there
+        const definition = this.trackSystem.tracks[name];
+        const samples = this.sampleTrackCurve(definition, origin);
+        const perSegment = this.trackSystem.samplesPerSegment;
+        const distanceAt = controlPoint => {
+            // How far along the track a control point (or somewhere between two) is
+            const index = controlPoint * perSegment;
+            const before = samples[Math.min(Math.floor(index), samples.length - 1)];
+            const after = samples[Math.min(Math.ceil(index), samples.length - 1)];
+            return THREE.MathUtils.lerp(before.distance, after.distance, index - Math.floor(index));
+        };
         
-        // Prevent default behaviors
-        document.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-        }, { passive: false });
+        const track = {
+            name: name,
+            closed: definition.closed,
+            samples: samples,
+            length: samples[samples.length - 1].distance,
+            sections: definition.sections.map(section => ({
+                type: section.type,
+                from: distanceAt(section.from),
+                to: distanceAt(section.to),
+                speed: section.speed,
+                accel: section.accel
+            })),
+            duration: 0, // Seconds from leaving the station to getting back
+            rails: null
+        };
+        this.computeTrackFrames(track, definition);
         
-        document.addEventListener('touchstart', (e) => {
-            if (e.touches.length > 1) {
-                e.preventDefault(); // Prevent pinch zoom
+        track.rails = this.buildTrackRails(track, definition.rails, origin.y);
+        parent.add(track.rails);
+        return track;
+    }
+    
+    sampleTrackCurve(definition, origin) {
+        // Points along the spline, samplesPerSegment between each pair of control points, with the distance to each
+        const perSegment = this.trackSystem.samplesPerSegment;
+        const closed = definition.closed;
+        const points = definition.points.map(([x, y, z]) => new THREE.Vector3(x, y, z).add(origin));
+        
+        let segments, pointOn;
+        if (definition.curve === 'bezier') {
+            const curves = [];
+            for (let i = 0; i + (closed ? 2 : 3) < points.length; i += 3) {
+                curves.push(new THREE.CubicBezierCurve3(points[i], points[i + 1], points[i + 2], points[(i + 3) % points.length]));
             }
-        }, { passive: false });
+            segments = curves.length;
+            pointOn = (segment, t) => curves[segment].getPoint(t);
+        } else {
+            const curve = new THREE.CatmullRomCurve3(points, closed, 'centripetal');
+            segments = closed ? points.length : points.length - 1;
+            pointOn = (segment, t) => curve.getPoint((segment + t) / segments);
+        }
         
-        // Force enable movement regardless of mouse lock for mobile
-        this.mouseLocked = true; // Force enable movement
+        const positions = [];
+        for (let segment = 0; segment < segments; segment++) {
+            for (let step = 0; step < perSegment; step++) {
+                positions.push(pointOn(segment, step / perSegment));
+            }
+        }
+        positions.push(closed ? points[0].clone() : pointOn(segments - 1, 1));
         
-        console.log('🚀 Android-optimized mobile controls setup complete!');
-        console.log('Final control state:', this.controls);
+        let distance = 0;
+        return positions.map((position, index) => {
+            if (index > 0) distance += position.distanceTo(positions[index - 1]);
+            return { position: position, distance: distance };
+        });
     }
     
-    // Character Animation Functions
-    playCharacterAnimation(character, animationType, duration = 2000) {
-        if (!character || !character.userData || !character.userData.animations) {
-            console.warn('Character missing animation data');
-            return;
-        }
+    computeTrackFrames(track, definition) {
+        // Which way is forward and which way is up all along the track, banked into the curves
+        const samples = track.samples;
+        const last = samples.length - 1;
+        const neighbours = index => [
+            index > 0 ? samples[index - 1] : track.closed ? samples[last - 1] : samples[index],
+            index < last ? samples[index + 1] : track.closed ? samples[1] : samples[index]
+        ];
+        samples.forEach((sample, index) => {
+            const [before, after] = neighbours(index);
+            sample.tangent = after.position.clone().sub(before.position).normalize();
+        });
         
-        const animations = character.userData.animations;
-        animations.currentState = animationType;
-        animations.isAnimating = true;
-        animations.animationDuration = duration;
-        animations.time = 0;
+        // Up is carried along without twisting, so the rails stay square through drops and loops...
+        samples[0].up = new THREE.Vector3(0, 1, 0).projectOnPlane(samples[0].tangent).normalize();
+        for (let index = 1; index <= last; index++) {
+            samples[index].up = samples[index - 1].up.clone().projectOnPlane(samples[index].tangent).normalize();
+        }
+        // ...and any twist left when a closed track gets back round to its station is spread along it
+        if (track.closed) {
+            const end = samples[last];
+            const twist = end.up.angleTo(samples[0].up) * Math.sign(end.up.clone().cross(samples[0].up).dot(end.tangent) || 1);
+            samples.forEach((sample, index) => sample.up.applyAxisAngle(sample.tangent, twist * index / last));
+        }
         
-        console.log(`🎭 Playing ${animationType} animation for ${character.userData.name}`);
+        // How sharply it turns (per unit, positive to the left)
+        samples.forEach((sample, index) => {
+            const [before, after] = neighbours(index);
+            const span = before.position.distanceTo(sample.position) + sample.position.distanceTo(after.position);
+            sample.turn = span > 0 ? before.tangent.clone().cross(after.tangent).dot(sample.up) / span : 0;
+        });
         
-        // Auto-reset to idle after duration
-        setTimeout(() => {
-            if (animations.currentState === animationType) {
-                animations.currentState = 'idle';
-                animations.isAnimating = false;
+        // Each curve is banked for the speed the car will be doing there, found by sending one round
+        const ride = this.createTrackRide(track);
+        const speeds = [];
+        const fixedStep = this.gameClock.fixedStep;
+        let steps = 0;
+        while (speeds.length <= last && steps < 600 / fixedStep) {
+            while (speeds.length <= last && samples[speeds.length].distance <= ride.distance) speeds.push(ride.speed);
+            if (this.advanceTrackRide(ride, fixedStep)) {
+                while (speeds.length <= last) speeds.push(ride.speed);
             }
-        }, duration);
+            steps++;
+        }
+        track.duration = steps * fixedStep;
+        
+        const gravity = this.physicsSystem.gravity;
+        const banks = samples.map((sample, index) => THREE.MathUtils.clamp(
+            -Math.atan((speeds[index] || 0) ** 2 * sample.turn / gravity), -definition.maxBank, definition.maxBank
+        ));
+        const smoothing = this.trackSystem.bankSmoothing;
+        samples.forEach((sample, index) => {
+            let total = 0;
+            for (let offset = -smoothing; offset <= smoothing; offset++) {
+                const other = track.closed
+                    ? ((index + offset) % last + last) % last
+                    : THREE.MathUtils.clamp(index + offset, 0, last);
+                total += banks[other];
+            }
+            sample.bank = total / (smoothing * 2 + 1);
+            sample.up.applyAxisAngle(sample.tangent, sample.bank);
+        });
     }
     
-    updateCharacterAnimations(character, deltaTime) {
-        if (!character || !character.userData || !character.userData.animations) return;
-        
-        const animations = character.userData.animations;
-        const bodyParts = character.userData.bodyParts;
-        const time = this.clock.getElapsedTime();
-        
-        // Update animation time
-        animations.idle.time += deltaTime * animations.idle.speed;
-        animations.walking.time += deltaTime * animations.walking.speed;
-        animations.jumping.time += deltaTime * animations.jumping.speed;
-        animations.scared.time += deltaTime * animations.scared.speed;
-        animations.laughing.time += deltaTime * animations.laughing.speed;
-        animations.waving.time += deltaTime * animations.waving.speed;
-        animations.dancing.time += deltaTime * animations.dancing.speed;
-        
-        // Apply current animation
-        switch (animations.currentState) {
-            case 'laughing':
-                this.animateLaughing(character, bodyParts, animations.laughing.time);
-                break;
-            case 'jumping':
-                this.animateJumping(character, bodyParts, animations.jumping.time);
-                break;
-            case 'scared':
-                this.animateScared(character, bodyParts, animations.scared.time);
-                break;
-            case 'walking':
-                this.animateWalking(character, bodyParts, animations.walking.time);
-                break;
-            case 'waving':
-                this.animateWaving(character, bodyParts, animations.waving.time);
+    findTrackSample(track, distance) {
+        // Index of the last sample at or before distance
+        const samples = track.samples;
+        let low = 0;
+        let high = samples.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (samples[middle].distance <= distance) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+    
+    sampleRideTrack(track, distance) {
+        // Position, forward and (banked) up at any distance along the track
+        const samples = track.samples;
+        const index = this.findTrackSample(track, distance);
+        const before = samples[index];
+        const after = samples[Math.min(index + 1, samples.length - 1)];
+        const span = after.distance - before.distance;
+        const t = span > 0 ? THREE.MathUtils.clamp((distance - before.distance) / span, 0, 1) : 0;
+        return {
+            position: before.position.clone().lerp(after.position, t),
+            tangent: before.tangent.clone().lerp(after.tangent, t).normalize(),
+            up: before.up.clone().lerp(after.up, t).normalize()
+        };
+    }
+    
+    getTrackMatrix(position, tangent, up) {
+        // A car's +z follows the track and its +y is the track's up
+        const side = new THREE.Vector3().crossVectors(up, tangent).normalize();
+        const square = new THREE.Vector3().crossVectors(tangent, side);
+        return new THREE.Matrix4().makeBasis(side, square, tangent).setPosition(position);
+    }
+    
+    placeOnRideTrack(object, track, distance) {
+        const { position, tangent, up } = this.sampleRideTrack(track, distance);
+        object.position.copy(position);
+        object.quaternion.setFromRotationMatrix(this.getTrackMatrix(position, tangent, up));
+    }
+    
+    createTrackRide(track) {
+        // One trip round a track, starting still at the station
+        return { track: track, distance: 0, speed: 0 };
+    }
+    
+    advanceTrackRide(ride, deltaTime) {
+        // Move a trip on by one tick of its speed profile; true once it is back at the end of the track
+        const track = ride.track;
+        const trackSystem = this.trackSystem;
+        const section = track.sections.find(section => ride.distance >= section.from && ride.distance < section.to);
+        switch (section ? section.type : 'coast') {
+            case 'launch':
+                ride.speed = Math.max(ride.speed, Math.min(section.speed, ride.speed + section.accel * deltaTime));
                 break;
-            case 'dancing':
-                this.animateDancing(character, bodyParts, animations.dancing.time);
+                
+            case 'brake':
+                ride.speed = Math.min(ride.speed, Math.max(section.speed, ride.speed - section.accel * deltaTime));
                 break;
-            default: // idle
-                this.animateIdle(character, bodyParts, animations.idle.time);
+                
+            case 'lift':
+            case 'drive': {
+                const change = section.accel * deltaTime;
+                ride.speed = THREE.MathUtils.clamp(section.speed, ride.speed - change, ride.speed + change);
                 break;
+            }
+                
+            default: {
+                // Gravity along the slope, less a little rolling resistance
+                const slope = track.samples[this.findTrackSample(track, ride.distance)].tangent.y;
+                const slowing = this.physicsSystem.gravity * slope + trackSystem.rollingResistance;
+                ride.speed = Math.max(trackSystem.minSpeed, ride.speed - slowing * deltaTime);
+            }
         }
+        
+        ride.distance = Math.min(track.length, ride.distance + ride.speed * deltaTime);
+        return ride.distance >= track.length;
     }
     
-    animateLaughing(character, bodyParts, time) {
-        if (!bodyParts) return;
+    moveAlongRideTrack(vehicle, ride, deltaTime) {
+        const finished = this.advanceTrackRide(ride, deltaTime);
+        this.placeOnRideTrack(vehicle, ride.track, ride.distance);
+        return finished;
+    }
+    
+    buildTrackRails(track, style, groundHeight) {
+        // Two tube rails, sleepers across them and, where the track is up in the air, posts down to the ground
+        const rails = new THREE.Group();
+        rails.name = `${track.name}Track`;
+        const material = new THREE.MeshPhongMaterial({ color: style.color, shininess: 60, specular: 0x444444 });
+        const samples = track.closed ? track.samples.slice(0, -1) : track.samples;
+        const railHeight = (sample, amount) => sample.position.clone().addScaledVector(sample.up, amount);
+        
+        [-1, 1].forEach(side => {
+            const points = samples.map(sample => {
+                const across = new THREE.Vector3().crossVectors(sample.up, sample.tangent).normalize();
+                return railHeight(sample, style.offset).addScaledVector(across, side * style.gauge / 2);
+            });
+            const curve = new THREE.CatmullRomCurve3(points, track.closed);
+            const rail = new THREE.Mesh(new THREE.TubeGeometry(curve, points.length, style.radius, 6, track.closed), material);
+            rail.castShadow = true;
+            rails.add(rail);
+        });
         
-        // Head bobbing up and down
-        if (bodyParts.head) {
-            bodyParts.head.position.y = 0.75 + Math.sin(time * 8) * 0.05;
-            bodyParts.head.rotation.z = Math.sin(time * 6) * 0.1;
-        }
+        const everyDistance = spacing => {
+            const spots = [];
+            for (let distance = 0; spacing > 0 && distance < track.length; distance += spacing) spots.push(this.sampleRideTrack(track, distance));
+            return spots;
+        };
         
-        // Body shaking slightly
-        if (bodyParts.body) {
-            bodyParts.body.rotation.z = Math.sin(time * 10) * 0.03;
+        const sleepers = everyDistance(style.sleeperSpacing);
+        if (sleepers.length > 0) {
+            const geometry = new THREE.BoxGeometry(style.gauge + style.radius * 4, style.radius * 1.5, style.radius * 3);
+            const mesh = new THREE.InstancedMesh(geometry, material, sleepers.length);
+            sleepers.forEach((spot, index) => {
+                const position = spot.position.addScaledVector(spot.up, style.offset - style.radius);
+                mesh.setMatrixAt(index, this.getTrackMatrix(position, spot.tangent, spot.up));
+            });
+            mesh.instanceMatrix.needsUpdate = true;
+            rails.add(mesh);
         }
         
-        // Arms moving up and down
-        if (bodyParts.leftUpperArm) {
-            bodyParts.leftUpperArm.rotation.z = 0.3 + Math.sin(time * 8) * 0.2;
-        }
-        if (bodyParts.rightUpperArm) {
-            bodyParts.rightUpperArm.rotation.z = -0.3 - Math.sin(time * 8) * 0.2;
+        const supports = everyDistance(style.supportSpacing)
+            .map(spot => spot.position.addScaledVector(spot.up, style.offset - style.radius))
+            .filter(position => position.y - groundHeight > 1);
+        if (supports.length > 0) {
+            const geometry = new THREE.CylinderGeometry(0.2, 0.3, 1, 6);
+            const mesh = new THREE.InstancedMesh(geometry, material, supports.length);
+            supports.forEach((position, index) => {
+                const height = position.y - groundHeight;
+                mesh.setMatrixAt(index, new THREE.Matrix4().compose(
+                    new THREE.Vector3(position.x, groundHeight + height / 2, position.z),
+                    new THREE.Quaternion(),
+                    new THREE.Vector3(1, height, 1)
+                ));
+            });
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.castShadow = true;
+            rails.add(mesh);
         }
+        
+        return rails;
     }
     
-    animateJumping(character, bodyParts, time) {
-        // Character jumps up and down
-        const jumpHeight = Math.abs(Math.sin(time * 4)) * 1.5;
-        character.position.y = character.userData.animations.originalY + jumpHeight;
-        
-        // Arms spread wide during jump
-        if (bodyParts.leftUpperArm) {
-            bodyParts.leftUpperArm.rotation.z = 0.5 + Math.sin(time * 4) * 0.3;
-        }
-        if (bodyParts.rightUpperArm) {
-            bodyParts.rightUpperArm.rotation.z = -0.5 - Math.sin(time * 4) * 0.3;
-        }
-        
-        // Slight body lean
-        if (bodyParts.body) {
-            bodyParts.body.rotation.x = Math.sin(time * 4) * 0.1;
+    // ===== COLLISION =====
+    
+    registerStaticCollider(obj) {
+        // Static blocks never move, so their box is computed once and bucketed into grid cells
+        const system = this.collisionSystem;
+        const box = obj.userData.boundingBox;
+        const range = this.collisionCellRange(box);
+        for (let row = range.minRow; row <= range.maxRow; row++) {
+            for (let col = range.minCol; col <= range.maxCol; col++) {
+                const key = row * system.cols + col;
+                if (!system.staticCells.has(key)) system.staticCells.set(key, []);
+                system.staticCells.get(key).push(obj);
+            }
         }
     }
     
-    animateScared(character, bodyParts, time) {
-        // Quick trembling motion
-        const tremble = Math.sin(time * 25) * 0.02;
-        character.position.x += tremble;
-        character.position.z += tremble * 0.5;
-        
-        // Head looking around frantically
-        if (bodyParts.head) {
-            bodyParts.head.rotation.y = Math.sin(time * 12) * 0.3;
-            bodyParts.head.position.y = 0.73; // Slightly ducked
-        }
-        
-        // Arms close to body, defensive
-        if (bodyParts.leftUpperArm) {
-            bodyParts.leftUpperArm.rotation.z = 0.8 + Math.sin(time * 15) * 0.1;
-        }
-        if (bodyParts.rightUpperArm) {
-            bodyParts.rightUpperArm.rotation.z = -0.8 - Math.sin(time * 15) * 0.1;
+    addDynamicCollider(obj) {
+        // Moving objects have their box refreshed on every query
+        if (!obj.userData.boundingBox) obj.userData.boundingBox = new THREE.Box3();
+        this.collisionSystem.dynamicColliders.add(obj);
+    }
+    
+    removeDynamicCollider(obj) {
+        this.collisionSystem.dynamicColliders.delete(obj);
+    }
+    
+    collisionCellRange(box) {
+        const system = this.collisionSystem;
+        const toCell = value => Math.min(system.cols - 1, Math.max(0, Math.floor((value - system.origin) / system.cellSize)));
+        return {
+            minCol: toCell(box.min.x),
+            maxCol: toCell(box.max.x),
+            minRow: toCell(box.min.z),
+            maxRow: toCell(box.max.z)
+        };
+    }
+    
+    collidesAt(position, body, ignore = null) {
+        // Single collision query used by Mina, Sacha and monsters
+        const system = this.collisionSystem;
+        const center = position.clone();
+        center.y += body.offsetY;
+        const queryBox = new THREE.Box3().setFromCenterAndSize(center, body.size);
+        
+        const range = this.collisionCellRange(queryBox);
+        for (let row = range.minRow; row <= range.maxRow; row++) {
+            for (let col = range.minCol; col <= range.maxCol; col++) {
+                const cell = system.staticCells.get(row * system.cols + col);
+                if (!cell) continue;
+                for (const obj of cell) {
+                    // Ramps only get in the way where their slope is higher than the bottom of the body
+                    if (obj !== ignore && queryBox.intersectsBox(obj.userData.boundingBox) &&
+                        (!obj.userData.ramp || this.rampHeight(obj.userData.ramp, queryBox) > queryBox.min.y)) {
+                        return true;
+                    }
+                }
+            }
         }
         
-        // Body hunched forward
-        if (bodyParts.body) {
-            bodyParts.body.rotation.x = 0.2 + Math.sin(time * 10) * 0.05;
+        for (const obj of system.dynamicColliders) {
+            // Riders travel with their vehicle, so an occupied one never blocks
+            if (obj === ignore || obj.userData.isOccupied || !obj.parent) continue;
+            obj.userData.boundingBox.setFromObject(obj);
+            if (queryBox.intersectsBox(obj.userData.boundingBox)) {
+                return true;
+            }
         }
+        return false;
     }
     
-    animateWalking(character, bodyParts, time) {
-        // Walking arm swing
-        if (bodyParts.leftUpperArm) {
-            bodyParts.leftUpperArm.rotation.x = Math.sin(time * 6) * 0.5;
-        }
-        if (bodyParts.rightUpperArm) {
-            bodyParts.rightUpperArm.rotation.x = Math.sin(time * 6 + Math.PI) * 0.5;
+    rampHeight(ramp, box) {
+        // Height of the slope under the uphill edge of a box
+        const uphill = ramp.sign > 0 ? box.max[ramp.axis] : box.min[ramp.axis];
+        return ramp.rise * THREE.MathUtils.clamp((uphill - ramp.foot) * ramp.sign / ramp.length, 0, 1);
+    }
+    
+    findVerticalBounds(position, feet) {
+        // The highest surface a girl could stand on (no more than a step above her feet)
+        // and the lowest block above her head, under her footprint
+        const system = this.collisionSystem;
+        const physics = this.physicsSystem;
+        const body = system.bodies.character;
+        const footprint = new THREE.Box3(
+            new THREE.Vector3(position.x - body.size.x / 2, 0, position.z - body.size.z / 2),
+            new THREE.Vector3(position.x + body.size.x / 2, 0, position.z + body.size.z / 2)
+        );
+        const reach = feet + physics.stepHeight;
+        const head = feet + physics.standHeight + body.size.y / 2;
+        
+        // The park ground catches everything inside its edges
+        const insidePark = position.x >= system.origin && position.x <= -system.origin &&
+            position.z >= system.origin && position.z <= -system.origin;
+        let ground = insidePark ? 0 : -Infinity;
+        let ceiling = Infinity;
+        
+        const range = this.collisionCellRange(footprint);
+        for (let row = range.minRow; row <= range.maxRow; row++) {
+            for (let col = range.minCol; col <= range.maxCol; col++) {
+                const cell = system.staticCells.get(row * system.cols + col);
+                if (!cell) continue;
+                for (const obj of cell) {
+                    const box = obj.userData.boundingBox;
+                    if (box.max.x < footprint.min.x || box.min.x > footprint.max.x ||
+                        box.max.z < footprint.min.z || box.min.z > footprint.max.z) continue;
+                    
+                    const top = obj.userData.ramp ? this.rampHeight(obj.userData.ramp, footprint) : box.max.y;
+                    if (top <= reach) {
+                        ground = Math.max(ground, top);
+                    } else if (box.min.y >= head) {
+                        ceiling = Math.min(ceiling, box.min.y);
+                    }
+                }
+            }
         }
+        return { ground, ceiling };
+    }
+    
+    moveWithCollision(object, movement, body) {
+        // Try the full move, then slide along walls on each axis.
+        // Returns the movement actually applied, or null when fully blocked.
+        const attempts = [
+            movement,
+            new THREE.Vector3(movement.x, 0, 0),
+            new THREE.Vector3(0, 0, movement.z)
+        ];
         
-        // Walking head bob
-        if (bodyParts.head) {
-            bodyParts.head.position.y = 0.75 + Math.sin(time * 12) * 0.02;
+        for (const attempt of attempts) {
+            if (attempt.x === 0 && attempt.z === 0) continue;
+            const newPosition = object.position.clone().add(attempt);
+            if (!this.collidesAt(newPosition, body, object)) {
+                object.position.copy(newPosition);
+                return attempt;
+            }
         }
+        return null;
     }
     
-    animateIdle(character, bodyParts, time) {
-        // Gentle breathing motion
-        if (bodyParts.body) {
-            bodyParts.body.scale.y = 1 + Math.sin(time * 2) * 0.02;
+    getActiveCharacter() {
+        // The girl player one drives (and the camera follows outside co-op)
+        return this.playerSystem.coop || this.playerSystem.active === 'mina' ? this.mina : this.sacha;
+    }
+    
+    getOtherCharacter(character) {
+        return character === this.mina ? this.sacha : this.mina;
+    }
+    
+    setPlayerMode(active, coop) {
+        const players = this.playerSystem;
+        if (players.active === active && players.coop === coop) return;
+        
+        players.active = active;
+        players.coop = coop;
+        
+        // The girl nobody is driving follows the one who is
+        const leader = this.getActiveCharacter();
+        const companion = this.getOtherCharacter(leader);
+        leader.userData.isCompanion = false;
+        leader.userData.followTarget = null;
+        companion.userData.isCompanion = !coop;
+        companion.userData.followTarget = coop ? null : leader;
+        this.clearAgentPath(this.mina);
+        this.clearAgentPath(this.sacha);
+        this.companionSystem.state = this.createCompanionState();
+        Object.keys(this.coopControls).forEach(control => { this.coopControls[control] = false; });
+    }
+    
+    switchCharacter() {
+        if (this.playerSystem.coop) {
+            this.showNPCDialogue(this.t('players.coop'), this.t('players.coopBusy'));
+            return;
         }
         
-        // Slight head movement
-        if (bodyParts.head) {
-            bodyParts.head.rotation.y = Math.sin(time * 0.5) * 0.05;
-            bodyParts.head.position.y = 0.75 + Math.sin(time * 1.5) * 0.01;
-        }
+        this.setPlayerMode(this.playerSystem.active === 'mina' ? 'sacha' : 'mina', false);
+        const name = this.playerSystem.active === 'mina' ? 'Mina' : 'Sacha';
+        console.log(`👧 Now playing as ${name}`);
+        this.showNPCDialogue(this.t('players.switch'), this.t('players.switched', { name: name }));
     }
     
-    animateWaving(character, bodyParts, time) {
-        if (!bodyParts) return;
-        
-        // Friendly waving motion with right arm
-        if (bodyParts.rightUpperArm) {
-            bodyParts.rightUpperArm.rotation.z = -0.5 + Math.sin(time * 8) * 0.4;
-            bodyParts.rightUpperArm.rotation.x = Math.sin(time * 6) * 0.2;
+    toggleCoop() {
+        const coop = !this.playerSystem.coop;
+        this.setPlayerMode(coop ? 'mina' : this.playerSystem.active, coop);
+        console.log(coop ? '👭 Co-op on' : '👧 Co-op off');
+        this.showNPCDialogue(this.t('players.coop'), this.t(coop ? 'players.coopOn' : 'players.coopOff'));
+    }
+    
+    updatePlayers(deltaTime) {
+        // Co-op: each girl has her own player. Single player: one girl is driven, the other follows her
+        const [playerOne, playerTwo] = this.inputSystem.players;
+        if (this.playerSystem.coop) {
+            this.updatePlayerMovement(this.mina, playerOne, deltaTime);
+            this.updatePlayerMovement(this.sacha, playerTwo, deltaTime);
+            return;
         }
         
-        // Corresponding forearm movement
-        if (bodyParts.rightForearm) {
-            bodyParts.rightForearm.rotation.z = -0.3 + Math.sin(time * 8) * 0.3;
+        const active = this.getActiveCharacter();
+        const companion = this.getOtherCharacter(active);
+        this.updatePlayerMovement(active, playerOne, deltaTime);
+        this.updateCompanionMovement(companion, active, deltaTime);
+        this.updateCompanionChatter(companion, active);
+    }
+    
+    updatePlayerMovement(character, actions, deltaTime) {
+        // Safety check - ensure the girl exists
+        if (!character) {
+            console.warn('updatePlayerMovement called but the character does not exist');
+            console.log('Available objects:', Object.keys(this));
+            return;
         }
         
-        // Hand motion
-        if (bodyParts.rightHand) {
-            bodyParts.rightHand.rotation.z = Math.sin(time * 10) * 0.2;
-        }
+        const speed = actions.run ? this.minaSpeed * 1.5 : this.minaSpeed;
+        const direction = new THREE.Vector3(actions.moveX, 0, actions.moveZ);
         
-        // Slight head turn toward waving
-        if (bodyParts.head) {
-            bodyParts.head.rotation.y = Math.sin(time * 4) * 0.1;
-            bodyParts.head.position.y = 0.75 + Math.sin(time * 3) * 0.02;
+        if (direction.length() > 0) {
+            // A stick pushed part of the way walks slower; keys (even two at once) go at full speed
+            const tilt = Math.min(1, direction.length());
+            direction.normalize();
+            
+            // Calculate potential new position
+            const movement = direction.multiplyScalar(speed * tilt * deltaTime);
+            
+            // Move with wall sliding and face the way we actually went
+            const moved = this.moveWithCollision(character, movement, this.collisionSystem.bodies.character);
+            if (moved) {
+                character.lookAt(character.position.clone().add(moved));
+                this.playFootstep(actions.run);
+            }
+            
+            // Enhanced walking animation
+            const time = this.gameClock.elapsed;
+            
+            // Set walking animation state
+            if (character.userData && character.userData.animations) {
+                character.userData.animations.currentState = 'walking';
+            }
+            
+            // Animate the limbs while walking
+            this.animateWalkCycle(character, time, false);
+        } else {
+            // Set idle animation state when not moving
+            if (character.userData && character.userData.animations) {
+                character.userData.animations.currentState = 'idle';
+            }
         }
         
-        // Body sway
-        if (bodyParts.body) {
-            bodyParts.body.rotation.z = Math.sin(time * 4) * 0.05;
+        // Jumping and gravity, then a little bounce in her step on solid ground
+        this.updateVerticalMotion(character, actions.jump, deltaTime);
+        if (direction.length() > 0 && character.userData.vertical.grounded) {
+            character.position.y += Math.sin(this.gameClock.elapsed * 10) * 0.03;
         }
     }
     
-    animateDancing(character, bodyParts, time) {
-        if (!bodyParts) return;
+    updateTimeOfDay() {
+        // Calculate time progression (0 = sunset, 1 = deep night) - part of the simulation, monsters see less at night
+        const elapsed = this.now() - this.lightingSystem.startTime;
+        this.gameState.timeOfDay = Math.min(elapsed / this.lightingSystem.dayDuration, 1);
+    }
+    
+    getTimeOfDay() {
+        // The part of the evening it is, as park characters and the debug line call it
+        const progress = this.gameState.timeOfDay;
+        return progress < 0.3 ? 'sunset' : progress < 0.7 ? 'twilight' : 'night';
+    }
+    
+    updateDynamicLighting() {
+        const progress = this.gameState.timeOfDay;
         
-        // Bouncy up and down movement
-        const bounceHeight = Math.sin(time * 6) * 0.3;
-        character.position.y = character.userData.animations.originalY + Math.abs(bounceHeight);
+        // Interpolate colors and intensities
+        const sunsetColor = { r: 1, g: 0.55, b: 0.26 }; // Orange sunset
+        const nightColor = { r: 0.05, g: 0.05, b: 0.15 }; // Dark blue night
         
-        // Both arms moving rhythmically
-        if (bodyParts.leftUpperArm) {
-            bodyParts.leftUpperArm.rotation.z = 0.3 + Math.sin(time * 5) * 0.4;
-            bodyParts.leftUpperArm.rotation.x = Math.sin(time * 4 + Math.PI) * 0.3;
-        }
-        if (bodyParts.rightUpperArm) {
-            bodyParts.rightUpperArm.rotation.z = -0.3 - Math.sin(time * 5) * 0.4;
-            bodyParts.rightUpperArm.rotation.x = Math.sin(time * 4) * 0.3;
-        }
+        // Sky color transition
+        const skyR = sunsetColor.r + (nightColor.r - sunsetColor.r) * progress;
+        const skyG = sunsetColor.g + (nightColor.g - sunsetColor.g) * progress;
+        const skyB = sunsetColor.b + (nightColor.b - sunsetColor.b) * progress;
         
-        // Forearms following the beat
-        if (bodyParts.leftForearm) {
-            bodyParts.leftForearm.rotation.z = 0.2 + Math.sin(time * 6) * 0.2;
-        }
-        if (bodyParts.rightForearm) {
-            bodyParts.rightForearm.rotation.z = -0.2 - Math.sin(time * 6) * 0.2;
-        }
+        // Update renderer clear color (sky)
+        this.renderer.setClearColor(new THREE.Color(skyR, skyG, skyB));
         
-        // Head bobbing to the rhythm
-        if (bodyParts.head) {
-            bodyParts.head.position.y = 0.75 + Math.sin(time * 6) * 0.08;
-            bodyParts.head.rotation.z = Math.sin(time * 4) * 0.15;
-            bodyParts.head.rotation.y = Math.sin(time * 3) * 0.2;
-        }
+        // Update ambient light intensity and color
+        const ambientIntensity = 0.4 * (1 - progress * 0.7); // Fade to 30% of original
+        this.lightingSystem.ambientLight.color.setRGB(skyR, skyG * 1.2, skyB * 1.5);
+        this.lightingSystem.ambientLight.intensity = ambientIntensity;
         
-        // Body twist and sway
-        if (bodyParts.body) {
-            bodyParts.body.rotation.y = Math.sin(time * 4) * 0.2;
-            bodyParts.body.rotation.z = Math.sin(time * 5) * 0.1;
-        }
-    }
-    
-    checkMonsterReactions() {
-        if (!this.mina) return;
+        // Update sun light - fade as it "sets"
+        const sunIntensity = 1.0 * (1 - progress); // Sun disappears completely at night
+        this.lightingSystem.sunLight.intensity = sunIntensity;
+        this.lightingSystem.sunLight.position.y = 30 - (progress * 50); // Sun goes below horizon
         
-        this.monsters.forEach(monster => {
-            const distanceToMina = monster.position.distanceTo(this.mina.position);
-            
-            // If monster is close, trigger scared animation
-            if (distanceToMina < 15 && Math.random() < 0.02) { // 2% chance per frame when close
-                this.playCharacterAnimation(this.mina, 'scared', 1500);
-                this.playCharacterAnimation(this.sacha, 'scared', 1500);
-                
-                // Add some random reactions
-                if (Math.random() < 0.3) {
-                    setTimeout(() => {
-                        this.playCharacterAnimation(this.mina, 'jumping', 1000);
-                    }, 800);
-                }
-            }
-        });
+        // Update fill light to become moonlight
+        const moonIntensity = 0.4 + (progress * 0.3); // Moon gets brighter as night deepens
+        this.lightingSystem.fillLight.color.setRGB(0.6, 0.6, 1.0); // Blue moonlight
+        this.lightingSystem.fillLight.intensity = moonIntensity * progress; // Only visible at night
         
-        // Random animations when no monsters nearby
-        if (this.gameState.monstersNearby === 0 && Math.random() < 0.001) { // 0.1% chance per frame
-            const animations = ['laughing', 'waving', 'dancing'];
-            const randomAnimation = animations[Math.floor(Math.random() * animations.length)];
-            
-            if (Math.random() > 0.5) {
-                this.playCharacterAnimation(this.mina, randomAnimation, 2500);
-                // Sacha might join in with dancing or waving
-                if (randomAnimation === 'dancing' && Math.random() > 0.6) {
-                    setTimeout(() => {
-                        this.playCharacterAnimation(this.sacha, 'dancing', 2000);
-                    }, 500);
-                } else if (randomAnimation === 'waving' && Math.random() > 0.7) {
-                    setTimeout(() => {
-                        this.playCharacterAnimation(this.sacha, 'waving', 1500);
-                    }, 800);
-                }
-            } else {
-                this.playCharacterAnimation(this.sacha, randomAnimation, 2500);
-                // Mina might respond to Sacha's actions
-                if (randomAnimation === 'dancing' && Math.random() > 0.6) {
-                    setTimeout(() => {
-                        this.playCharacterAnimation(this.mina, 'dancing', 2000);
-                    }, 300);
-                }
-            }
-        }
+        // Update hemisphere light
+        const hemiSkyColor = { r: skyR * 0.8, g: skyG * 0.8, b: skyB * 1.2 };
+        const hemiGroundColor = { r: 0.3, g: 0.1, b: 0.5 }; // Purple ground at night
+        this.lightingSystem.hemiLight.color.setRGB(hemiSkyColor.r, hemiSkyColor.g, hemiSkyColor.b);
+        this.lightingSystem.hemiLight.groundColor.setRGB(
+            hemiGroundColor.r * (0.5 + progress * 0.5),
+            hemiGroundColor.g * (0.5 + progress * 0.5),
+            hemiGroundColor.b * (0.5 + progress * 0.5)
+        );
         
-        // Jumping when collecting treasures (triggered elsewhere)
-        // This function is called from treasure collection
+        // Update fog to get darker and thicker at night
+        const fogColor = new THREE.Color(skyR * 0.8, skyG * 0.8, skyB);
+        this.scene.fog.color.copy(fogColor);
+        this.scene.fog.near = 50 - (progress * 20); // Fog gets closer at night
+        this.scene.fog.far = 300 - (progress * 100); // Fog gets thicker at night
     }
     
-    // ===== DYNAMIC WORLD UPDATE FUNCTIONS =====
-    
-    updateInteractiveNPCs(deltaTime) {
-        if (!this.mina) return;
-        
-        this.interactiveNPCs.forEach(npc => {
-            const distance = npc.position.distanceTo(this.mina.position);
-            
-            // Check if girls are close enough for interaction
-            if (distance < npc.userData.interactionRange) {
-                const now = Date.now();
-                
-                // Only interact every 5 seconds to avoid spam
-                if (now - npc.userData.lastInteraction > 5000) {
-                    npc.userData.lastInteraction = now;
-                    
-                    // Show dialogue from this NPC
-                    const dialogue = npc.userData.dialogues[npc.userData.currentDialogue];
-                    this.showNPCDialogue(npc.userData.name, dialogue);
-                    
-                    // Cycle through dialogues
-                    npc.userData.currentDialogue = 
-                        (npc.userData.currentDialogue + 1) % npc.userData.dialogues.length;
-                    
-                    // Make characters react
-                    if (npc.userData.personality === 'photographer') {
-                        this.playCharacterAnimation(this.mina, 'laughing', 1500);
-                        this.playCharacterAnimation(this.sacha, 'jumping', 1000);
-                    } else if (npc.userData.personality === 'vendor') {
-                        this.playCharacterAnimation(this.mina, 'jumping', 1000);
-                    }
-                }
-            }
+    animateWalkCycle(character, time, isRunning) {
+        // Find the girl's limbs for animation
+        if (character.children.length > 4) {
+            const leftArm = character.children.find(child => child.position.x < -0.2 && child.position.y > 0.3);
+            const rightArm = character.children.find(child => child.position.x > 0.2 && child.position.y > 0.3);
+            const leftLeg = character.children.find(child => child.position.x < -0.05 && child.position.y < 0);
+            const rightLeg = character.children.find(child => child.position.x > 0.05 && child.position.y < 0);
             
-            // NPCs look at nearby characters
-            if (distance < 15) {
-                npc.lookAt(this.mina.position);
-            }
+            const animSpeed = isRunning ? 10 : 6; // Faster animation when running
+            const animIntensity = isRunning ? 0.7 : 0.5; // More dramatic movement when running
             
-            // Simple idle animation for NPCs
-            const time = this.clock.getElapsedTime();
-            npc.position.y = Math.sin(time * 2 + npc.position.x) * 0.02;
-        });
+            if (leftArm) leftArm.rotation.x = Math.sin(time * animSpeed) * animIntensity;
+            if (rightArm) rightArm.rotation.x = -Math.sin(time * animSpeed) * animIntensity;
+            if (leftLeg) leftLeg.rotation.x = -Math.sin(time * animSpeed) * (animIntensity * 0.6);
+            if (rightLeg) rightLeg.rotation.x = Math.sin(time * animSpeed) * (animIntensity * 0.6);
+        }
     }
     
-    updateCrowds(deltaTime) {
-        this.crowds.forEach(crowd => {
-            crowd.forEach(person => {
-                const userData = person.userData;
-                const time = this.clock.getElapsedTime();
-                
-                // Change direction occasionally
-                userData.directionChangeTime += deltaTime;
-                if (userData.directionChangeTime > 3 + Math.random() * 4) {
-                    userData.direction = Math.random() * Math.PI * 2;
-                    userData.directionChangeTime = 0;
-                }
-                
-                // Move in current direction
-                const speed = userData.baseSpeed * (0.8 + Math.random() * 0.4);
-                const moveX = Math.cos(userData.direction) * speed * deltaTime;
-                const moveZ = Math.sin(userData.direction) * speed * deltaTime;
-                
-                // Keep within group bounds
-                const newX = person.position.x + moveX;
-                const newZ = person.position.z + moveZ;
-                const centerDistance = Math.sqrt(
-                    Math.pow(newX - userData.groupCenter.x, 2) + 
-                    Math.pow(newZ - userData.groupCenter.z, 2)
-                );
-                
-                if (centerDistance < userData.groupRadius) {
-                    person.position.x = newX;
-                    person.position.z = newZ;
-                    
-                    // Face movement direction
-                    person.rotation.y = userData.direction;
-                } else {
-                    // Turn towards group center
-                    userData.direction = Math.atan2(
-                        userData.groupCenter.z - person.position.z,
-                        userData.groupCenter.x - person.position.x
-                    );
-                }
-                
-                // Simple walking animation
-                person.position.y = Math.sin(time * userData.walkSpeed * 8) * 0.03;
-                
-                // Avoid getting too close to Mina and Sacha
-                if (this.mina) {
-                    const distanceToMina = person.position.distanceTo(this.mina.position);
-                    if (distanceToMina < 3) {
-                        const avoidDirection = Math.atan2(
-                            person.position.z - this.mina.position.z,
-                            person.position.x - this.mina.position.x
-                        );
-                        person.position.x += Math.cos(avoidDirection) * deltaTime * 2;
-                        person.position.z += Math.sin(avoidDirection) * deltaTime * 2;
-                    }
-                }
-            });
-        });
+    // ===== JUMPING & GRAVITY =====
+    
+    resetVerticalMotion(character) {
+        // She has been put down somewhere new (start, save, ride exit, teleport) and stands from there
+        const feet = character.position.y - this.physicsSystem.standHeight;
+        character.userData.vertical = {
+            feet: feet, // Height of her feet; position.y also carries walking bounces and hops
+            velocity: 0,
+            grounded: true,
+            peak: feet, // Highest point of the current jump or fall
+            lastSafe: character.position.clone() // Where she last stood, for falls out of the park
+        };
     }
     
-    updateRides(deltaTime) {
-        const time = this.clock.getElapsedTime();
+    getStandingHeight(character) {
+        // Centre height without any bounce or hop on top (riders sit where the ride puts them)
+        const vertical = character.userData.vertical;
+        return vertical && character.parent === this.scene
+            ? vertical.feet + this.physicsSystem.standHeight
+            : character.userData.animations.originalY;
+    }
+    
+    startJump(character, speed) {
+        const vertical = character.userData.vertical;
+        vertical.grounded = false;
+        vertical.velocity = speed;
+        vertical.peak = vertical.feet;
+    }
+    
+    updateVerticalMotion(character, jump, deltaTime) {
+        if (!character || character.parent !== this.scene) return; // Rides carry their riders
+        const physics = this.physicsSystem;
+        let vertical = character.userData.vertical;
+        
+        // Moved by something other than walking (further than any bounce or dance puts on top): start again from there
+        if (Math.abs(character.position.y - (vertical.feet + physics.standHeight)) > physics.teleportThreshold) {
+            this.resetVerticalMotion(character);
+            vertical = character.userData.vertical;
+        }
+        const bounds = this.findVerticalBounds(character.position, vertical.feet);
+        
+        if (vertical.grounded) {
+            if (bounds.ground < vertical.feet - physics.stepHeight) {
+                // Walked off a ledge
+                vertical.grounded = false;
+                vertical.velocity = 0;
+                vertical.peak = vertical.feet;
+            } else if (jump) {
+                this.startJump(character, physics.jumpSpeed);
+            } else {
+                // Up and down stairs and ramps
+                vertical.feet = bounds.ground;
+                vertical.lastSafe.set(character.position.x, vertical.feet + physics.standHeight, character.position.z);
+            }
+        }
         
-        this.rides.forEach(ride => {
-            const userData = ride.userData;
+        if (!vertical.grounded) {
+            vertical.velocity = Math.max(vertical.velocity - physics.gravity * deltaTime, -physics.maxFallSpeed);
+            let feet = vertical.feet + vertical.velocity * deltaTime;
             
-            // Animate rides based on type
-            switch(userData.rideType) {
-                case 'rollercoaster':
-                    // Track pieces moving up and down
-                    ride.children.forEach((piece, index) => {
-                        if (piece.geometry.type === 'BoxGeometry') {
-                            piece.position.y = 1 + index * 0.5 + Math.sin(time * 2 + index) * 0.2;
-                        }
-                    });
-                    break;
-                    
-                case 'indoor':
-                    // Pyramid rotating slowly
-                    const pyramid = ride.children.find(child => child.geometry.type === 'ConeGeometry');
-                    if (pyramid) {
-                        pyramid.rotation.y += deltaTime * 0.5;
-                    }
-                    break;
-                    
-                case 'family':
-                    // Tower swaying gently
-                    const tower = ride.children.find(child => child.geometry.type === 'CylinderGeometry');
-                    if (tower) {
-                        tower.rotation.z = Math.sin(time * 1.5) * 0.05;
-                    }
-                    break;
-                    
-                case 'water':
-                    // Water splash animation
-                    const splash = ride.children.find(child => 
-                        child.material && child.material.transparent
-                    );
-                    if (splash) {
-                        splash.scale.y = 0.3 + Math.sin(time * 3) * 0.2;
-                        splash.material.opacity = 0.4 + Math.sin(time * 2) * 0.2;
-                    }
-                    break;
+            // Bumping her head stops the jump
+            const headHeight = physics.standHeight + this.collisionSystem.bodies.character.size.y / 2;
+            if (feet + headHeight > bounds.ceiling) {
+                feet = bounds.ceiling - headHeight;
+                vertical.velocity = 0;
             }
+            vertical.peak = Math.max(vertical.peak, feet);
             
-            // Check for ride interaction
-            if (this.mina && ride.position.distanceTo(this.mina.position) < userData.interactionRange) {
-                const now = Date.now();
-                if (now - userData.lastActivation > 10000) { // Every 10 seconds
-                    userData.lastActivation = now;
-                    this.triggerRideEffect(ride);
-                }
+            if (feet <= bounds.ground) {
+                vertical.feet = bounds.ground;
+                this.landCharacter(character);
+            } else {
+                vertical.feet = feet;
             }
-        });
+        }
+        
+        character.position.y = vertical.feet + physics.standHeight;
+        if (vertical.feet < physics.fallOutDepth) this.rescueFallenCharacter(character);
     }
     
-    updateWorldEvents(deltaTime) {
-        const now = Date.now();
-        
-        this.worldEvents.forEach(event => {
-            // Check if event should start
-            if (!event.active && now >= event.startTime) {
-                this.startWorldEvent(event);
-            }
-            
-            // Check if event should end
-            if (event.active && now >= event.startTime + event.duration) {
-                this.endWorldEvent(event);
-                // Schedule next occurrence
-                event.startTime = now + event.interval;
-            }
-            
-            // Update active events
-            if (event.active) {
-                this.updateActiveEvent(event, deltaTime);
+    landCharacter(character) {
+        // Long drops hurt (both girls share one health bar)
+        const physics = this.physicsSystem;
+        const vertical = character.userData.vertical;
+        const drop = vertical.peak - vertical.feet;
+        vertical.grounded = true;
+        vertical.velocity = 0;
+        vertical.peak = vertical.feet;
+        
+        if (drop > physics.safeFallHeight) {
+            this.gameState.health -= (drop - physics.safeFallHeight) * physics.fallDamage;
+            this.playCharacterAnimation(character, 'scared', 1000);
+            console.log(`💥 ${character.userData.name} fell ${drop.toFixed(1)} units`);
+            if (this.gameState.health <= 0 && !this.gameState.gameOver) {
+                this.gameOver();
             }
-        });
+        }
     }
     
-    showNPCDialogue(npcName, text) {
-        // Create a special NPC speech bubble
-        if (this.speechSystem.currentBubble) {
-            this.removeSpeechBubble();
+    rescueFallenCharacter(character) {
+        // Off the edge of the park: back to where she last stood, with a bump
+        const vertical = character.userData.vertical;
+        character.position.copy(vertical.lastSafe);
+        this.resetVerticalMotion(character);
+        this.gameState.health -= this.physicsSystem.fallOutDamage;
+        this.showNPCDialogue(this.t('physics.oops'), this.t('physics.fellOff', { name: character.userData.name }));
+        if (this.gameState.health <= 0 && !this.gameState.gameOver) {
+            this.gameOver();
         }
-        
-        const bubble = document.createElement('div');
-        bubble.className = 'speech-bubble npc';
-        bubble.innerHTML = `<strong>${npcName}:</strong><br>${text}`;
-        bubble.style.background = 'linear-gradient(45deg, #ffd700, #ffed4e)';
-        bubble.style.color = '#333';
-        bubble.style.display = 'none';
-        
-        document.body.appendChild(bubble);
-        this.speechSystem.currentBubble = bubble;
-        
-        // Position at top center of screen
-        bubble.style.position = 'fixed';
-        bubble.style.top = '20px';
-        bubble.style.left = '50%';
-        bubble.style.transform = 'translateX(-50%)';
-        bubble.style.display = 'block';
-        bubble.style.zIndex = '200';
-        
-        // Auto-remove after 4 seconds
-        setTimeout(() => {
-            if (this.speechSystem.currentBubble === bubble) {
-                this.removeSpeechBubble();
+    }
+    
+    // ===== COMPANION AI =====
+    
+    createCompanionState() {
+        return {
+            behavior: 'follow', // follow, flee, scout or waitAtRide
+            threat: null, // The mummy she is running from
+            scoutTarget: null, // The treasure she is running ahead to
+            stuckTime: 0,
+            stuckAnchor: null, // Where she last made real progress towards the leader
+            lastHintTime: this.now(),
+            lastLineTimes: {},
+            lineIndex: {},
+            lastLine: null,
+            monstersWereNearby: false
+        };
+    }
+    
+    getCompanionPersonality() {
+        const companion = this.companionSystem;
+        return companion.personalities[companion.personality] || companion.personalities.cautiousFriend;
+    }
+    
+    setCompanionPersonality(name) {
+        const companion = this.companionSystem;
+        if (!companion.personalities[name]) {
+            console.warn(`Unknown companion personality: ${name}`);
+            return false;
+        }
+        if (companion.personality === name) return true;
+        
+        companion.personality = name;
+        companion.state = this.createCompanionState();
+        if (this.sacha) this.clearAgentPath(this.getOtherCharacter(this.getActiveCharacter()));
+        console.log(`🤝 Companion personality: ${name}`);
+        if (!this.headless && this.replaySystem.mode !== 'playback') this.saveCompanionSettings();
+        return true;
+    }
+    
+    loadCompanionSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.companionSystem.settingsKey));
+            if (saved && this.companionSystem.personalities[saved.personality]) {
+                this.companionSystem.personality = saved.personality;
             }
-        }, 4000);
+        } catch (error) {
+            console.warn('Could not read companion settings:', error);
+        }
     }
     
-    triggerRideEffect(ride) {
-        const rideName = ride.userData.name;
+    saveCompanionSettings() {
+        try {
+            localStorage.setItem(this.companionSystem.settingsKey, JSON.stringify({
+                personality: this.companionSystem.personality
+            }));
+        } catch (error) {
+            console.warn('Could not store companion settings:', error);
+        }
+    }
+    
+    updateCompanionMovement(companion, leader, deltaTime) {
+        if (!companion || !leader) return;
+        if (companion.parent !== this.scene) return; // Riding along - the ride moves her
+        
+        const personality = this.getCompanionPersonality();
+        const state = this.companionSystem.state;
+        const leaderPosition = leader.getWorldPosition(new THREE.Vector3());
+        leaderPosition.y = companion.position.y; // She follows on the ground plan, however high the leader has climbed
+        const time = this.gameClock.elapsed;
+        
+        // Gravity and stairs (she never jumps); her moves below put the bounce on top
+        this.updateVerticalMotion(companion, false, deltaTime);
+        
+        const behavior = this.chooseCompanionBehavior(companion, leader, leaderPosition, personality);
+        if (behavior === 'teleport') {
+            this.teleportCompanion(companion, leader);
+            return;
+        }
+        if (behavior !== state.behavior) {
+            state.behavior = behavior;
+            state.stuckTime = 0;
+            state.stuckAnchor = null;
+            this.clearAgentPath(companion);
+            this.companionSay(companion, behavior);
+        }
         
-        // Visual and animation effects based on ride type
-        switch(ride.userData.rideType) {
-            case 'rollercoaster':
-                this.playCharacterAnimation(this.mina, 'scared', 2000);
-                this.playCharacterAnimation(this.sacha, 'jumping', 1500);
-                this.showNPCDialogue('Ride Operator', 'Hold on tight for Battlestar Galactica!');
+        switch (behavior) {
+            case 'waitAtRide':
+                // Stays by the entrance until the leader gets off
+                this.idleCompanion(companion, leaderPosition, time);
                 break;
                 
-            case 'indoor':
-                this.playCharacterAnimation(this.mina, 'scared', 3000);
-                this.playCharacterAnimation(this.sacha, 'scared', 3000);
-                this.showNPCDialogue('Mummy Guide', 'Welcome to the tomb... if you dare!');
+            case 'flee': {
+                // Straight away from the mummy, as far again as it is allowed to get
+                const away = new THREE.Vector3(
+                    companion.position.x - state.threat.position.x, 0,
+                    companion.position.z - state.threat.position.z
+                ).normalize().multiplyScalar(personality.fleeRadius);
+                this.moveCompanionTowards(companion, companion.position.clone().add(away), personality.fleeSpeed, deltaTime, true);
                 break;
+            }
                 
-            case 'family':
-                this.playCharacterAnimation(this.mina, 'laughing', 2000);
-                this.playCharacterAnimation(this.sacha, 'laughing', 2000);
-                this.showNPCDialogue('Princess Fiona', 'Welcome to our magical 4-D adventure!');
+            case 'scout':
+                if (Math.hypot(state.scoutTarget.position.x - companion.position.x, state.scoutTarget.position.z - companion.position.z) > 2) {
+                    this.moveCompanionTowards(companion, state.scoutTarget.position, personality.catchupSpeed, deltaTime, true);
+                } else {
+                    this.idleCompanion(companion, leaderPosition, time);
+                }
                 break;
                 
-            case 'water':
-                this.playCharacterAnimation(this.mina, 'jumping', 1500);
-                this.playCharacterAnimation(this.sacha, 'laughing', 2000);
-                this.showNPCDialogue('Park Ranger', 'Watch out for the dinosaurs!');
+            case 'follow':
+            default: {
+                const distanceToLeader = companion.position.distanceTo(leaderPosition);
+                const followDistance = this.gameState.monstersNearby > 0
+                    ? personality.nervousFollowDistance
+                    : personality.followDistance;
+                
+                if (distanceToLeader > followDistance + 5) {
+                    // Too far behind: run to catch up, and notice if she isn't getting anywhere
+                    this.moveCompanionTowards(companion, leaderPosition, personality.catchupSpeed, deltaTime, true);
+                    if (!state.stuckAnchor || companion.position.distanceTo(state.stuckAnchor) > 1) {
+                        state.stuckAnchor = companion.position.clone();
+                        state.stuckTime = 0;
+                    } else {
+                        state.stuckTime += deltaTime;
+                    }
+                } else {
+                    state.stuckAnchor = null;
+                    state.stuckTime = 0;
+                    if (distanceToLeader > followDistance) {
+                        this.moveCompanionTowards(companion, leaderPosition, personality.walkSpeed, deltaTime, false);
+                    } else {
+                        this.idleCompanion(companion, leaderPosition, time);
+                    }
+                }
                 break;
+            }
         }
     }
     
-    startWorldEvent(event) {
-        event.active = true;
-        console.log(`🎉 Starting world event: ${event.name}`);
+    chooseCompanionBehavior(companion, leader, leaderPosition, personality) {
+        const state = this.companionSystem.state;
+        const distanceToLeader = companion.position.distanceTo(leaderPosition);
         
-        switch(event.name) {
-            case 'Parade':
-                this.showNPCDialogue('Parade Announcer', '🎊 The Universal Studios parade is starting!');
-                break;
-                
-            case 'Fireworks':
-                this.showNPCDialogue('Show Director', '🎆 Look up! Spectacular fireworks show!');
-                // Trigger happy animations
-                this.playCharacterAnimation(this.mina, 'jumping', 5000);
-                this.playCharacterAnimation(this.sacha, 'laughing', 5000);
-                break;
-                
-            case 'Character Meet':
-                this.showNPCDialogue('Mickey Mouse', '🐭 Hi there! Want to take a photo with me?');
-                this.playCharacterAnimation(this.mina, 'laughing', 3000);
-                this.playCharacterAnimation(this.sacha, 'jumping', 3000);
-                break;
+        // Rides she isn't coming on: wait where the leader got on
+        if (leader.parent !== this.scene || leader.userData.ridingVehicle) return 'waitAtRide';
+        
+        if (distanceToLeader > personality.teleportDistance || state.stuckTime >= personality.stuckTime) {
+            return 'teleport';
+        }
+        
+        // Keeps running until the mummy is half as far again as the flee radius
+        const fleeRadius = state.behavior === 'flee' ? personality.fleeRadius * 1.5 : personality.fleeRadius;
+        const threat = this.monsters
+            .map(monster => ({ monster, distance: monster.position.distanceTo(companion.position) }))
+            .filter(entry => entry.distance < fleeRadius)
+            .sort((a, b) => a.distance - b.distance)[0];
+        if (threat) {
+            state.threat = threat.monster;
+            return 'flee';
+        }
+        state.threat = null;
+        
+        // Runs ahead to treasure near the leader, but only once she has caught up and never too far
+        if (personality.scoutsTreasure && this.gameState.monstersNearby === 0) {
+            const leash = state.behavior === 'scout' ? personality.scoutLeash : personality.followDistance + 1;
+            const treasure = this.findNearestTreasure(leaderPosition, personality.treasureHintRange);
+            if (treasure && distanceToLeader <= leash) {
+                state.scoutTarget = treasure;
+                return 'scout';
+            }
         }
+        state.scoutTarget = null;
+        
+        return 'follow';
     }
     
-    endWorldEvent(event) {
-        event.active = false;
-        console.log(`🎉 Ending world event: ${event.name}`);
+    moveCompanionTowards(companion, goal, speed, deltaTime, isRunning) {
+        // Head straight for the goal when nothing is in the way, otherwise take the path around
+        const target = this.hasNavigationLineOfSight(companion.position, goal)
+            ? goal
+            : this.nextPathWaypoint(companion, goal);
+        const direction = new THREE.Vector3(target.x - companion.position.x, 0, target.z - companion.position.z);
+        if (direction.lengthSq() < 0.0001) return;
+        
+        const movement = direction.normalize().multiplyScalar(speed * deltaTime);
+        const moved = this.moveWithCollision(companion, movement, this.collisionSystem.bodies.character);
+        if (moved) companion.lookAt(companion.position.clone().add(moved));
+        
+        const time = this.gameClock.elapsed;
+        companion.position.y = isRunning
+            ? this.getStandingHeight(companion) + Math.sin(time * 12) * 0.05 // Faster bounce when running
+            : this.getStandingHeight(companion) + Math.sin(time * 8) * 0.03; // Normal walking bounce
+        this.animateWalkCycle(companion, time, isRunning);
+    }
+    
+    idleCompanion(companion, lookTarget, time) {
+        companion.position.y = this.getStandingHeight(companion) + Math.sin(time * 2) * 0.01; // Gentle breathing
+        
+        // Look at the leader occasionally when idle
+        if (Math.sin(time * 0.5) > 0.8) {
+            companion.lookAt(lookTarget.x, companion.position.y, lookTarget.z);
+        }
+    }
+    
+    teleportCompanion(companion, leader) {
+        // Pops up just behind the leader, on open ground
+        const state = this.companionSystem.state;
+        const behind = leader.getWorldDirection(new THREE.Vector3()).setY(0).normalize()
+            .multiplyScalar(-this.getCompanionPersonality().followDistance);
+        const spot = this.snapToWalkable(leader.position.clone().add(behind));
+        companion.position.set(spot.x, this.minaPosition.y, spot.z);
+        companion.lookAt(leader.position.x, companion.position.y, leader.position.z);
+        this.resetVerticalMotion(companion);
+        
+        this.clearAgentPath(companion);
+        state.behavior = 'follow';
+        state.stuckTime = 0;
+        state.stuckAnchor = null;
+        console.log(`✨ ${companion === this.mina ? 'Mina' : 'Sacha'} caught up by teleporting`);
+        this.companionSay(companion, 'teleport');
+    }
+    
+    findNearestTreasure(position, range = Infinity) {
+        // Nearest uncollected treasure on the ground plan
+        let nearest = null;
+        let nearestDistance = range;
+        this.treasures.forEach(treasure => {
+            if (treasure.userData.collected) return;
+            const distance = Math.hypot(treasure.position.x - position.x, treasure.position.z - position.z);
+            if (distance < nearestDistance) {
+                nearest = treasure;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    updateCompanionChatter(companion, leader) {
+        // Reactions to the mummies coming and going, and a treasure hint every so often
+        if (!companion || !leader || leader.parent !== this.scene) return;
+        const personality = this.getCompanionPersonality();
+        const state = this.companionSystem.state;
+        const monstersNearby = this.gameState.monstersNearby > 0;
+        
+        if (monstersNearby !== state.monstersWereNearby) {
+            state.monstersWereNearby = monstersNearby;
+            if (monstersNearby) {
+                this.playCharacterAnimation(companion, personality.monsterAnimation, 1500);
+                // Running away says enough on its own
+                if (state.behavior !== 'flee') this.companionSay(companion, 'monstersNear');
+            } else {
+                this.companionSay(companion, 'allClear');
+            }
+            return;
+        }
+        
+        const now = this.now();
+        if (monstersNearby || now - state.lastHintTime < personality.treasureHintInterval) return;
+        const treasure = this.findNearestTreasure(leader.position, personality.treasureHintRange);
+        if (!treasure) return;
+        
+        state.lastHintTime = now;
+        companion.lookAt(treasure.position.x, companion.position.y, treasure.position.z);
+        this.playCharacterAnimation(companion, 'waving', 1500);
+        const dx = treasure.position.x - leader.position.x;
+        const dz = treasure.position.z - leader.position.z;
+        this.companionSay(companion, 'treasureHint', {
+            direction: this.compassDirection(dx, dz),
+            distance: Math.max(5, Math.round(Math.hypot(dx, dz) / 5) * 5)
+        });
     }
     
-    updateActiveEvent(event, deltaTime) {
-        // Event-specific updates while active
-        switch(event.name) {
-            case 'Fireworks':
-                // Create sparkle effects
-                if (Math.random() < 0.3) {
-                    this.createTemporarySparkle();
-                }
-                break;
-        }
+    compassDirection(dx, dz) {
+        // North is -z, the way the park faces from the Hollywood entrance
+        const directions = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+        const octant = Math.round(Math.atan2(dx, -dz) / (Math.PI / 4));
+        return this.t(`direction.${directions[(octant + 8) % 8]}`);
     }
     
-    createTemporarySparkle() {
-        const sparkleGeometry = new THREE.SphereGeometry(0.1, 6, 4);
-        const sparkleMaterial = new THREE.MeshBasicMaterial({ 
-            color: Math.random() * 0xffffff,
-            transparent: true,
-            opacity: 0.8
+    companionSay(companion, category, values = {}) {
+        // One of the personality's lines for this moment, in turn, unless it was said just now
+        const speech = this.speechSystem;
+        const leader = this.getOtherCharacter(companion);
+        const lines = this.tLines(`companion.${this.companionSystem.personality}.${category}`, {
+            ...values,
+            leader: leader === this.mina ? 'Mina' : 'Sacha'
         });
-        const sparkle = new THREE.Mesh(sparkleGeometry, sparkleMaterial);
+        if (lines.length === 0) return false;
         
-        sparkle.position.set(
-            (Math.random() - 0.5) * 40,
-            15 + Math.random() * 10,
-            (Math.random() - 0.5) * 40
-        );
+        const state = this.companionSystem.state;
+        const now = this.now();
+        if (category in state.lastLineTimes && now - state.lastLineTimes[category] < speech.companionLineCooldown) return false;
         
-        this.scene.add(sparkle);
+        const index = state.lineIndex[category] || 0;
+        state.lineIndex[category] = (index + 1) % lines.length;
+        state.lastLineTimes[category] = now;
         
-        // Remove after 2 seconds
-        setTimeout(() => {
-            this.scene.remove(sparkle);
-            sparkleGeometry.dispose();
-            sparkleMaterial.dispose();
-        }, 2000);
+        const text = lines[index];
+        state.lastLine = text;
+        speech.lastSpeechTime = now; // Holds back the everyday chatter so they don't talk over each other
+        this.createSpeechBubble(companion === this.mina ? 'mina' : 'sacha', text);
+        return true;
     }
     
-    // ===== BUILDING INTERIOR & RIDE VEHICLE UPDATE FUNCTIONS =====
+    // ===== NAVIGATION & PATHFINDING =====
     
-    updateBuildingInteriors(deltaTime) {
-        if (!this.mina) return;
+    buildNavigationGrid() {
+        // Walkability grid over the whole park, built once from the static collision blocks
+        const nav = this.navigation;
+        const size = this.parkLayout.data ? this.parkLayout.data.ground.size : 600;
+        const cols = Math.ceil(size / nav.cellSize);
+        const rows = cols;
+        const cellCount = cols * rows;
+        
+        const grid = {
+            originX: -size / 2,
+            originZ: -size / 2,
+            cols: cols,
+            rows: rows,
+            cellSize: nav.cellSize,
+            walkable: new Uint8Array(cellCount).fill(1),
+            // A* scratch buffers, reused between searches
+            gScore: new Float32Array(cellCount),
+            fScore: new Float32Array(cellCount),
+            parent: new Int32Array(cellCount),
+            seen: new Uint32Array(cellCount),
+            closed: new Uint32Array(cellCount),
+            searchId: 0,
+            reachable: null // Cells connected to the entrance, filled in on first use
+        };
         
-        // Check for building entrance/exit
-        this.buildings.forEach(building => {
-            if (building.userData.type === 'interior') {
-                const parentBuilding = building.userData.parentBuilding;
-                const distance = this.mina.position.distanceTo(parentBuilding.position);
-                
-                // Check if player wants to enter building
-                if (distance < building.userData.entranceRange && !this.currentInterior) {
-                    if (this.controls.forward || this.controls.run) {
-                        this.enterBuilding(building);
-                    }
-                }
-                
-                // If inside, check for exit
-                if (this.currentInterior === building) {
-                    const interiorCenter = building.position.clone();
-                    interiorCenter.y = this.mina.position.y;
-                    const interiorDistance = this.mina.position.distanceTo(interiorCenter);
-                    
-                    // Exit if player moves too far from center or presses run
-                    if (interiorDistance > 12 || this.controls.run) {
-                        this.exitBuilding();
-                    }
+        let blockedObjects = 0;
+        this.collisionObjects.forEach(obj => {
+            const box = obj.userData.boundingBox;
+            if (!box) return;
+            if (!obj.userData.ramp) box.setFromObject(obj); // A ramp's tilted slab would give a looser box than the one it was built with
+            
+            // Arches, coaster rails and tree tops can be walked under
+            if (box.min.y > nav.clearance) return;
+            
+            const minCol = Math.max(0, Math.floor((box.min.x - nav.agentRadius - grid.originX) / grid.cellSize));
+            const maxCol = Math.min(cols - 1, Math.floor((box.max.x + nav.agentRadius - grid.originX) / grid.cellSize));
+            const minRow = Math.max(0, Math.floor((box.min.z - nav.agentRadius - grid.originZ) / grid.cellSize));
+            const maxRow = Math.min(rows - 1, Math.floor((box.max.z + nav.agentRadius - grid.originZ) / grid.cellSize));
+            
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    grid.walkable[row * cols + col] = 0;
                 }
             }
+            blockedObjects++;
         });
         
-        // Update entrance ring animations
-        this.scene.traverse(object => {
-            if (object.userData.type === 'entrance') {
-                const time = this.clock.getElapsedTime();
-                object.rotation.z = time + object.userData.animationOffset;
-                object.material.opacity = 0.2 + Math.sin(time * 2) * 0.2;
-            }
-        });
+        nav.grid = grid;
+        console.log(`🧭 Navigation grid built: ${cols}x${rows} cells, ${blockedObjects} obstacles`);
     }
     
-    updateRideVehicles(deltaTime) {
-        if (!this.mina) return;
-        
-        const time = this.clock.getElapsedTime();
-        
-        // Update Mummy Dark Ride vehicles
-        this.updateMummyDarkRide(deltaTime, time);
-        
-        this.rideVehicles.forEach(vehicle => {
-            const userData = vehicle.userData;
-            const distance = vehicle.position.distanceTo(this.mina.position);
-            
-            // Check for ride interaction
-            if (distance < userData.interactionRange && !userData.isOccupied) {
-                if (this.controls.forward || this.controls.run) {
-                    this.startRideExperience(vehicle);
+    worldToCell(x, z) {
+        const grid = this.navigation.grid;
+        const col = Math.min(grid.cols - 1, Math.max(0, Math.floor((x - grid.originX) / grid.cellSize)));
+        const row = Math.min(grid.rows - 1, Math.max(0, Math.floor((z - grid.originZ) / grid.cellSize)));
+        return row * grid.cols + col;
+    }
+    
+    cellToWorld(cell, y = 0) {
+        const grid = this.navigation.grid;
+        const col = cell % grid.cols;
+        const row = Math.floor(cell / grid.cols);
+        return new THREE.Vector3(
+            grid.originX + (col + 0.5) * grid.cellSize,
+            y,
+            grid.originZ + (row + 0.5) * grid.cellSize
+        );
+    }
+    
+    isWalkable(x, z) {
+        const grid = this.navigation.grid;
+        if (!grid) return true;
+        if (x < grid.originX || z < grid.originZ ||
+            x >= grid.originX + grid.cols * grid.cellSize || z >= grid.originZ + grid.rows * grid.cellSize) {
+            return false;
+        }
+        return grid.walkable[this.worldToCell(x, z)] === 1;
+    }
+    
+    nearestWalkableCell(cell, maxRadius = 15) {
+        // Ring search outwards for the closest open cell
+        const grid = this.navigation.grid;
+        if (grid.walkable[cell]) return cell;
+        
+        const col = cell % grid.cols;
+        const row = Math.floor(cell / grid.cols);
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = -1;
+            let bestDistance = Infinity;
+            for (let dRow = -radius; dRow <= radius; dRow++) {
+                for (let dCol = -radius; dCol <= radius; dCol++) {
+                    if (Math.max(Math.abs(dRow), Math.abs(dCol)) !== radius) continue;
+                    const r = row + dRow;
+                    const c = col + dCol;
+                    if (r < 0 || c < 0 || r >= grid.rows || c >= grid.cols) continue;
+                    const candidate = r * grid.cols + c;
+                    const distance = dRow * dRow + dCol * dCol;
+                    if (grid.walkable[candidate] && distance < bestDistance) {
+                        best = candidate;
+                        bestDistance = distance;
+                    }
                 }
             }
-            
-            // Update active rides
-            if (userData.rideActive) {
-                this.updateRideMotion(vehicle, deltaTime);
-            }
-            
-            // Visual animations for vehicles
-            switch(userData.vehicleType) {
-                case 'mummyCart':
-                    // Gentle swaying motion
-                    vehicle.rotation.z = Math.sin(time * 1.5) * 0.02;
-                    vehicle.position.y = Math.sin(time * 2) * 0.05;
-                    break;
-                    
-                case 'coasterCar':
-                    // Hovering effect
-                    vehicle.position.y = 0.5 + Math.sin(time * 3) * 0.1;
-                    // Cockpit glow
-                    vehicle.children.forEach(child => {
-                        if (child.material && child.material.transparent) {
-                            child.material.opacity = 0.5 + Math.sin(time * 4) * 0.2;
-                        }
-                    });
-                    break;
-                    
-                case 'raftBoat':
-                    // Floating on water motion
-                    vehicle.rotation.x = Math.sin(time * 1.8) * 0.05;
-                    vehicle.rotation.z = Math.cos(time * 1.2) * 0.03;
-                    vehicle.position.y = Math.sin(time * 2.5) * 0.08;
-                    break;
-            }
-        });
+            if (best >= 0) return best;
+        }
+        return -1;
     }
     
-    enterBuilding(building) {
-        console.log(`🏺 Entering ${building.userData.name}`);
+    getReachableCells() {
+        // Flood fill from Mina's start, cached on the grid since the blocks never move.
+        // Four-way steps find the same cells as A*, which never cuts corners
+        const grid = this.navigation.grid;
+        if (grid.reachable) return grid.reachable;
+        
+        const reachable = new Uint8Array(grid.cols * grid.rows);
+        const start = this.nearestWalkableCell(this.worldToCell(this.minaPosition.x, this.minaPosition.z));
+        const stack = start >= 0 ? [start] : [];
+        if (start >= 0) reachable[start] = 1;
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            const col = cell % grid.cols;
+            const row = Math.floor(cell / grid.cols);
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dCol, dRow]) => {
+                const c = col + dCol;
+                const r = row + dRow;
+                if (r < 0 || c < 0 || r >= grid.rows || c >= grid.cols) return;
+                const neighbour = r * grid.cols + c;
+                if (grid.walkable[neighbour] && !reachable[neighbour]) {
+                    reachable[neighbour] = 1;
+                    stack.push(neighbour);
+                }
+            });
+        }
         
-        // Hide exterior world
-        this.scene.traverse(object => {
-            if (object !== building && object.parent === this.scene) {
-                object.visible = false;
+        grid.reachable = reachable;
+        return reachable;
+    }
+    
+    snapToWalkable(position) {
+        // Moves a point out of buildings onto the nearest open ground
+        if (!this.navigation.grid || this.isWalkable(position.x, position.z)) return position.clone();
+        const cell = this.nearestWalkableCell(this.worldToCell(position.x, position.z), 40);
+        return cell >= 0 ? this.cellToWorld(cell, position.y) : position.clone();
+    }
+    
+    hasNavigationLineOfSight(from, to) {
+        // Walks the segment in half-cell steps and checks every cell it crosses
+        const grid = this.navigation.grid;
+        if (!grid) return true;
+        
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const steps = Math.ceil(Math.sqrt(dx * dx + dz * dz) / (grid.cellSize * 0.5));
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            if (!grid.walkable[this.worldToCell(from.x + dx * t, from.z + dz * t)]) {
+                return false;
             }
-        });
-        
-        // Show interior
-        building.visible = true;
-        this.currentInterior = building;
-        
-        // Move characters to interior
-        const interiorCenter = building.position.clone();
-        this.mina.position.copy(interiorCenter);
-        this.mina.position.y = 1;
-        
-        if (this.sacha) {
-            this.sacha.position.copy(interiorCenter);
-            this.sacha.position.x += 2;
-            this.sacha.position.y = 1;
         }
-        
-        // Show entry message
-        this.showNPCDialogue('Tomb Guide', 'Welcome to the ancient tomb! Explore and find treasures!');
-        
-        // Make characters react with excitement
-        this.playCharacterAnimation(this.mina, 'jumping', 2000);
-        this.playCharacterAnimation(this.sacha, 'scared', 1500);
+        return true;
     }
     
-    exitBuilding() {
-        if (!this.currentInterior) return;
+    findPath(from, to) {
+        // A* over the navigation grid (8 directions, no corner cutting)
+        const grid = this.navigation.grid;
+        if (!grid) return null;
+        
+        const start = this.nearestWalkableCell(this.worldToCell(from.x, from.z));
+        const goal = this.nearestWalkableCell(this.worldToCell(to.x, to.z));
+        if (start < 0 || goal < 0) return null;
+        
+        const goalIsExact = goal === this.worldToCell(to.x, to.z);
+        if (start === goal) {
+            return [goalIsExact ? to.clone() : this.cellToWorld(goal, from.y)];
+        }
         
-        console.log(`🏺 Exiting ${this.currentInterior.userData.name}`);
+        const cols = grid.cols;
+        const goalCol = goal % cols;
+        const goalRow = Math.floor(goal / cols);
+        const heuristic = cell => {
+            const dCol = Math.abs(cell % cols - goalCol);
+            const dRow = Math.abs(Math.floor(cell / cols) - goalRow);
+            return (dCol + dRow + (Math.SQRT2 - 2) * Math.min(dCol, dRow)) * grid.cellSize;
+        };
         
-        // Hide interior
-        this.currentInterior.visible = false;
+        grid.searchId++;
+        const searchId = grid.searchId;
+        // Binary min-heap of cells ordered by fScore
+        const open = [];
+        const fScore = grid.fScore;
+        const pushOpen = cell => {
+            open.push(cell);
+            let i = open.length - 1;
+            while (i > 0) {
+                const up = (i - 1) >> 1;
+                if (fScore[open[up]] <= fScore[cell]) break;
+                open[i] = open[up];
+                i = up;
+            }
+            open[i] = cell;
+        };
+        const popOpen = () => {
+            const top = open[0];
+            const last = open.pop();
+            if (open.length > 0) {
+                let i = 0;
+                while (true) {
+                    let child = 2 * i + 1;
+                    if (child >= open.length) break;
+                    if (child + 1 < open.length && fScore[open[child + 1]] < fScore[open[child]]) child++;
+                    if (fScore[open[child]] >= fScore[last]) break;
+                    open[i] = open[child];
+                    i = child;
+                }
+                open[i] = last;
+            }
+            return top;
+        };
         
-        // Show exterior world
-        this.scene.traverse(object => {
-            if (object.parent === this.scene) {
-                object.visible = true;
+        grid.seen[start] = searchId;
+        grid.gScore[start] = 0;
+        grid.fScore[start] = heuristic(start);
+        grid.parent[start] = -1;
+        pushOpen(start);
+        
+        const neighbours = [
+            [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+            [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+        ];
+        
+        let expanded = 0;
+        let found = false;
+        while (open.length > 0) {
+            const current = popOpen();
+            if (current === goal) {
+                found = true;
+                break;
             }
-        });
+            if (grid.closed[current] === searchId) continue;
+            grid.closed[current] = searchId;
+            
+            if (++expanded > this.navigation.maxSearchNodes) break;
+            
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+            for (const [dCol, dRow, cost] of neighbours) {
+                const c = col + dCol;
+                const r = row + dRow;
+                if (c < 0 || r < 0 || c >= cols || r >= grid.rows) continue;
+                
+                const next = r * cols + c;
+                if (!grid.walkable[next] || grid.closed[next] === searchId) continue;
+                // Don't squeeze diagonally between two blocked cells
+                if (dCol !== 0 && dRow !== 0 &&
+                    (!grid.walkable[row * cols + c] || !grid.walkable[r * cols + col])) continue;
+                
+                const tentative = grid.gScore[current] + cost * grid.cellSize;
+                if (grid.seen[next] !== searchId || tentative < grid.gScore[next]) {
+                    grid.seen[next] = searchId;
+                    grid.gScore[next] = tentative;
+                    grid.fScore[next] = tentative + heuristic(next);
+                    grid.parent[next] = current;
+                    pushOpen(next);
+                }
+            }
+        }
         
-        // Move characters back outside
-        const exitPosition = this.currentInterior.userData.parentBuilding.position.clone();
-        exitPosition.z += 8; // Outside the building
-        this.mina.position.copy(exitPosition);
-        this.mina.position.y = 1;
+        if (!found) return null;
         
-        if (this.sacha) {
-            this.sacha.position.copy(exitPosition);
-            this.sacha.position.x += 2;
-            this.sacha.position.y = 1;
+        // Walk back from the goal, then drop waypoints that can see past each other
+        const cells = [];
+        for (let cell = goal; cell !== -1; cell = grid.parent[cell]) {
+            cells.push(cell);
         }
+        cells.reverse();
         
-        this.currentInterior = null;
+        const points = cells.map(cell => this.cellToWorld(cell, from.y));
+        if (goalIsExact) {
+            points[points.length - 1] = new THREE.Vector3(to.x, from.y, to.z);
+        }
         
-        this.showNPCDialogue('Tomb Guide', 'Come back anytime for more adventures!');
+        const smoothed = [];
+        let anchor = new THREE.Vector3(from.x, from.y, from.z);
+        let index = 1;
+        while (index < points.length) {
+            let furthest = index;
+            while (furthest + 1 < points.length && this.hasNavigationLineOfSight(anchor, points[furthest + 1])) {
+                furthest++;
+            }
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            index = furthest + 1;
+        }
+        return smoothed;
     }
     
-    startRideExperience(vehicle) {
-        const userData = vehicle.userData;
-        if (userData.isOccupied || userData.rideActive) return;
-        
-        console.log(`🎢 Starting ride: ${userData.name}`);
+    nextPathWaypoint(agent, goal) {
+        // Shared path follower for monsters and Sacha: keeps a cached
+        // path on the agent and returns the next point to steer towards
+        if (!agent.userData.navigation) {
+            agent.userData.navigation = { path: null, index: 0, goal: new THREE.Vector3(), plannedAt: -Infinity };
+        }
+        const state = agent.userData.navigation;
+        const time = this.gameClock.elapsed;
+        
+        // Replan when the goal jumps, or drifts and the last plan is getting old
+        const goalShift = Math.hypot(goal.x - state.goal.x, goal.z - state.goal.z);
+        if (!state.path || goalShift > 8 ||
+            (goalShift > 2 && time - state.plannedAt > this.navigation.replanInterval)) {
+            state.path = this.findPath(agent.position, goal) || [goal.clone()];
+            state.index = 0;
+            state.goal.copy(goal);
+            state.plannedAt = time;
+        }
         
-        userData.isOccupied = true;
-        userData.rideActive = true;
-        userData.rideStartTime = Date.now();
+        // Skip waypoints that are already behind us
+        while (state.index < state.path.length - 1 &&
+               Math.hypot(state.path[state.index].x - agent.position.x, state.path[state.index].z - agent.position.z) < 1) {
+            state.index++;
+        }
         
-        // Move characters onto the ride
-        this.mina.position.copy(vehicle.position);
-        this.mina.position.y += 2;
-        this.mina.parent = vehicle; // Attach to vehicle
+        const waypoint = state.path[state.index];
+        return new THREE.Vector3(waypoint.x, agent.position.y, waypoint.z);
+    }
+    
+    moveAlongPath(agent, goal, speed, deltaTime) {
+        // Returns the waypoint being walked to, or null once the goal is reached
+        const waypoint = this.nextPathWaypoint(agent, goal);
+        const direction = new THREE.Vector3(waypoint.x - agent.position.x, 0, waypoint.z - agent.position.z);
+        const distance = direction.length();
+        if (distance < 0.1) return null;
+        
+        direction.multiplyScalar(Math.min(distance, speed * deltaTime) / distance);
+        if (agent.userData.collisionBody) {
+            this.moveWithCollision(agent, direction, agent.userData.collisionBody);
+        } else {
+            agent.position.add(direction);
+        }
+        return waypoint;
+    }
+    
+    clearAgentPath(agent) {
+        if (agent.userData.navigation) {
+            agent.userData.navigation.path = null;
+        }
+    }
+    
+    updateMonsters(deltaTime) {
+        this.gameState.monstersNearby = 0;
+        const currentTime = this.gameClock.elapsed;
         
-        if (this.sacha) {
-            this.sacha.position.copy(vehicle.position);
-            this.sacha.position.x += 1.5;
-            this.sacha.position.y += 2;
-            this.sacha.parent = vehicle; // Attach to vehicle
+        this.monsters.forEach((monster, index) => {
+            // Both girls are prey, nearest first
+            const girls = [this.mina, this.sacha]
+                .map(girl => ({ girl, distance: monster.position.distanceTo(girl.position) }))
+                .sort((a, b) => a.distance - b.distance);
+            
+            // Enhanced AI states: idle, patrolling, alerted, chasing, searching
+            if (!monster.userData.aiState) monster.userData.aiState = 'patrolling';
+            if (!monster.userData.lastSeenTarget) monster.userData.lastSeenTarget = null;
+            if (!monster.userData.searchTime) monster.userData.searchTime = 0;
+            if (!monster.userData.alertLevel) monster.userData.alertLevel = 0;
+            
+            // Target the nearest girl the mummy can actually see, otherwise the nearest one
+            const detectionRadius = monster.userData.detectionRadius;
+            const inRange = girls.filter(entry => entry.distance < detectionRadius);
+            // Walls, the view cone and darkness all decide whether a girl is seen
+            const seen = inRange.find(entry => this.checkLineOfSight(monster, entry.girl.position, detectionRadius * 0.8));
+            const target = seen ? seen.girl : girls[0].girl;
+            
+            // Update AI state based on distance and line of sight
+            if (inRange.length > 0) {
+                this.gameState.monstersNearby++;
+                
+                if (seen) {
+                    monster.userData.aiState = 'chasing';
+                    monster.userData.lastSeenTarget = target.position.clone();
+                    monster.userData.alertLevel = Math.min(monster.userData.alertLevel + deltaTime, 3);
+                } else if (monster.userData.aiState === 'chasing') {
+                    // Target ducked behind something, go and look where they were
+                    monster.userData.aiState = 'searching';
+                    monster.userData.searchTime = 5;
+                } else if (monster.userData.aiState !== 'searching') {
+                    monster.userData.aiState = 'alerted';
+                    monster.userData.alertLevel = Math.min(monster.userData.alertLevel + deltaTime * 0.5, 2);
+                }
+            } else if (monster.userData.aiState === 'chasing' && monster.userData.lastSeenTarget) {
+                // Lost sight, enter search mode
+                monster.userData.aiState = 'searching';
+                monster.userData.searchTime = 5; // Search for 5 seconds
+            }
+            
+            // Execute AI behavior based on state
+            switch (monster.userData.aiState) {
+                case 'chasing':
+                    this.monsterChase(monster, target, deltaTime);
+                    break;
+                case 'searching':
+                    this.monsterSearch(monster, deltaTime);
+                    break;
+                case 'alerted':
+                    this.monsterAlerted(monster, target, deltaTime);
+                    break;
+                case 'patrolling':
+                default:
+                    this.monsterPatrol(monster, deltaTime);
+                    break;
+            }
+            
+            // Group coordination - monsters communicate
+            if (monster.userData.aiState === 'chasing' || monster.userData.aiState === 'alerted') {
+                this.alertNearbyMonsters(monster, index, target.position);
+            }
+            
+            // Check if monster caught either girl (they share one health bar)
+            girls.forEach(entry => {
+                if (entry.distance < 2) {
+                    this.gameState.health -= (10 + monster.userData.alertLevel * 5) * deltaTime;
+                }
+            });
+            if (this.gameState.health <= 0 && !this.gameState.gameOver) {
+                this.gameOver();
+            }
+            
+            // Enhanced monster animations based on state
+            this.animateMonster(monster, currentTime, deltaTime);
+            
+            // Gradually reduce alert level when not actively chasing
+            if (monster.userData.aiState !== 'chasing' && monster.userData.aiState !== 'alerted') {
+                monster.userData.alertLevel = Math.max(monster.userData.alertLevel - deltaTime * 0.3, 0);
+            }
+        });
+    }
+    
+    monsterChase(monster, target, deltaTime) {
+        // Aggressive chase with predictive movement
+        const futureTargetPos = target.position.clone();
+        if (target.userData && target.userData.velocity) {
+            futureTargetPos.add(target.userData.velocity.clone().multiplyScalar(0.3));
         }
         
-        // Create ride path based on vehicle type
-        this.createRidePath(vehicle);
-        
-        // Show ride start message and character reactions
-        switch(userData.vehicleType) {
-            case 'mummyCart':
-                this.showNPCDialogue('Ride Operator', 'Hold on tight! The mummy adventure begins!');
-                this.playCharacterAnimation(this.mina, 'scared', 3000);
-                this.playCharacterAnimation(this.sacha, 'jumping', 2000);
-                break;
-                
-            case 'coasterCar':
-                this.showNPCDialogue('Flight Commander', 'Pilots ready! Launching Battlestar fighters!');
-                this.playCharacterAnimation(this.mina, 'jumping', 4000);
-                this.playCharacterAnimation(this.sacha, 'laughing', 3000);
-                break;
-                
-            case 'raftBoat':
-                this.showNPCDialogue('River Guide', 'Welcome aboard! Watch out for dinosaurs!');
-                this.playCharacterAnimation(this.mina, 'laughing', 3000);
-                this.playCharacterAnimation(this.sacha, 'jumping', 2500);
-                break;
-        }
+        const chaseSpeed = monster.userData.speed * (1 + monster.userData.alertLevel * 0.3);
+        const waypoint = this.moveAlongPath(monster, futureTargetPos, chaseSpeed, deltaTime);
+        monster.lookAt(waypoint || futureTargetPos);
         
-        // End ride after duration
-        setTimeout(() => {
-            this.endRideExperience(vehicle);
-        }, 15000); // 15 second ride
+        monster.userData.lastSeenTarget = target.position.clone();
     }
     
-    createRidePath(vehicle) {
-        const userData = vehicle.userData;
-        const startPos = vehicle.position.clone();
-        userData.ridePath = [];
-        userData.pathIndex = 0;
+    monsterSearch(monster, deltaTime) {
+        monster.userData.searchTime -= deltaTime;
         
-        // Create different paths for different ride types
-        switch(userData.vehicleType) {
-            case 'mummyCart':
-                // Circular path around the tomb area
-                for (let i = 0; i < 20; i++) {
-                    const angle = (i / 20) * Math.PI * 2;
-                    userData.ridePath.push({
-                        x: startPos.x + Math.cos(angle) * 15,
-                        y: startPos.y + Math.sin(i * 0.5) * 2,
-                        z: startPos.z + Math.sin(angle) * 15
-                    });
-                }
-                break;
-                
-            case 'coasterCar':
-                // High-speed loop with elevation changes
-                for (let i = 0; i < 30; i++) {
-                    const angle = (i / 30) * Math.PI * 4; // 2 full loops
-                    userData.ridePath.push({
-                        x: startPos.x + Math.cos(angle) * 20,
-                        y: startPos.y + Math.sin(i * 0.3) * 8 + 5, // Higher elevation
-                        z: startPos.z + Math.sin(angle) * 20
-                    });
-                }
-                break;
+        if (monster.userData.searchTime > 0 && monster.userData.lastSeenTarget) {
+            // Move towards last known position
+            const direction = new THREE.Vector3()
+                .subVectors(monster.userData.lastSeenTarget, monster.position);
+            direction.y = 0;
+            
+            if (direction.length() > 2) {
+                const waypoint = this.moveAlongPath(monster, monster.userData.lastSeenTarget, monster.userData.speed * 0.7, deltaTime);
+                if (waypoint) monster.lookAt(waypoint);
+            } else {
+                // Reached last known position, search in circles
+                const searchRadius = 5;
+                const angle = this.gameClock.elapsed * 2 + monster.userData.id;
+                const searchTarget = monster.userData.lastSeenTarget.clone();
+                searchTarget.x += Math.cos(angle) * searchRadius;
+                searchTarget.z += Math.sin(angle) * searchRadius;
                 
-            case 'raftBoat':
-                // Winding river path
-                for (let i = 0; i < 25; i++) {
-                    const t = i / 25;
-                    userData.ridePath.push({
-                        x: startPos.x + Math.sin(t * Math.PI * 3) * 18,
-                        y: startPos.y + Math.random() * 0.5, // Small height variation
-                        z: startPos.z + (t - 0.5) * 35
-                    });
-                }
-                break;
+                const waypoint = this.moveAlongPath(monster, searchTarget, monster.userData.speed * 0.5, deltaTime);
+                if (waypoint) monster.lookAt(waypoint);
+            }
+        } else {
+            // Give up search, return to patrolling
+            monster.userData.aiState = 'patrolling';
+            monster.userData.lastSeenTarget = null;
+            this.clearAgentPath(monster);
         }
     }
     
-    updateRideMotion(vehicle, deltaTime) {
-        const userData = vehicle.userData;
-        const rideDuration = Date.now() - userData.rideStartTime;
-        
-        if (userData.ridePath.length === 0) return;
+    monsterAlerted(monster, target, deltaTime) {
+        // Move cautiously towards target area
+        const waypoint = this.moveAlongPath(monster, target.position, monster.userData.speed * 0.6, deltaTime);
+        monster.lookAt(waypoint || target.position);
+    }
+    
+    monsterPatrol(monster, deltaTime) {
+        // Enhanced patrolling with waypoints
+        if (!monster.userData.patrolWaypoints) {
+            // Create patrol waypoints around spawn area
+            const spawnPos = monster.userData.spawnPosition || monster.position.clone();
+            monster.userData.patrolWaypoints = [];
+            for (let i = 0; i < 4; i++) {
+                const angle = (i / 4) * Math.PI * 2;
+                const waypoint = spawnPos.clone();
+                waypoint.x += Math.cos(angle) * 15;
+                waypoint.z += Math.sin(angle) * 15;
+                monster.userData.patrolWaypoints.push(this.snapToWalkable(waypoint));
+            }
+            monster.userData.currentWaypoint = 0;
+        }
         
-        // Calculate progress through ride (0 to 1)
-        const progress = Math.min(rideDuration / 15000, 1); // 15 second ride
-        const targetIndex = Math.floor(progress * userData.ridePath.length);
+        const currentWaypoint = monster.userData.patrolWaypoints[monster.userData.currentWaypoint];
+        const direction = new THREE.Vector3()
+            .subVectors(currentWaypoint, monster.position);
+        direction.y = 0;
         
-        if (targetIndex < userData.ridePath.length) {
-            const targetPos = userData.ridePath[targetIndex];
-            
-            // Smooth movement to next point
-            vehicle.position.lerp(new THREE.Vector3(targetPos.x, targetPos.y, targetPos.z), deltaTime * 3);
-            
-            // Add ride-specific effects
-            switch(userData.vehicleType) {
-                case 'mummyCart':
-                    vehicle.rotation.y = Math.atan2(
-                        userData.ridePath[(targetIndex + 1) % userData.ridePath.length].x - targetPos.x,
-                        userData.ridePath[(targetIndex + 1) % userData.ridePath.length].z - targetPos.z
-                    );
-                    break;
-                    
-                case 'coasterCar':
-                    // Banking on turns
-                    vehicle.rotation.z = Math.sin(progress * Math.PI * 8) * 0.3;
-                    break;
-                    
-                case 'raftBoat':
-                    // Splashing motion
-                    vehicle.rotation.x = Math.sin(progress * 20) * 0.1;
-                    break;
+        if (direction.length() < 3) {
+            // Reached waypoint, move to next
+            monster.userData.currentWaypoint = (monster.userData.currentWaypoint + 1) % monster.userData.patrolWaypoints.length;
+        } else {
+            const waypoint = this.moveAlongPath(monster, currentWaypoint, monster.userData.speed * 0.4, deltaTime);
+            if (waypoint) {
+                monster.lookAt(waypoint);
+            } else {
+                // Path ended short of the waypoint, carry on to the next one
+                monster.userData.currentWaypoint = (monster.userData.currentWaypoint + 1) % monster.userData.patrolWaypoints.length;
             }
         }
     }
     
-    endRideExperience(vehicle) {
-        const userData = vehicle.userData;
-        
-        console.log(`🎢 Ending ride: ${userData.name}`);
-        
-        userData.isOccupied = false;
-        userData.rideActive = false;
-        userData.ridePath = [];
-        
-        // Detach characters from vehicle and move them near the exit
-        if (this.mina.parent === vehicle) {
-            this.scene.add(this.mina);
-            this.mina.position.copy(vehicle.position);
-            this.mina.position.z += 5; // Move away from vehicle
-            this.mina.position.y = 1;
-        }
-        
-        if (this.sacha && this.sacha.parent === vehicle) {
-            this.scene.add(this.sacha);
-            this.sacha.position.copy(vehicle.position);
-            this.sacha.position.x += 2;
-            this.sacha.position.z += 5;
-            this.sacha.position.y = 1;
-        }
-        
-        // Return vehicle to starting position
-        setTimeout(() => {
-            vehicle.position.set(
-                userData.vehicleType === 'mummyCart' ? -75 : 
-                userData.vehicleType === 'coasterCar' ? 75 : -75,
-                0,
-                userData.vehicleType === 'mummyCart' ? 5 : 
-                userData.vehicleType === 'coasterCar' ? -75 : -75
-            );
-            vehicle.rotation.set(0, 0, 0);
-        }, 2000);
+    alertNearbyMonsters(alertingMonster, alertingIndex, targetPosition) {
+        const alertRadius = 25;
         
-        // Show ride completion message
-        this.showNPCDialogue('Ride Operator', 'Thanks for riding! Come back anytime!');
-        this.playCharacterAnimation(this.mina, 'laughing', 3000);
-        this.playCharacterAnimation(this.sacha, 'jumping', 2000);
+        this.monsters.forEach((monster, index) => {
+            if (index !== alertingIndex) {
+                const distance = alertingMonster.position.distanceTo(monster.position);
+                if (distance < alertRadius && monster.userData.aiState === 'patrolling') {
+                    monster.userData.aiState = 'alerted';
+                    monster.userData.lastSeenTarget = targetPosition.clone();
+                    monster.userData.alertLevel = 1;
+                }
+            }
+        });
     }
     
-    createSpeechBubble(speaker, text) {
-        // Remove existing bubble
-        if (this.speechSystem.currentBubble) {
-            this.removeSpeechBubble();
+    checkLineOfSight(monster, targetPosition, range) {
+        const vision = this.monsterVision;
+        const eye = monster.position.clone();
+        eye.y += vision.eyeHeight;
+        
+        const toTarget = new THREE.Vector3().subVectors(targetPosition, eye);
+        const distance = toTarget.length();
+        
+        // Darker evenings mean shorter sight
+        const sightRange = range * (1 - (1 - vision.nightRangeFactor) * this.gameState.timeOfDay);
+        if (distance > sightRange) return false;
+        
+        // View cone from the monster's facing (ignored when the target is right next to it)
+        const flatDistance = Math.hypot(toTarget.x, toTarget.z);
+        if (flatDistance > vision.proximityRange) {
+            const facing = new THREE.Vector3();
+            monster.getWorldDirection(facing);
+            facing.y = 0;
+            facing.normalize();
+            
+            const attentive = monster.userData.aiState !== 'patrolling';
+            const fieldOfView = attentive ? vision.alertFieldOfView : vision.fieldOfView;
+            const cosHalfAngle = Math.cos(THREE.MathUtils.degToRad(fieldOfView / 2));
+            const dot = (facing.x * toTarget.x + facing.z * toTarget.z) / flatDistance;
+            if (dot < cosHalfAngle) return false;
         }
         
-        // Create new bubble
-        const bubble = document.createElement('div');
-        bubble.className = `speech-bubble ${speaker}`;
-        bubble.textContent = text;
-        bubble.style.display = 'none'; // Initially hidden for positioning
-        
-        document.body.appendChild(bubble);
-        this.speechSystem.currentBubble = bubble;
-        
-        // Position the bubble above the speaking character
-        this.updateSpeechBubblePosition(speaker, bubble);
-        
-        // Show bubble with animation
-        bubble.style.display = 'block';
-        
-        // Auto-remove after 6 seconds
-        setTimeout(() => {
-            if (this.speechSystem.currentBubble === bubble) {
-                this.removeSpeechBubble();
-            }
-        }, 6000);
+        // Anything solid between the eyes and the target blocks the view
+        vision.raycaster.set(eye, toTarget.divideScalar(distance));
+        vision.raycaster.far = distance;
+        return vision.raycaster.intersectObjects(this.collisionObjects, false).length === 0;
     }
     
-    updateSpeechBubblePosition(speaker, bubble) {
-        if (!bubble) return;
-        
-        // Get the speaking character
-        const character = speaker === 'mina' ? this.mina : this.sacha;
-        if (!character) return;
-        
-        // Project 3D position to 2D screen coordinates
-        const characterPosition = character.position.clone();
-        characterPosition.y += 8; // Above character's head
-        
-        const screenPosition = characterPosition.clone();
-        screenPosition.project(this.camera);
-        
-        // Convert to screen coordinates
-        const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
-        const y = (screenPosition.y * -0.5 + 0.5) * window.innerHeight;
-        
-        // Position bubble, ensuring it stays on screen
-        const bubbleRect = bubble.getBoundingClientRect();
-        const finalX = Math.max(10, Math.min(x - bubbleRect.width / 2, window.innerWidth - bubbleRect.width - 10));
-        const finalY = Math.max(10, y - bubbleRect.height - 20);
+    animateMonster(monster, currentTime, deltaTime) {
+        const baseAnimation = Math.sin(currentTime + monster.userData.id) * 0.01;
         
-        bubble.style.left = finalX + 'px';
-        bubble.style.top = finalY + 'px';
+        switch (monster.userData.aiState) {
+            case 'chasing':
+                // Aggressive movement
+                monster.rotation.y += baseAnimation * 3;
+                monster.scale.setScalar(1 + Math.sin(currentTime * 8) * 0.05);
+                break;
+            case 'alerted':
+                // Tense, looking around
+                monster.rotation.y += baseAnimation * 2;
+                monster.position.y = monster.userData.originalY + Math.sin(currentTime * 4) * 0.1;
+                break;
+            case 'searching':
+                // Quick head movements
+                monster.rotation.y += Math.sin(currentTime * 6) * 0.1;
+                break;
+            default:
+                // Calm patrolling
+                monster.rotation.y += baseAnimation;
+                monster.position.y = monster.userData.originalY + Math.sin(currentTime * 2) * 0.02;
+                break;
+        }
+    }
+    
+    checkTreasureCollection() {
+        this.treasures.forEach((treasure, index) => {
+            if (!treasure.userData.collected) {
+                // Either girl can pick it up, once its puzzle (if any) is solved
+                const puzzle = treasure.userData.puzzle;
+                const finder = [this.mina, this.sacha].find(girl => girl.position.distanceTo(treasure.position) < this.treasurePlacement.pickupRange);
+                if (finder && (!puzzle || puzzle.status === 'solved')) {
+                    treasure.userData.collected = true;
+                    treasure.visible = false;
+                    this.gameState.treasuresFound++;
+                    this.playTreasureChime();
+                    
+                    // Celebration animations!
+                    this.playCharacterAnimation(finder, 'jumping', 2000);
+                    this.playCharacterAnimation(this.getOtherCharacter(finder), 'waving', 1500);
+                    
+                    // Add a dancing celebration after the initial reaction
+                    this.scheduleGameEvent(() => {
+                        this.playCharacterAnimation(this.mina, 'dancing', 2500);
+                        this.playCharacterAnimation(this.sacha, 'dancing', 2500);
+                    }, 2200);
+                    
+                    console.log(`Treasure collected by ${finder.userData.name}! ${this.gameState.treasuresFound}/${this.gameState.totalTreasures}`);
+                    this.recordReplayEvent('treasure', index);
+                    this.autosave('treasure');
+                    
+                    if (this.gameState.treasuresFound >= this.gameState.totalTreasures) {
+                        // Epic final celebration sequence!
+                        this.playCharacterAnimation(this.mina, 'laughing', 2000);
+                        this.playCharacterAnimation(this.sacha, 'jumping', 2000);
+                        
+                        this.scheduleGameEvent(() => {
+                            this.playCharacterAnimation(this.mina, 'dancing', 4000);
+                            this.playCharacterAnimation(this.sacha, 'dancing', 4000);
+                        }, 2500);
+                        
+                        this.scheduleGameEvent(() => {
+                            this.playCharacterAnimation(this.mina, 'waving', 3000);
+                            this.playCharacterAnimation(this.sacha, 'waving', 3000);
+                        }, 7000);
+                        
+                        this.gameWon();
+                    }
+                }
+            }
+        });
     }
     
-    removeSpeechBubble() {
-        if (this.speechSystem.currentBubble) {
-            this.speechSystem.currentBubble.classList.add('fade-out');
-            const bubbleToRemove = this.speechSystem.currentBubble;
-            setTimeout(() => {
-                if (bubbleToRemove.parentNode) {
-                    bubbleToRemove.parentNode.removeChild(bubbleToRemove);
-                }
-            }, 500);
-            this.speechSystem.currentBubble = null;
+    showObjective(key, color = '') {
+        // Kept by key so a change of language can show it again
+        this.stateMachine.objective = { key: key, color: color };
+        const objective = this.getElement('objective');
+        if (objective) {
+            objective.textContent = this.t(key, { total: this.gameState.totalTreasures });
+            objective.style.color = color;
         }
     }
     
-    updateSpeechSystem() {
-        const currentTime = Date.now();
+    gameWon() {
+        this.gameState.gameWon = true;
+        this.showObjective('objective.won', '#00ff00');
+        this.recordReplayEvent('won');
+        this.setGameState('won');
+        console.log('Game Won!');
+    }
+    
+    gameOver() {
+        this.gameState.gameOver = true;
+        this.showObjective('objective.lost', '#ff0000');
+        this.recordReplayEvent('lost');
+        this.setGameState('lost');
+        console.log('Game Over!');
+    }
+    
+    // ===== AUDIO =====
+    
+    initAudio() {
+        // Browsers only allow audio after a user gesture, so this runs on the first click or key press
+        const audio = this.audioSystem;
+        if (audio.context) return;
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('🔇 Web Audio is not supported in this browser');
+            return;
+        }
         
-        // Update bubble position if one exists
-        if (this.speechSystem.currentBubble) {
-            const speaker = this.speechSystem.currentBubble.classList.contains('mina') ? 'mina' : 'sacha';
-            this.updateSpeechBubblePosition(speaker, this.speechSystem.currentBubble);
+        const context = new AudioContextClass();
+        audio.context = context;
+        
+        // Volume buses: every sound goes through music, ambience or effects into master
+        audio.buses.master = context.createGain();
+        audio.buses.master.connect(context.destination);
+        ['music', 'ambience', 'effects'].forEach(name => {
+            audio.buses[name] = context.createGain();
+            audio.buses[name].connect(audio.buses.master);
+        });
+        this.applyAudioVolumes();
+        
+        // Two seconds of white noise, shared by wind, footsteps and explosions
+        const length = context.sampleRate * 2;
+        audio.noiseBuffer = context.createBuffer(1, length, context.sampleRate);
+        const data = audio.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = this.effectRandom() * 2 - 1;
         }
         
-        // Check if it's time for a new dialogue
-        if (currentTime - this.speechSystem.lastSpeechTime > this.speechSystem.speechInterval) {
-            if (!this.speechSystem.currentBubble && this.mina && this.sacha) {
-                const dialogue = this.speechSystem.dialogues[this.speechSystem.nextDialogueIndex];
-                this.createSpeechBubble(dialogue.speaker, dialogue.text);
-                
-                this.speechSystem.lastSpeechTime = currentTime;
-                this.speechSystem.nextDialogueIndex = (this.speechSystem.nextDialogueIndex + 1) % this.speechSystem.dialogues.length;
+        this.startZoneAmbience();
+        console.log('🔊 Audio system ready');
+    }
+    
+    loadAudioSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.audioSystem.settingsKey));
+            if (saved) {
+                Object.assign(this.audioSystem.volumes, saved.volumes);
+                this.audioSystem.muted = !!saved.muted;
             }
+        } catch (error) {
+            console.warn('Could not read audio settings:', error);
         }
+        this.updateMuteButton();
     }
     
-    checkCollision(newPosition) {
-        // Create a bounding box for Mina at the new position
-        const minaBox = new THREE.Box3();
-        const minaBounds = new THREE.Vector3(0.5, 1.8, 0.5); // Mina's collision bounds
-        minaBox.setFromCenterAndSize(newPosition, minaBounds);
-        
-        // Check collision with all collidable objects
-        for (let obj of this.collisionObjects) {
-            if (obj.userData.boundingBox) {
-                // Update the object's bounding box
-                obj.userData.boundingBox.setFromObject(obj);
-                
-                if (minaBox.intersectsBox(obj.userData.boundingBox)) {
-                    return true; // Collision detected
-                }
-            }
+    saveAudioSettings() {
+        try {
+            localStorage.setItem(this.audioSystem.settingsKey, JSON.stringify({
+                volumes: this.audioSystem.volumes,
+                muted: this.audioSystem.muted
+            }));
+        } catch (error) {
+            console.warn('Could not store audio settings:', error);
         }
-        return false; // No collision
     }
     
-    updateMinaMovement(deltaTime) {
-        // Safety check - ensure Mina exists
-        if (!this.mina) {
-            console.warn('updateMinaMovement called but Mina does not exist');
-            console.log('Mina object:', this.mina);
-            console.log('Available objects:', Object.keys(this));
-            return;
+    applyAudioVolumes() {
+        const audio = this.audioSystem;
+        if (!audio.context) return;
+        
+        const now = audio.context.currentTime;
+        Object.keys(audio.buses).forEach(name => {
+            const level = name === 'master' && audio.muted ? 0 : audio.volumes[name];
+            audio.buses[name].gain.setTargetAtTime(level, now, 0.05);
+        });
+    }
+    
+    setVolume(bus, value) {
+        if (!(bus in this.audioSystem.volumes)) return;
+        this.audioSystem.volumes[bus] = Math.max(0, Math.min(1, value));
+        this.applyAudioVolumes();
+        this.saveAudioSettings();
+    }
+    
+    toggleMute() {
+        this.audioSystem.muted = !this.audioSystem.muted;
+        this.applyAudioVolumes();
+        this.saveAudioSettings();
+        this.updateMuteButton();
+        console.log(this.audioSystem.muted ? '🔇 Sound muted' : '🔊 Sound on');
+    }
+    
+    updateMuteButton() {
+        const button = this.getElement('muteButton');
+        if (button) {
+            button.textContent = this.audioSystem.muted ? '🔇' : '🔊';
         }
-        
-        const speed = this.controls.run ? this.minaSpeed * 1.5 : this.minaSpeed;
-        const direction = new THREE.Vector3();
-        
-        if (this.controls.forward) direction.z -= 1;
-        if (this.controls.backward) direction.z += 1;
-        if (this.controls.left) direction.x -= 1;
-        if (this.controls.right) direction.x += 1;
-        
-        // Light debug logging (movement confirmed working)
-        const anyKeyPressed = this.controls.forward || this.controls.backward || this.controls.left || this.controls.right;
-        if (anyKeyPressed && Math.random() < 0.1) { // Only log occasionally
-            console.log('Moving:', direction);
+    }
+    
+    setPannerPosition(panner, position) {
+        if (panner.positionX) {
+            const now = this.audioSystem.context.currentTime;
+            panner.positionX.setValueAtTime(position.x, now);
+            panner.positionY.setValueAtTime(position.y, now);
+            panner.positionZ.setValueAtTime(position.z, now);
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
         }
+    }
+    
+    createPanner(bus, refDistance = 5, rolloffFactor = 1) {
+        const panner = this.audioSystem.context.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = refDistance;
+        panner.maxDistance = 500;
+        panner.rolloffFactor = rolloffFactor;
+        panner.connect(this.audioSystem.buses[bus]);
+        return panner;
+    }
+    
+    attachSpatialSource(object, bus, refDistance, rolloffFactor) {
+        // A panner that follows a scene object around; updateAudio keeps it in place
+        const panner = this.createPanner(bus, refDistance, rolloffFactor);
+        this.audioSystem.spatialSources.push({ object, panner });
+        return panner;
+    }
+    
+    createOneShotPanner(position, bus, refDistance, rolloffFactor, duration) {
+        // Fixed-position panner for a single sound, disconnected once it has finished
+        const panner = this.createPanner(bus, refDistance, rolloffFactor);
+        this.setPannerPosition(panner, position);
+        setTimeout(() => panner.disconnect(), (duration + 0.5) * 1000);
+        return panner;
+    }
+    
+    createNoiseSource(loop = false) {
+        const source = this.audioSystem.context.createBufferSource();
+        source.buffer = this.audioSystem.noiseBuffer;
+        source.loop = loop;
+        return source;
+    }
+    
+    playTone(destination, frequency, startTime, duration, volume, type = 'sine') {
+        const context = this.audioSystem.context;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        envelope.gain.setValueAtTime(0.0001, startTime);
+        envelope.gain.exponentialRampToValueAtTime(volume, startTime + 0.02);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+        
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration + 0.05);
+        return oscillator;
+    }
+    
+    startZoneAmbience() {
+        // Looping filtered noise (plus an optional drone) placed at each zone's centre
+        const audio = this.audioSystem;
+        if (!audio.context || audio.zoneAmbience.length > 0 || this.parkLayout.zones.length === 0) return;
+        
+        const presets = {
+            'central-lagoon': { filter: 'lowpass', frequency: 350, q: 0.7, volume: 0.35, wobble: 0.4 }, // Lapping water
+            'hollywood': { filter: 'bandpass', frequency: 900, q: 0.8, volume: 0.2, wobble: 0.1 }, // Crowd murmur
+            'new-york': { filter: 'lowpass', frequency: 250, q: 0.5, volume: 0.35, drone: 55, droneType: 'triangle' }, // Traffic rumble
+            'sci-fi-city': { filter: 'bandpass', frequency: 2400, q: 4, volume: 0.1, drone: 110, droneType: 'sawtooth' }, // Electric hum
+            'ancient-egypt': { filter: 'bandpass', frequency: 500, q: 1.5, volume: 0.4, wobble: 0.5, drone: 73, droneType: 'sine' }, // Desert wind
+            'lost-world': { filter: 'highpass', frequency: 4000, q: 0.7, volume: 0.12, wobble: 0.3 }, // Jungle insects
+            'far-far-away': { filter: 'bandpass', frequency: 1500, q: 2, volume: 0.12, drone: 262, droneType: 'sine' } // Fairy sparkle
+        };
         
-        if (direction.length() > 0) {
-            direction.normalize();
+        const context = audio.context;
+        this.parkLayout.zones.forEach(zone => {
+            const preset = presets[zone.id];
+            if (!preset) return;
             
-            // Calculate potential new position
-            const movement = direction.multiplyScalar(speed * deltaTime);
-            const newPosition = this.mina.position.clone().add(movement);
+            const panner = this.createPanner('ambience', 20, 2);
+            this.setPannerPosition(panner, new THREE.Vector3(zone.origin.x, 2, zone.origin.z));
             
-            // Re-enable collision detection now that movement works
-            if (!this.checkCollision(newPosition)) {
-                this.mina.position.copy(newPosition);
-                
-                // Rotate Mina to face movement direction
-                if (movement.length() > 0) {
-                    this.mina.lookAt(this.mina.position.clone().add(movement));
-                }
-            } else {
-                // Try sliding along walls
-                const xOnlyMovement = new THREE.Vector3(movement.x, 0, 0);
-                const xOnlyPosition = this.mina.position.clone().add(xOnlyMovement);
-                if (!this.checkCollision(xOnlyPosition)) {
-                    this.mina.position.copy(xOnlyPosition);
-                    if (movement.x !== 0) this.mina.lookAt(this.mina.position.clone().add(xOnlyMovement));
-                } else {
-                    // Try moving in just Z direction
-                    const zOnlyMovement = new THREE.Vector3(0, 0, movement.z);
-                    const zOnlyPosition = this.mina.position.clone().add(zOnlyMovement);
-                    if (!this.checkCollision(zOnlyPosition)) {
-                        this.mina.position.copy(zOnlyPosition);
-                        if (movement.z !== 0) this.mina.lookAt(this.mina.position.clone().add(zOnlyMovement));
-                    }
-                }
+            const level = context.createGain();
+            level.gain.value = preset.volume;
+            level.connect(panner);
+            
+            const noise = this.createNoiseSource(true);
+            const filter = context.createBiquadFilter();
+            filter.type = preset.filter;
+            filter.frequency.value = preset.frequency;
+            filter.Q.value = preset.q;
+            noise.connect(filter);
+            filter.connect(level);
+            noise.start();
+            
+            const nodes = [noise];
+            
+            // Slow filter sweep so wind and water rise and fall
+            if (preset.wobble) {
+                const lfo = context.createOscillator();
+                const depth = context.createGain();
+                lfo.frequency.value = 0.1 + this.effectRandom() * 0.15;
+                depth.gain.value = preset.frequency * preset.wobble;
+                lfo.connect(depth);
+                depth.connect(filter.frequency);
+                lfo.start();
+                nodes.push(lfo);
             }
             
-            // Enhanced walking animation
-            const time = this.clock.getElapsedTime();
-            this.mina.position.y = 1.35 + Math.sin(time * 10) * 0.03;
+            if (preset.drone) {
+                const drone = context.createOscillator();
+                const droneLevel = context.createGain();
+                drone.type = preset.droneType;
+                drone.frequency.value = preset.drone;
+                droneLevel.gain.value = 0.15;
+                drone.connect(droneLevel);
+                droneLevel.connect(level);
+                drone.start();
+                nodes.push(drone);
+            }
             
-            // Set walking animation state
-            if (this.mina.userData && this.mina.userData.animations) {
-                this.mina.userData.animations.currentState = 'walking';
+            audio.zoneAmbience.push({ zoneId: zone.id, panner, nodes });
+        });
+        
+        console.log(`🔊 Ambience started for ${audio.zoneAmbience.length} zones`);
+    }
+    
+    updateAudio(deltaTime) {
+        const audio = this.audioSystem;
+        if (!audio.context) return;
+        
+        // The listener rides along with the camera
+        const listener = audio.context.listener;
+        const forward = new THREE.Vector3();
+        this.camera.getWorldDirection(forward);
+        const up = this.camera.up;
+        if (listener.positionX) {
+            const now = audio.context.currentTime;
+            listener.positionX.setValueAtTime(this.camera.position.x, now);
+            listener.positionY.setValueAtTime(this.camera.position.y, now);
+            listener.positionZ.setValueAtTime(this.camera.position.z, now);
+            listener.forwardX.setValueAtTime(forward.x, now);
+            listener.forwardY.setValueAtTime(forward.y, now);
+            listener.forwardZ.setValueAtTime(forward.z, now);
+            listener.upX.setValueAtTime(up.x, now);
+            listener.upY.setValueAtTime(up.y, now);
+            listener.upZ.setValueAtTime(up.z, now);
+        } else {
+            listener.setPosition(this.camera.position.x, this.camera.position.y, this.camera.position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+        
+        // Keep attached sources on their objects
+        const worldPosition = new THREE.Vector3();
+        audio.spatialSources.forEach(source => {
+            source.object.getWorldPosition(worldPosition);
+            this.setPannerPosition(source.panner, worldPosition);
+        });
+        
+        this.updateMonsterGroans();
+        this.updateRideMusic();
+    }
+    
+    updateMonsterGroans() {
+        // Groans come more often, louder and higher the more agitated a mummy is
+        const styles = {
+            patrolling: { interval: [6, 10], volume: 0.25, pitch: 70 },
+            alerted: { interval: [3, 5], volume: 0.45, pitch: 85 },
+            searching: { interval: [3, 6], volume: 0.4, pitch: 80 },
+            chasing: { interval: [1.2, 2.2], volume: 0.8, pitch: 110 }
+        };
+        
+        const now = this.audioSystem.context.currentTime;
+        this.monsters.forEach(monster => {
+            if (!monster.userData.audio) {
+                monster.userData.audio = {
+                    panner: this.attachSpatialSource(monster, 'effects', 6, 1.5),
+                    nextGroanTime: now + this.effectRandom() * 5
+                };
             }
             
-            // Animate Mina's limbs while walking
-            this.animateMinaWalking(time);
+            const style = styles[monster.userData.aiState] || styles.patrolling;
+            const voice = monster.userData.audio;
+            if (now < voice.nextGroanTime) return;
+            
+            this.playGroan(voice.panner, style.pitch * (0.9 + this.effectRandom() * 0.2), style.volume);
+            voice.nextGroanTime = now + style.interval[0] + this.effectRandom() * (style.interval[1] - style.interval[0]);
+        });
+    }
+    
+    playGroan(destination, pitch, volume) {
+        const context = this.audioSystem.context;
+        const now = context.currentTime;
+        const duration = 1.2 + this.effectRandom() * 0.6;
+        
+        const voice = context.createOscillator();
+        const vibrato = context.createOscillator();
+        const vibratoDepth = context.createGain();
+        const filter = context.createBiquadFilter();
+        const envelope = context.createGain();
+        
+        voice.type = 'sawtooth';
+        voice.frequency.setValueAtTime(pitch, now);
+        voice.frequency.exponentialRampToValueAtTime(pitch * 0.7, now + duration);
+        vibrato.frequency.value = 5;
+        vibratoDepth.gain.value = pitch * 0.04;
+        vibrato.connect(vibratoDepth);
+        vibratoDepth.connect(voice.frequency);
+        
+        filter.type = 'lowpass';
+        filter.frequency.value = 500;
+        filter.Q.value = 4;
+        
+        envelope.gain.setValueAtTime(0.0001, now);
+        envelope.gain.exponentialRampToValueAtTime(volume, now + 0.3);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+        
+        voice.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(destination);
+        
+        voice.start(now);
+        vibrato.start(now);
+        voice.stop(now + duration + 0.05);
+        vibrato.stop(now + duration + 0.05);
+    }
+    
+    playFootstep(running) {
+        const audio = this.audioSystem;
+        if (!audio.context) return;
+        
+        const now = audio.context.currentTime;
+        const stepInterval = running ? 0.25 : 0.38;
+        if (now - audio.lastFootstepTime < stepInterval) return;
+        audio.lastFootstepTime = now;
+        
+        // A short burst of muffled noise, slightly different every step
+        const noise = this.createNoiseSource();
+        const filter = audio.context.createBiquadFilter();
+        const envelope = audio.context.createGain();
+        
+        filter.type = 'lowpass';
+        filter.frequency.value = 600 + this.effectRandom() * 400;
+        envelope.gain.setValueAtTime(running ? 0.35 : 0.25, now);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, now + 0.08);
+        
+        noise.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(audio.buses.effects);
+        noise.start(now, this.effectRandom() * 1.5);
+        noise.stop(now + 0.1);
+    }
+    
+    playTreasureChime() {
+        const audio = this.audioSystem;
+        if (!audio.context) return;
+        
+        // Rising major arpeggio with a sparkly octave on top
+        const now = audio.context.currentTime;
+        [523.25, 659.25, 783.99, 1046.5].forEach((frequency, index) => {
+            this.playTone(audio.buses.effects, frequency, now + index * 0.09, 0.6, 0.3, 'triangle');
+        });
+        this.playTone(audio.buses.effects, 2093, now + 0.36, 0.8, 0.1, 'sine');
+    }
+    
+    playPuzzleSound(kind) {
+        const audio = this.audioSystem;
+        if (!audio.context) return;
+        
+        const now = audio.context.currentTime;
+        if (kind === 'click') {
+            // Stone and metal clunk of a lever or plate
+            this.playTone(audio.buses.effects, 180, now, 0.12, 0.3, 'square');
+        } else if (kind === 'failed') {
+            // Two falling buzzes
+            this.playTone(audio.buses.effects, 220, now, 0.25, 0.25, 'sawtooth');
+            this.playTone(audio.buses.effects, 165, now + 0.2, 0.4, 0.25, 'sawtooth');
         } else {
-            // Set idle animation state when not moving
-            if (this.mina.userData && this.mina.userData.animations) {
-                this.mina.userData.animations.currentState = 'idle';
+            // A mechanism unlocking, then a bright fifth
+            this.playTone(audio.buses.effects, 392, now, 0.3, 0.25, 'triangle');
+            this.playTone(audio.buses.effects, 587.33, now + 0.15, 0.5, 0.25, 'triangle');
+        }
+    }
+    
+    playFireworkBurst(position) {
+        const audio = this.audioSystem;
+        if (!audio.context) return;
+        
+        const context = audio.context;
+        const now = context.currentTime;
+        const launch = now;
+        const bang = now + 0.6 + this.effectRandom() * 0.3;
+        const panner = this.createOneShotPanner(position, 'effects', 30, 1, bang - now + 1.5);
+        
+        // Whistle on the way up
+        const whistle = context.createOscillator();
+        const whistleLevel = context.createGain();
+        whistle.type = 'sine';
+        whistle.frequency.setValueAtTime(900, launch);
+        whistle.frequency.exponentialRampToValueAtTime(2400, bang);
+        whistleLevel.gain.setValueAtTime(0.05, launch);
+        whistleLevel.gain.linearRampToValueAtTime(0, bang);
+        whistle.connect(whistleLevel);
+        whistleLevel.connect(panner);
+        whistle.start(launch);
+        whistle.stop(bang);
+        
+        // Bang: a loud noise hit that decays into crackle
+        const noise = this.createNoiseSource();
+        const filter = context.createBiquadFilter();
+        const envelope = context.createGain();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(3000, bang);
+        filter.frequency.exponentialRampToValueAtTime(200, bang + 1.2);
+        envelope.gain.setValueAtTime(0.0001, launch);
+        envelope.gain.setValueAtTime(1, bang);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, bang + 1.4);
+        noise.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(panner);
+        noise.start(bang);
+        noise.stop(bang + 1.5);
+    }
+    
+    startRideMusic(rideType) {
+        const audio = this.audioSystem;
+        if (!audio.context) return;
+        this.stopRideMusic();
+        
+        // Simple looping eighth-note tunes: semitones above the root, null = rest
+        const tunes = {
+            mummyCart: { tempo: 90, root: 110, type: 'square', notes: [0, 3, 7, 6, 0, 3, 8, 7, 0, null, 1, 0, -2, null, -1, null] },
+            coasterCar: { tempo: 160, root: 196, type: 'sawtooth', notes: [0, 7, 12, 7, 5, 7, 12, 14, 0, 7, 12, 7, 10, 12, 14, 19] },
+            raftBoat: { tempo: 120, root: 147, type: 'triangle', notes: [0, 4, 7, 4, 9, 7, 4, 2, 0, 4, 7, 12, 11, 7, 4, null] }
+        };
+        const tune = tunes[rideType] || tunes.raftBoat;
+        
+        const output = audio.context.createGain();
+        output.gain.value = 0.25;
+        output.connect(audio.buses.music);
+        
+        audio.rideMusic = { tune, output, step: 0, nextNoteTime: audio.context.currentTime + 0.1 };
+        console.log(`🎵 Starting ride music: ${rideType}`);
+    }
+    
+    stopRideMusic() {
+        const audio = this.audioSystem;
+        if (!audio.rideMusic) return;
+        
+        const output = audio.rideMusic.output;
+        output.gain.setTargetAtTime(0, audio.context.currentTime, 0.3);
+        setTimeout(() => output.disconnect(), 1500);
+        audio.rideMusic = null;
+    }
+    
+    updateRideMusic() {
+        // Schedule a little ahead of time so notes stay on the beat between frames
+        const audio = this.audioSystem;
+        const music = audio.rideMusic;
+        if (!music) return;
+        
+        const stepLength = 30 / music.tune.tempo;
+        const now = audio.context.currentTime;
+        if (music.nextNoteTime < now) {
+            // Skip notes missed while the tab was in the background
+            music.nextNoteTime = now;
+        }
+        while (music.nextNoteTime < now + 0.2) {
+            const semitones = music.tune.notes[music.step % music.tune.notes.length];
+            if (semitones !== null) {
+                const frequency = music.tune.root * Math.pow(2, semitones / 12);
+                this.playTone(music.output, frequency, music.nextNoteTime, stepLength * 0.9, 0.5, music.tune.type);
+                
+                // Bass note on every downbeat
+                if (music.step % 4 === 0) {
+                    this.playTone(music.output, music.tune.root / 2, music.nextNoteTime, stepLength * 3, 0.6, 'triangle');
+                }
             }
+            music.step++;
+            music.nextNoteTime += stepLength;
         }
     }
     
+    // ===== CAMERA MODES & PHOTO MODE =====
+    
     updateCamera() {
         // Safety check - ensure Mina exists
         if (!this.mina) {
@@ -4398,18 +9533,54 @@ class MinaAdventureGame {
             return;
         }
         
-        // Initialize camera rotation if needed
-        if (!this.cameraRotation) {
-            this.cameraRotation = { horizontal: 0, vertical: 0 };
+        // Photo mode flies the camera itself (see updatePhotoCamera), a ride intro runs along its rail
+        const cameraSystem = this.cameraSystem;
+        if (this.stateMachine.state === 'photo') return;
+        let occluders = new Set();
+        if (!this.updateRailCamera()) {
+            // Follow whoever is being played; in co-op frame both girls
+            const player = this.getActiveCharacter();
+            const focus = player.position.clone();
+            let separation = 0;
+            if (this.playerSystem.coop) {
+                focus.lerp(this.sacha.position, 0.5);
+                separation = this.mina.position.distanceTo(this.sacha.position);
+            }
+            
+            // Ease the height it follows so jumps, stairs and falls don't jolt the view
+            // (quicker on the way down, so a falling girl stays in frame)
+            if (this.cameraFocusHeight === null) this.cameraFocusHeight = focus.y;
+            this.cameraFocusHeight = THREE.MathUtils.lerp(this.cameraFocusHeight, focus.y, focus.y < this.cameraFocusHeight ? 0.3 : 0.1);
+            focus.y = this.cameraFocusHeight;
+            
+            if (cameraSystem.mode === 'firstPerson') {
+                this.updateFirstPersonCamera(player);
+            } else if (cameraSystem.mode === 'orbit') {
+                this.updateOrbitCamera(focus);
+                occluders = this.findOccluders();
+            } else {
+                this.updateFollowCamera(player, focus, separation);
+                occluders = this.findOccluders();
+            }
         }
+        this.fadeOccluders(occluders);
         
-        // Dynamic camera system for cinematic feel
-        const time = this.clock.getElapsedTime();
-        const isMoving = this.controls.forward || this.controls.backward || this.controls.left || this.controls.right;
+        // Adjust field of view dynamically for cinematic effect
+        const targetFOV = cameraSystem.effects.fov && this.gameState.monstersNearby > 0 ? 85 : 75; // Wider when in danger
+        this.camera.fov = THREE.MathUtils.lerp(this.camera.fov, targetFOV, 0.02);
+        this.camera.updateProjectionMatrix();
+    }
+    
+    updateFollowCamera(player, focus, separation) {
+        // Third person: behind and above the girls, closing in when the mummies do
+        const effects = this.cameraSystem.effects;
+        const time = this.gameClock.elapsed;
+        const [playerOne, playerTwo] = this.inputSystem.players;
+        const isMoving = this.isMoving(playerOne) || (this.playerSystem.coop && this.isMoving(playerTwo));
         
         // Dynamic distance and height based on movement and monsters
-        let baseCameraDistance = 12; // Further back for cinematic view
-        let baseCameraHeight = 6;    // Higher for dramatic angle
+        let baseCameraDistance = 12 + separation * this.playerSystem.coopCameraZoom; // Further back for cinematic view
+        let baseCameraHeight = 6 + separation * this.playerSystem.coopCameraZoom * 0.5; // Higher for dramatic angle
         
         // Camera gets closer when monsters are nearby for tension
         if (this.gameState.monstersNearby > 0) {
@@ -4417,610 +9588,1417 @@ class MinaAdventureGame {
             baseCameraHeight = Math.max(4, baseCameraHeight - this.gameState.monstersNearby * 0.5);
         }
         
+        // Rooms indoors are small, so stay close and low
+        if (this.currentInterior) {
+            const interior = this.cameraSystem.interior;
+            baseCameraDistance = Math.min(baseCameraDistance, interior.distance);
+            baseCameraHeight = Math.min(baseCameraHeight, interior.height);
+        }
+        
         // Slight camera shake when scared
         let shakeX = 0, shakeZ = 0;
-        if (this.mina.userData?.animations?.currentState === 'scared') {
+        if (effects.shake && player.userData?.animations?.currentState === 'scared') {
             shakeX = Math.sin(time * 30) * 0.5;
             shakeZ = Math.cos(time * 25) * 0.3;
         }
         
         // Smooth camera sway when moving for cinematic feel
         let cinematicSway = 0;
-        if (isMoving) {
+        if (effects.sway && isMoving) {
             cinematicSway = Math.sin(time * 2) * 0.1; // Gentle sway
         }
         
-        // Dynamic camera offset for more interesting angles
-        const cameraDistance = baseCameraDistance + Math.sin(time * 0.5) * 1; // Breathing distance
-        const cameraHeight = baseCameraHeight + Math.sin(time * 0.3) * 0.5;   // Subtle height variation
+        // Dynamic camera offset for more interesting angles (it breathes along with the sway)
+        const breathing = effects.sway ? 1 : 0;
+        const cameraDistance = baseCameraDistance + Math.sin(time * 0.5) * breathing; // Breathing distance
+        const cameraHeight = baseCameraHeight + Math.sin(time * 0.3) * 0.5 * breathing; // Subtle height variation
         
         // Calculate camera position with cinematic enhancements
-        const x = this.mina.position.x + 
+        const x = focus.x + 
                   cameraDistance * Math.sin(this.cameraRotation.horizontal + cinematicSway) + 
                   shakeX;
-        const z = this.mina.position.z + 
+        const z = focus.z + 
                   cameraDistance * Math.cos(this.cameraRotation.horizontal + cinematicSway) + 
                   shakeZ;
-        const y = this.mina.position.y + 
+        const y = focus.y + 
                   cameraHeight + 
                   Math.sin(this.cameraRotation.vertical) * 4;
         
         // Smoothly move camera to target position with different speeds for drama
-        const targetPosition = new THREE.Vector3(x, y, z);
+        // (never behind a wall: the arm snaps in front of one at once, and eases back out with the lerp)
+        const targetPosition = this.applySpringArm(focus, new THREE.Vector3(x, y, z));
         const lerpSpeed = this.gameState.monstersNearby > 0 ? 0.15 : 0.08; // Faster when in danger
         this.camera.position.lerp(targetPosition, lerpSpeed);
+        this.camera.position.copy(this.applySpringArm(focus, this.camera.position));
         
         // Enhanced look-at with slight offset for more dynamic framing
-        const lookAtTarget = this.mina.position.clone();
+        const lookAtTarget = focus.clone();
         
         // Add slight vertical offset when jumping
-        if (this.mina.userData?.animations?.currentState === 'jumping') {
+        if (player.userData?.animations?.currentState === 'jumping') {
             lookAtTarget.y += 1;
         }
         
         // Add forward prediction when moving fast
-        if (isMoving && this.controls.run) {
-            const moveDirection = new THREE.Vector3();
-            if (this.controls.forward) moveDirection.z -= 2;
-            if (this.controls.backward) moveDirection.z += 2;
-            if (this.controls.left) moveDirection.x -= 2;
-            if (this.controls.right) moveDirection.x += 2;
-            lookAtTarget.add(moveDirection);
+        if (isMoving && playerOne.run) {
+            lookAtTarget.add(new THREE.Vector3(playerOne.moveX * 2, 0, playerOne.moveZ * 2));
         }
         
         this.camera.lookAt(lookAtTarget);
-        
-        // Adjust field of view dynamically for cinematic effect
-        const targetFOV = this.gameState.monstersNearby > 0 ? 85 : 75; // Wider when in danger
-        this.camera.fov = THREE.MathUtils.lerp(this.camera.fov, targetFOV, 0.02);
-        this.camera.updateProjectionMatrix();
     }
     
-    updateDynamicLighting() {
-        // Calculate time progression (0 = sunset, 1 = deep night)
-        const elapsed = Date.now() - this.lightingSystem.startTime;
-        const progress = Math.min(elapsed / this.lightingSystem.dayDuration, 1);
-        this.gameState.timeOfDay = progress;
-        
-        // Interpolate colors and intensities
-        const sunsetColor = { r: 1, g: 0.55, b: 0.26 }; // Orange sunset
-        const nightColor = { r: 0.05, g: 0.05, b: 0.15 }; // Dark blue night
-        
-        // Sky color transition
-        const skyR = sunsetColor.r + (nightColor.r - sunsetColor.r) * progress;
-        const skyG = sunsetColor.g + (nightColor.g - sunsetColor.g) * progress;
-        const skyB = sunsetColor.b + (nightColor.b - sunsetColor.b) * progress;
+    getLookDirection() {
+        // Where the mouse and right stick point the view: straight ahead is -z, up looks up
+        const { horizontal, vertical } = this.cameraRotation;
+        return new THREE.Vector3(
+            -Math.sin(horizontal) * Math.cos(vertical),
+            Math.sin(vertical),
+            -Math.cos(horizontal) * Math.cos(vertical)
+        );
+    }
+    
+    updateFirstPersonCamera(player) {
+        // From her eyes, a little in front of her face so her own head and hair stay out of the view
+        const cameraSystem = this.cameraSystem;
+        const look = this.getLookDirection();
+        const eyes = player.getWorldPosition(new THREE.Vector3());
+        eyes.y += cameraSystem.eyeHeight;
+        this.camera.position.copy(eyes).addScaledVector(look, cameraSystem.eyeForward);
+        this.camera.lookAt(this.camera.position.clone().add(look));
+    }
+    
+    updateOrbitCamera(focus) {
+        // Round the girls at the zoomed distance, from just above the ground to nearly overhead
+        const orbit = this.cameraSystem.orbit;
+        const horizontal = this.cameraRotation.horizontal;
+        const elevation = THREE.MathUtils.clamp(orbit.elevation + this.cameraRotation.vertical, 0.05, 1.4);
+        const position = new THREE.Vector3(
+            focus.x + orbit.distance * Math.sin(horizontal) * Math.cos(elevation),
+            focus.y + orbit.distance * Math.sin(elevation),
+            focus.z + orbit.distance * Math.cos(horizontal) * Math.cos(elevation)
+        );
+        this.camera.position.copy(this.applySpringArm(focus, position));
+        this.camera.lookAt(focus);
+    }
+    
+    applySpringArm(focus, position) {
+        // Where the camera can go on its way out to position: in front of the first wall, if there is one
+        const arm = this.cameraSystem.springArm;
+        const pivot = focus.clone();
+        pivot.y += arm.pivotHeight;
+        const direction = position.clone().sub(pivot);
+        const length = direction.length();
+        if (length <= arm.minLength) return position.clone();
+        
+        direction.divideScalar(length);
+        arm.raycaster.set(pivot, direction);
+        arm.raycaster.far = length;
+        // Blocks outside are hidden while the girls are in a building, and don't count
+        const hit = arm.raycaster.intersectObjects(this.collisionObjects, false).find(hit => hit.object.visible);
+        if (!hit) return position.clone();
+        return pivot.addScaledVector(direction, Math.max(arm.minLength, hit.distance - arm.padding));
+    }
+    
+    findOccluders() {
+        // Blocks between the camera and the girls being played
+        const occlusion = this.cameraSystem.occlusion;
+        const girls = this.playerSystem.coop ? [this.mina, this.sacha] : [this.getActiveCharacter()];
+        const occluders = new Set();
+        girls.forEach(girl => {
+            const body = girl.position.clone();
+            body.y += occlusion.bodyHeight;
+            const toBody = body.sub(this.camera.position);
+            const distance = toBody.length();
+            if (distance === 0) return;
+            occlusion.raycaster.set(this.camera.position, toBody.divideScalar(distance));
+            occlusion.raycaster.far = distance;
+            occlusion.raycaster.intersectObjects(this.collisionObjects, false)
+                .filter(hit => hit.object.visible)
+                .forEach(hit => occluders.add(hit.object));
+        });
+        return occluders;
+    }
+    
+    fadeOccluders(occluders) {
+        // Ease the blocks in the way out of sight, and the ones no longer in the way back
+        const occlusion = this.cameraSystem.occlusion;
+        occluders.forEach(block => {
+            if (occlusion.faded.has(block)) return;
+            occlusion.faded.set(block, { opacity: block.material.opacity, transparent: block.material.transparent });
+            block.material.transparent = true;
+            block.material.needsUpdate = true;
+        });
         
-        // Update renderer clear color (sky)
-        this.renderer.setClearColor(new THREE.Color(skyR, skyG, skyB));
+        occlusion.faded.forEach((original, block) => {
+            const inTheWay = occluders.has(block);
+            const target = inTheWay ? original.opacity * occlusion.opacity : original.opacity;
+            block.material.opacity = THREE.MathUtils.lerp(block.material.opacity, target, occlusion.fadeSpeed);
+            if (!inTheWay && Math.abs(block.material.opacity - target) < 0.01) this.restoreOccluder(block);
+        });
+    }
+    
+    restoreOccluder(block) {
+        const faded = this.cameraSystem.occlusion.faded;
+        const original = faded.get(block);
+        if (!original) return;
+        block.material.opacity = original.opacity;
+        block.material.transparent = original.transparent;
+        block.material.needsUpdate = true;
+        faded.delete(block);
+    }
+    
+    zoomCamera(steps) {
+        // Mouse wheel: closer or further in orbit, a longer or wider lens in photo mode
+        const cameraSystem = this.cameraSystem;
+        if (this.stateMachine.state === 'photo') {
+            this.camera.fov = THREE.MathUtils.clamp(this.camera.fov + steps * cameraSystem.photoZoomStep, 20, 100);
+            this.camera.updateProjectionMatrix();
+        } else if (cameraSystem.mode === 'orbit') {
+            const orbit = cameraSystem.orbit;
+            orbit.distance = THREE.MathUtils.clamp(orbit.distance + steps * orbit.zoomStep, orbit.minDistance, orbit.maxDistance);
+        }
+    }
+    
+    setCameraMode(mode) {
+        if (!this.cameraSystem.modes.includes(mode)) return false;
+        this.cameraSystem.mode = mode;
+        if (!this.headless) this.saveCameraSettings();
+        return true;
+    }
+    
+    cycleCameraMode() {
+        // V skips a ride intro, otherwise moves on to the next view
+        const cameraSystem = this.cameraSystem;
+        if (cameraSystem.rail) {
+            cameraSystem.rail = null;
+            return;
+        }
         
-        // Update ambient light intensity and color
-        const ambientIntensity = 0.4 * (1 - progress * 0.7); // Fade to 30% of original
-        this.lightingSystem.ambientLight.color.setRGB(skyR, skyG * 1.2, skyB * 1.5);
-        this.lightingSystem.ambientLight.intensity = ambientIntensity;
+        const modes = cameraSystem.modes;
+        const mode = modes[(modes.indexOf(cameraSystem.mode) + 1) % modes.length];
+        this.setCameraMode(mode);
+        console.log(`🎥 Camera: ${mode}`);
+        this.showNPCDialogue(this.t('camera.speaker'), this.t('camera.switched', { mode: this.t(`camera.mode.${mode}`) }));
+    }
+    
+    setCameraEffect(effect, enabled) {
+        const effects = this.cameraSystem.effects;
+        if (!(effect in effects)) return false;
+        effects[effect] = !!enabled;
+        if (!this.headless) this.saveCameraSettings();
+        return true;
+    }
+    
+    loadCameraSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.cameraSystem.settingsKey));
+            if (saved) {
+                if (this.cameraSystem.modes.includes(saved.mode)) this.cameraSystem.mode = saved.mode;
+                Object.keys(this.cameraSystem.effects).forEach(effect => {
+                    if (saved.effects && typeof saved.effects[effect] === 'boolean') this.cameraSystem.effects[effect] = saved.effects[effect];
+                });
+            }
+        } catch (error) {
+            console.warn('Could not read camera settings:', error);
+        }
+    }
+    
+    saveCameraSettings() {
+        try {
+            localStorage.setItem(this.cameraSystem.settingsKey, JSON.stringify({
+                mode: this.cameraSystem.mode,
+                effects: this.cameraSystem.effects
+            }));
+        } catch (error) {
+            console.warn('Could not store camera settings:', error);
+        }
+    }
+    
+    startCameraRail(name, target) {
+        // A ride intro: glide through the rail's points (placed around where the ride starts) while watching it
+        const rail = this.cameraSystem.rails[name];
+        if (!rail || !target) return;
+        
+        const origin = target.getWorldPosition(new THREE.Vector3());
+        this.cameraSystem.rail = {
+            name: name,
+            target: target,
+            curve: new THREE.CatmullRomCurve3(rail.points.map(([x, y, z]) => origin.clone().add(new THREE.Vector3(x, y, z)))),
+            startTime: this.now(),
+            duration: rail.duration
+        };
+    }
+    
+    updateRailCamera() {
+        const rail = this.cameraSystem.rail;
+        if (!rail) return false;
+        
+        // Game time, so the intro waits while paused and plays out the same in a replay
+        const progress = (this.now() - rail.startTime) / rail.duration;
+        if (progress >= 1) {
+            this.cameraSystem.rail = null;
+            return false;
+        }
         
-        // Update sun light - fade as it "sets"
-        const sunIntensity = 1.0 * (1 - progress); // Sun disappears completely at night
-        this.lightingSystem.sunLight.intensity = sunIntensity;
-        this.lightingSystem.sunLight.position.y = 30 - (progress * 50); // Sun goes below horizon
+        // Eased in and out along the curve
+        const eased = progress * progress * (3 - 2 * progress);
+        this.camera.position.copy(rail.curve.getPointAt(eased));
+        this.camera.lookAt(rail.target.getWorldPosition(new THREE.Vector3()));
+        return true;
+    }
+    
+    togglePhotoMode() {
+        const cameraSystem = this.cameraSystem;
+        if (this.stateMachine.state === 'photo') {
+            // Back to the game exactly as it was left
+            const photo = cameraSystem.photo;
+            this.cameraRotation.horizontal = photo.rotation.horizontal;
+            this.cameraRotation.vertical = photo.rotation.vertical;
+            this.camera.fov = photo.fov;
+            this.camera.updateProjectionMatrix();
+            cameraSystem.photo = null;
+            this.setGameState('playing');
+            return;
+        }
+        if (!this.isPlaying()) return;
         
-        // Update fill light to become moonlight
-        const moonIntensity = 0.4 + (progress * 0.3); // Moon gets brighter as night deepens
-        this.lightingSystem.fillLight.color.setRGB(0.6, 0.6, 1.0); // Blue moonlight
-        this.lightingSystem.fillLight.intensity = moonIntensity * progress; // Only visible at night
+        // The flying camera starts where the game camera is, looking the same way
+        cameraSystem.photo = {
+            position: this.camera.position.clone(),
+            rotation: { horizontal: this.cameraRotation.horizontal, vertical: this.cameraRotation.vertical },
+            fov: this.camera.fov
+        };
+        const direction = this.camera.getWorldDirection(new THREE.Vector3());
+        // Photos show the park whole, without the blocks faded out of the way
+        [...cameraSystem.occlusion.faded.keys()].forEach(block => this.restoreOccluder(block));
+        this.cameraRotation.horizontal = Math.atan2(-direction.x, -direction.z);
+        this.cameraRotation.vertical = THREE.MathUtils.clamp(Math.asin(direction.y), -Math.PI/3, Math.PI/3);
+        this.setGameState('photo');
+    }
+    
+    updatePhotoCamera(frameTime) {
+        // Once a frame while the game stands still: fly where the camera looks, Space rises, run is faster
+        const cameraSystem = this.cameraSystem;
+        const photo = cameraSystem.photo;
+        if (!photo) return;
+        
+        // No ticks run in photo mode, so the keys and gamepad are gathered into actions here
+        this.updateInputActions();
+        const actions = this.inputSystem.players[0];
+        const look = this.getLookDirection();
+        const right = new THREE.Vector3(Math.cos(this.cameraRotation.horizontal), 0, -Math.sin(this.cameraRotation.horizontal));
+        const speed = cameraSystem.photoSpeed * (actions.run ? 3 : 1) * frameTime;
+        
+        photo.position.addScaledVector(look, -actions.moveZ * speed);
+        photo.position.addScaledVector(right, actions.moveX * speed);
+        if (actions.jump) photo.position.y += speed;
+        photo.position.y = Math.max(0.5, photo.position.y); // Not under the ground
+        
+        this.camera.position.copy(photo.position);
+        this.camera.lookAt(photo.position.clone().add(look));
+    }
+    
+    takePhoto() {
+        if (this.headless || this.stateMachine.state !== 'photo') return;
         
-        // Update hemisphere light
-        const hemiSkyColor = { r: skyR * 0.8, g: skyG * 0.8, b: skyB * 1.2 };
-        const hemiGroundColor = { r: 0.3, g: 0.1, b: 0.5 }; // Purple ground at night
-        this.lightingSystem.hemiLight.color.setRGB(hemiSkyColor.r, hemiSkyColor.g, hemiSkyColor.b);
-        this.lightingSystem.hemiLight.groundColor.setRGB(
-            hemiGroundColor.r * (0.5 + progress * 0.5),
-            hemiGroundColor.g * (0.5 + progress * 0.5),
-            hemiGroundColor.b * (0.5 + progress * 0.5)
-        );
+        try {
+            // Drawn again right before it is read: WebGL lets go of a picture once it has been shown
+            this.renderer.render(this.scene, this.camera);
+            const link = document.createElement('a');
+            link.href = this.renderer.domElement.toDataURL('image/png');
+            link.download = `mina-photo-${this.randomSystem.seed}-${this.gameClock.tick}.png`;
+            link.click();
+        } catch (error) {
+            console.error('Could not save the photo:', error);
+            this.showNPCDialogue(this.t('camera.speaker'), this.t('photo.failed'));
+        }
+    }
+    
+    canLookAround() {
+        // Mouse and right stick turn the camera while playing (replays steer it themselves) and in photo mode
+        const state = this.stateMachine.state;
+        return state === 'photo' || (state === 'playing' && this.replaySystem.mode !== 'playback');
+    }
+    
+    // ===== MAPS =====
+    
+    getMapMarkers() {
+        // Everything drawn on top of the park: rides, chests, nearby mummies and the girls (drawn last)
+        const markers = [];
+        const girls = [this.mina, this.sacha].filter(Boolean);
+        const active = this.getActiveCharacter();
         
-        // Update fog to get darker and thicker at night
-        const fogColor = new THREE.Color(skyR * 0.8, skyG * 0.8, skyB);
-        this.scene.fog.color.copy(fogColor);
-        this.scene.fog.near = 50 - (progress * 20); // Fog gets closer at night
-        this.scene.fog.far = 300 - (progress * 100); // Fog gets thicker at night
+        // A ride's marker is where its line starts, if it has one (see RIDE OPERATIONS)
+        this.rides.forEach(ride => {
+            const entrance = ride.userData.ops ? ride.userData.ops.entrance : ride.position;
+            markers.push({ type: 'ride', x: entrance.x, z: entrance.z, label: ride.userData.name });
+        });
+        this.treasures.forEach(treasure => {
+            markers.push({ type: 'treasure', x: treasure.position.x, z: treasure.position.z, collected: treasure.userData.collected });
+        });
         
-        // Update time of day display
-        const timeDisplay = progress < 0.3 ? 'Sunset' : 
-                           progress < 0.7 ? 'Twilight' : 'Night';
+        // Mummies only show up once they are close enough to notice one of the girls
+        this.monsters.forEach(monster => {
+            const detectionRadius = monster.userData.detectionRadius;
+            if (girls.some(girl => monster.position.distanceTo(girl.position) < detectionRadius)) {
+                markers.push({ type: 'mummy', x: monster.position.x, z: monster.position.z });
+            }
+        });
         
-        // Update debug info to show time of day
-        const debugElement = document.getElementById('debug-info');
-        if (debugElement) {
-            debugElement.innerHTML = debugElement.innerHTML.replace(
-                /Time: \w+\|?/g, ''
-            ) + ` | Time: ${timeDisplay}`;
-        }
+        girls.forEach(girl => {
+            const facing = girl.getWorldDirection(new THREE.Vector3());
+            markers.push({
+                type: 'girl',
+                x: girl.position.x,
+                z: girl.position.z,
+                label: girl.userData.name,
+                heading: Math.atan2(facing.x, facing.z),
+                active: girl === active || this.playerSystem.coop
+            });
+        });
+        return markers;
     }
     
-    animateMinaWalking(time) {
-        // Find Mina's limbs for animation
-        if (this.mina.children.length > 4) {
-            const leftArm = this.mina.children.find(child => child.position.x < -0.2 && child.position.y > 0.3);
-            const rightArm = this.mina.children.find(child => child.position.x > 0.2 && child.position.y > 0.3);
-            const leftLeg = this.mina.children.find(child => child.position.x < -0.05 && child.position.y < 0);
-            const rightLeg = this.mina.children.find(child => child.position.x > 0.05 && child.position.y < 0);
-            
-            if (leftArm) leftArm.rotation.x = Math.sin(time * 6) * 0.5;
-            if (rightArm) rightArm.rotation.x = -Math.sin(time * 6) * 0.5;
-            if (leftLeg) leftLeg.rotation.x = -Math.sin(time * 6) * 0.3;
-            if (rightLeg) rightLeg.rotation.x = Math.sin(time * 6) * 0.3;
+    getMapView(width, height, full) {
+        // Which part of the park a map shows: all of it, or the area around the player (north is up)
+        const groundSize = this.parkLayout.data ? this.parkLayout.data.ground.size : 600;
+        const player = this.getActiveCharacter();
+        if (full) {
+            return { x: 0, z: 0, width, height, scale: Math.min(width, height) / groundSize };
         }
+        return { x: player.position.x, z: player.position.z, width, height, scale: Math.min(width, height) / 2 / this.mapSystem.minimapRange };
+    }
+    
+    worldToMap(view, x, z) {
+        return {
+            x: view.width / 2 + (x - view.x) * view.scale,
+            y: view.height / 2 + (z - view.z) * view.scale
+        };
+    }
+    
+    drawParkImage() {
+        // The layout seen from above, lowest things first so buildings cover the paths around them
+        const map = this.mapSystem;
+        const layout = this.parkLayout.data;
+        const size = layout.ground.size * map.pixelsPerUnit;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        const toPixels = value => (value + layout.ground.size / 2) * map.pixelsPerUnit;
+        
+        context.fillStyle = layout.ground.color;
+        context.fillRect(0, 0, size, size);
+        [...map.shapes].sort((a, b) => a.top - b.top).forEach(shape => {
+            context.globalAlpha = shape.opacity;
+            context.fillStyle = shape.color;
+            if (shape.kind === 'circle') {
+                context.beginPath();
+                context.arc(toPixels(shape.x), toPixels(shape.z), shape.radius * map.pixelsPerUnit, 0, Math.PI * 2);
+                context.fill();
+            } else {
+                context.fillRect(
+                    toPixels(shape.x - shape.width / 2), toPixels(shape.z - shape.depth / 2),
+                    shape.width * map.pixelsPerUnit, shape.depth * map.pixelsPerUnit
+                );
+            }
+        });
+        context.globalAlpha = 1;
+        map.parkImage = canvas;
     }
     
-    updateSachaMovement(deltaTime) {
-        if (!this.sacha || !this.mina) return;
+    drawMap(canvas, full) {
+        const map = this.mapSystem;
+        if (!map.parkImage) this.drawParkImage();
+        const context = canvas.getContext('2d');
+        const view = this.getMapView(canvas.width, canvas.height, full);
+        const groundSize = this.parkLayout.data.ground.size;
         
-        const distanceToMina = this.sacha.position.distanceTo(this.mina.position);
-        const followDistance = this.sacha.userData.followDistance;
-        const catchupSpeed = this.sacha.userData.catchupSpeed;
-        const walkSpeed = this.sacha.userData.walkSpeed;
+        // The park picture, cut and scaled to the view
+        context.fillStyle = '#0b2a0b';
+        context.fillRect(0, 0, view.width, view.height);
+        const corner = this.worldToMap(view, -groundSize / 2, -groundSize / 2);
+        context.drawImage(map.parkImage, corner.x, corner.y, groundSize * view.scale, groundSize * view.scale);
         
-        // If Sacha is too far from Mina, catch up
-        if (distanceToMina > followDistance + 5) {
-            // Run to catch up
-            const direction = new THREE.Vector3()
-                .subVectors(this.mina.position, this.sacha.position)
-                .normalize();
-            
-            const movement = direction.multiplyScalar(catchupSpeed * deltaTime);
-            const newPosition = this.sacha.position.clone().add(movement);
-            
-            // Check collision for Sacha too
-            const sachaBox = new THREE.Box3();
-            const sachaBounds = new THREE.Vector3(0.5, 1.8, 0.5);
-            sachaBox.setFromCenterAndSize(newPosition, sachaBounds);
-            
-            let canMove = true;
-            for (let obj of this.collisionObjects) {
-                if (obj.userData.boundingBox) {
-                    obj.userData.boundingBox.setFromObject(obj);
-                    if (sachaBox.intersectsBox(obj.userData.boundingBox)) {
-                        canMove = false;
-                        break;
-                    }
-                }
-            }
-            
-            if (canMove) {
-                this.sacha.position.copy(newPosition);
-                this.sacha.lookAt(this.mina.position);
-            } else {
-                // Try sliding along walls like Mina
-                const xOnlyMovement = new THREE.Vector3(movement.x, 0, 0);
-                const xOnlyPosition = this.sacha.position.clone().add(xOnlyMovement);
-                sachaBox.setFromCenterAndSize(xOnlyPosition, sachaBounds);
-                
-                let xCanMove = true;
-                for (let obj of this.collisionObjects) {
-                    if (obj.userData.boundingBox) {
-                        obj.userData.boundingBox.setFromObject(obj);
-                        if (sachaBox.intersectsBox(obj.userData.boundingBox)) {
-                            xCanMove = false;
-                            break;
-                        }
-                    }
-                }
-                
-                if (xCanMove) {
-                    this.sacha.position.copy(xOnlyPosition);
-                    if (movement.x !== 0) this.sacha.lookAt(this.sacha.position.clone().add(xOnlyMovement));
-                } else {
-                    // Try Z direction
-                    const zOnlyMovement = new THREE.Vector3(0, 0, movement.z);
-                    const zOnlyPosition = this.sacha.position.clone().add(zOnlyMovement);
-                    sachaBox.setFromCenterAndSize(zOnlyPosition, sachaBounds);
-                    
-                    let zCanMove = true;
-                    for (let obj of this.collisionObjects) {
-                        if (obj.userData.boundingBox) {
-                            obj.userData.boundingBox.setFromObject(obj);
-                            if (sachaBox.intersectsBox(obj.userData.boundingBox)) {
-                                zCanMove = false;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    if (zCanMove) {
-                        this.sacha.position.copy(zOnlyPosition);
-                        if (movement.z !== 0) this.sacha.lookAt(this.sacha.position.clone().add(zOnlyMovement));
-                    }
-                }
+        // Zone names (the minimap only names the zone she is in)
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        if (full) {
+            context.font = this.canvasFont(Math.max(12, Math.round(view.scale * 8)), true);
+            this.parkLayout.zones.filter(zone => zone.mapLabel).forEach(zone => {
+                const point = this.worldToMap(view, zone.origin.x, zone.origin.z);
+                this.drawMapText(context, this.translateText(zone.name), point.x, point.y, '#ffd700');
+            });
+        }
+        
+        this.getMapMarkers().forEach(marker => {
+            let point = this.worldToMap(view, marker.x, marker.z);
+            const inside = point.x >= 0 && point.x <= view.width && point.y >= 0 && point.y <= view.height;
+            if (!inside) {
+                // Chests still to find are pinned to the minimap's edge, pointing the way
+                if (marker.type !== 'treasure' || marker.collected) return;
+                point = {
+                    x: Math.max(8, Math.min(view.width - 8, point.x)),
+                    y: Math.max(8, Math.min(view.height - 8, point.y))
+                };
             }
-            
-            // Running animation for Sacha
-            const time = this.clock.getElapsedTime();
-            this.sacha.position.y = 1.35 + Math.sin(time * 12) * 0.05; // Faster bounce when running
-            this.animateSachaMovement(time, true); // true = running
-            
-        } else if (distanceToMina > followDistance) {
-            // Walk to follow at normal distance
-            const direction = new THREE.Vector3()
-                .subVectors(this.mina.position, this.sacha.position)
-                .normalize();
-            
-            const movement = direction.multiplyScalar(walkSpeed * deltaTime);
-            const newPosition = this.sacha.position.clone().add(movement);
-            
-            // Same collision detection as above
-            const sachaBox = new THREE.Box3();
-            const sachaBounds = new THREE.Vector3(0.5, 1.8, 0.5);
-            sachaBox.setFromCenterAndSize(newPosition, sachaBounds);
-            
-            let canMove = true;
-            for (let obj of this.collisionObjects) {
-                if (obj.userData.boundingBox) {
-                    obj.userData.boundingBox.setFromObject(obj);
-                    if (sachaBox.intersectsBox(obj.userData.boundingBox)) {
-                        canMove = false;
-                        break;
-                    }
-                }
+            this.drawMapMarker(context, marker, point, full);
+        });
+        
+        if (!full) {
+            const zone = this.getZoneAt(this.getActiveCharacter().position);
+            if (zone) {
+                context.font = this.canvasFont(12, true);
+                this.drawMapText(context, this.translateText(zone.name), view.width / 2, view.height - 10, '#ffffff');
             }
-            
-            if (canMove) {
-                this.sacha.position.copy(newPosition);
-                this.sacha.lookAt(this.mina.position);
-            } else {
-                // Same wall sliding logic as catchup
-                const xOnlyMovement = new THREE.Vector3(movement.x, 0, 0);
-                const xOnlyPosition = this.sacha.position.clone().add(xOnlyMovement);
-                sachaBox.setFromCenterAndSize(xOnlyPosition, sachaBounds);
-                
-                let xCanMove = true;
-                for (let obj of this.collisionObjects) {
-                    if (obj.userData.boundingBox) {
-                        obj.userData.boundingBox.setFromObject(obj);
-                        if (sachaBox.intersectsBox(obj.userData.boundingBox)) {
-                            xCanMove = false;
-                            break;
-                        }
-                    }
+        }
+    }
+    
+    drawMapMarker(context, marker, point, full) {
+        switch (marker.type) {
+            case 'ride':
+                context.font = this.canvasFont(full ? 18 : 14);
+                context.fillText('🎢', point.x, point.y);
+                if (full) {
+                    context.font = this.canvasFont(11);
+                    this.drawMapText(context, this.translateText(marker.label), point.x, point.y + 14, '#ffffff');
                 }
-                
-                if (xCanMove) {
-                    this.sacha.position.copy(xOnlyPosition);
-                    if (movement.x !== 0) this.sacha.lookAt(this.sacha.position.clone().add(xOnlyMovement));
+                break;
+            case 'treasure':
+                context.font = this.canvasFont(full ? 16 : 13, true);
+                if (marker.collected) {
+                    this.drawMapText(context, '✔', point.x, point.y, '#aaaaaa');
                 } else {
-                    const zOnlyMovement = new THREE.Vector3(0, 0, movement.z);
-                    const zOnlyPosition = this.sacha.position.clone().add(zOnlyMovement);
-                    sachaBox.setFromCenterAndSize(zOnlyPosition, sachaBounds);
-                    
-                    let zCanMove = true;
-                    for (let obj of this.collisionObjects) {
-                        if (obj.userData.boundingBox) {
-                            obj.userData.boundingBox.setFromObject(obj);
-                            if (sachaBox.intersectsBox(obj.userData.boundingBox)) {
-                                zCanMove = false;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    if (zCanMove) {
-                        this.sacha.position.copy(zOnlyPosition);
-                        if (movement.z !== 0) this.sacha.lookAt(this.sacha.position.clone().add(zOnlyMovement));
-                    }
+                    this.drawMapText(context, '?', point.x, point.y, '#ffd700');
                 }
+                break;
+            case 'mummy':
+                context.fillStyle = '#ff0000';
+                context.beginPath();
+                context.arc(point.x, point.y, full ? 5 : 4, 0, Math.PI * 2);
+                context.fill();
+                break;
+            case 'girl': {
+                // An arrow pointing the way she faces
+                const size = full ? 9 : 7;
+                context.save();
+                context.translate(point.x, point.y);
+                context.rotate(Math.PI - marker.heading);
+                context.beginPath();
+                context.moveTo(0, -size);
+                context.lineTo(size * 0.7, size * 0.7);
+                context.lineTo(-size * 0.7, size * 0.7);
+                context.closePath();
+                context.fillStyle = marker.label === 'Mina' ? '#ff69b4' : '#9370db';
+                context.fill();
+                context.lineWidth = 2;
+                context.strokeStyle = marker.active ? '#ffffff' : '#333333';
+                context.stroke();
+                context.restore();
+                break;
             }
-            
-            // Walking animation for Sacha
-            const time = this.clock.getElapsedTime();
-            this.sacha.position.y = 1.35 + Math.sin(time * 8) * 0.03; // Normal walking bounce
-            this.animateSachaMovement(time, false); // false = walking
-            
+        }
+    }
+    
+    drawMapText(context, text, x, y, color) {
+        // Dark outline so labels read over any part of the park
+        context.lineWidth = 3;
+        context.strokeStyle = 'rgba(0,0,0,0.8)';
+        context.strokeText(text, x, y);
+        context.fillStyle = color;
+        context.fillText(text, x, y);
+    }
+    
+    updateMaps() {
+        if (!this.parkLayout.data || !this.mina) return;
+        const minimap = this.getElement('minimap');
+        if (minimap) this.drawMap(minimap, false);
+        if (this.mapSystem.open) this.drawMap(this.getElement('fullMap'), true);
+    }
+    
+    toggleMap() {
+        const panel = this.getElement('mapPanel');
+        if (!panel) return;
+        
+        this.mapSystem.open = !this.mapSystem.open;
+        panel.style.display = this.mapSystem.open ? 'block' : 'none';
+        
+        if (this.mapSystem.open) {
+            // As big as fits on the screen, leaving room for the hint underneath
+            const canvas = this.getElement('fullMap');
+            const size = Math.floor(Math.min(window.innerWidth * 0.9, window.innerHeight * 0.8));
+            canvas.width = size;
+            canvas.height = size;
+        }
+    }
+    
+    // ===== REPLAYS =====
+    
+    createReplayRecording() {
+        return {
+            inputs: [], // [tick, control bits, stick positions if any] whenever the input changes
+            camera: [], // [tick, horizontal, vertical] whenever the camera turns
+            track: [], // [x, z, heading] of Mina every trackInterval ticks
+            events: [], // [tick, type, detail] for treasures, wins and losses
+            lastInput: '0', // The last input entry, joined up for comparing
+            lastCamera: [0, 0]
+        };
+    }
+    
+    takePendingReplay() {
+        // A replay chosen before the reload that restarted the park with its seed
+        if (this.headless) return null;
+        try {
+            const stored = sessionStorage.getItem(this.replaySystem.pendingKey);
+            if (!stored) return null;
+            sessionStorage.removeItem(this.replaySystem.pendingKey);
+            return JSON.parse(stored);
+        } catch (error) {
+            console.error('Could not read the pending replay:', error);
+            return null;
+        }
+    }
+    
+    queueReplay(replay, action, seekTarget = 0) {
+        // Replays need a fresh park built from their seed, so hand the file over and reload
+        try {
+            sessionStorage.setItem(this.replaySystem.pendingKey, JSON.stringify({ action, replay, seekTarget }));
+        } catch (error) {
+            console.error('sessionStorage is not available:', error);
+            this.showNPCDialogue(this.t('replay.speaker'), this.t('replay.storageFailed'));
+            return;
+        }
+        
+        const params = new URLSearchParams(window.location.search);
+        params.set('seed', replay.seed);
+        if (replay.layout) params.set('layout', replay.layout);
+        // The chests have to be shuffled (or not) the same way as in the recording
+        if (replay.treasures === 'random') {
+            params.set('treasures', 'random');
         } else {
-            // Sacha is close enough, just idle animation
-            const time = this.clock.getElapsedTime();
-            this.sacha.position.y = 1.35 + Math.sin(time * 2) * 0.01; // Gentle breathing
-            
-            // Look at Mina occasionally when idle
-            if (Math.sin(time * 0.5) > 0.8) {
-                this.sacha.lookAt(this.mina.position);
-            }
+            params.delete('treasures');
         }
+        window.location.search = params.toString();
     }
     
-    animateSachaMovement(time, isRunning) {
-        // Find Sacha's limbs for animation
-        if (this.sacha.children.length > 4) {
-            const leftArm = this.sacha.children.find(child => child.position.x < -0.2 && child.position.y > 0.3);
-            const rightArm = this.sacha.children.find(child => child.position.x > 0.2 && child.position.y > 0.3);
-            const leftLeg = this.sacha.children.find(child => child.position.x < -0.05 && child.position.y < 0);
-            const rightLeg = this.sacha.children.find(child => child.position.x > 0.05 && child.position.y < 0);
-            
-            const animSpeed = isRunning ? 10 : 6; // Faster animation when running
-            const animIntensity = isRunning ? 0.7 : 0.5; // More dramatic movement when running
-            
-            if (leftArm) leftArm.rotation.x = Math.sin(time * animSpeed) * animIntensity;
-            if (rightArm) rightArm.rotation.x = -Math.sin(time * animSpeed) * animIntensity;
-            if (leftLeg) leftLeg.rotation.x = -Math.sin(time * animSpeed) * (animIntensity * 0.6);
-            if (rightLeg) rightLeg.rotation.x = Math.sin(time * animSpeed) * (animIntensity * 0.6);
+    startPendingReplay() {
+        const pending = this.replaySystem.pending;
+        this.replaySystem.pending = null;
+        if (!pending) return;
+        
+        try {
+            this.validateReplay(pending.replay);
+            this.migrateReplay(pending.replay);
+        } catch (error) {
+            console.error(error.message);
+            this.showNPCDialogue(this.t('replay.speaker'), this.t('replay.unusable'));
+            return;
+        }
+        if (pending.replay.layout && this.parkLayout.url && pending.replay.layout !== this.parkLayout.url) {
+            console.warn(`🎬 Replay was recorded in ${pending.replay.layout} but the park is ${this.parkLayout.url}`);
+        }
+        
+        if (pending.action === 'ghost') {
+            this.startReplayGhost(pending.replay);
+        } else {
+            this.startReplayPlayback(pending.replay, pending.seekTarget);
         }
     }
     
-    updateMonsters(deltaTime) {
-        this.gameState.monstersNearby = 0;
-        const currentTime = this.clock.getElapsedTime();
+    validateReplay(replay) {
+        const errors = [];
+        const isTickList = (list, length) => Array.isArray(list) && list.every(entry => Array.isArray(entry) && entry.length >= length && Number.isInteger(entry[0]));
         
-        this.monsters.forEach((monster, index) => {
-            const distanceToMina = monster.position.distanceTo(this.mina.position);
-            const distanceToSacha = monster.position.distanceTo(this.sacha.position);
-            const minDistance = Math.min(distanceToMina, distanceToSacha);
-            
-            // Enhanced AI states: idle, patrolling, alerted, chasing, searching
-            if (!monster.userData.aiState) monster.userData.aiState = 'patrolling';
-            if (!monster.userData.lastSeenTarget) monster.userData.lastSeenTarget = null;
-            if (!monster.userData.searchTime) monster.userData.searchTime = 0;
-            if (!monster.userData.alertLevel) monster.userData.alertLevel = 0;
-            
-            // Determine target (closer of Mina or Sacha)
-            const target = distanceToMina < distanceToSacha ? this.mina : this.sacha;
-            const targetDistance = minDistance;
+        if (!replay || replay.format !== this.replaySystem.format) {
+            throw new Error('Invalid replay: not a Mina\'s USS Adventure replay file');
+        }
+        if (!Number.isInteger(replay.version) || replay.version > this.replaySystem.version) errors.push(`version ${replay.version} is newer than this game understands`);
+        if (!Number.isInteger(replay.seed) || replay.seed < 0) errors.push('seed must be a whole number');
+        if (replay.fixedStep !== this.gameClock.fixedStep) errors.push(`recorded at ${replay.fixedStep}s ticks, this game runs ${this.gameClock.fixedStep}s ticks`);
+        if (!Number.isInteger(replay.ticks) || replay.ticks < 0) errors.push('ticks must be a whole number');
+        if (!isTickList(replay.inputs, 2)) errors.push('inputs must be a list of [tick, controls]');
+        if (!isTickList(replay.camera, 3)) errors.push('camera must be a list of [tick, horizontal, vertical]');
+        if (!Array.isArray(replay.track)) errors.push('track must be a list of [x, z, heading]');
+        if (!isTickList(replay.events, 2)) errors.push('events must be a list of [tick, type]');
+        
+        if (errors.length > 0) {
+            throw new Error(`Invalid replay:\n- ${errors.join('\n- ')}`);
+        }
+    }
+    
+    migrateReplay(replay) {
+        // Version 1 packed five controls per player: move each field to where version 2 keeps it
+        if (replay.version === 1) {
+            const replaySystem = this.replaySystem;
+            replay.inputs = replay.inputs.map(([tick, bits]) => [tick,
+                (bits & 31) |
+                ((bits >> 5) & 31) << replaySystem.coopShift |
+                ((bits & 1024) ? replaySystem.playerBits.sachaActive : 0) |
+                ((bits & 2048) ? replaySystem.playerBits.coop : 0) |
+                (bits >> 12) << replaySystem.personalityShift
+            ]);
+            replay.version = 2;
+        }
+        return replay;
+    }
+    
+    exportReplay() {
+        // The run so far as a replay file (or the replay being watched)
+        const replaySystem = this.replaySystem;
+        if (replaySystem.mode === 'playback') return replaySystem.playback.replay;
+        if (replaySystem.mode !== 'recording') return null;
+        
+        const recording = replaySystem.recording;
+        return {
+            format: replaySystem.format,
+            version: replaySystem.version,
+            seed: this.randomSystem.seed,
+            layout: this.parkLayout.url,
+            treasures: this.treasurePlacement.mode,
+            fixedStep: this.gameClock.fixedStep,
+            ticks: this.gameClock.tick,
+            recordedAt: new Date().toISOString(),
+            inputs: recording.inputs,
+            camera: recording.camera,
+            track: recording.track,
+            events: recording.events
+        };
+    }
+    
+    downloadReplay() {
+        const replay = this.exportReplay();
+        if (!replay) return;
+        
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `mina-replay-${replay.seed}-${replay.ticks}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    readReplayFile(file, action) {
+        file.text()
+            .then(text => {
+                const replay = JSON.parse(text);
+                this.validateReplay(replay);
+                this.queueReplay(replay, action);
+            })
+            .catch(error => {
+                console.error(error.message);
+                this.showNPCDialogue(this.t('replay.speaker'), this.t('replay.unusable'));
+            });
+    }
+    
+    updateReplayInput() {
+        // Runs at the start of every tick, before anything reads the controls
+        const replaySystem = this.replaySystem;
+        const tick = this.gameClock.tick;
+        
+        if (replaySystem.mode === 'playback') {
+            const playback = replaySystem.playback;
+            const replay = playback.replay;
+            while (playback.inputIndex < replay.inputs.length && replay.inputs[playback.inputIndex][0] <= tick) {
+                playback.input = replay.inputs[playback.inputIndex++].slice(1);
+            }
+            while (playback.cameraIndex < replay.camera.length && replay.camera[playback.cameraIndex][0] <= tick) {
+                playback.camera = replay.camera[playback.cameraIndex++];
+            }
             
-            // Update AI state based on distance and line of sight
-            if (targetDistance < monster.userData.detectionRadius) {
-                this.gameState.monstersNearby++;
-                
-                // Check for obstacles (simple line of sight)
-                const hasLineOfSight = this.checkLineOfSight(monster.position, target.position);
-                
-                if (hasLineOfSight && targetDistance < monster.userData.detectionRadius * 0.8) {
-                    monster.userData.aiState = 'chasing';
-                    monster.userData.lastSeenTarget = target.position.clone();
-                    monster.userData.alertLevel = Math.min(monster.userData.alertLevel + deltaTime, 3);
-                } else if (monster.userData.aiState !== 'chasing') {
-                    monster.userData.aiState = 'alerted';
-                    monster.userData.alertLevel = Math.min(monster.userData.alertLevel + deltaTime * 0.5, 2);
+            // Restarts, riddle answers, conversation replies and queue choices happened between ticks, after the tick they were recorded on
+            while (playback.eventIndex < replay.events.length && replay.events[playback.eventIndex][0] < tick) {
+                const event = replay.events[playback.eventIndex++];
+                if (event[1] === 'restart') {
+                    this.resetRun();
+                    this.setGameState('playing');
+                } else if (event[1] === 'answer') {
+                    this.resolveRiddle(event[2]);
+                } else if (event[1] === 'dialogue') {
+                    this.resolveDialogue(event[2]);
+                } else if (event[1] === 'ride') {
+                    this.resolveRideChoice(event[2]);
                 }
-            } else if (monster.userData.aiState === 'chasing' && monster.userData.lastSeenTarget) {
-                // Lost sight, enter search mode
-                monster.userData.aiState = 'searching';
-                monster.userData.searchTime = 5; // Search for 5 seconds
             }
             
-            // Execute AI behavior based on state
-            switch (monster.userData.aiState) {
-                case 'chasing':
-                    this.monsterChase(monster, target, deltaTime);
-                    break;
-                case 'searching':
-                    this.monsterSearch(monster, deltaTime);
-                    break;
-                case 'alerted':
-                    this.monsterAlerted(monster, target, deltaTime);
-                    break;
-                case 'patrolling':
-                default:
-                    this.monsterPatrol(monster, deltaTime);
-                    break;
-            }
+            // Overwrite whatever the keys and gamepads asked for this tick
+            const [bits, ...sticks] = playback.input;
+            const playerBits = replaySystem.playerBits;
+            this.setPlayerMode((bits & playerBits.sachaActive) ? 'sacha' : 'mina', (bits & playerBits.coop) !== 0);
+            this.setCompanionPersonality(this.replayPersonality(bits));
+            this.inputSystem.players.forEach((actions, player) => {
+                const held = control => (bits & (replaySystem.controlBits[control] << player * replaySystem.coopShift)) !== 0;
+                const axis = (negative, positive, stick) => sticks.length > 0
+                    ? stick / this.inputSystem.movePrecision
+                    : (held(positive) ? 1 : 0) - (held(negative) ? 1 : 0);
+                actions.moveX = axis('left', 'right', sticks[player * 2]);
+                actions.moveZ = axis('forward', 'backward', sticks[player * 2 + 1]);
+                actions.run = held('run');
+                actions.interact = held('interact');
+                actions.jump = held('jump');
+            });
+            this.cameraRotation.horizontal = playback.camera[1] / replaySystem.cameraPrecision;
+            this.cameraRotation.vertical = playback.camera[2] / replaySystem.cameraPrecision;
+        } else if (replaySystem.mode === 'recording') {
+            const recording = replaySystem.recording;
+            const players = this.inputSystem.players;
+            let bits = 0;
+            players.forEach((actions, player) => {
+                const held = {
+                    forward: actions.moveZ < 0,
+                    backward: actions.moveZ > 0,
+                    left: actions.moveX < 0,
+                    right: actions.moveX > 0,
+                    run: actions.run,
+                    interact: actions.interact,
+                    jump: actions.jump
+                };
+                Object.entries(replaySystem.controlBits).forEach(([control, bit]) => {
+                    if (held[control]) bits |= bit << player * replaySystem.coopShift;
+                });
+            });
+            if (this.playerSystem.active === 'sacha') bits |= replaySystem.playerBits.sachaActive;
+            if (this.playerSystem.coop) bits |= replaySystem.playerBits.coop;
+            const personalities = Object.keys(this.companionSystem.personalities);
+            bits |= personalities.indexOf(this.companionSystem.personality) << replaySystem.personalityShift;
             
-            // Group coordination - monsters communicate
-            if (monster.userData.aiState === 'chasing' || monster.userData.aiState === 'alerted') {
-                this.alertNearbyMonsters(monster, index, target.position);
+            // Stick positions are only stored while a stick is part of the way over: keys are all in the bits
+            const moves = players.flatMap(actions => [actions.moveX, actions.moveZ]);
+            const input = moves.every(move => Number.isInteger(move))
+                ? [bits]
+                : [bits, ...moves.map(move => Math.round(move * this.inputSystem.movePrecision))];
+            if (input.join(',') !== recording.lastInput) {
+                recording.inputs.push([tick, ...input]);
+                recording.lastInput = input.join(',');
             }
             
-            // Check if monster caught player
-            if (targetDistance < 2) {
-                this.gameState.health -= (10 + monster.userData.alertLevel * 5) * deltaTime;
-                if (this.gameState.health <= 0) {
-                    this.gameOver();
-                }
+            const horizontal = Math.round(this.cameraRotation.horizontal * replaySystem.cameraPrecision);
+            const vertical = Math.round(this.cameraRotation.vertical * replaySystem.cameraPrecision);
+            if (horizontal !== recording.lastCamera[0] || vertical !== recording.lastCamera[1]) {
+                recording.camera.push([tick, horizontal, vertical]);
+                recording.lastCamera = [horizontal, vertical];
             }
-            
-            // Enhanced monster animations based on state
-            this.animateMonster(monster, currentTime, deltaTime);
-            
-            // Gradually reduce alert level when not actively chasing
-            if (monster.userData.aiState !== 'chasing' && monster.userData.aiState !== 'alerted') {
-                monster.userData.alertLevel = Math.max(monster.userData.alertLevel - deltaTime * 0.3, 0);
+        }
+    }
+    
+    replayPersonality(bits) {
+        const names = Object.keys(this.companionSystem.personalities);
+        return names[bits >> this.replaySystem.personalityShift] || names[0];
+    }
+    
+    updateReplayTrack() {
+        // Where Mina ended up: recorded for ghosts, compared when watching to spot desyncs
+        const replaySystem = this.replaySystem;
+        const tick = this.gameClock.tick;
+        if (replaySystem.mode === 'off' || !this.mina || tick % replaySystem.trackInterval !== 0) return;
+        
+        const direction = this.mina.getWorldDirection(new THREE.Vector3());
+        const round = value => Math.round(value * 100) / 100;
+        const sample = [round(this.mina.position.x), round(this.mina.position.z), round(Math.atan2(direction.x, direction.z))];
+        
+        if (replaySystem.mode === 'recording') {
+            replaySystem.recording.track.push(sample);
+            return;
+        }
+        
+        const playback = replaySystem.playback;
+        const expected = playback.replay.track[tick / replaySystem.trackInterval - 1];
+        if (expected && playback.desyncTick === null &&
+            Math.max(Math.abs(expected[0] - sample[0]), Math.abs(expected[1] - sample[1])) > 0.02) {
+            playback.desyncTick = tick;
+            console.warn(`🎬 Replay desynced at tick ${tick} (${this.formatReplayTime(tick)}): Mina is at ${sample[0]}, ${sample[1]} but was recorded at ${expected[0]}, ${expected[1]}`);
+        }
+    }
+    
+    recordReplayEvent(type, detail) {
+        const replaySystem = this.replaySystem;
+        const tick = this.gameClock.tick;
+        if (replaySystem.mode === 'recording') {
+            replaySystem.recording.events.push(detail === undefined ? [tick, type] : [tick, type, detail]);
+        }
+        if (replaySystem.ghost) this.compareWithGhost(type, tick);
+    }
+    
+    formatReplayTime(ticks) {
+        const seconds = ticks * this.gameClock.fixedStep;
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+    
+    startReplayPlayback(replay, seekTarget = 0) {
+        this.replaySystem.mode = 'playback';
+        this.replaySystem.playback = {
+            replay: replay,
+            inputIndex: 0,
+            cameraIndex: 0,
+            eventIndex: 0,
+            input: [0], // Control bits, then stick positions if the entry has them
+            camera: [0, 0, 0],
+            paused: false,
+            speed: 1,
+            seekTarget: seekTarget > 0 ? Math.min(seekTarget, replay.ticks) : null, // Fast-forwarding to this tick
+            scrubbing: false, // Seek slider is being dragged
+            desyncTick: null
+        };
+        
+        // The companion has to behave as she did in the recording from the very first tick
+        const firstInput = replay.inputs.length > 0 && replay.inputs[0][0] <= 1 ? replay.inputs[0][1] : 0;
+        this.companionSystem.personality = this.replayPersonality(firstInput);
+        
+        console.log(`🎬 Watching replay: seed ${replay.seed}, ${this.formatReplayTime(replay.ticks)} recorded ${replay.recordedAt}`);
+        this.showNPCDialogue(this.t('replay.speaker'), this.t('replay.watching', { time: this.formatReplayTime(replay.ticks) }));
+    }
+    
+    stopReplayPlayback() {
+        // Back to a normal game with a fresh seed
+        const params = new URLSearchParams(window.location.search);
+        params.delete('seed');
+        window.location.search = params.toString();
+    }
+    
+    setReplayPaused(paused) {
+        const playback = this.replaySystem.playback;
+        if (!playback) return;
+        
+        // Pressing play at the end starts the replay over
+        if (!paused && this.replayAtEnd()) {
+            this.seekReplay(0);
+            return;
+        }
+        playback.paused = paused;
+    }
+    
+    seekReplay(tick) {
+        const playback = this.replaySystem.playback;
+        if (!playback) return;
+        
+        tick = Math.max(0, Math.min(playback.replay.ticks, Math.round(tick)));
+        if (tick >= this.gameClock.tick) {
+            playback.seekTarget = tick;
+        } else {
+            // The simulation only runs forwards: rebuild the park and fast-forward from the start
+            this.queueReplay(playback.replay, 'watch', tick);
+        }
+    }
+    
+    runReplaySeek() {
+        // Fast-forward a slice at a time so the page keeps responding during long seeks
+        const playback = this.replaySystem.playback;
+        if (!playback || playback.seekTarget === null) return false;
+        
+        const deadline = performance.now() + 25;
+        while (this.gameClock.tick < playback.seekTarget && performance.now() < deadline) {
+            this.stepSimulation();
+        }
+        if (this.gameClock.tick >= playback.seekTarget) playback.seekTarget = null;
+        return true;
+    }
+    
+    replayTimeScale() {
+        // How fast game time passes compared to real time
+        const playback = this.replaySystem.playback;
+        if (!playback) return 1;
+        return playback.paused || playback.seekTarget !== null ? 0 : playback.speed;
+    }
+    
+    replayAtEnd() {
+        const playback = this.replaySystem.playback;
+        return !!playback && this.gameClock.tick >= playback.replay.ticks;
+    }
+    
+    finishReplayPlayback() {
+        const playback = this.replaySystem.playback;
+        if (playback.paused) return;
+        
+        playback.paused = true;
+        this.gameClock.accumulator = 0;
+        console.log('🎬 Replay finished');
+        this.showNPCDialogue(this.t('replay.speaker'), this.t('replay.ended'));
+    }
+    
+    startReplayGhost(replay) {
+        if (replay.track.length === 0) return;
+        
+        const ghost = this.createCharacter('Ghost', this.minaPosition, 0xffffff, 0xaaddff, 0xaaddff);
+        ghost.traverse(child => {
+            child.castShadow = false;
+            if (child.material) {
+                child.material.transparent = true;
+                child.material.opacity = 0.35;
+                child.material.depthWrite = false;
             }
         });
+        
+        // Race the ghost's final attempt if it restarted along the way
+        const restarts = replay.events.filter(event => event[1] === 'restart');
+        const startTick = restarts.length > 0 ? restarts[restarts.length - 1][0] : 0;
+        this.replaySystem.ghost = { replay: replay, mesh: ghost, startTick: startTick };
+        
+        const events = this.ghostRunEvents();
+        const won = events.find(event => event[1] === 'won');
+        const target = won
+            ? this.t('ghost.targetWon', { time: this.formatReplayTime(won[0] - startTick) })
+            : this.t('ghost.targetTreasures', { count: events.filter(event => event[1] === 'treasure').length });
+        this.showNPCDialogue(this.t('ghost.speaker'), this.t('ghost.race', { target: target }));
+    }
+    
+    updateReplayGhost() {
+        // Drawn between recorded samples, at the same point in time as the live run
+        const ghost = this.replaySystem.ghost;
+        if (!ghost) return;
+        
+        const clock = this.gameClock;
+        const track = ghost.replay.track;
+        const ghostTick = ghost.startTick + clock.tick - this.stateMachine.runStartTick;
+        const position = (ghostTick + clock.accumulator / clock.fixedStep) / this.replaySystem.trackInterval - 1;
+        const index = Math.max(0, Math.min(track.length - 1, Math.floor(position)));
+        const from = track[index];
+        const to = track[Math.min(track.length - 1, index + 1)];
+        const t = Math.max(0, Math.min(1, position - index));
+        
+        ghost.mesh.position.set(from[0] + (to[0] - from[0]) * t, this.minaPosition.y, from[1] + (to[1] - from[1]) * t);
+        ghost.mesh.rotation.set(0, from[2], 0);
+    }
+    
+    ghostRunEvents() {
+        const ghost = this.replaySystem.ghost;
+        return ghost.replay.events.filter(event => event[0] > ghost.startTick); // Events on the restart tick belong to the run before
+    }
+    
+    compareWithGhost(type, tick) {
+        // Speedrun splits: each treasure and the finish against the same moment of the ghost run
+        const ghost = this.replaySystem.ghost;
+        const events = this.ghostRunEvents();
+        const runTicks = tick - this.stateMachine.runStartTick;
+        let label, ghostEvent;
+        if (type === 'treasure') {
+            const count = this.gameState.treasuresFound;
+            label = this.t('ghost.treasure', { count: count });
+            ghostEvent = events.filter(event => event[1] === 'treasure')[count - 1];
+        } else if (type === 'won') {
+            label = this.t('ghost.finish');
+            ghostEvent = events.find(event => event[1] === 'won');
+        } else {
+            return;
+        }
+        
+        const time = this.formatReplayTime(runTicks);
+        if (!ghostEvent) {
+            this.showNPCDialogue(this.t('ghost.speaker'), this.t('ghost.further', { label: label, time: time }));
+            return;
+        }
+        const difference = (runTicks - (ghostEvent[0] - ghost.startTick)) * this.gameClock.fixedStep;
+        const key = difference <= 0 ? 'ghost.ahead' : 'ghost.behind';
+        this.showNPCDialogue(this.t('ghost.speaker'), this.t(key, { label: label, time: time, seconds: Math.abs(difference).toFixed(1) }));
+    }
+    
+    toggleReplayPanel() {
+        const panel = this.getElement('replayPanel');
+        if (!panel) return;
+        
+        this.replaySystem.panelOpen = !this.replaySystem.panelOpen;
+        panel.style.display = this.replaySystem.panelOpen ? 'block' : 'none';
+        
+        if (this.replaySystem.panelOpen) {
+            // Free the mouse so the controls can be used
+            if (document.pointerLockElement) document.exitPointerLock();
+            this.updateReplayPanel();
+        }
+    }
+    
+    setupReplayPanel() {
+        const element = id => document.getElementById(id);
+        if (!element('replayPanel')) return;
+        
+        element('replayDownload').addEventListener('click', () => this.downloadReplay());
+        [['replayWatchFile', 'watch'], ['replayGhostFile', 'ghost']].forEach(([id, action]) => {
+            element(id).addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.readReplayFile(e.target.files[0], action);
+                e.target.value = '';
+            });
+        });
+        element('replayPlayPause').addEventListener('click', () => {
+            const playback = this.replaySystem.playback;
+            if (playback) this.setReplayPaused(!playback.paused);
+        });
+        element('replaySpeed').addEventListener('change', (e) => {
+            if (this.replaySystem.playback) this.replaySystem.playback.speed = Number(e.target.value);
+        });
+        element('replaySeek').addEventListener('input', (e) => {
+            if (this.replaySystem.playback) this.replaySystem.playback.scrubbing = true;
+            element('replayTime').textContent = this.formatReplayTime(Number(e.target.value));
+        });
+        element('replaySeek').addEventListener('change', (e) => {
+            if (this.replaySystem.playback) this.replaySystem.playback.scrubbing = false;
+            this.seekReplay(Number(e.target.value));
+        });
+        element('replayStop').addEventListener('click', () => this.stopReplayPlayback());
+        
+        // Keep clicks in the panel from grabbing the mouse
+        element('replayPanel').addEventListener('click', (e) => e.stopPropagation());
     }
     
-    monsterChase(monster, target, deltaTime) {
-        // Aggressive chase with predictive movement
-        const futureTargetPos = target.position.clone();
-        if (target.userData && target.userData.velocity) {
-            futureTargetPos.add(target.userData.velocity.clone().multiplyScalar(0.3));
+    updateReplayPanel() {
+        if (!this.replaySystem.panelOpen) return;
+        
+        const replaySystem = this.replaySystem;
+        const playback = replaySystem.playback;
+        const element = id => document.getElementById(id);
+        
+        let status;
+        if (playback) {
+            status = this.t('replay.status.watching', { seed: playback.replay.seed });
+            if (playback.seekTarget !== null) status += this.t('replay.status.seeking');
+            if (playback.desyncTick !== null) status += this.t('replay.status.desynced', { time: this.formatReplayTime(playback.desyncTick) });
+        } else if (replaySystem.mode === 'recording') {
+            status = this.t('replay.status.recording', { time: this.formatReplayTime(this.gameClock.tick), seed: this.randomSystem.seed });
+            if (replaySystem.ghost) status += this.t('replay.status.ghost');
+        } else {
+            status = this.t('replay.status.off');
         }
+        element('replayStatus').textContent = status;
+        element('replayDownload').disabled = replaySystem.mode === 'off';
         
-        const direction = new THREE.Vector3()
-            .subVectors(futureTargetPos, monster.position)
-            .normalize();
+        element('replayControls').style.display = playback ? 'flex' : 'none';
+        if (!playback) return;
         
-        const chaseSpeed = monster.userData.speed * (1 + monster.userData.alertLevel * 0.3);
-        monster.position.add(direction.multiplyScalar(chaseSpeed * deltaTime));
-        monster.lookAt(futureTargetPos);
+        const seek = element('replaySeek');
+        seek.max = playback.replay.ticks;
+        if (!playback.scrubbing) {
+            seek.value = this.gameClock.tick;
+            element('replayTime').textContent = `${this.formatReplayTime(this.gameClock.tick)} / ${this.formatReplayTime(playback.replay.ticks)}`;
+        }
+        element('replayPlayPause').textContent = playback.paused ? '▶' : '⏸';
+    }
+    
+    // ===== SAVE & LOAD =====
+    
+    getSaveSlot(slotId) {
+        return this.saveSystem.slots.find(slot => slot.id === slotId);
+    }
+    
+    canSaveNow() {
+        // Positions inside a moving ride vehicle can't be restored sensibly
+        if (!this.mina || this.gameState.gameOver) return false;
+        if (this.mina.parent !== this.scene || this.mina.userData.ridingVehicle) return false;
+        return true;
+    }
+    
+    createSaveData() {
+        const now = this.now();
+        const transform = character => ({
+            x: character.position.x,
+            y: character.position.y,
+            z: character.position.z,
+            rotationY: character.rotation.y
+        });
         
-        monster.userData.lastSeenTarget = target.position.clone();
+        return {
+            schemaVersion: this.saveSystem.schemaVersion,
+            savedAt: new Date().toISOString(),
+            layout: this.parkLayout.url,
+            player: {
+                mina: transform(this.mina),
+                sacha: this.sacha ? transform(this.sacha) : null,
+                cameraRotation: { horizontal: this.cameraRotation.horizontal, vertical: this.cameraRotation.vertical }
+            },
+            progress: {
+                health: this.gameState.health,
+                collectedTreasureIds: this.treasures
+                    .filter(treasure => treasure.userData.collected)
+                    .map(treasure => treasure.userData.id),
+                solvedPuzzleIds: this.treasures
+                    .filter(treasure => treasure.userData.puzzle && treasure.userData.puzzle.status === 'solved')
+                    .map(treasure => treasure.userData.id),
+                treasurePositions: this.treasures.map(treasure => treasure.position.toArray()),
+                quests: this.getQuestProgress(),
+                expressPasses: this.gameState.expressPasses
+            },
+            lighting: {
+                elapsed: now - this.lightingSystem.startTime
+            },
+            // Timers are stored relative to the save time so they resume where they were
+            worldEvents: this.worldEvents.map(event => ({
+                name: event.name,
+                active: event.active,
+                startsIn: event.startTime - now
+            })),
+            interior: this.currentInterior ? this.currentInterior.name : null
+        };
     }
     
-    monsterSearch(monster, deltaTime) {
-        monster.userData.searchTime -= deltaTime;
+    saveGame(slotId) {
+        const slot = this.getSaveSlot(slotId);
+        if (!slot) {
+            console.warn(`Unknown save slot: ${slotId}`);
+            return false;
+        }
+        if (!this.canSaveNow()) {
+            console.warn('💾 Cannot save right now');
+            return false;
+        }
         
-        if (monster.userData.searchTime > 0 && monster.userData.lastSeenTarget) {
-            // Move towards last known position
-            const direction = new THREE.Vector3()
-                .subVectors(monster.userData.lastSeenTarget, monster.position);
-            
-            if (direction.length() > 2) {
-                direction.normalize();
-                monster.position.add(direction.multiplyScalar(monster.userData.speed * 0.7 * deltaTime));
-            } else {
-                // Reached last known position, search in circles
-                const searchRadius = 5;
-                const angle = this.clock.getElapsedTime() * 2 + monster.userData.id;
-                const searchTarget = monster.userData.lastSeenTarget.clone();
-                searchTarget.x += Math.cos(angle) * searchRadius;
-                searchTarget.z += Math.sin(angle) * searchRadius;
-                
-                const searchDirection = new THREE.Vector3()
-                    .subVectors(searchTarget, monster.position)
-                    .normalize();
-                monster.position.add(searchDirection.multiplyScalar(monster.userData.speed * 0.5 * deltaTime));
-            }
-        } else {
-            // Give up search, return to patrolling
-            monster.userData.aiState = 'patrolling';
-            monster.userData.lastSeenTarget = null;
+        try {
+            const data = this.createSaveData();
+            localStorage.setItem(this.saveSystem.storagePrefix + slot.id, JSON.stringify(data));
+            console.log(`💾 Saved game to ${slot.id}`);
+            return true;
+        } catch (error) {
+            // Storage can be full or disabled (private browsing)
+            console.error(`Error saving to ${slot.id}:`, error);
+            return false;
         }
     }
     
-    monsterAlerted(monster, target, deltaTime) {
-        // Move cautiously towards target area
-        const direction = new THREE.Vector3()
-            .subVectors(target.position, monster.position)
-            .normalize();
+    readSaveSlot(slotId) {
+        const slot = this.getSaveSlot(slotId);
+        if (!slot) return null;
+        
+        let raw;
+        try {
+            raw = localStorage.getItem(this.saveSystem.storagePrefix + slot.id);
+        } catch (error) {
+            console.error('localStorage is not available:', error);
+            return null;
+        }
+        if (!raw) return null;
         
-        monster.position.add(direction.multiplyScalar(monster.userData.speed * 0.6 * deltaTime));
-        monster.lookAt(target.position);
+        try {
+            return this.migrateSaveData(JSON.parse(raw));
+        } catch (error) {
+            console.error(`Save in ${slot.id} is unreadable:`, error);
+            return { error: error.message };
+        }
     }
     
-    monsterPatrol(monster, deltaTime) {
-        // Enhanced patrolling with waypoints
-        if (!monster.userData.patrolWaypoints) {
-            // Create patrol waypoints around spawn area
-            const spawnPos = monster.userData.spawnPosition || monster.position.clone();
-            monster.userData.patrolWaypoints = [];
-            for (let i = 0; i < 4; i++) {
-                const angle = (i / 4) * Math.PI * 2;
-                const waypoint = spawnPos.clone();
-                waypoint.x += Math.cos(angle) * 15;
-                waypoint.z += Math.sin(angle) * 15;
-                monster.userData.patrolWaypoints.push(waypoint);
+    migrateSaveData(data) {
+        if (!data || !Number.isInteger(data.schemaVersion)) {
+            throw new Error('Save data has no schema version');
+        }
+        if (data.schemaVersion > this.saveSystem.schemaVersion) {
+            throw new Error(`Save was made by a newer version of the game (schema ${data.schemaVersion})`);
+        }
+        
+        let migrated = data;
+        while (migrated.schemaVersion < this.saveSystem.schemaVersion) {
+            const migrate = this.saveSystem.migrations[migrated.schemaVersion];
+            if (!migrate) {
+                throw new Error(`No migration from save schema ${migrated.schemaVersion}`);
             }
-            monster.userData.currentWaypoint = 0;
+            migrated = migrate(migrated);
         }
         
-        const currentWaypoint = monster.userData.patrolWaypoints[monster.userData.currentWaypoint];
-        const direction = new THREE.Vector3()
-            .subVectors(currentWaypoint, monster.position);
+        if (!migrated.player || !migrated.player.mina || !migrated.progress) {
+            throw new Error('Save data is missing player or progress information');
+        }
+        return migrated;
+    }
+    
+    loadGame(slotId) {
+        const data = this.readSaveSlot(slotId);
+        if (!data || data.error) {
+            console.warn(`💾 Nothing to load from ${slotId}`);
+            return false;
+        }
         
-        if (direction.length() < 3) {
-            // Reached waypoint, move to next
-            monster.userData.currentWaypoint = (monster.userData.currentWaypoint + 1) % monster.userData.patrolWaypoints.length;
-        } else {
-            direction.normalize();
-            monster.position.add(direction.multiplyScalar(monster.userData.speed * 0.4 * deltaTime));
+        this.saveSystem.applying = true;
+        try {
+            this.applySaveData(data);
+        } finally {
+            this.saveSystem.applying = false;
         }
+        
+        // The recorded inputs no longer lead to this state from the seed
+        if (this.replaySystem.mode === 'recording') {
+            this.replaySystem.mode = 'off';
+            console.log('🎬 Replay recording stopped: a saved game was loaded');
+        }
+        
+        console.log(`💾 Loaded game from ${slotId}`);
+        return true;
     }
     
-    alertNearbyMonsters(alertingMonster, alertingIndex, targetPosition) {
-        const alertRadius = 25;
+    applySaveData(data) {
+        const now = this.now();
+        
+        // Interior first - entering or leaving a building moves the girls
+        const interior = data.interior ? this.buildings.find(building => building.name === data.interior) || null : null;
+        if (this.currentInterior !== interior) {
+            if (this.currentInterior) this.exitBuilding();
+            if (interior) this.enterBuilding(interior);
+        }
         
-        this.monsters.forEach((monster, index) => {
-            if (index !== alertingIndex) {
-                const distance = alertingMonster.position.distanceTo(monster.position);
-                if (distance < alertRadius && monster.userData.aiState === 'patrolling') {
-                    monster.userData.aiState = 'alerted';
-                    monster.userData.lastSeenTarget = targetPosition.clone();
-                    monster.userData.alertLevel = 1;
-                }
+        const placeCharacter = (character, saved) => {
+            if (!character || !saved) return;
+            character.position.set(saved.x, saved.y, saved.z);
+            character.rotation.y = saved.rotationY || 0;
+            this.resetVerticalMotion(character);
+        };
+        placeCharacter(this.mina, data.player.mina);
+        placeCharacter(this.sacha, data.player.sacha);
+        if (data.player.cameraRotation) {
+            this.cameraRotation.horizontal = data.player.cameraRotation.horizontal;
+            this.cameraRotation.vertical = data.player.cameraRotation.vertical;
+        }
+        
+        // Treasures, their puzzles and health
+        const collectedIds = data.progress.collectedTreasureIds || [];
+        const solvedIds = data.progress.solvedPuzzleIds || [];
+        const positions = data.progress.treasurePositions;
+        this.closeRiddle();
+        this.endConversation();
+        this.treasures.forEach(treasure => {
+            const position = positions && positions[treasure.userData.id];
+            if (position) this.moveTreasure(treasure, new THREE.Vector3().fromArray(position));
+            treasure.userData.collected = collectedIds.includes(treasure.userData.id);
+            treasure.visible = !treasure.userData.collected;
+            if (treasure.userData.puzzle) this.restorePuzzle(treasure.userData.puzzle, solvedIds.includes(treasure.userData.id));
+        });
+        this.gameState.treasuresFound = this.treasures.filter(treasure => treasure.userData.collected).length;
+        this.gameState.health = data.progress.health;
+        this.gameState.expressPasses = data.progress.expressPasses;
+        this.restoreQuestProgress(data.progress.quests);
+        
+        // The queues and the crowd belong to the run being left, as on a restart
+        this.resetRideOperations();
+        this.resetGuests();
+        
+        // Lighting progress and world event timers
+        if (data.lighting) {
+            this.lightingSystem.startTime = now - data.lighting.elapsed;
+        }
+        (data.worldEvents || []).forEach(saved => {
+            const event = this.worldEvents.find(worldEvent => worldEvent.name === saved.name);
+            if (event) {
+                event.startTime = now + saved.startsIn;
+                event.active = saved.active;
             }
         });
+        
+        // A loaded game is always playable again
+        this.gameState.gameOver = false;
+        this.gameState.gameWon = false;
+        this.showObjective('objective.find');
+        this.setGameState('playing');
+        if (this.gameState.treasuresFound >= this.gameState.totalTreasures) {
+            this.gameWon();
+        }
     }
     
-    checkLineOfSight(from, to) {
-        // Simple line of sight check (can be enhanced with raycasting)
-        const distance = from.distanceTo(to);
-        const maxRange = 30;
-        return distance < maxRange; // Simplified for now
+    autosave(reason) {
+        // Checkpoints: treasure pickups, entering and leaving buildings
+        if (this.headless || this.saveSystem.applying || this.replaySystem.mode === 'playback' || !this.canSaveNow()) return;
+        if (this.saveGame('autosave')) {
+            console.log(`💾 Autosaved (${reason})`);
+        }
     }
     
-    animateMonster(monster, currentTime, deltaTime) {
-        const baseAnimation = Math.sin(currentTime + monster.userData.id) * 0.01;
+    deleteSave(slotId) {
+        const slot = this.getSaveSlot(slotId);
+        if (!slot) return;
+        try {
+            localStorage.removeItem(this.saveSystem.storagePrefix + slot.id);
+        } catch (error) {
+            console.error('localStorage is not available:', error);
+        }
+    }
+    
+    toggleSavePanel() {
+        const panel = document.getElementById('savePanel');
+        if (!panel) return;
         
-        switch (monster.userData.aiState) {
-            case 'chasing':
-                // Aggressive movement
-                monster.rotation.y += baseAnimation * 3;
-                monster.scale.setScalar(1 + Math.sin(currentTime * 8) * 0.05);
-                break;
-            case 'alerted':
-                // Tense, looking around
-                monster.rotation.y += baseAnimation * 2;
-                monster.position.y = monster.userData.originalY + Math.sin(currentTime * 4) * 0.1;
-                break;
-            case 'searching':
-                // Quick head movements
-                monster.rotation.y += Math.sin(currentTime * 6) * 0.1;
-                break;
-            default:
-                // Calm patrolling
-                monster.rotation.y += baseAnimation;
-                monster.position.y = monster.userData.originalY + Math.sin(currentTime * 2) * 0.02;
-                break;
+        if (this.replaySystem.mode === 'playback' && !this.saveSystem.panelOpen) {
+            this.showNPCDialogue(this.t('replay.speaker'), this.t('replay.noSaving'));
+            return;
+        }
+        
+        this.saveSystem.panelOpen = !this.saveSystem.panelOpen;
+        panel.style.display = this.saveSystem.panelOpen ? 'block' : 'none';
+        
+        if (this.saveSystem.panelOpen) {
+            // Free the mouse so the slot buttons can be clicked
+            if (document.pointerLockElement) document.exitPointerLock();
+            this.renderSaveSlots();
         }
     }
     
-    checkTreasureCollection() {
-        this.treasures.forEach(treasure => {
-            if (!treasure.userData.collected) {
-                const distance = this.mina.position.distanceTo(treasure.position);
-                if (distance < 3) {
-                    treasure.userData.collected = true;
-                    treasure.visible = false;
-                    this.gameState.treasuresFound++;
-                    
-                    // Celebration animations!
-                    this.playCharacterAnimation(this.mina, 'jumping', 2000);
-                    this.playCharacterAnimation(this.sacha, 'waving', 1500);
-                    
-                    // Add a dancing celebration after the initial reaction
-                    setTimeout(() => {
-                        this.playCharacterAnimation(this.mina, 'dancing', 2500);
-                        this.playCharacterAnimation(this.sacha, 'dancing', 2500);
-                    }, 2200);
-                    
-                    console.log(`Treasure collected! ${this.gameState.treasuresFound}/${this.gameState.totalTreasures}`);
-                    
-                    if (this.gameState.treasuresFound >= this.gameState.totalTreasures) {
-                        // Epic final celebration sequence!
-                        this.playCharacterAnimation(this.mina, 'laughing', 2000);
-                        this.playCharacterAnimation(this.sacha, 'jumping', 2000);
-                        
-                        setTimeout(() => {
-                            this.playCharacterAnimation(this.mina, 'dancing', 4000);
-                            this.playCharacterAnimation(this.sacha, 'dancing', 4000);
-                        }, 2500);
-                        
-                        setTimeout(() => {
-                            this.playCharacterAnimation(this.mina, 'waving', 3000);
-                            this.playCharacterAnimation(this.sacha, 'waving', 3000);
-                        }, 7000);
-                        
-                        this.gameWon();
+    renderSaveSlots() {
+        const list = document.getElementById('saveSlots');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        this.saveSystem.slots.forEach(slot => {
+            const data = this.readSaveSlot(slot.id);
+            const row = document.createElement('div');
+            row.className = 'save-slot';
+            
+            const name = this.t(`save.slot.${slot.id}`);
+            const summary = document.createElement('div');
+            summary.className = 'save-slot-summary';
+            if (!data) {
+                summary.textContent = this.t('save.empty', { slot: name });
+            } else if (data.error) {
+                summary.textContent = this.t('save.unreadable', { slot: name, error: data.error });
+            } else {
+                summary.textContent = this.t('save.summary', {
+                    slot: name,
+                    found: data.progress.collectedTreasureIds.length,
+                    total: this.gameState.totalTreasures,
+                    health: Math.round(data.progress.health),
+                    savedAt: new Date(data.savedAt).toLocaleString(this.localization.language)
+                });
+            }
+            row.appendChild(summary);
+            
+            const addButton = (label, enabled, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.disabled = !enabled;
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    onClick();
+                    this.renderSaveSlots();
+                });
+                row.appendChild(button);
+            };
+            
+            if (slot.manual) {
+                addButton(this.t('save.save'), this.canSaveNow(), () => {
+                    if (this.saveGame(slot.id)) {
+                        this.showNPCDialogue(this.t('save.saved'), this.t('save.savedTo', { slot: name }));
                     }
-                }
+                });
             }
+            addButton(this.t('save.load'), data && !data.error, () => {
+                if (this.loadGame(slot.id)) {
+                    this.showNPCDialogue(this.t('save.loaded'), this.t('save.loadedFrom', { slot: name }));
+                    this.toggleSavePanel();
+                }
+            });
+            addButton(this.t('save.delete'), !!data, () => this.deleteSave(slot.id));
+            
+            list.appendChild(row);
         });
     }
     
-    gameWon() {
-        this.gameState.gameWon = true;
-        document.getElementById('objective').innerHTML = '🎉 CONGRATULATIONS! Mina found all treasures! 🎉';
-        document.getElementById('objective').style.color = '#00ff00';
-        console.log('Game Won!');
-    }
-    
-    gameOver() {
-        this.gameState.gameOver = true;
-        document.getElementById('objective').innerHTML = '💀 GAME OVER - The mummies caught Mina! 💀';
-        document.getElementById('objective').style.color = '#ff0000';
-        console.log('Game Over!');
+    getDebugLine() {
+        // The mouse, where Mina is, what the first player is pressing and the time of day, in the current language
+        const pos = this.mina.position;
+        const actions = this.inputSystem.players[0];
+        const move = this.t('hud.debug.move', { x: actions.moveX, z: actions.moveZ });
+        return [
+            this.t(this.mouseLocked ? 'hud.debug.mouseLocked' : 'hud.debug.mouseFree'),
+            this.t('hud.debug.position', { x: Math.round(pos.x), y: Math.round(pos.y), z: Math.round(pos.z) }),
+            this.inputSystem.gamepads.length > 0 ? `${move} ${this.t('hud.debug.gamepad')}` : move,
+            this.t('hud.debug.time', { time: this.t(`hud.time.${this.getTimeOfDay()}`) })
+        ].join(' | ');
     }
     
     updateUI() {
         document.getElementById('health').textContent = Math.max(0, Math.round(this.gameState.health));
-        document.getElementById('treasures').textContent = this.gameState.treasuresFound;
+        document.getElementById('treasures').textContent = this.t('hud.treasureCount', {
+            found: this.gameState.treasuresFound,
+            total: this.gameState.totalTreasures
+        });
         document.getElementById('monsters').textContent = this.gameState.monstersNearby;
         
         // Health bar color
@@ -5034,34 +11012,79 @@ class MinaAdventureGame {
         }
         
         // Debug info
-        if (this.mina) {
-            const pos = this.mina.position;
-            const debugElement = document.getElementById('debug-info');
-            if (debugElement) {
-                debugElement.innerHTML = `
-                    Mouse: ${this.mouseLocked ? 'Locked' : 'Click to lock'} | 
-                    Position: ${Math.round(pos.x)}, ${Math.round(pos.y)}, ${Math.round(pos.z)} |
-                    Keys: W:${this.controls.forward} A:${this.controls.left} S:${this.controls.backward} D:${this.controls.right}
-                `;
-            }
+        const debugElement = document.getElementById('debug-info');
+        if (debugElement && this.mina) debugElement.textContent = this.getDebugLine();
+        
+        // The quest under way, under the main objective
+        const questTracker = document.getElementById('questTracker');
+        if (questTracker) {
+            const questObjective = this.getQuestObjective();
+            questTracker.textContent = questObjective || '';
+            questTracker.style.display = questObjective && this.isPlaying() ? 'block' : 'none';
         }
+        
+        // What the player can do nearby (levers, riddles, locked chests)
+        const prompt = document.getElementById('interactionPrompt');
+        if (prompt) {
+            prompt.textContent = this.puzzleSystem.prompt || '';
+            prompt.style.display = this.puzzleSystem.prompt && this.isPlaying() ? 'block' : 'none';
+        }
+        
+        this.updateReplayPanel();
     }
     
     animate() {
         requestAnimationFrame(() => this.animate());
         
-        const deltaTime = this.clock.getDelta();
+        // Real frame time is banked and spent in whole fixed ticks
+        const clock = this.gameClock;
+        const frameTime = Math.min(this.clock.getDelta(), clock.maxFrameTime);
+        this.pollGamepads(frameTime);
+        this.updatePhotoCamera(frameTime);
+        this.runReplaySeek();
+        
+        // Game time stops on the title screen and pause menu; replays can also pause or change speed
+        const timeScale = this.stateMachine.timeFlows.includes(this.stateMachine.state) ? this.replayTimeScale() : 0;
+        clock.accumulator += frameTime * timeScale;
+        while (clock.accumulator >= clock.fixedStep && !this.replayAtEnd()) {
+            this.stepSimulation();
+            clock.accumulator -= clock.fixedStep;
+        }
+        if (this.replayAtEnd()) this.finishReplayPlayback();
+        
+        // Draw between the last two ticks so motion stays smooth at any frame rate
+        this.applyRenderInterpolation(clock.accumulator / clock.fixedStep);
+        this.updateReplayGhost();
         
         // Always update camera
         this.updateCamera();
         
-        // Allow movement even without mouse lock for testing
-        const allowMovement = true; // Set to true for testing
+        // Update particle effects
+        this.updateParticleEffects();
+        
+        // Update dynamic lighting
+        this.updateDynamicLighting();
+        
+        // Update speech system
+        this.updateSpeechSystem();
+        
+        this.updateAudio(frameTime);
+        
+        this.updateUI();
+        this.updateMaps();
+        this.renderer.render(this.scene, this.camera);
+        this.restoreSimulatedTransforms();
+    }
+    
+    updateSimulation(deltaTime) {
+        // One gameplay tick: everything that changes the game state, nothing that only draws it
         
-        if ((allowMovement || this.mouseLocked) && !this.gameState.gameOver && !this.gameState.gameWon) {
-            this.updateMinaMovement(deltaTime);
-            this.updateSachaMovement(deltaTime);
+        // Won, lost and paused runs keep the world ticking but stop gameplay
+        if (this.isPlaying()) {
+            this.updatePlayers(deltaTime);
             this.updateMonsters(deltaTime);
+            this.updatePuzzles();
+            this.updateQuests();
             this.checkTreasureCollection();
             
             // Update character animations
@@ -5073,66 +11096,65 @@ class MinaAdventureGame {
             
             // Update dynamic world systems
             this.updateInteractiveNPCs(deltaTime);
-            this.updateCrowds(deltaTime);
+            this.updateGuests(deltaTime);
+            this.updateRideOperations(deltaTime);
             this.updateRides(deltaTime);
             this.updateBuildingInteriors(deltaTime);
             this.updateRideVehicles(deltaTime);
             this.updateWorldEvents(deltaTime);
-        } else {
-            console.log('Movement blocked - mouseLocked:', this.mouseLocked, 'gameOver:', this.gameState.gameOver, 'gameWon:', this.gameState.gameWon);
         }
-        
-        // Always update NPCs even when game is paused
-        this.updateNPCs(deltaTime);
-        
-        // Update particle effects
-        this.updateParticleEffects();
-        
-        // Update dynamic lighting
-        this.updateDynamicLighting();
-        
-        // Update speech system
-        this.updateSpeechSystem();
-        
-        this.updateUI();
-        this.renderer.render(this.scene, this.camera);
+    }
+    
+    runTicks(ticks) {
+        // Headless driver: advance the simulation a fixed number of ticks
+        for (let i = 0; i < ticks; i++) {
+            this.stepSimulation();
+        }
+        return this.gameState;
     }
 }
 
 // Console logging disabled for production
 
-window.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, starting Mina\'s Adventure...');
-    if (typeof THREE === 'undefined') {
-        console.error('Three.js not loaded!');
-        alert('Three.js library failed to load. Check your internet connection.');
-        return;
-    }
-    console.log('Three.js version:', THREE.REVISION);
-    
-    try {
-        console.log('Creating MinaAdventureGame instance...');
-        const game = new MinaAdventureGame();
-        console.log('Mina\'s Adventure game initialized successfully!');
-        
-        // Add game to window for debugging
-        window.game = game;
-        console.log('Game object available as window.game for debugging');
-        
-        // Log Mina's status after initialization
-        setTimeout(() => {
-            if (game.mina) {
-                console.log('Mina status check - Position:', game.mina.position);
-                console.log('Mina status check - Visible:', game.mina.visible);
-                console.log('Mina status check - In scene:', game.scene.children.includes(game.mina));
-            } else {
-                console.error('Mina status check - MINA IS NULL/UNDEFINED!');
-            }
-        }, 100);
+// Node (headless tests) loads the class as a module; browsers start the game on page load
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MinaAdventureGame };
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        console.log('DOM loaded, starting Mina\'s Adventure...');
+        if (typeof THREE === 'undefined') {
+            console.error('Three.js not loaded!');
+            alert('Three.js library failed to load. Check your internet connection.');
+            return;
+        }
+        console.log('Three.js version:', THREE.REVISION);
         
-    } catch (error) {
-        console.error('Error initializing game:', error);
-        console.error('Error stack:', error.stack);
-        alert('Error starting the game: ' + error.message);
-    }
-});
\ No newline at end of file
+        try {
+            console.log('Creating MinaAdventureGame instance...');
+            const game = new MinaAdventureGame();
+            console.log('Mina\'s Adventure game initialized successfully!');
+            
+            // Add game to window for debugging
+            window.game = game;
+            console.log('Game object available as window.game for debugging');
+            
+            // Log Mina's status after initialization
+            setTimeout(() => {
+                if (game.mina) {
+                    console.log('Mina status check - Position:', game.mina.position);
+                    console.log('Mina status check - Visible:', game.mina.visible);
+                    console.log('Mina status check - In scene:', game.scene.children.includes(game.mina));
+                } else {
+                    console.error('Mina status check - MINA IS NULL/UNDEFINED!');
+                }
+            }, 100);
+            
+        } catch (error) {
+            console.error('Error initializing game:', error);
+            console.error('Error stack:', error.stack);
+            alert('Error starting the game: ' + error.message);
+        }
+    });
+}
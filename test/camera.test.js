@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function settle(game, frames = 300) {
+    // The follow camera eases towards where it wants to be
+    for (let i = 0; i < frames; i++) game.updateCamera();
+    return game.camera.position.clone();
+}
+
+test('V goes through the views, and each one places the camera its own way', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    assert.strictEqual(game.cameraSystem.mode, 'follow');
+    const behind = settle(game);
+    assert.ok(behind.z > game.mina.position.z + 5);
+    
+    game.cycleCameraMode();
+    assert.strictEqual(game.cameraSystem.mode, 'firstPerson');
+    game.updateCamera();
+    const eyes = game.mina.position.clone();
+    eyes.y += game.cameraSystem.eyeHeight;
+    assert.ok(Math.abs(game.camera.position.distanceTo(eyes) - game.cameraSystem.eyeForward) < 1e-9);
+    
+    // Orbit keeps its distance, and the wheel changes it within limits
+    game.cycleCameraMode();
+    const orbit = game.cameraSystem.orbit;
+    game.updateCamera();
+    assert.ok(Math.abs(game.camera.position.distanceTo(game.mina.position) - orbit.distance) < 1e-9);
+    game.zoomCamera(1);
+    assert.strictEqual(orbit.distance, 16 + orbit.zoomStep);
+    for (let i = 0; i < 50; i++) game.zoomCamera(-1);
+    assert.strictEqual(orbit.distance, orbit.minDistance);
+    
+    game.cycleCameraMode();
+    assert.strictEqual(game.cameraSystem.mode, 'follow');
+    assert.strictEqual(game.setCameraMode('drone'), false);
+});
+
+test('shake, sway and the danger zoom can each be turned off', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.gameState.monstersNearby = 1;
+    game.mina.userData.animations.currentState = 'scared';
+    
+    const atTime = elapsed => {
+        game.gameClock.elapsed = elapsed;
+        return settle(game);
+    };
+    assert.ok(atTime(1).distanceTo(atTime(2.3)) > 0.1);
+    assert.ok(game.camera.fov > 80);
+    
+    ['shake', 'sway', 'fov'].forEach(effect => assert.ok(game.setCameraEffect(effect, false)));
+    assert.strictEqual(game.setCameraEffect('blur', false), false);
+    assert.ok(atTime(1).distanceTo(atTime(2.3)) < 1e-6);
+    settle(game, 1000);
+    assert.ok(Math.abs(game.camera.fov - 75) < 0.01);
+});
+
+test('rides open with a cinematic rail, then hand the camera back', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const coaster = game.rideVehicles.find(vehicle => vehicle.userData.vehicleType === 'coasterCar');
+    const start = coaster.position.clone();
+    game.startRideExperience(coaster);
+    
+    assert.strictEqual(game.cameraSystem.rail.name, 'coasterCar');
+    game.updateCamera();
+    const [x, y, z] = game.cameraSystem.rails.coasterCar.points[0];
+    assert.ok(game.camera.position.distanceTo(start.clone().add(new THREE.Vector3(x, y, z))) < 1e-6);
+    
+    game.runTicks(Math.ceil(game.cameraSystem.rails.coasterCar.duration / 1000 * 60) + 1);
+    game.updateCamera();
+    assert.strictEqual(game.cameraSystem.rail, null);
+    
+    // V skips an intro without changing the view
+    game.startCameraRail('raftBoat', coaster);
+    game.cycleCameraMode();
+    assert.strictEqual(game.cameraSystem.rail, null);
+    assert.strictEqual(game.cameraSystem.mode, 'follow');
+});
+
+test('photo mode stops the game, flies anywhere and puts everything back', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    settle(game);
+    game.cameraRotation.horizontal = 0.4;
+    const mina = game.mina.position.clone();
+    
+    game.togglePhotoMode();
+    assert.strictEqual(game.stateMachine.state, 'photo');
+    assert.ok(!game.stateMachine.timeFlows.includes('photo'));
+    
+    // Forward flies the way the camera looks; the girls stay where they are
+    const from = game.camera.position.clone();
+    const look = game.getLookDirection();
+    game.controls.forward = true;
+    game.updatePhotoCamera(1);
+    game.controls.forward = false;
+    const flown = game.camera.position.clone().sub(from);
+    assert.ok(Math.abs(flown.length() - game.cameraSystem.photoSpeed) < 1e-6);
+    assert.ok(flown.normalize().distanceTo(look) < 1e-6);
+    assert.deepStrictEqual(game.mina.position.toArray(), mina.toArray());
+    
+    game.zoomCamera(-2);
+    assert.ok(game.camera.fov < 75);
+    game.cameraRotation.horizontal = 2;
+    
+    // Esc (through pause) goes back to the game as it was
+    game.togglePause();
+    assert.strictEqual(game.stateMachine.state, 'playing');
+    assert.strictEqual(game.cameraRotation.horizontal, 0.4);
+    assert.strictEqual(game.cameraSystem.photo, null);
+    assert.ok(game.camera.fov >= 75);
+});
+
+test('a wall behind her pulls the camera in front of it, and letting go eases it back', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.setCameraEffect('sway', false);
+    const mina = game.mina.position;
+    const open = settle(game);
+    
+    const wall = game.createBlock(mina.x, 10, mina.z + 5, 30, 20, 1, 0x888888);
+    const pulledIn = settle(game, 1);
+    assert.ok(pulledIn.z < wall.position.z - 0.5, `${pulledIn.z}`);
+    assert.ok(pulledIn.z > mina.z);
+    
+    // Orbit keeps out of the wall the same way
+    game.setCameraMode('orbit');
+    game.updateCamera();
+    assert.ok(game.camera.position.z < wall.position.z - 0.5);
+    
+    game.setCameraMode('follow');
+    wall.position.x += 100;
+    wall.updateMatrixWorld();
+    assert.ok(settle(game).distanceTo(open) < 1e-3);
+});
+
+test('a block hiding her fades out while it is in the way, then comes back', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.setCameraEffect('sway', false);
+    const mina = game.mina.position;
+    // Low enough for the camera to look over, too high to see her body past
+    const block = game.createBlock(mina.x, 2, mina.z + 3, 4, 4, 0.5, 0x888888);
+    settle(game);
+    assert.ok(game.camera.position.z > block.position.z + 2);
+    assert.strictEqual(block.material.transparent, true);
+    assert.ok(Math.abs(block.material.opacity - game.cameraSystem.occlusion.opacity) < 0.01);
+    
+    mina.x += 20;
+    settle(game);
+    assert.strictEqual(block.material.transparent, false);
+    assert.strictEqual(block.material.opacity, 1);
+    assert.strictEqual(game.cameraSystem.occlusion.faded.size, 0);
+});
+
+test('inside a building the camera comes in close', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.setCameraEffect('sway', false);
+    const outside = settle(game).distanceTo(game.mina.position);
+    
+    game.enterBuilding(game.buildings[0]);
+    const inside = settle(game).distanceTo(game.mina.position);
+    const interior = game.cameraSystem.interior;
+    assert.ok(outside > 12);
+    // Only the room decides how close: the park hidden outside doesn't get in the way
+    assert.ok(Math.abs(inside - Math.hypot(interior.distance, interior.height)) < 0.5, `${inside}`);
+});
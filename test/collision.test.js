@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+test('collision grid agrees with a brute-force check', () => {
+    const game = createHeadlessGame();
+    const body = game.collisionSystem.bodies.character;
+    const queryBox = new THREE.Box3();
+    const colliders = [...game.collisionObjects, ...game.collisionSystem.dynamicColliders];
+    const boxes = colliders.map(obj => new THREE.Box3().setFromObject(obj));
+    
+    for (let x = -290; x <= 290; x += 7) {
+        for (let z = -290; z <= 290; z += 7) {
+            const position = new THREE.Vector3(x, 1.35, z);
+            queryBox.setFromCenterAndSize(position, body.size);
+            const expected = boxes.some(box => queryBox.intersectsBox(box));
+            assert.strictEqual(game.collidesAt(position, body), expected, `at ${x}, ${z}`);
+        }
+    }
+});
+
+test('Mina stops at a wall instead of walking through it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    // Wall across Mina's path, its near face at z = 70
+    game.createBlock(0, 5, 69, 30, 10, 2, 0xffffff);
+    
+    game.controls.forward = true;
+    game.runTicks(120);
+    
+    assert.ok(game.mina.position.z > 70, `Mina ended up at z = ${game.mina.position.z}`);
+    assert.ok(game.mina.position.z < 71, 'Mina should be pressed up against the wall');
+});
+
+test('Mina slides along a wall when moving diagonally into it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.createBlock(0, 5, 69, 30, 10, 2, 0xffffff);
+    game.mina.position.set(0, 1.35, 70.3);
+    
+    game.controls.forward = true;
+    game.controls.right = true;
+    game.runTicks(30);
+    
+    assert.ok(game.mina.position.z > 70, 'Still in front of the wall');
+    assert.ok(game.mina.position.x > 3, 'Slid sideways along the wall');
+});
+
+test('an occupied ride vehicle does not block its riders', () => {
+    const game = createHeadlessGame();
+    const vehicle = game.rideVehicles[0];
+    const body = game.collisionSystem.bodies.character;
+    const spot = new THREE.Vector3(0, 1, 60);
+    assert.ok(!game.collidesAt(spot, body), 'Test spot should be open ground');
+    
+    vehicle.position.set(spot.x, 0, spot.z);
+    assert.ok(game.collidesAt(spot, body));
+    vehicle.userData.isOccupied = true;
+    assert.ok(!game.collidesAt(spot, body));
+});
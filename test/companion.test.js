@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function keepOneMonster(game) {
+    const [monster] = game.monsters;
+    game.monsters.slice(1).forEach(other => game.scene.remove(other));
+    game.monsters = [monster];
+    return monster;
+}
+
+test('the cautious friend runs from a mummy that gets close', () => {
+    const game = createHeadlessGame();
+    const monster = keepOneMonster(game);
+    monster.position.set(game.sacha.position.x + 8, 0, game.sacha.position.z);
+    const before = monster.position.distanceTo(game.sacha.position);
+    
+    game.runTicks(20);
+    
+    assert.strictEqual(game.companionSystem.state.behavior, 'flee');
+    assert.ok(monster.position.distanceTo(game.sacha.position) > before, 'Sacha got away from it');
+    assert.ok(game.companionSystem.state.lastLine, 'and said something about it');
+});
+
+test('the aggressive helper stands her ground', () => {
+    const game = createHeadlessGame();
+    const monster = keepOneMonster(game);
+    game.setCompanionPersonality('aggressiveHelper');
+    monster.position.set(game.sacha.position.x + 8, 0, game.sacha.position.z);
+    
+    game.runTicks(1);
+    
+    assert.notStrictEqual(game.companionSystem.state.behavior, 'flee');
+});
+
+test('a stuck companion teleports back to the leader', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    // Stand her in a spot she can't walk out of
+    game.moveWithCollision = (character, movement) => character === game.sacha ? null : movement;
+    game.sacha.position.set(game.mina.position.x + 20, 1.35, game.mina.position.z);
+    game.runTicks(Math.ceil(game.getCompanionPersonality().stuckTime * 60) + 5);
+    
+    assert.ok(game.sacha.position.distanceTo(game.mina.position) < game.getCompanionPersonality().followDistance + 1);
+    assert.strictEqual(game.companionSystem.state.stuckTime, 0);
+});
+
+test('a companion far behind teleports at once', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.sacha.position.set(game.mina.position.x + 100, 1.35, game.mina.position.z);
+    
+    game.runTicks(1);
+    
+    assert.ok(game.sacha.position.distanceTo(game.mina.position) < 5);
+});
+
+test('she points out the nearest treasure every so often', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const treasure = game.treasures[0];
+    game.mina.position.set(treasure.position.x, 1.35, treasure.position.z + 20);
+    game.sacha.position.set(treasure.position.x + 2, 1.35, treasure.position.z + 20);
+    
+    game.runTicks(game.getCompanionPersonality().treasureHintInterval / 1000 * 60 + 1);
+    
+    assert.match(game.companionSystem.state.lastLine, /north/);
+    assert.match(game.companionSystem.state.lastLine, /20/);
+});
+
+test('she reacts when mummies come near and go away', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    game.gameState.monstersNearby = 1;
+    game.updateCompanionChatter(game.sacha, game.mina);
+    assert.strictEqual(game.companionSystem.state.lastLine, game.tLines('companion.cautiousFriend.monstersNear', { leader: 'Mina' })[0]);
+    assert.strictEqual(game.sacha.userData.animations.currentState, 'scared');
+    
+    game.gameState.monstersNearby = 0;
+    game.updateCompanionChatter(game.sacha, game.mina);
+    assert.strictEqual(game.companionSystem.state.lastLine, game.tLines('companion.cautiousFriend.allClear')[0]);
+});
+
+test('only the brave companion comes on rides', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const [vehicle] = game.rideVehicles;
+    
+    game.startRideExperience(vehicle);
+    game.runTicks(10);
+    assert.strictEqual(game.mina.parent, vehicle);
+    assert.strictEqual(game.sacha.parent, game.scene);
+    assert.strictEqual(game.companionSystem.state.behavior, 'waitAtRide');
+    game.endRideExperience(vehicle);
+    
+    game.setCompanionPersonality('aggressiveHelper');
+    game.startRideExperience(vehicle);
+    assert.strictEqual(game.sacha.parent, vehicle);
+});
+
+test('replays keep the companion personality', () => {
+    const game = createHeadlessGame(5);
+    game.controls.forward = true;
+    game.runTicks(60);
+    game.setCompanionPersonality('aggressiveHelper');
+    game.controls.left = true;
+    game.runTicks(120);
+    
+    const replay = JSON.parse(JSON.stringify(game.exportReplay()));
+    const replayed = createHeadlessGame(5, { replay });
+    assert.strictEqual(replayed.companionSystem.personality, 'cautiousFriend');
+    replayed.runTicks(replay.ticks);
+    
+    assert.strictEqual(replayed.companionSystem.personality, 'aggressiveHelper');
+    assert.deepStrictEqual(replayed.sacha.position.toArray(), game.sacha.position.toArray());
+});
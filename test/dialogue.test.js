@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function npcNamed(game, name) {
+    return game.interactiveNPCs.find(candidate => candidate.userData.name === name);
+}
+
+function walkUpTo(game, name) {
+    const npc = npcNamed(game, name);
+    game.mina.position.set(npc.position.x + 2, 1.35, npc.position.z);
+    game.runTicks(1);
+}
+
+function pressInteract(game) {
+    game.controls.interact = true;
+    game.runTicks(1);
+    game.controls.interact = false;
+    game.runTicks(1);
+}
+
+function setTimeOfDay(game, progress) {
+    game.lightingSystem.startTime = game.now() - progress * game.lightingSystem.dayDuration;
+    game.updateTimeOfDay();
+}
+
+function replies(game) {
+    return game.dialogueSystem.conversation.choices.map(choice => choice.text);
+}
+
+test('park characters wait for E before they say anything', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.restoreQuestProgress({ 'park-welcome': { status: 'completed', step: 2 } });
+    
+    walkUpTo(game, 'Emma the Guide');
+    game.runTicks(600);
+    assert.strictEqual(game.dialogueSystem.conversation, null);
+    assert.strictEqual(game.puzzleSystem.prompt, 'E: Talk to Emma the Guide');
+    
+    pressInteract(game);
+    const conversation = game.dialogueSystem.conversation;
+    assert.strictEqual(conversation.npc.userData.name, 'Emma the Guide');
+    assert.strictEqual(conversation.node, 'guide');
+    assert.strictEqual(replies(game).length, 3);
+    assert.strictEqual(game.puzzleSystem.prompt, '1-3: Reply to Emma the Guide, E: Leave');
+    
+    // Replies lead on to other nodes; one without a next node ends it
+    assert.ok(game.answerDialogue(0));
+    assert.strictEqual(conversation.node, 'hint');
+    assert.match(conversation.text, /The nearest treasure is about \d+m (north|south|east|west)/);
+    game.answerDialogue(1);
+    assert.strictEqual(game.dialogueSystem.conversation, null);
+    assert.strictEqual(game.answerDialogue(0), false);
+});
+
+test('E leaves a conversation and so does walking away', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    walkUpTo(game, 'Tech Mike');
+    
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation.node, 'tech');
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation, null);
+    
+    pressInteract(game);
+    game.mina.position.x += 30;
+    game.runTicks(1);
+    assert.strictEqual(game.dialogueSystem.conversation, null);
+    assert.strictEqual(npcNamed(game, 'Tech Mike').userData.isInteracting, false);
+});
+
+test('conditions pick the opening node and the replies on offer', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.restoreQuestProgress({ 'park-welcome': { status: 'completed', step: 2 } });
+    walkUpTo(game, 'Emma the Guide');
+    
+    setTimeOfDay(game, 0.9);
+    assert.strictEqual(game.getTimeOfDay(), 'night');
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation.node, 'night');
+    pressInteract(game);
+    
+    // Quest state and treasures found
+    game.restoreQuestProgress({ 'park-welcome': { status: 'completed', step: 2 }, 'mummy-curse': { status: 'active', step: 0 } });
+    walkUpTo(game, 'Maya the Photo Lady');
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation.node, 'waiting-for-ride');
+    pressInteract(game);
+    
+    game.restoreQuestProgress({ 'park-welcome': { status: 'completed', step: 2 }, 'mummy-curse': { status: 'completed', step: 2 } });
+    game.gameState.treasuresFound = 3;
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation.node, 'treasure-photo');
+    pressInteract(game);
+    
+    // Before the welcome quest is done Tech Mike has no quest to hand out
+    game.restoreQuestProgress({});
+    setTimeOfDay(game, 0);
+    walkUpTo(game, 'Tech Mike');
+    pressInteract(game);
+    assert.ok(replies(game).includes('Is it safe up on the coaster?'));
+    pressInteract(game);
+    setTimeOfDay(game, 0.5);
+    pressInteract(game);
+    assert.ok(!replies(game).includes('Is it safe up on the coaster?'));
+});
+
+test('dialogue actions start quests and play animations', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    walkUpTo(game, 'Carlos the Snack Man');
+    
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation.node, 'no-treasure');
+    const offer = replies(game).indexOf('Is there any adventure around here?');
+    assert.ok(offer >= 0);
+    
+    game.answerDialogue(offer);
+    assert.strictEqual(game.getQuest('dino-expedition').status, 'active');
+    assert.match(game.dialogueSystem.conversation.text, /📜 New quest: Dino Expedition/);
+    
+    // Once it is under way Carlos stops offering it
+    pressInteract(game);
+    pressInteract(game);
+    assert.ok(!replies(game).includes('Is there any adventure around here?'));
+    
+    walkUpTo(game, 'Maya the Photo Lady');
+    pressInteract(game);
+    game.answerDialogue(replies(game).indexOf('Say cheese!'));
+    assert.strictEqual(game.mina.userData.animations.currentState, 'laughing');
+    assert.strictEqual(game.sacha.userData.animations.currentState, 'jumping');
+});
+
+test('the girls react to the photographer and the snack man once, whatever they open with', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const played = [];
+    const play = game.playCharacterAnimation.bind(game);
+    game.playCharacterAnimation = (girl, animation, duration) => {
+        played.push(`${girl === game.mina ? 'mina' : 'sacha'} ${animation}`);
+        play(girl, animation, duration);
+    };
+    const talkTo = name => {
+        played.length = 0;
+        walkUpTo(game, name);
+        game.interact(game.mina);
+        game.endConversation();
+        return [...played];
+    };
+    
+    assert.deepStrictEqual(talkTo('Maya the Photo Lady'), ['mina laughing', 'sacha jumping']);
+    assert.deepStrictEqual(talkTo('Carlos the Snack Man'), ['mina jumping']);
+    game.startQuest(game.getQuest('mummy-curse'));
+    assert.deepStrictEqual(talkTo('Maya the Photo Lady'), ['mina laughing', 'sacha jumping']);
+});
+
+test('quest business comes before a conversation', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    walkUpTo(game, 'Emma the Guide');
+    
+    pressInteract(game);
+    assert.strictEqual(game.getQuest('park-welcome').status, 'active');
+    assert.strictEqual(game.dialogueSystem.conversation, null);
+    
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation.node, 'welcome-under-way');
+});
+
+test('characters without a tree take turns through their everyday lines', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    delete game.dialogueSystem.trees['Tech Mike'];
+    const mike = npcNamed(game, 'Tech Mike');
+    walkUpTo(game, 'Tech Mike');
+    
+    pressInteract(game);
+    pressInteract(game);
+    assert.strictEqual(game.dialogueSystem.conversation, null);
+    assert.strictEqual(mike.userData.currentDialogue, 2);
+});
+
+test('replays repeat the replies chosen', () => {
+    const game = createHeadlessGame(4);
+    clearMonsters(game);
+    walkUpTo(game, 'Carlos the Snack Man');
+    pressInteract(game);
+    game.answerDialogue(replies(game).indexOf('Is there any adventure around here?'));
+    game.runTicks(2);
+    
+    // The test moves Mina by hand, which isn't recorded: make the same move on the same tick
+    const replay = JSON.parse(JSON.stringify(game.exportReplay()));
+    const replayed = createHeadlessGame(4, { replay });
+    clearMonsters(replayed);
+    walkUpTo(replayed, 'Carlos the Snack Man');
+    replayed.runTicks(replay.ticks - replayed.gameClock.tick);
+    
+    assert.strictEqual(replayed.getQuest('dino-expedition').status, 'active');
+});
+
+test('layouts with broken dialogue trees are rejected', () => {
+    const game = createHeadlessGame();
+    const layout = JSON.parse(JSON.stringify(game.parkLayout.data));
+    layout.dialogues[0].start.push('nowhere');
+    layout.dialogues[1].nodes.snacks.choices[0].next = 'toString';
+    layout.dialogues[2].nodes.photo.actions[0].animation = 'moonwalk';
+    layout.dialogues[3].nodes.training.condition = { quest: 'pilot-training', status: 'finished' };
+    layout.dialogues[4].nodes.twilight.condition = { weather: 'rain' };
+    
+    assert.throws(() => game.validateParkLayout(layout), error =>
+        /dialogues\[0\]\.start/.test(error.message) &&
+        /dialogues\[1\]\.nodes\.snacks\.choices\[0\]\.next/.test(error.message) &&
+        /dialogues\[2\]\.nodes\.photo\.actions\[0\]\.animation/.test(error.message) &&
+        /dialogues\[3\]\.nodes\.training\.condition/.test(error.message) &&
+        /dialogues\[4\]\.nodes\.twilight\.condition\.weather/.test(error.message));
+});
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function rideNamed(game, name) {
+    return game.rides.find(ride => ride.userData.name === name);
+}
+
+function freshGuest(game, needs = {}) {
+    // One guest through the gate, with nothing pressing but what's asked for
+    const guest = game.spawnGuest();
+    Object.keys(guest.userData.guest.needs).forEach(need => {
+        guest.userData.guest.needs[need] = needs[need] || 0;
+        guest.userData.guest.rates[need] = 0;
+    });
+    return guest;
+}
+
+function arrive(game, guest) {
+    // Quick enough to get anywhere in the park in one tick
+    const state = guest.userData.guest;
+    const speed = state.speed;
+    state.speed = 1e5;
+    game.runTicks(1);
+    state.speed = speed;
+}
+
+test('guests come in through the gate one after another, up to the most the park holds', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const system = game.guestSystem;
+    system.maxGuests = 5;
+    const gate = new THREE.Vector3(system.gate.x, 0, system.gate.z);
+    
+    game.runTicks(1);
+    assert.strictEqual(game.guests.length, 1);
+    assert.ok(game.guests[0].position.distanceTo(gate) < 5);
+    game.runTicks(Math.ceil(system.arrivalInterval / 1000 * 60));
+    assert.strictEqual(game.guests.length, 2);
+    game.runTicks(60 * 5);
+    assert.strictEqual(game.guests.length, 5);
+    
+    game.resetRun();
+    assert.strictEqual(game.guests.length, 0);
+});
+
+test('routes follow the park paths from the gate to the far side of the lagoon', () => {
+    const game = createHeadlessGame();
+    const { nodes } = game.guestSystem.graph;
+    assert.ok(nodes.length > game.guestSystem.paths.length);
+    
+    const gate = game.guestSystem.gate;
+    const coaster = rideNamed(game, 'Battlestar Galactica').userData.ops.entrance;
+    const route = game.planGuestRoute(new THREE.Vector3(gate.x, 0, gate.z), coaster);
+    assert.ok(route.length > 5);
+    assert.ok(route.filter(point => nodes.includes(point)).length > 5);
+    assert.ok(route.at(-1).distanceTo(coaster) < 1e-9);
+    // Waypoint to waypoint is a short step, never a cut across the park
+    route.slice(1).forEach((point, i) => {
+        if (nodes.includes(point) && nodes.includes(route[i])) assert.ok(point.distanceTo(route[i]) < 25, `${i}`);
+    });
+    // Every waypoint can be got to from every other
+    assert.ok(game.guestSystem.graph.next.every(step => step >= 0));
+    
+    // Close by, they just walk over
+    const near = new THREE.Vector3(gate.x + 5, 0, gate.z);
+    assert.deepStrictEqual(game.planGuestRoute(new THREE.Vector3(gate.x, 0, gate.z), near), [near]);
+});
+
+test('no guest route walks through a building', () => {
+    const game = createHeadlessGame();
+    // Ride vehicles come and go; it's what stays put that guests have to walk round
+    game.collisionSystem.dynamicColliders = [];
+    const body = { size: new THREE.Vector3(0.5, 1.8, 0.5), offsetY: 0.9 };
+    const gate = game.guestSystem.gate;
+    const spots = [new THREE.Vector3(gate.x, 0, gate.z)];
+    game.rides.filter(ride => ride.userData.ops).forEach(ride => {
+        const ops = ride.userData.ops;
+        spots.push(ops.entrance, ops.entrance.clone().addScaledVector(new THREE.Vector3(-ops.line.z, 0, ops.line.x), -2 * game.rideOpsSystem.laneGap));
+    });
+    game.interactiveNPCs.filter(npc => npc.userData.personality === 'vendor').forEach(npc => spots.push(new THREE.Vector3(npc.position.x, 0, npc.position.z)));
+    Object.values(game.guestSystem.events).forEach(spot => spots.push(new THREE.Vector3(spot.x, 0, spot.z)));
+    
+    spots.forEach((from, i) => spots.forEach((to, j) => {
+        if (i === j) return;
+        let previous = from;
+        game.planGuestRoute(from, to).forEach(point => {
+            const steps = Math.ceil(previous.distanceTo(point) / 0.5);
+            for (let step = 0; step <= steps; step++) {
+                const sample = previous.clone().lerp(point, steps === 0 ? 0 : step / steps);
+                assert.ok(!game.collidesAt(sample, body), `${i} -> ${j} at ${sample.x.toFixed(1)}, ${sample.z.toFixed(1)}`);
+            }
+            previous = point;
+        });
+    }));
+});
+
+test('the most pressing need picks where a guest goes, and getting there meets it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.guestSystem.maxGuests = 0;
+    const hungry = freshGuest(game, { food: 0.9, ride: 0.5 });
+    
+    game.runTicks(1);
+    const state = hungry.userData.guest;
+    assert.strictEqual(state.stage, 'walking');
+    assert.strictEqual(state.goal.kind, 'food');
+    const carlos = game.interactiveNPCs.find(npc => npc.userData.personality === 'vendor');
+    assert.ok(state.goal.position.distanceTo(carlos.position) < 5);
+    
+    arrive(game, hungry);
+    assert.strictEqual(state.stage, 'eating');
+    // A guest this far from the girls is only updated every farStep
+    game.runTicks(Math.ceil((game.guestSystem.eatTime / 1000 + 2 * game.guestSystem.lod.farStep) * 60));
+    assert.strictEqual(state.needs.food, 0);
+    assert.strictEqual(state.goal.kind, 'ride');
+    assert.ok(state.goal.ride.userData.ops.vehicle);
+    
+    // Nothing pressing: a stroll to somewhere along the paths
+    const content = freshGuest(game);
+    game.runTicks(1);
+    assert.strictEqual(content.userData.guest.goal.kind, 'wander');
+    assert.ok(game.guestSystem.graph.nodes.includes(content.userData.guest.goal.position));
+});
+
+test('guests join a ride\'s line if the posted wait is one they\'ll put up with', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.guestSystem.maxGuests = 0;
+    game.guestSystem.expressChance = 0;
+    const guest = freshGuest(game, { ride: 0.9 });
+    const state = guest.userData.guest;
+    
+    game.runTicks(1);
+    const ride = state.goal.ride;
+    arrive(game, guest);
+    assert.strictEqual(state.stage, 'queueing');
+    assert.strictEqual(guest.userData.rideOps.ride, ride);
+    assert.strictEqual(ride.userData.ops.queues.standby[0].guest, guest);
+    
+    // Every line too long: nowhere to ride, so they wander instead
+    const impatient = freshGuest(game, { ride: 0.9 });
+    game.rides.forEach(candidate => {
+        if (candidate.userData.ops) candidate.userData.ops.posted.standby = impatient.userData.guest.patience + 1;
+    });
+    assert.strictEqual(game.findGuestGoal(impatient, 'ride'), null);
+    game.runTicks(1);
+    assert.strictEqual(impatient.userData.guest.goal.kind, 'wander');
+});
+
+test('guests watch a world event while it is on, and shows without one', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.guestSystem.maxGuests = 0;
+    const fireworks = game.worldEvents.find(event => event.name === 'Fireworks');
+    fireworks.startTime = game.now();
+    game.runTicks(1);
+    assert.ok(fireworks.active);
+    
+    const guest = freshGuest(game, { show: 0.9 });
+    const state = guest.userData.guest;
+    game.runTicks(1);
+    assert.strictEqual(state.goal.event, fireworks);
+    arrive(game, guest);
+    assert.strictEqual(state.stage, 'watching');
+    game.runTicks(Math.ceil(fireworks.duration / 1000 * 60) + 1);
+    assert.strictEqual(state.needs.show, 0);
+    
+    // No event on: a show ride instead
+    game.worldEvents.forEach(event => { event.active = false; });
+    assert.ok(!game.findGuestGoal(guest, 'show').ride.userData.ops.vehicle);
+});
+
+test('at closing time the gates shut and everyone walks out', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const system = game.guestSystem;
+    game.runTicks(60 * 5);
+    const count = game.guests.length;
+    assert.ok(count > 5);
+    
+    const said = [];
+    game.showNPCDialogue = (speaker, text) => said.push(text);
+    game.lightingSystem.startTime = game.now() - system.closingTime * game.lightingSystem.dayDuration;
+    game.runTicks(1);
+    assert.strictEqual(system.closed, true);
+    assert.deepStrictEqual(said, [game.t('guests.closing')]);
+    assert.ok(game.guests.every(guest => guest.userData.guest.stage === 'leaving'));
+    
+    game.runTicks(60 * 60);
+    assert.strictEqual(game.guests.length, 0);
+    
+    // A new run opens the park again
+    game.resetRun();
+    game.runTicks(1);
+    assert.strictEqual(system.closed, false);
+    assert.strictEqual(game.guests.length, 1);
+});
+
+test('loading a game empties the park and the ride lines, as a restart does', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const data = JSON.parse(JSON.stringify(game.createSaveData()));
+    game.runTicks(60 * 5);
+    const ride = game.rides.find(candidate => candidate.userData.ops);
+    game.guests.slice(0, 2).forEach(guest => game.queueGuestForRide(ride, guest, 'standby'));
+    assert.ok(game.guests.length > 0);
+    assert.ok(ride.userData.ops.queues.standby.length > 0);
+    
+    game.applySaveData(game.migrateSaveData(data));
+    assert.deepStrictEqual(game.guests, []);
+    assert.ok(game.rides.every(candidate => !candidate.userData.ops || candidate.userData.ops.queues.standby.length === 0));
+    game.runTicks(1);
+    assert.strictEqual(game.guests.length, 1);
+});
+
+test('guests far from the girls are updated less often, and out of sight aren\'t drawn', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const lod = game.guestSystem.lod;
+    game.guestSystem.maxGuests = 0;
+    const near = freshGuest(game);
+    const far = freshGuest(game);
+    const hidden = freshGuest(game);
+    near.position.set(game.mina.position.x + 10, 0, game.mina.position.z);
+    far.position.set(game.mina.position.x + (lod.nearDistance + lod.farDistance) / 2, 0, game.mina.position.z);
+    hidden.position.set(game.mina.position.x - lod.farDistance - 50, 0, game.mina.position.z);
+    game.sacha.position.copy(game.mina.position);
+    [near, far, hidden].forEach(guest => { guest.userData.guest.sinceUpdate = 0; });
+    
+    const moves = guest => {
+        const from = guest.position.clone();
+        game.runTicks(1);
+        return guest.position.distanceTo(from) > 0;
+    };
+    const count = (guest, ticks) => Array.from({ length: ticks }, () => moves(guest)).filter(Boolean).length;
+    
+    assert.strictEqual(count(near, 30), 30);
+    assert.strictEqual(count(far, 60), Math.round(60 / (lod.farStep * 60)));
+    assert.deepStrictEqual([near, far, hidden].map(guest => guest.userData.guest.tier), ['near', 'far', 'hidden']);
+    assert.deepStrictEqual([near, far, hidden].map(guest => guest.visible), [true, true, false]);
+    assert.strictEqual(near.children[0].castShadow, true);
+    assert.strictEqual(far.children[0].castShadow, false);
+    
+    // Every guest shares one set of shapes
+    assert.strictEqual(near.children[0].geometry, hidden.children[0].geometry);
+});
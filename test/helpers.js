@@ -0,0 +1,43 @@
+// Shared setup for the headless test suite: loads three.js and game.js into Node
+// and builds the default park without a browser.
+const fs = require('fs');
+const path = require('path');
+const { beforeEach } = require('node:test');
+
+global.THREE = require('three');
+const { MinaAdventureGame } = require('../game.js');
+
+const layoutPath = path.join(__dirname, '..', 'layouts', 'uss-default.json');
+const defaultLayout = JSON.parse(fs.readFileSync(layoutPath, 'utf8'));
+
+// Every language the game ships, by code, as the browser would fetch them from locales/
+const localesPath = path.join(__dirname, '..', 'locales');
+const locales = {};
+fs.readdirSync(localesPath).filter(file => file.endsWith('.json')).forEach(file => {
+    locales[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(localesPath, file), 'utf8'));
+});
+
+// The game logs every step it takes; keep test output readable. The stub is each test's own and put back
+// after it, so anything logged outside a test still shows (and a test can t.mock.restoreAll() to see its own)
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+function createHeadlessGame(seed = 1, options = {}) {
+    return new MinaAdventureGame({
+        headless: true,
+        seed: seed,
+        layout: JSON.parse(JSON.stringify(defaultLayout)),
+        layoutUrl: 'layouts/uss-default.json',
+        locales: locales,
+        ...options
+    });
+}
+
+function clearMonsters(game) {
+    // Most tests want a quiet park; the monster tests add back the one they need
+    game.monsters.forEach(monster => game.scene.remove(monster));
+    game.monsters = [];
+}
+
+module.exports = { createHeadlessGame, clearMonsters, locales };
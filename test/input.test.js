@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function gamepad(index, { axes = [0, 0, 0, 0], buttons = {} } = {}) {
+    // Standard layout: button index -> how far it is pressed
+    return {
+        index: index,
+        id: `Test pad ${index}`,
+        axes: axes,
+        buttons: Array.from({ length: 17 }, (_, button) => ({ pressed: (buttons[button] || 0) > 0, value: buttons[button] || 0 }))
+    };
+}
+
+function plugIn(game, ...pads) {
+    game.readGamepads = () => pads;
+    pads.forEach(pad => game.connectGamepad(pad));
+}
+
+function walk(game, ticks) {
+    // How far she got across the ground (her step bounces her up and down)
+    const start = game.mina.position.clone();
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.runTicks(ticks);
+    return Math.hypot(game.mina.position.x - start.x, game.mina.position.z - start.z);
+}
+
+test('the left stick walks as fast as it is pushed', () => {
+    const keys = createHeadlessGame();
+    clearMonsters(keys);
+    keys.controls.forward = true;
+    const fullSpeed = walk(keys, 30);
+    
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    plugIn(game, gamepad(0, { axes: [0, -0.6, 0, 0] }));
+    const halfSpeed = walk(game, 30);
+    assert.strictEqual(game.inputSystem.players[0].moveZ, -0.5);
+    assert.ok(Math.abs(halfSpeed / fullSpeed - 0.5) < 0.01, `${halfSpeed} vs ${fullSpeed}`);
+    
+    // A stick resting a little off the middle doesn't move her
+    game.readGamepads = () => [gamepad(0, { axes: [0.1, 0.15, 0, 0] })];
+    assert.strictEqual(walk(game, 30), 0);
+});
+
+test('the trigger runs and the face buttons jump and interact', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    plugIn(game, gamepad(0, { buttons: { 0: 1, 2: 1, 7: 0.5 } }));
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.runTicks(1);
+    
+    const actions = game.inputSystem.players[0];
+    assert.deepStrictEqual([actions.run, actions.jump, actions.interact], [true, true, true]);
+    game.runTicks(5);
+    assert.ok(game.mina.position.y > 1.4);
+    
+    // A trigger only just touched doesn't count
+    game.readGamepads = () => [gamepad(0, { buttons: { 7: 0.1 } })];
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.runTicks(1);
+    assert.strictEqual(actions.run, false);
+});
+
+test('the right stick turns the camera while playing', () => {
+    const game = createHeadlessGame();
+    plugIn(game, gamepad(0, { axes: [0, 0, 1, 0] }));
+    game.pollGamepads(0.5);
+    assert.strictEqual(game.cameraRotation.horizontal, -game.inputSystem.lookSpeed * 0.5);
+    
+    game.pauseGame();
+    game.pollGamepads(0.5);
+    assert.strictEqual(game.cameraRotation.horizontal, -game.inputSystem.lookSpeed * 0.5);
+});
+
+test('Start pauses and carries on, once per press', () => {
+    const game = createHeadlessGame();
+    const start = gamepad(0, { buttons: { 9: 1 } });
+    plugIn(game, start);
+    game.pollGamepads(0.1);
+    game.pollGamepads(0.1);
+    assert.strictEqual(game.stateMachine.state, 'paused');
+    
+    game.readGamepads = () => [gamepad(0)];
+    game.pollGamepads(0.1);
+    game.readGamepads = () => [start];
+    game.pollGamepads(0.1);
+    assert.strictEqual(game.stateMachine.state, 'playing');
+});
+
+test('gamepads can be plugged in and out at any time', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const one = gamepad(3, { axes: [1, 0, 0, 0] });
+    const two = gamepad(5, { axes: [-1, 0, 0, 0] });
+    plugIn(game, one, two);
+    plugIn(game, one, two); // Connecting again changes nothing
+    assert.deepStrictEqual(game.inputSystem.gamepads, [3, 5]);
+    
+    // The second gamepad is Sacha's, but only in co-op
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.runTicks(1);
+    assert.strictEqual(game.inputSystem.players[1].moveX, 0);
+    game.toggleCoop();
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.runTicks(1);
+    assert.deepStrictEqual(game.inputSystem.players.map(actions => actions.moveX), [1, -1]);
+    
+    // Losing player one's gamepad pauses, and the other one moves up
+    game.readGamepads = () => [two];
+    game.disconnectGamepad(one);
+    assert.strictEqual(game.stateMachine.state, 'paused');
+    assert.deepStrictEqual(game.inputSystem.gamepads, [5]);
+    game.resumeGame();
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.runTicks(1);
+    assert.deepStrictEqual(game.inputSystem.players.map(actions => actions.moveX), [-1, 0]);
+});
+
+test('replays keep where the stick was pushed', () => {
+    const game = createHeadlessGame(6);
+    clearMonsters(game);
+    plugIn(game, gamepad(0, { axes: [0.5, -0.7, 0, 0] }));
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.runTicks(60);
+    game.readGamepads = () => [gamepad(0)];
+    game.pollGamepads(game.gameClock.fixedStep);
+    game.controls.left = true;
+    game.runTicks(30);
+    
+    const replay = JSON.parse(JSON.stringify(game.exportReplay()));
+    assert.strictEqual(replay.inputs[0].length, 6);
+    assert.deepStrictEqual(replay.inputs[1], [61, 4]);
+    
+    const replayed = createHeadlessGame(6, { replay });
+    clearMonsters(replayed);
+    replayed.runTicks(replay.ticks);
+    assert.deepStrictEqual(replayed.mina.position.toArray(), game.mina.position.toArray());
+    assert.strictEqual(replayed.replaySystem.playback.desyncTick, null);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters, locales } = require('./helpers');
+
+function placeholders(value) {
+    return [...new Set(JSON.stringify(value).match(/\{\w+\}/g) || [])].sort();
+}
+
+function layoutText(layout) {
+    // Everything in the layout that ends up on screen
+    const text = new Set([layout.name]);
+    const walk = element => {
+        if (element.type === 'text') text.add(element.text);
+        if (element.element) walk(element.element);
+        (element.elements || []).forEach(walk);
+    };
+    layout.zones.forEach(zone => {
+        text.add(zone.name);
+        zone.elements.forEach(walk);
+    });
+    layout.treasures.filter(treasure => treasure.puzzle).forEach(({ puzzle }) => {
+        [puzzle.title, puzzle.hint, puzzle.npc, puzzle.question, ...(puzzle.choices || [])].forEach(item => text.add(item));
+        (puzzle.levers || puzzle.plates || []).forEach(part => text.add(part.label));
+    });
+    layout.quests.forEach(quest => {
+        text.add(quest.title);
+        [quest.start, ...quest.steps].forEach(step => [step.text, step.line, step.npc].forEach(item => text.add(item)));
+        if (quest.reward) text.add(quest.reward.message);
+    });
+    layout.dialogues.forEach(tree => {
+        text.add(tree.npc);
+        Object.values(tree.nodes).forEach(node => {
+            text.add(node.text);
+            (node.choices || []).forEach(choice => text.add(choice.text));
+        });
+    });
+    text.delete(undefined);
+    return [...text];
+}
+
+test('every language has every string, with the same blanks to fill in', () => {
+    const english = locales.en.strings;
+    ['zh', 'ms', 'ta'].forEach(code => {
+        const strings = locales[code].strings;
+        assert.deepStrictEqual(Object.keys(strings).sort(), Object.keys(english).sort(), code);
+        Object.entries(english).forEach(([key, value]) => {
+            assert.deepStrictEqual(placeholders(strings[key]), placeholders(value), `${code}: ${key}`);
+            assert.strictEqual(Array.isArray(strings[key]), Array.isArray(value), `${code}: ${key}`);
+        });
+    });
+});
+
+test('every language translates all of the layout\'s text', () => {
+    const game = createHeadlessGame();
+    const text = layoutText(game.parkLayout.data);
+    ['zh', 'ms', 'ta'].forEach(code => {
+        const missing = text.filter(item => !(item in locales[code].text));
+        assert.deepStrictEqual(missing, [], code);
+    });
+});
+
+test('switching language changes what is on screen', async () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const emma = game.interactiveNPCs.find(npc => npc.userData.name === 'Emma the Guide');
+    game.mina.position.set(emma.position.x + 2, 1.35, emma.position.z);
+    game.runTicks(1);
+    assert.strictEqual(game.puzzleSystem.prompt, 'E: Talk to Emma the Guide');
+    
+    assert.strictEqual(await game.setLanguage('zh'), true);
+    game.runTicks(1);
+    assert.strictEqual(game.puzzleSystem.prompt, 'E：和导游艾玛说话');
+    
+    // Quest text comes from the layout, through the locale's translations
+    game.notifyQuests({ type: 'talk', npc: 'Emma the Guide' });
+    assert.strictEqual(game.getQuestObjective(), '📜 欢迎来到环球影城：走到中央湖');
+    
+    await game.setLanguage('ta');
+    assert.strictEqual(game.t('direction.north'), 'வடக்கு');
+    assert.strictEqual(game.translateText('Central Lagoon'), 'மத்திய குளம்');
+    
+    // Unknown languages are turned down and change nothing
+    assert.strictEqual(await game.setLanguage('xx'), false);
+    assert.strictEqual(game.localization.language, 'ta');
+});
+
+test('the debug line and the treasure count come from the language files', async () => {
+    const game = createHeadlessGame();
+    game.mina.position.set(10.4, 1.35, -20.6);
+    assert.strictEqual(game.getDebugLine(), 'Mouse: Click to lock | Position: 10, 1, -21 | Move: 0, 0 | Time: Sunset');
+    assert.strictEqual(game.t('hud.treasureCount', { found: 2, total: game.gameState.totalTreasures }), '2/5');
+    
+    await game.setLanguage('zh');
+    assert.strictEqual(game.getDebugLine(), '鼠标：点击锁定 | 位置：10, 1, -21 | 移动：0, 0 | 时间：日落');
+});
+
+test('a conversation is shown again in the new language', async () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const mike = game.interactiveNPCs.find(npc => npc.userData.name === 'Tech Mike');
+    game.mina.position.set(mike.position.x + 2, 1.35, mike.position.z);
+    game.runTicks(1);
+    game.interact(game.mina);
+    assert.strictEqual(game.dialogueSystem.conversation.text, 'The robots here are so cool! Did you see the holographic displays?');
+    
+    await game.setLanguage('ms');
+    assert.strictEqual(game.dialogueSystem.conversation.text, 'Robot-robot di sini hebat sangat! Kamu nampak paparan hologram itu?');
+});
+
+test('the language to start in comes from the options, if the game has it', () => {
+    assert.strictEqual(createHeadlessGame(1, { language: 'ms' }).localization.language, 'ms');
+    assert.strictEqual(createHeadlessGame(1, { language: 'fr' }).localization.language, 'en');
+    assert.strictEqual(createHeadlessGame(1, { language: 'zh', locales: { en: locales.en } }).localization.language, 'en');
+});
+
+test('missing strings fall back to English, then to the key', () => {
+    const game = createHeadlessGame(1, {
+        language: 'ms',
+        locales: { en: locales.en, ms: { format: 'uss-locale', language: 'ms', strings: { 'title.start': 'Mula' } } }
+    });
+    assert.strictEqual(game.t('title.start'), 'Mula');
+    assert.strictEqual(game.t('title.continue'), 'Continue');
+    assert.strictEqual(game.t('no.such.key'), 'no.such.key');
+    assert.strictEqual(game.t('players.switched', { name: 'Sacha' }), 'Now playing as Sacha!');
+    assert.strictEqual(game.translateText('Central Lagoon'), 'Central Lagoon');
+    assert.deepStrictEqual(game.tLines('no.such.lines'), []);
+});
+
+test('broken language files are rejected', () => {
+    const game = createHeadlessGame();
+    assert.throws(() => game.addLocale('zh', {
+        format: 'uss-park-layout',
+        language: 'ms',
+        fontFamily: 12,
+        strings: { 'title.start': 5, 'chatter.mina': [] },
+        text: { 'Central Lagoon': ['中央湖'] }
+    }), error =>
+        /format/.test(error.message) &&
+        /language must be "zh"/.test(error.message) &&
+        /fontFamily/.test(error.message) &&
+        /strings\["title\.start"\]/.test(error.message) &&
+        /strings\["chatter\.mina"\]/.test(error.message) &&
+        /text\["Central Lagoon"\]/.test(error.message));
+    assert.throws(() => game.addLocale('zh', []), /must contain a JSON object/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function markersOf(game, type) {
+    return game.getMapMarkers().filter(marker => marker.type === type);
+}
+
+test('the map is drawn from the layout', () => {
+    const game = createHeadlessGame();
+    const shapes = game.mapSystem.shapes;
+    
+    const lagoon = shapes.find(shape => shape.kind === 'circle' && shape.radius === 40);
+    assert.ok(lagoon, 'The central lagoon should be on the map');
+    assert.deepStrictEqual([lagoon.x, lagoon.z, lagoon.color], [0, 0, '#4682B4']);
+    
+    // The Sci-Fi stairs climb east from (42, -70)
+    const stairs = shapes.find(shape => shape.x > 42 && shape.x < 60 && shape.z === -70 && shape.top === 6.25);
+    assert.ok(stairs);
+    assert.strictEqual(stairs.depth, 2);
+    
+    const labelled = game.parkLayout.zones.filter(zone => zone.mapLabel).map(zone => zone.name);
+    assert.deepStrictEqual(labelled, ['Central Lagoon', 'Hollywood', 'New York', 'Sci-Fi City', 'Ancient Egypt', 'The Lost World', 'Far Far Away']);
+});
+
+test('the minimap names the zone the player is in', () => {
+    const game = createHeadlessGame();
+    assert.strictEqual(game.getZoneAt(game.mina.position).name, 'Hollywood');
+    assert.strictEqual(game.getZoneAt(new THREE.Vector3(-75, 0, -70)).name, 'The Lost World');
+    assert.strictEqual(game.getZoneAt(new THREE.Vector3(5, 0, -5)).name, 'Central Lagoon');
+});
+
+test('markers show the girls, rides and chests found and still to find', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    const girls = markersOf(game, 'girl');
+    assert.deepStrictEqual(girls.map(girl => [girl.label, girl.active]), [['Mina', true], ['Sacha', false]]);
+    assert.deepStrictEqual(markersOf(game, 'ride').map(ride => ride.label), game.rides.map(ride => ride.userData.name));
+    // Rides are marked at their entrances
+    const mummy = markersOf(game, 'ride').find(ride => ride.label === 'Revenge of the Mummy');
+    const entrance = game.rides.find(ride => ride.userData.name === 'Revenge of the Mummy').userData.ops.entrance;
+    assert.deepStrictEqual([mummy.x, mummy.z], [entrance.x, entrance.z]);
+    
+    game.treasures[1].userData.collected = true;
+    assert.deepStrictEqual(markersOf(game, 'treasure').map(treasure => treasure.collected), [false, true, false, false, false]);
+    
+    game.switchCharacter();
+    assert.deepStrictEqual(markersOf(game, 'girl').map(girl => girl.active), [false, true]);
+});
+
+test('mummies only appear once they are within detection range', () => {
+    const game = createHeadlessGame();
+    const mummy = game.monsters[0];
+    game.monsters = [mummy];
+    const range = mummy.userData.detectionRadius;
+    
+    mummy.position.set(game.mina.position.x + range + 5, mummy.position.y, game.mina.position.z);
+    game.sacha.position.set(-100, game.sacha.position.y, 100);
+    assert.strictEqual(markersOf(game, 'mummy').length, 0);
+    
+    mummy.position.x = game.mina.position.x + range - 5;
+    assert.deepStrictEqual(markersOf(game, 'mummy').map(marker => marker.x), [mummy.position.x]);
+});
+
+test('the minimap is centred on the player with north up', () => {
+    const game = createHeadlessGame();
+    const minimap = game.getMapView(180, 180, false);
+    const position = game.mina.position;
+    
+    assert.deepStrictEqual(game.worldToMap(minimap, position.x, position.z), { x: 90, y: 90 });
+    const north = game.worldToMap(minimap, position.x, position.z - game.mapSystem.minimapRange);
+    assert.ok(Math.abs(north.y) < 1e-9 && north.x === 90);
+    
+    // The full map fits the whole park
+    const full = game.getMapView(600, 400, true);
+    assert.deepStrictEqual(game.worldToMap(full, -300, 300), { x: 100, y: 400 });
+});
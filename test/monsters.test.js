@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame } = require('./helpers');
+
+// Mina starts at (0, 1.35, 80) with Sacha just beside her, in open ground
+function isolateMonster(game, x, z, lookAtZ) {
+    const [monster, ...others] = game.monsters;
+    others.forEach(other => game.scene.remove(other));
+    game.monsters = [monster];
+    
+    monster.position.set(x, 0, z);
+    monster.lookAt(x, 0, lookAtZ);
+    monster.updateMatrixWorld();
+    monster.userData.aiState = 'patrolling';
+    return monster;
+}
+
+test('patrols while the girls are far away', () => {
+    const game = createHeadlessGame();
+    const monster = isolateMonster(game, 0, -150, -140);
+    
+    game.runTicks(60);
+    assert.strictEqual(monster.userData.aiState, 'patrolling');
+});
+
+test('chases a target it can see', () => {
+    const game = createHeadlessGame();
+    const monster = isolateMonster(game, 0, 70, 80);
+    
+    game.runTicks(1);
+    assert.strictEqual(monster.userData.aiState, 'chasing');
+});
+
+test('does not see through walls', () => {
+    const game = createHeadlessGame();
+    const monster = isolateMonster(game, 0, 70, 80);
+    game.createBlock(0, 5, 75, 30, 10, 1, 0xffffff);
+    
+    game.runTicks(1);
+    assert.strictEqual(monster.userData.aiState, 'alerted');
+});
+
+test('does not see behind itself while patrolling', () => {
+    const game = createHeadlessGame();
+    const monster = isolateMonster(game, 0, 70, 60);
+    
+    game.runTicks(1);
+    assert.strictEqual(monster.userData.aiState, 'alerted');
+});
+
+test('sees less far at night', () => {
+    const game = createHeadlessGame();
+    const monster = isolateMonster(game, 0, 70, 80);
+    game.lightingSystem.startTime = game.now() - game.lightingSystem.dayDuration; // Full night
+    
+    game.runTicks(1);
+    assert.strictEqual(monster.userData.aiState, 'alerted');
+});
+
+test('hiding behind a wall breaks a chase, then the mummy gives up', () => {
+    const game = createHeadlessGame();
+    const monster = isolateMonster(game, 0, 70, 80);
+    
+    game.runTicks(1);
+    assert.strictEqual(monster.userData.aiState, 'chasing');
+    
+    game.createBlock(0, 5, 75, 30, 10, 1, 0xffffff);
+    game.runTicks(1);
+    assert.strictEqual(monster.userData.aiState, 'searching');
+    
+    // Slip away out of range while it searches
+    game.mina.position.set(0, 1.35, 200);
+    game.sacha.position.set(-3, 1.35, 200);
+    game.runTicks(6 * 60);
+    assert.strictEqual(monster.userData.aiState, 'patrolling');
+});
+
+test('walks around buildings instead of through them', () => {
+    const game = createHeadlessGame();
+    const monster = isolateMonster(game, -50, 0, -110);
+    const goal = game.snapToWalkable(new THREE.Vector3(-110, 0, 0)); // Scattered dunes may sit on the exact spot
+    const body = game.collisionSystem.bodies.monster;
+    
+    // The Ancient Egypt pyramid sits between the two points
+    for (let i = 0; i < 60 * 60 && monster.position.distanceTo(goal) > 1; i++) {
+        game.moveAlongPath(monster, goal, 5, 1 / 60);
+        assert.ok(!game.collidesAt(monster.position, body), 'Monster walked into a wall');
+    }
+    assert.ok(monster.position.distanceTo(goal) <= 1, 'Monster reached the far side');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+test('collecting every treasure wins the game', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    game.treasures.forEach((treasure, index) => {
+        if (treasure.userData.puzzle) game.restorePuzzle(treasure.userData.puzzle, true); // See puzzles.test.js
+        game.mina.position.copy(treasure.position);
+        game.runTicks(1);
+        assert.strictEqual(game.gameState.treasuresFound, index + 1);
+        assert.ok(treasure.userData.collected);
+    });
+    
+    assert.ok(game.gameState.gameWon);
+    assert.ok(!game.gameState.gameOver);
+});
+
+test('a mummy catching Mina ends the game', () => {
+    const game = createHeadlessGame();
+    const [monster, ...others] = game.monsters;
+    others.forEach(other => game.scene.remove(other));
+    game.monsters = [monster];
+    monster.position.set(0, 0, 80);
+    
+    for (let i = 0; i < 60 * 30 && !game.gameState.gameOver; i++) {
+        game.runTicks(1);
+    }
+    
+    assert.ok(game.gameState.gameOver);
+    assert.ok(game.gameState.health <= 0);
+    assert.ok(!game.gameState.gameWon);
+});
+
+test('nothing moves once the game is over', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.gameOver();
+    const start = game.mina.position.clone();
+    
+    game.controls.forward = true;
+    game.runTicks(30);
+    assert.ok(game.mina.position.equals(start));
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function placeMina(game, x, y, z) {
+    game.mina.position.set(x, y, z);
+    game.resetVerticalMotion(game.mina);
+}
+
+test('a jump goes up and comes back down to the ground', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const start = game.mina.position.y;
+    
+    game.controls.jump = true;
+    game.runTicks(1);
+    game.controls.jump = false;
+    let highest = start;
+    for (let i = 0; i < 90; i++) {
+        game.runTicks(1);
+        highest = Math.max(highest, game.mina.position.y);
+    }
+    
+    assert.ok(highest > start + 2, `Only got up to ${highest}`);
+    assert.strictEqual(game.mina.position.y, start);
+    assert.ok(game.mina.userData.vertical.grounded);
+    assert.strictEqual(game.gameState.health, 100);
+});
+
+test('Mina can jump onto a block and stand on top of it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    // Knee-high crate just in front of her, top at y = 1.5
+    game.createBlock(0, 0.75, 66, 6, 1.5, 4, 0xffffff);
+    placeMina(game, 0, 1.35, 70);
+    
+    game.controls.forward = true;
+    game.runTicks(30);
+    assert.ok(game.mina.position.z > 67.5, 'The crate should stop her');
+    
+    game.controls.jump = true;
+    game.runTicks(1);
+    game.controls.jump = false;
+    game.runTicks(12);
+    game.controls.forward = false;
+    game.runTicks(60);
+    
+    const vertical = game.mina.userData.vertical;
+    assert.ok(vertical.grounded);
+    assert.strictEqual(vertical.feet, 1.5);
+    assert.ok(game.mina.position.z < 68 && game.mina.position.z > 64, 'She should be on the crate');
+});
+
+test('walking up the Sci-Fi stairs and ramp lifts her onto the decks', () => {
+    [-70, -90].forEach(z => {
+        const game = createHeadlessGame();
+        clearMonsters(game);
+        placeMina(game, 40, 1.35, z);
+        
+        game.controls.right = true;
+        for (let i = 0; i < 600 && game.mina.position.x < 58; i++) game.runTicks(1);
+        game.controls.right = false;
+        game.runTicks(10);
+        
+        assert.ok(Math.abs(game.mina.userData.vertical.feet - 6.25) < 0.01, `Feet at ${game.mina.userData.vertical.feet} (z = ${z})`);
+        assert.strictEqual(game.gameState.health, 100);
+    });
+});
+
+test('long drops hurt and short ones do not', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    placeMina(game, 0, 5, 70);
+    game.runTicks(90);
+    assert.strictEqual(game.mina.position.y, 1.35);
+    assert.strictEqual(game.gameState.health, 100);
+    
+    placeMina(game, 0, 21.35, 70);
+    game.runTicks(120);
+    assert.strictEqual(game.mina.position.y, 1.35);
+    assert.ok(Math.abs(game.gameState.health - (100 - (20 - 8) * 2)) < 1e-6, `Health is ${game.gameState.health}`);
+});
+
+test('falling off the edge of the park puts her back where she stood', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const start = game.mina.position.clone();
+    game.runTicks(1);
+    
+    game.mina.position.x = -game.collisionSystem.origin + 5;
+    game.runTicks(120);
+    
+    assert.ok(game.mina.position.distanceTo(start) < 1e-6, `Ended up at ${game.mina.position.toArray()}`);
+    assert.ok(game.mina.userData.vertical.grounded);
+    assert.strictEqual(game.gameState.health, 100 - game.physicsSystem.fallOutDamage);
+});
+
+test('the Battlestar chest can be reached by climbing the coaster', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    placeMina(game, 40, 1.35, -70);
+    
+    // Up the stairs, then hop along the blue coaster decks
+    game.controls.right = true;
+    for (let i = 0; i < 600 && game.mina.position.x < 59; i++) game.runTicks(1);
+    game.controls.jump = true;
+    for (let i = 0; i < 1200 && game.gameState.treasuresFound === 0; i++) game.runTicks(1);
+    
+    assert.strictEqual(game.gameState.treasuresFound, 1);
+    assert.ok(game.mina.position.y > 30);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+test('switching hands the controls to Sacha and Mina follows her', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const sachaStart = game.sacha.position.clone();
+    
+    game.switchCharacter();
+    assert.strictEqual(game.getActiveCharacter(), game.sacha);
+    assert.strictEqual(game.mina.userData.followTarget, game.sacha);
+    
+    game.controls.forward = true;
+    game.runTicks(60);
+    assert.ok(Math.abs((sachaStart.z - game.sacha.position.z) - game.minaSpeed) < 0.01, 'Sacha walks at player speed');
+    assert.ok(game.mina.position.distanceTo(game.sacha.position) < game.getCompanionPersonality().followDistance + 6, 'Mina keeps up');
+    
+    game.switchCharacter();
+    assert.strictEqual(game.getActiveCharacter(), game.mina);
+});
+
+test('co-op gives each girl her own keys', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const minaStart = game.mina.position.clone();
+    const sachaStart = game.sacha.position.clone();
+    
+    game.toggleCoop();
+    game.controls.left = true;
+    game.coopControls.right = true;
+    game.runTicks(30);
+    
+    assert.ok(game.mina.position.x < minaStart.x - 5);
+    assert.ok(game.sacha.position.x > sachaStart.x + 5);
+    assert.strictEqual(game.switchCharacter(), undefined);
+    assert.strictEqual(game.getActiveCharacter(), game.mina, 'No switching during co-op');
+});
+
+test('Sacha can pick up treasure', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.toggleCoop(); // Otherwise she would run straight back to Mina
+    
+    game.sacha.position.copy(game.treasures[2].position);
+    game.runTicks(1);
+    
+    assert.strictEqual(game.gameState.treasuresFound, 1);
+    assert.ok(game.treasures[2].userData.collected);
+});
+
+test('a mummy chases the girl it can see, not just the nearest', () => {
+    const game = createHeadlessGame();
+    const [monster] = game.monsters;
+    game.monsters.slice(1).forEach(other => game.scene.remove(other));
+    game.monsters = [monster];
+    game.toggleCoop(); // Keep Sacha where she is put
+    
+    // Mina is closer but behind the mummy's back
+    monster.position.set(0, 0, 60);
+    monster.lookAt(10, 0, 60);
+    game.mina.position.set(-6, 1.35, 60);
+    game.sacha.position.set(10, 1.35, 60);
+    game.runTicks(1);
+    
+    assert.strictEqual(monster.userData.aiState, 'chasing');
+    assert.ok(monster.userData.lastSeenTarget.distanceTo(game.sacha.position) < 0.01);
+});
+
+test('a caught Sacha costs health too', () => {
+    const game = createHeadlessGame();
+    const [monster] = game.monsters;
+    game.monsters.slice(1).forEach(other => game.scene.remove(other));
+    game.monsters = [monster];
+    game.toggleCoop();
+    
+    game.sacha.position.set(10, 1.35, 60);
+    monster.position.set(11, 0, 60);
+    game.runTicks(30);
+    
+    assert.ok(game.gameState.health < 100);
+});
+
+test('replays keep who was played and both sets of keys', () => {
+    const game = createHeadlessGame(3);
+    clearMonsters(game);
+    game.controls.forward = true;
+    game.runTicks(40);
+    game.switchCharacter();
+    game.runTicks(40);
+    game.toggleCoop();
+    game.controls.forward = false;
+    game.controls.left = true;
+    game.coopControls.right = true;
+    game.runTicks(40);
+    
+    const replay = JSON.parse(JSON.stringify(game.exportReplay()));
+    const replayed = createHeadlessGame(3, { replay });
+    clearMonsters(replayed);
+    replayed.runTicks(replay.ticks);
+    
+    assert.deepStrictEqual(replayed.mina.position.toArray(), game.mina.position.toArray());
+    assert.deepStrictEqual(replayed.sacha.position.toArray(), game.sacha.position.toArray());
+    assert.ok(replayed.playerSystem.coop);
+});
@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function puzzleOfType(game, type) {
+    const treasure = game.treasures.find(candidate => candidate.userData.puzzle && candidate.userData.puzzle.type === type);
+    return { treasure, puzzle: treasure.userData.puzzle };
+}
+
+function standAt(game, object) {
+    game.mina.position.set(object.position.x, 1.35, object.position.z);
+}
+
+function pressInteract(game) {
+    game.controls.interact = true;
+    game.runTicks(1);
+    game.controls.interact = false;
+    game.runTicks(1);
+}
+
+test('a locked chest stays shut until its puzzle is solved', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { treasure, puzzle } = puzzleOfType(game, 'leverSequence');
+    
+    standAt(game, treasure);
+    game.runTicks(1);
+    assert.ok(!treasure.userData.collected);
+    assert.match(game.puzzleSystem.prompt, /^🔒 The Pharaoh's Levers/);
+    
+    game.restorePuzzle(puzzle, true);
+    game.runTicks(1);
+    assert.ok(treasure.userData.collected);
+});
+
+test('pulling the levers in order unlocks the chest', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { puzzle } = puzzleOfType(game, 'leverSequence');
+    
+    puzzle.definition.sequence.forEach(index => {
+        standAt(game, puzzle.parts[index]);
+        game.runTicks(1);
+        assert.match(game.puzzleSystem.prompt, new RegExp(`Pull the ${puzzle.parts[index].userData.label} lever`));
+        pressInteract(game);
+        assert.ok(puzzle.parts[index].userData.active);
+    });
+    
+    assert.strictEqual(puzzle.status, 'solved');
+});
+
+test('holding interact pulls only one lever', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { puzzle } = puzzleOfType(game, 'leverSequence');
+    const [first, second] = puzzle.definition.sequence;
+    
+    standAt(game, puzzle.parts[first]);
+    game.controls.interact = true;
+    game.runTicks(1);
+    standAt(game, puzzle.parts[second]);
+    game.runTicks(5);
+    
+    assert.deepStrictEqual(puzzle.progress, [first]);
+});
+
+test('a wrong lever fails the puzzle and it resets', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { puzzle } = puzzleOfType(game, 'leverSequence');
+    const wrong = puzzle.parts.findIndex((lever, index) => index !== puzzle.definition.sequence[0]);
+    
+    standAt(game, puzzle.parts[wrong]);
+    pressInteract(game);
+    assert.strictEqual(puzzle.status, 'failed');
+    assert.match(game.puzzleSystem.prompt, /^❌/);
+    
+    game.runTicks(Math.ceil(game.puzzleSystem.failureTime / 1000 * 60));
+    assert.strictEqual(puzzle.status, 'locked');
+    assert.deepStrictEqual(puzzle.progress, []);
+    assert.ok(puzzle.parts.every(lever => !lever.userData.active));
+});
+
+test('pressure plates go down in the order they are stepped on', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { puzzle } = puzzleOfType(game, 'plateOrder');
+    
+    puzzle.definition.sequence.forEach(index => {
+        standAt(game, puzzle.parts[index]);
+        game.runTicks(1);
+    });
+    
+    assert.strictEqual(puzzle.status, 'solved');
+    assert.deepStrictEqual(puzzle.progress, puzzle.definition.sequence);
+});
+
+test('a companion following along doesn\'t press a plate, but a co-op player does', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { puzzle } = puzzleOfType(game, 'plateOrder');
+    const first = puzzle.parts[puzzle.definition.sequence[0]];
+    
+    // Mina close by, so Sacha has no reason to go anywhere
+    game.mina.position.set(first.position.x + 4, 1.35, first.position.z);
+    game.sacha.position.set(first.position.x, 1.35, first.position.z);
+    game.runTicks(1);
+    assert.ok(game.sacha.position.distanceTo(first.position) < game.puzzleSystem.plateRadius);
+    assert.deepStrictEqual(puzzle.progress, []);
+    assert.ok(!first.userData.active);
+    
+    game.toggleCoop();
+    game.sacha.position.set(first.position.x, 1.35, first.position.z);
+    game.runTicks(1);
+    assert.deepStrictEqual(puzzle.progress, [puzzle.definition.sequence[0]]);
+});
+
+test('Princess Fiona asks her riddle and a wrong answer fails it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { treasure, puzzle } = puzzleOfType(game, 'riddle');
+    const fiona = game.getRiddleAsker(puzzle);
+    assert.strictEqual(fiona.userData.name, 'Princess Fiona');
+    
+    game.mina.position.set(fiona.position.x + 6, 1.35, fiona.position.z);
+    pressInteract(game);
+    assert.strictEqual(game.puzzleSystem.riddle, treasure);
+    
+    assert.ok(game.answerRiddle((puzzle.definition.answer + 1) % puzzle.definition.choices.length));
+    assert.strictEqual(puzzle.status, 'failed');
+    assert.strictEqual(game.puzzleSystem.riddle, null);
+    
+    game.runTicks(Math.ceil(game.puzzleSystem.failureTime / 1000 * 60));
+    pressInteract(game);
+    game.answerRiddle(puzzle.definition.answer);
+    assert.strictEqual(puzzle.status, 'solved');
+});
+
+test('walking away closes the riddle', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { puzzle } = puzzleOfType(game, 'riddle');
+    const fiona = game.getRiddleAsker(puzzle);
+    
+    game.mina.position.set(fiona.position.x + 6, 1.35, fiona.position.z);
+    pressInteract(game);
+    game.mina.position.set(fiona.position.x + 30, 1.35, fiona.position.z);
+    game.runTicks(1);
+    
+    assert.strictEqual(game.puzzleSystem.riddle, null);
+    assert.strictEqual(game.answerRiddle(puzzle.definition.answer), false);
+});
+
+test('solved puzzles are saved and restart locks them again', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const { treasure, puzzle } = puzzleOfType(game, 'plateOrder');
+    game.restorePuzzle(puzzle, true);
+    const data = game.createSaveData();
+    assert.deepStrictEqual(data.progress.solvedPuzzleIds, [treasure.userData.id]);
+    
+    game.resetRun();
+    assert.strictEqual(puzzle.status, 'locked');
+    
+    game.applySaveData(game.migrateSaveData(JSON.parse(JSON.stringify(data))));
+    assert.strictEqual(puzzle.status, 'solved');
+    assert.ok(puzzle.parts.every(plate => plate.userData.active));
+});
+
+test('version 1 saves load with no puzzles solved', () => {
+    const game = createHeadlessGame();
+    const data = game.createSaveData();
+    delete data.progress.solvedPuzzleIds;
+    data.schemaVersion = 1;
+    
+    const migrated = game.migrateSaveData(data);
+    assert.strictEqual(migrated.schemaVersion, game.saveSystem.schemaVersion);
+    assert.deepStrictEqual(migrated.progress.solvedPuzzleIds, []);
+});
+
+test('replays repeat lever pulls and riddle answers', () => {
+    const game = createHeadlessGame(4);
+    clearMonsters(game);
+    const { puzzle: levers } = puzzleOfType(game, 'leverSequence');
+    const { puzzle: riddle } = puzzleOfType(game, 'riddle');
+    
+    levers.definition.sequence.forEach(index => {
+        standAt(game, levers.parts[index]);
+        pressInteract(game);
+    });
+    const fiona = game.getRiddleAsker(riddle);
+    game.mina.position.set(fiona.position.x + 6, 1.35, fiona.position.z);
+    pressInteract(game);
+    game.answerRiddle(riddle.definition.answer);
+    game.runTicks(2);
+    
+    // The test moves Mina by hand, which isn't recorded: make the same moves on the same ticks
+    const replay = JSON.parse(JSON.stringify(game.exportReplay()));
+    const replayed = createHeadlessGame(4, { replay });
+    clearMonsters(replayed);
+    const { puzzle: replayedLevers } = puzzleOfType(replayed, 'leverSequence');
+    const { puzzle: replayedRiddle } = puzzleOfType(replayed, 'riddle');
+    levers.definition.sequence.forEach(index => {
+        standAt(replayed, replayedLevers.parts[index]);
+        replayed.runTicks(2);
+    });
+    replayed.mina.position.set(fiona.position.x + 6, 1.35, fiona.position.z);
+    replayed.runTicks(replay.ticks - replayed.gameClock.tick);
+    
+    assert.strictEqual(replayedLevers.status, 'solved');
+    assert.strictEqual(replayedRiddle.status, 'solved');
+});
+
+test('version 1 replays are moved to the new input layout', () => {
+    const game = createHeadlessGame();
+    const bits = game.replaySystem.controlBits;
+    const replay = game.migrateReplay({
+        version: 1,
+        inputs: [[1, 1 | (4 << 5) | 1024 | 2048 | (1 << 12)]]
+    });
+    
+    const [[, migrated]] = replay.inputs;
+    assert.strictEqual(replay.version, 2);
+    assert.strictEqual(migrated & 0xff, bits.forward);
+    assert.strictEqual((migrated >> game.replaySystem.coopShift) & 0xff, bits.left);
+    assert.ok(migrated & game.replaySystem.playerBits.sachaActive);
+    assert.ok(migrated & game.replaySystem.playerBits.coop);
+    assert.strictEqual(game.replayPersonality(migrated), 'aggressiveHelper');
+});
+
+test('layouts with a broken puzzle are rejected', () => {
+    const game = createHeadlessGame();
+    const layout = JSON.parse(JSON.stringify(game.parkLayout.data));
+    layout.treasures[0].puzzle.sequence = [0, 0, 7];
+    layout.treasures[1].puzzle.answer = 9;
+    layout.treasures[2].zone = 'atlantis';
+    
+    assert.throws(() => game.validateParkLayout(layout), error =>
+        /treasures\[0\]\.puzzle\.sequence/.test(error.message) &&
+        /treasures\[1\]\.puzzle\.answer/.test(error.message) &&
+        /treasures\[2\]\.zone/.test(error.message));
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function statusOf(game, id) {
+    return game.getQuest(id).status;
+}
+
+function talkTo(game, name) {
+    // Walk up to a park character and press E
+    const npc = game.interactiveNPCs.find(candidate => candidate.userData.name === name);
+    game.mina.position.set(npc.position.x + 2, 1.35, npc.position.z);
+    game.runTicks(1);
+    game.controls.interact = true;
+    game.runTicks(1);
+    game.controls.interact = false;
+}
+
+test('the welcome quest starts with Emma and ends with a reward from Carlos', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    assert.strictEqual(statusOf(game, 'park-welcome'), 'available');
+    assert.strictEqual(statusOf(game, 'pilot-training'), 'locked');
+    assert.strictEqual(game.getQuestObjective(), null);
+    
+    talkTo(game, 'Emma the Guide');
+    assert.strictEqual(statusOf(game, 'park-welcome'), 'active');
+    assert.strictEqual(game.getQuestObjective(), '📜 Welcome to USS: Walk to the Central Lagoon');
+    
+    // Carlos stands in the lagoon zone, so walking up to him and saying hello does both steps
+    game.gameState.health = 50;
+    talkTo(game, 'Carlos the Snack Man');
+    assert.strictEqual(statusOf(game, 'park-welcome'), 'completed');
+    assert.strictEqual(game.gameState.health, 65);
+    
+    ['pilot-training', 'mummy-curse', 'royal-parade', 'dino-expedition'].forEach(id => {
+        assert.strictEqual(statusOf(game, id), 'available', id);
+    });
+    assert.strictEqual(statusOf(game, 'grand-tour'), 'locked');
+});
+
+test('quests wait for the ones they require', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    talkTo(game, 'Tech Mike');
+    assert.strictEqual(statusOf(game, 'pilot-training'), 'locked');
+    assert.strictEqual(game.notifyQuests({ type: 'talk', npc: 'Tech Mike' }), false);
+    
+    // Steps only count in order
+    talkTo(game, 'Emma the Guide');
+    talkTo(game, 'Emma the Guide');
+    assert.strictEqual(game.getQuest('park-welcome').step, 0);
+});
+
+test('entering a zone, riding and sitting out world events move quests on', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    
+    game.mina.position.set(-75, 1.35, -60);
+    game.runTicks(1);
+    assert.strictEqual(statusOf(game, 'dino-expedition'), 'active');
+    
+    const raft = game.rideVehicles.find(vehicle => vehicle.userData.name === 'Jurassic Raft');
+    game.startRideExperience(raft);
+    game.endRideExperience(raft);
+    assert.strictEqual(game.getQuest('dino-expedition').step, 1);
+    
+    // The parade is not the event this step waits for
+    const event = name => game.worldEvents.find(worldEvent => worldEvent.name === name);
+    game.endWorldEvent(event('Parade'));
+    assert.strictEqual(statusOf(game, 'dino-expedition'), 'active');
+    game.endWorldEvent(event('Fireworks'));
+    assert.strictEqual(statusOf(game, 'dino-expedition'), 'completed');
+    
+    // Quests can be picked up part way through, as when a save is loaded
+    game.restoreQuestProgress({
+        'park-welcome': { status: 'completed', step: 2 },
+        'mummy-curse': { status: 'active', step: 0 }
+    });
+    const cart = game.rideVehicles.find(vehicle => vehicle.userData.name === 'Mummy Adventure Cart');
+    game.startRideExperience(cart);
+    game.endRideExperience(cart);
+    assert.strictEqual(game.getQuest('mummy-curse').step, 1);
+});
+
+test('a world event ending once the run is won or lost sees no one through it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const fireworks = game.worldEvents.find(event => event.name === 'Fireworks');
+    const waiting = () => game.restoreQuestProgress({ 'dino-expedition': { status: 'active', step: 1 } });
+    
+    waiting();
+    game.gameOver();
+    game.endWorldEvent(fireworks);
+    assert.strictEqual(statusOf(game, 'dino-expedition'), 'active');
+    
+    game.restartGame();
+    waiting();
+    game.gameWon();
+    game.endWorldEvent(fireworks);
+    assert.strictEqual(statusOf(game, 'dino-expedition'), 'active');
+    
+    game.restartGame();
+    waiting();
+    game.endWorldEvent(fireworks);
+    assert.strictEqual(statusOf(game, 'dino-expedition'), 'completed');
+});
+
+test('saves keep quest progress and restarting clears it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    talkTo(game, 'Emma the Guide');
+    talkTo(game, 'Carlos the Snack Man');
+    talkTo(game, 'Princess Fiona');
+    const data = JSON.parse(JSON.stringify(game.createSaveData()));
+    assert.deepStrictEqual(data.progress.quests, {
+        'park-welcome': { status: 'completed', step: 2 },
+        'royal-parade': { status: 'active', step: 0 }
+    });
+    
+    game.resetRun();
+    assert.deepStrictEqual(game.getQuestProgress(), {});
+    assert.strictEqual(statusOf(game, 'royal-parade'), 'locked');
+    
+    game.applySaveData(game.migrateSaveData(data));
+    assert.strictEqual(statusOf(game, 'royal-parade'), 'active');
+    assert.strictEqual(statusOf(game, 'mummy-curse'), 'available');
+    
+    // Saves from before quests start with none under way
+    delete data.progress.quests;
+    data.schemaVersion = 3;
+    game.applySaveData(game.migrateSaveData(data));
+    assert.deepStrictEqual(game.getQuestProgress(), {});
+});
+
+test('layouts with broken quests are rejected', () => {
+    const game = createHeadlessGame();
+    const layout = JSON.parse(JSON.stringify(game.parkLayout.data));
+    layout.quests[0].start.type = 'dance';
+    layout.quests[1].requires = ['time-travel'];
+    layout.quests[2].steps[0].zone = 'atlantis';
+    layout.quests[2].steps[0].type = 'enterZone';
+    layout.quests[3].id = layout.quests[4].id;
+    
+    assert.throws(() => game.validateParkLayout(layout), error =>
+        /quests\[0\]\.start\.type/.test(error.message) &&
+        /quests\[1\]\.requires/.test(error.message) &&
+        /quests\[2\]\.steps\[0\]\.zone/.test(error.message) &&
+        /quests\[4\]\.id/.test(error.message));
+});
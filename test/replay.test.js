@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame } = require('./helpers');
+
+function recordRun(seed) {
+    const game = createHeadlessGame(seed);
+    
+    game.controls.forward = true;
+    game.runTicks(90);
+    game.cameraRotation.horizontal = 0.75;
+    game.controls.left = true;
+    game.controls.run = true;
+    game.runTicks(120);
+    game.controls.forward = false;
+    game.controls.left = false;
+    game.controls.right = true;
+    game.runTicks(90);
+    
+    return game;
+}
+
+function snapshot(game) {
+    return {
+        tick: game.gameClock.tick,
+        mina: game.mina.position.toArray(),
+        sacha: game.sacha.position.toArray(),
+        monsters: game.monsters.map(monster => [...monster.position.toArray(), monster.userData.aiState]),
+        health: game.gameState.health,
+        treasures: game.gameState.treasuresFound
+    };
+}
+
+test('records only the ticks where the input changes', () => {
+    const game = recordRun(9);
+    const replay = game.exportReplay();
+    
+    assert.strictEqual(replay.format, 'mina-uss-replay');
+    assert.strictEqual(replay.seed, 9);
+    assert.strictEqual(replay.ticks, 300);
+    assert.deepStrictEqual(replay.inputs, [[1, 1], [91, 1 | 4 | 16], [211, 8 | 16]]);
+    assert.deepStrictEqual(replay.camera, [[91, 750, 0]]);
+    assert.strictEqual(replay.track.length, 300 / game.replaySystem.trackInterval);
+    assert.doesNotThrow(() => game.validateReplay(JSON.parse(JSON.stringify(replay))));
+});
+
+test('playing a replay back reproduces the run', () => {
+    const recorded = recordRun(9);
+    const replay = JSON.parse(JSON.stringify(recorded.exportReplay()));
+    
+    // The seed comes from the replay, and the keyboard is ignored while watching
+    const replayed = createHeadlessGame(12345, { replay });
+    replayed.controls.backward = true;
+    replayed.runTicks(replay.ticks);
+    
+    assert.strictEqual(replayed.randomSystem.seed, 9);
+    assert.deepStrictEqual(snapshot(replayed), snapshot(recorded));
+    assert.strictEqual(replayed.cameraRotation.horizontal, 0.75);
+    assert.strictEqual(replayed.replaySystem.playback.desyncTick, null);
+    assert.ok(replayed.replayAtEnd());
+});
+
+test('flags a replay that no longer matches the game', () => {
+    const replay = JSON.parse(JSON.stringify(recordRun(9).exportReplay()));
+    replay.inputs[1][1] = 2; // Walk backwards instead
+    
+    const replayed = createHeadlessGame(9, { replay });
+    replayed.runTicks(replay.ticks);
+    
+    assert.ok(replayed.replaySystem.playback.desyncTick > 90);
+});
+
+test('rejects files that are not replays', () => {
+    const game = createHeadlessGame();
+    
+    assert.throws(() => game.validateReplay({ format: 'uss-park-layout' }), /not a Mina's USS Adventure replay/);
+    const replay = game.exportReplay();
+    assert.throws(() => game.validateReplay({ ...replay, fixedStep: 1 / 30 }), /ticks/);
+    assert.throws(() => game.validateReplay({ ...replay, version: 99 }), /newer/);
+});
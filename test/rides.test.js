@@ -0,0 +1,292 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function vehicleOfType(game, type) {
+    return game.rideVehicles.find(vehicle => vehicle.userData.vehicleType === type);
+}
+
+test('every ride goes round its own track and ends back at its station', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    ['coasterCar', 'raftBoat', 'mummyCart'].forEach(type => {
+        const vehicle = vehicleOfType(game, type);
+        const station = vehicle.position.clone();
+        const track = vehicle.userData.track;
+        assert.strictEqual(vehicle.parent, game.scene);
+        assert.ok(game.scene.children.includes(track.rails), type);
+        
+        game.startRideExperience(vehicle);
+        let ticks = 0;
+        let furthest = 0;
+        while (vehicle.userData.rideActive && ticks < 60 * 60) {
+            game.runTicks(1);
+            furthest = Math.max(furthest, Math.hypot(vehicle.position.x - station.x, vehicle.position.z - station.z));
+            ticks++;
+        }
+        assert.ok(Math.abs(ticks - track.duration * 60) <= 1, `${type}: ${ticks} ticks`);
+        assert.ok(furthest > 10, type);
+        assert.ok(Math.hypot(vehicle.position.x - station.x, vehicle.position.z - station.z) < 1e-6, type);
+    });
+});
+
+test('the coaster launches, climbs the lift at a steady speed and brakes into the station', () => {
+    const game = createHeadlessGame();
+    const track = vehicleOfType(game, 'coasterCar').userData.track;
+    const [launch, trim, lift, brake] = track.sections;
+    const ride = game.createTrackRide(track);
+    const speedAt = distance => {
+        while (ride.distance < distance) game.advanceTrackRide(ride, game.gameClock.fixedStep);
+        return ride.speed;
+    };
+    
+    assert.ok(speedAt(launch.to) > 30);
+    // Coasting: slower at the top of the hill than at the bottom of the drop after it
+    const top = track.samples.reduce((high, sample) => sample.distance < trim.from && sample.position.y > high.position.y ? sample : high);
+    const crest = speedAt(top.distance);
+    assert.ok(crest < 25 && crest > game.trackSystem.minSpeed);
+    assert.ok(speedAt(top.distance + 25) > crest + 10);
+    
+    speedAt((lift.from + lift.to) / 2);
+    assert.strictEqual(ride.speed, lift.speed);
+    assert.ok(speedAt(lift.to + 30) > 20);
+    
+    let finished = false;
+    while (!finished) finished = game.advanceTrackRide(ride, game.gameClock.fixedStep);
+    assert.strictEqual(ride.distance, track.length);
+    assert.ok(ride.speed <= brake.speed);
+});
+
+test('cars face along the track and lean into the curves', () => {
+    const game = createHeadlessGame();
+    const track = vehicleOfType(game, 'coasterCar').userData.track;
+    const car = new THREE.Object3D();
+    
+    const sharpest = track.samples.reduce((sharp, sample) => Math.abs(sample.turn) > Math.abs(sharp.turn) ? sample : sharp);
+    game.placeOnRideTrack(car, track, sharpest.distance);
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(car.quaternion);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(car.quaternion);
+    assert.ok(forward.distanceTo(sharpest.tangent) < 1e-6);
+    assert.ok(Math.abs(sharpest.bank) > 0.3);
+    
+    // The inside of the curve is to her left on a left-hand turn
+    const left = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), sharpest.tangent).normalize();
+    const inside = left.multiplyScalar(Math.sign(sharpest.turn));
+    assert.ok(up.dot(inside) > 0.2);
+    
+    // Level straights stay level
+    game.placeOnRideTrack(car, track, 0);
+    assert.ok(new THREE.Vector3(0, 1, 0).applyQuaternion(car.quaternion).y > 0.999);
+});
+
+test('a dark ride cart in the Mummy tomb takes Mina round its track and back', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const tomb = game.buildings.find(building => building.name === 'mummyDarkRide');
+    const rideSystem = tomb.userData.rideSystem;
+    assert.ok(rideSystem);
+    const cart = rideSystem.rideVehicles[0];
+    
+    game.boardMummyRide(cart, rideSystem);
+    assert.strictEqual(game.mina.userData.ridingVehicle, cart);
+    const progress = [];
+    for (let i = 0; i < 3; i++) {
+        game.runTicks(30);
+        progress.push(cart.userData.currentProgress);
+    }
+    assert.ok(progress[0] > 0 && progress[1] > progress[0] && progress[2] > progress[1], progress.join(', '));
+    
+    game.runTicks(Math.ceil(rideSystem.track.duration * 60));
+    assert.strictEqual(cart.userData.currentProgress, 0);
+    assert.strictEqual(game.mina.userData.ridingVehicle, null);
+});
+
+test('Catmull-Rom and Bezier tracks both close up and draw their rails', () => {
+    const game = createHeadlessGame();
+    const origin = new THREE.Vector3(10, 2, -4);
+    Object.keys(game.trackSystem.tracks).forEach(name => {
+        const parent = new THREE.Group();
+        const track = game.createRideTrack(name, parent, origin);
+        const [first, last] = [track.samples[0], track.samples[track.samples.length - 1]];
+        const station = new THREE.Vector3(...game.trackSystem.tracks[name].points[0]).add(origin);
+        assert.ok(first.position.distanceTo(station) < 1e-9, name);
+        assert.ok(last.position.distanceTo(first.position) < 1e-9, name);
+        assert.ok(last.up.distanceTo(first.up) < 1e-6, name);
+        
+        assert.strictEqual(parent.children[0], track.rails);
+        const style = game.trackSystem.tracks[name].rails;
+        const instanced = track.rails.children.filter(child => child.isInstancedMesh).length;
+        assert.strictEqual(instanced, (style.sleeperSpacing > 0) + (style.supportSpacing > 0), name);
+    });
+});
+
+function rideNamed(game, name) {
+    return game.rides.find(ride => ride.userData.name === name);
+}
+
+function lineUp(game, ride, lane, count) {
+    // New park guests, already standing in the ride's line
+    return Array.from({ length: count }, () => {
+        const guest = game.spawnGuest();
+        game.queueGuestForRide(ride, guest, lane);
+        return guest;
+    });
+}
+
+test('each dispatch takes a ride\'s worth from the front of the lines, express riders first', () => {
+    const game = createHeadlessGame();
+    game.guestSystem.maxGuests = 0; // Only the guests put in line here
+    const mansion = rideNamed(game, 'Haunted Hollywood Mansion');
+    const ops = mansion.userData.ops;
+    const express = lineUp(game, mansion, 'express', 3);
+    const standby = lineUp(game, mansion, 'standby', 6);
+    
+    // Half of the 4 seats are kept for express, and standby has the rest
+    game.dispatchRide(mansion);
+    const boarded = [...express.slice(0, 2), ...standby.slice(0, 2)];
+    boarded.forEach(guest => {
+        assert.strictEqual(guest.visible, false);
+        assert.strictEqual(guest.userData.rideOps.stage, 'riding');
+    });
+    assert.deepStrictEqual(ops.queues.express.map(entry => entry.guest), express.slice(2));
+    
+    // Seats express can't fill go to standby
+    game.dispatchRide(mansion);
+    assert.strictEqual(ops.queues.express.length, 0);
+    assert.deepStrictEqual(ops.queues.standby.map(entry => entry.guest), standby.slice(5));
+    assert.deepStrictEqual([ops.stats.dispatches, ops.stats.riders, ops.stats.expressRiders], [2, 8, 3]);
+    
+    // They come off at the exit once the ride is over, and go back to their day
+    game.runTicks(Math.ceil(ops.rideTime / 1000 * 60) + 1);
+    boarded.forEach(guest => {
+        assert.strictEqual(guest.visible, true);
+        assert.strictEqual(guest.userData.rideOps, null);
+        assert.notStrictEqual(guest.userData.guest.stage, 'queueing');
+    });
+});
+
+test('the sign posts the wait for someone joining the back of each line', () => {
+    const game = createHeadlessGame();
+    game.guestSystem.maxGuests = 0; // Only the guests put in line here
+    const coaster = rideNamed(game, 'Battlestar Galactica');
+    const ops = coaster.userData.ops;
+    lineUp(game, coaster, 'standby', 9);
+    
+    // Nine ahead in the standby line: two full dispatches go first, the new guest is on the third
+    const untilNext = ops.nextDispatch - game.now();
+    assert.strictEqual(game.getRideWait(coaster, 'standby'), untilNext + 2 * ops.cycleTime);
+    assert.strictEqual(game.getRideWait(coaster, 'express'), untilNext);
+    
+    game.runTicks(1);
+    const posted = ops.sign.userData.sign.values;
+    assert.strictEqual(posted.standby, Math.ceil(game.getRideWait(coaster, 'standby') / 60000));
+    assert.strictEqual(game.getSignText(ops.sign.userData.sign), `⏱ Standby ${posted.standby} min | Express ${posted.express} min`);
+});
+
+test('the girls queue at the entrance, board when their turn comes and count as riders', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    game.guestSystem.maxGuests = 0;
+    const coaster = rideNamed(game, 'Battlestar Galactica');
+    const ops = coaster.userData.ops;
+    const entrance = ops.entrance;
+    lineUp(game, coaster, 'standby', 5);
+    game.mina.position.set(entrance.x, 1.35, entrance.z + 1);
+    game.runTicks(1);
+    assert.match(game.puzzleSystem.prompt, /^E: Queue for Battlestar Galactica/);
+    
+    game.interact(game.mina);
+    assert.strictEqual(game.rideOpsSystem.choice.ride, coaster);
+    assert.strictEqual(game.answerRideChoice(1), true);
+    assert.strictEqual(game.gameState.expressPasses, 2);
+    assert.strictEqual(game.rideOpsSystem.player.lane, 'express');
+    assert.strictEqual(game.replaySystem.recording.events.at(-1)[1], 'ride');
+    assert.match(game.getPuzzlePrompt(game.mina), /In line for Battlestar Galactica: 0 ahead/);
+    
+    // Express goes on the next dispatch, in front of the standby line
+    game.runTicks(Math.ceil((ops.nextDispatch - game.now()) / 1000 * 60) + 1);
+    assert.strictEqual(game.rideOpsSystem.player, null);
+    assert.strictEqual(ops.vehicle.userData.rideActive, true);
+    assert.strictEqual(game.mina.parent, ops.vehicle);
+    assert.strictEqual(ops.stats.riders, 4);
+    assert.strictEqual(ops.queues.standby.length, 2);
+});
+
+test('every ride vehicle\'s entrance can be walked up to, and its lines and exit stand in the open', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const body = game.collisionSystem.bodies.character;
+    const clear = point => !game.collidesAt(new THREE.Vector3(point.x, game.minaPosition.y, point.z), body);
+    
+    game.rides.filter(ride => ride.userData.ops).forEach(ride => {
+        const ops = ride.userData.ops;
+        const name = ride.userData.name;
+        ['standby', 'express'].forEach(lane => {
+            for (let index = 0; index < 30; index++) assert.ok(clear(game.getQueueSlot(ops, lane, index)), `${name} ${lane} ${index}`);
+        });
+        const side = new THREE.Vector3(-ops.line.z, 0, ops.line.x);
+        assert.ok(clear(ops.entrance.clone().addScaledVector(side, -2 * game.rideOpsSystem.laneGap)), `${name} exit`);
+        if (!ops.vehicle) return;
+        
+        // From the back of the line up to the entrance, stopping at anything in the way
+        const start = ops.entrance.clone().addScaledVector(ops.line, 15);
+        game.mina.position.set(start.x, game.minaPosition.y, start.z);
+        for (let step = 0; step < 200; step++) {
+            const ahead = new THREE.Vector3(ops.entrance.x - game.mina.position.x, 0, ops.entrance.z - game.mina.position.z);
+            if (!game.moveWithCollision(game.mina, ahead.clampLength(0, 0.1), body)) break;
+        }
+        assert.strictEqual(game.findRideEntrance(game.mina), ride, name);
+    });
+});
+
+test('walking away from the line gives up the place in it', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const rapids = rideNamed(game, 'Jurassic Park Rapids');
+    const entrance = rapids.userData.ops.entrance;
+    game.mina.position.set(entrance.x, 1.35, entrance.z);
+    game.runTicks(1);
+    game.interact(game.mina);
+    game.answerRideChoice(0);
+    assert.strictEqual(game.gameState.expressPasses, 3);
+    assert.ok(rapids.userData.ops.queues.standby.includes(game.rideOpsSystem.player.entry));
+    
+    game.mina.position.x += game.rideOpsSystem.leaveRange + 1;
+    game.runTicks(1);
+    assert.strictEqual(game.rideOpsSystem.player, null);
+    assert.ok(rapids.userData.ops.queues.standby.every(entry => entry.guest));
+    
+    // Shows have no vehicle to put the girls on, so there is nothing to queue for
+    const shrek = rideNamed(game, 'Shrek 4-D Adventure');
+    game.mina.position.set(shrek.userData.ops.entrance.x, 1.35, shrek.userData.ops.entrance.z);
+    assert.strictEqual(game.findRideEntrance(game.mina), null);
+});
+
+test('the ride board\'s throughput comes from what each ride has carried', () => {
+    const game = createHeadlessGame();
+    const mansion = rideNamed(game, 'Haunted Hollywood Mansion');
+    const ops = mansion.userData.ops;
+    game.gameClock.elapsed += 3600;
+    ops.stats.riders = 90;
+    ops.stats.totalWait = 90 * 30000;
+    const throughput = game.getRideThroughput(mansion);
+    assert.strictEqual(throughput.perHour, 90);
+    assert.strictEqual(throughput.capacityPerHour, 720);
+    assert.strictEqual(throughput.averageWait, 30000);
+});
+
+test('express passes are saved, and saves from before them get a new run\'s worth', () => {
+    const game = createHeadlessGame();
+    game.gameState.expressPasses = 1;
+    const data = JSON.parse(JSON.stringify(game.createSaveData()));
+    
+    game.resetRun();
+    assert.strictEqual(game.gameState.expressPasses, 3);
+    game.applySaveData(game.migrateSaveData(data));
+    assert.strictEqual(game.gameState.expressPasses, 1);
+    
+    delete data.progress.expressPasses;
+    data.schemaVersion = 4;
+    game.applySaveData(game.migrateSaveData(data));
+    assert.strictEqual(game.gameState.expressPasses, 3);
+});
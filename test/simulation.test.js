@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+test('builds the whole park without a browser', () => {
+    const game = createHeadlessGame();
+    
+    assert.ok(game.headless);
+    assert.ok(game.mina && game.sacha);
+    assert.strictEqual(game.treasures.length, 5);
+    assert.strictEqual(game.monsters.length, 5);
+    assert.ok(game.collisionObjects.length > 0);
+    assert.ok(game.navigation.grid);
+});
+
+test('runs a fixed number of fixed-length ticks', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const start = game.mina.position.clone();
+    
+    game.controls.forward = true;
+    const state = game.runTicks(30);
+    
+    assert.strictEqual(state, game.gameState);
+    assert.strictEqual(game.gameClock.tick, 30);
+    assert.ok(Math.abs(game.now() - 500) < 1e-6, 'Game clock reads half a second');
+    assert.ok(game.mina.position.z < start.z, 'Mina should have walked forward (towards -z)');
+    assert.ok(Math.abs((start.z - game.mina.position.z) - game.minaSpeed * 0.5) < 0.01, 'Half a second at walking speed');
+});
+
+test('starts and ends world events on schedule', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const fireworks = game.worldEvents.find(event => event.name === 'Fireworks');
+    
+    fireworks.startTime = game.now() - 1;
+    game.runTicks(1);
+    assert.ok(fireworks.active);
+    
+    fireworks.startTime = game.now() - fireworks.duration - 1;
+    game.runTicks(1);
+    assert.ok(!fireworks.active);
+    assert.ok(fireworks.startTime > game.now(), 'Next show is scheduled');
+});
+
+test('the opening fireworks volley goes off on the game clock', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const fireworks = game.worldEvents.find(event => event.name === 'Fireworks');
+    let bursts = 0;
+    game.playFireworkBurst = () => { bursts++; };
+    
+    game.startWorldEvent(fireworks);
+    fireworks.active = false; // Just the volley, none of the rockets the show adds while it is on
+    assert.strictEqual(bursts, 0);
+    game.runTicks(30);
+    assert.strictEqual(bursts, 2);
+    game.runTicks(30);
+    assert.strictEqual(bursts, 3);
+});
+
+function playThrough(seed) {
+    const game = createHeadlessGame(seed);
+    
+    // Same scripted input every time: walk forward, then run right
+    game.controls.forward = true;
+    game.runTicks(120);
+    game.controls.forward = false;
+    game.controls.right = true;
+    game.controls.run = true;
+    game.runTicks(240);
+    
+    return {
+        mina: game.mina.position.toArray(),
+        sacha: game.sacha.position.toArray(),
+        monsters: game.monsters.map(monster => [...monster.position.toArray(), monster.userData.aiState, monster.userData.speed]),
+        guests: game.guests.map(guest => guest.position.toArray()),
+        health: game.gameState.health
+    };
+}
+
+test('the same seed and inputs always give the same outcome', () => {
+    assert.deepStrictEqual(playThrough(42), playThrough(42));
+});
+
+test('a different seed gives a different park', () => {
+    assert.notDeepStrictEqual(playThrough(42), playThrough(43));
+});
+
+test('game events fire on the game clock, in order', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const fired = [];
+    
+    game.scheduleGameEvent(() => fired.push('second'), 200);
+    game.scheduleGameEvent(() => fired.push('first'), 100);
+    game.runTicks(6);
+    assert.deepStrictEqual(fired, ['first']);
+    game.runTicks(6);
+    assert.deepStrictEqual(fired, ['first', 'second']);
+});
+
+test('firework sparkles leave the world random stream alone and go on the game clock', () => {
+    const game = createHeadlessGame();
+    const world = game.randomSystem.streams.world;
+    const timers = game.gameClock.timers.length;
+    
+    game.createTemporarySparkle();
+    const sparkle = game.scene.children.at(-1);
+    assert.strictEqual(game.randomSystem.streams.world, world);
+    assert.strictEqual(game.gameClock.timers.length, timers + 1);
+    
+    // Only game time takes it away, so it stays while paused or in photo mode
+    game.runTicks(60);
+    assert.strictEqual(sparkle.parent, game.scene);
+    game.runTicks(61);
+    assert.strictEqual(sparkle.parent, null);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+test('headless games start in the playing state', () => {
+    const game = createHeadlessGame();
+    
+    assert.strictEqual(game.stateMachine.state, 'playing');
+    assert.strictEqual(game.setGameState('title'), false, 'Cannot jump from playing to the title screen');
+    assert.strictEqual(game.stateMachine.state, 'playing');
+});
+
+test('nothing moves while paused', () => {
+    const game = createHeadlessGame();
+    clearMonsters(game);
+    const start = game.mina.position.clone();
+    
+    game.pauseGame();
+    assert.strictEqual(game.stateMachine.state, 'paused');
+    game.controls.forward = true;
+    game.runTicks(30);
+    assert.ok(game.mina.position.equals(start));
+    
+    game.resumeGame();
+    game.runTicks(30);
+    assert.ok(game.mina.position.z < start.z);
+});
+
+test('Escape pauses once, whether the browser lets the mouse go before or after the key press', () => {
+    const game = createHeadlessGame();
+    
+    // Lock lost first: the Escape that caused it must not resume
+    game.pauseOnMouseLost(1000);
+    game.pressEscape(1010);
+    assert.strictEqual(game.stateMachine.state, 'paused');
+    game.pressEscape(3000);
+    assert.strictEqual(game.stateMachine.state, 'playing');
+    
+    // Key first: it pauses, and losing the mouse after that changes nothing
+    game.pressEscape(5000);
+    game.pauseOnMouseLost(5010);
+    assert.strictEqual(game.stateMachine.state, 'paused');
+    game.pressEscape(7000);
+    assert.strictEqual(game.stateMachine.state, 'playing');
+    
+    // A panel taking the mouse doesn't pause
+    game.saveSystem.panelOpen = true;
+    game.pauseOnMouseLost(9000);
+    assert.strictEqual(game.stateMachine.state, 'playing');
+});
+
+test('winning and losing change state', () => {
+    const won = createHeadlessGame();
+    won.gameWon();
+    assert.strictEqual(won.stateMachine.state, 'won');
+    
+    const lost = createHeadlessGame();
+    lost.gameOver();
+    assert.strictEqual(lost.stateMachine.state, 'lost');
+    assert.strictEqual(lost.pauseGame(), false, 'A finished game cannot be paused');
+});
+
+test('restarting resets the run without rebuilding the park', () => {
+    const game = createHeadlessGame();
+    const blocks = game.collisionObjects.length;
+    const oldMonsters = game.monsters.slice();
+    
+    game.mina.position.copy(game.treasures[1].position);
+    game.runTicks(1);
+    game.monsters[0].position.copy(game.mina.position);
+    game.gameState.health = 1;
+    game.runTicks(60);
+    assert.strictEqual(game.stateMachine.state, 'lost');
+    
+    game.restartGame();
+    
+    assert.strictEqual(game.stateMachine.state, 'playing');
+    assert.strictEqual(game.gameState.health, 100);
+    assert.strictEqual(game.gameState.treasuresFound, 0);
+    assert.ok(!game.gameState.gameOver);
+    assert.ok(game.treasures.every(treasure => !treasure.userData.collected && treasure.visible));
+    assert.strictEqual(game.monsters.length, oldMonsters.length);
+    assert.ok(game.monsters.every(monster => !oldMonsters.includes(monster) && monster.userData.aiState === 'patrolling'));
+    assert.ok(oldMonsters.every(monster => !monster.parent), 'Old mummies are gone from the scene');
+    assert.ok(game.mina.position.equals(game.minaPosition));
+    assert.strictEqual(game.lightingSystem.startTime, game.now());
+    assert.strictEqual(game.collisionObjects.length, blocks);
+    
+    game.controls.forward = true;
+    game.runTicks(30);
+    assert.ok(game.mina.position.z < game.minaPosition.z, 'Mina can move again');
+});
+
+test('replays include restarts', () => {
+    const game = createHeadlessGame(4);
+    game.controls.right = true;
+    game.runTicks(100);
+    game.restartGame();
+    game.controls.forward = true;
+    game.runTicks(100);
+    
+    const replay = JSON.parse(JSON.stringify(game.exportReplay()));
+    assert.deepStrictEqual(replay.events, [[100, 'restart']]);
+    
+    const replayed = createHeadlessGame(4, { replay });
+    replayed.runTicks(replay.ticks);
+    assert.deepStrictEqual(replayed.mina.position.toArray(), game.mina.position.toArray());
+    assert.deepStrictEqual(replayed.monsters.map(monster => monster.position.toArray()), game.monsters.map(monster => monster.position.toArray()));
+    assert.strictEqual(replayed.replaySystem.playback.desyncTick, null);
+});
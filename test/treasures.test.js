@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, clearMonsters } = require('./helpers');
+
+function spotsOf(game) {
+    return game.treasures.map(treasure => treasure.position.toArray());
+}
+
+function isOneOf(position, spots) {
+    return spots.some(spot => spot.distanceTo(position) < 1e-6);
+}
+
+test('fixed placement keeps the layout positions', () => {
+    const game = createHeadlessGame();
+    game.treasures.forEach(treasure => {
+        assert.ok(treasure.position.equals(treasure.userData.spots[0]));
+    });
+    assert.ok(game.treasures.some(treasure => treasure.position.y === 37.25));
+});
+
+test('random placement puts every chest on a reachable spot in its zone', () => {
+    [1, 2, 3, 4, 5].forEach(seed => {
+        const game = createHeadlessGame(seed, { treasurePlacement: 'random' });
+        game.treasures.forEach(treasure => {
+            assert.ok(isOneOf(treasure.position, treasure.userData.spots));
+            assert.ok(game.isTreasureSpotReachable(treasure.position), `seed ${seed} put a chest at ${treasure.position.toArray()}`);
+            assert.strictEqual(treasure.userData.glow.position.distanceTo(treasure.position), 0);
+        });
+    });
+});
+
+test('the same seed shuffles the chests the same way', () => {
+    const first = spotsOf(createHeadlessGame(9, { treasurePlacement: 'random' }));
+    assert.deepStrictEqual(spotsOf(createHeadlessGame(9, { treasurePlacement: 'random' })), first);
+    
+    const others = [10, 11, 12].map(seed => spotsOf(createHeadlessGame(seed, { treasurePlacement: 'random' })));
+    assert.ok(others.some(spots => JSON.stringify(spots) !== JSON.stringify(first)));
+});
+
+test('spots in buildings, up high or cut off from the entrance are rejected', () => {
+    const game = createHeadlessGame();
+    const battlestarTop = new THREE.Vector3(80, 30, -80);
+    const insidePyramid = new THREE.Vector3(-80, 3, -10);
+    const openGround = new THREE.Vector3(-104, 3, -36);
+    assert.strictEqual(game.isTreasureSpotReachable(battlestarTop), false);
+    assert.strictEqual(game.isTreasureSpotReachable(insidePyramid), false);
+    assert.strictEqual(game.isTreasureSpotReachable(openGround), true);
+    
+    // A walkable pocket the girls can't get into
+    const reachable = game.getReachableCells();
+    const pocket = game.navigation.grid.walkable.findIndex((open, cell) => open && !reachable[cell]);
+    assert.ok(pocket >= 0);
+    assert.strictEqual(game.isTreasureSpotReachable(game.cellToWorld(pocket, 3)), false);
+    
+    for (let i = 0; i < 10; i++) {
+        assert.strictEqual(game.pickTreasureSpot([battlestarTop, insidePyramid, openGround]), openGround);
+    }
+});
+
+test('restarting reshuffles and saves remember where the chests were', () => {
+    const game = createHeadlessGame(3, { treasurePlacement: 'random' });
+    clearMonsters(game);
+    const data = JSON.parse(JSON.stringify(game.createSaveData()));
+    const saved = spotsOf(game);
+    
+    let restarts = 0;
+    do {
+        game.resetRun();
+        restarts++;
+    } while (JSON.stringify(spotsOf(game)) === JSON.stringify(saved) && restarts < 10);
+    assert.notDeepStrictEqual(spotsOf(game), saved);
+    
+    game.applySaveData(game.migrateSaveData(data));
+    assert.deepStrictEqual(spotsOf(game), saved);
+    assert.deepStrictEqual(game.treasures[0].userData.glow.position.toArray(), saved[0]);
+});
+
+test('version 2 saves keep the chests where they are', () => {
+    const game = createHeadlessGame(3, { treasurePlacement: 'random' });
+    const data = game.createSaveData();
+    delete data.progress.treasurePositions;
+    data.schemaVersion = 2;
+    const before = spotsOf(game);
+    
+    game.applySaveData(game.migrateSaveData(data));
+    assert.deepStrictEqual(spotsOf(game), before);
+});